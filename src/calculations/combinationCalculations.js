@@ -17,17 +17,31 @@
  * - Professional analysis: BDO, EY, PwC, Deloitte guides on optimal extraction
  */
 
-import { calculateSalaryScenario, calculateMaxGrossSalary } from './salaryCalculations.js';
-import { calculateDividendScenario, calculateCorporateTax, calculateDividendTax } from './dividendCalculations.js';
 import {
-  CORPORATE_TAX_RATE,
-  EMPLOYER_SOCIAL_SECURITY_RATES,
-  BRACKET_TAX_2025,
-  EFFECTIVE_DIVIDEND_TAX_RATE,
-  SOCIAL_SECURITY_RATES,
-  PERSONAL_TAX_RATE,
-  MINSTEFRADRAG,
-  PERSONFRADRAG
+  calculateSalaryScenario,
+  calculateMaxGrossSalary,
+  calculateSocialSecurityContribution,
+  calculateBracketTax,
+  calculateIncomeTax,
+  calculateOwnerAge,
+  isOtpEligible,
+  describeOwnerAge,
+  hasOtherIncome,
+  describeOtherIncome,
+  calculateSalaryTaxWithOtherIncome
+} from './salaryCalculations.js';
+import { calculateDividendScenario, calculateCorporateTax, describeLossCarryforward, calculateDividendCapacity, describeDividendCapacity, calculateDividendTax, calculateSkjermingLedgerYear, calculateCapitalRepayment } from './dividendCalculations.js';
+import { calculateEmployeePensionSaving, calculateIpsDeduction, calculatePensionSummary } from './pensionCalculations.js';
+import { calculatePersonalDeductions, describePersonalDeductions } from './deductionCalculations.js';
+import { calculateShareholderScenario } from './shareholderCalculations.js';
+import { calculateHoldingFlow } from './holdingCalculations.js';
+import {
+  DEFAULT_TAX_YEAR,
+  DEFAULT_OWNER_RESIDENCE,
+  AGA_FRIBELOP_ZONES,
+  AGA_FRIBELOP_FULL_RATE_ZONE,
+  OWNER_RESIDENCE_DESCRIPTIONS,
+  getTaxRates
 } from '../config/taxRates.js';
 
 /**
@@ -41,6 +55,20 @@ import {
  * @param {string} zone - Employer zone for AGA calculation
  * @param {number} salaryRatio - Percentage of profit allocated to salary (0-100)
  * @param {Object} options - Additional options
+ * @param {number} options.taxYear - Tax year for the rate set (default DEFAULT_TAX_YEAR)
+ * @param {Object} options.overrides - Per-request rate overrides (see getTaxRates)
+ * @param {number} options.ownerBirthYear - Owner birth year for age-dependent trygdeavgift and OTP
+ * @param {string} options.ownerResidence - Owner residence: 'standard' or 'tiltakssone'
+ * @param {number} options.agaFribelopUsed - AGA fribeløp already used by other employees (zones 1a and 4a)
+ * @param {Object} options.pensionProducts - Additional OTP rate, own EPK rate, IPS amount and projection settings
+ * @param {number} options.unusedSkjerming - Unused skjerming carried forward from earlier years
+ * @param {number} options.shareCount - Number of shares for the per-share skjerming ledger
+ * @param {number} options.paidInCapital - Remaining paid-in capital, repaid tax-free before dividend
+ * @param {Object} options.holding - Holding mode for the dividend part: { enabled, payoutPercentage, ownershipShare } (see calculateHoldingFlow)
+ * @param {Object} options.otherIncome - Owner's income outside the company (see validateOtherIncome)
+ * @param {Object[]} options.personalDeductions - Owner's personal deductions (see validatePersonalDeductions)
+ * @param {number} options.lossCarryforward - Company loss carried forward from earlier years
+ * @param {Object} options.balanceSheet - Balance sheet for the dividend capacity (see validateBalanceSheet)
  * @returns {Object} Complete combination scenario
  */
 export function calculateCombinationScenario(profit, zone, salaryRatio, options = {}) {
@@ -48,9 +76,27 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
     includePension = false,
     pensionRate = 0.02,
     retentionPercentage = 0,
-    shareCostBasis = 0
+    shareCostBasis = 0,
+    unusedSkjerming = 0,
+    shareCount = 1,
+    paidInCapital = 0,
+    holding = null,
+    taxYear = DEFAULT_TAX_YEAR,
+    overrides = null,
+    ownerBirthYear = null,
+    ownerResidence = DEFAULT_OWNER_RESIDENCE,
+    agaFribelopUsed = 0,
+    pensionProducts = {},
+    otherIncome = null,
+    personalDeductions = null,
+    lossCarryforward = 0,
+    balanceSheet = null
   } = options;
   
+  const { additionalRate = 0, employeeRate = 0, ipsAmount = 0, yearsToRetirement = null, expectedReturn = null } = pensionProducts;
+  const rates = getTaxRates(taxYear, overrides);
+  const ownerAge = calculateOwnerAge(ownerBirthYear, rates.taxYear);
+  const pensionApplied = includePension && isOtpEligible(ownerAge);
   const calculationSteps = [];
   
   // Validate inputs
@@ -58,9 +104,9 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
     throw new Error('Salary ratio must be between 0 and 100');
   }
   
-  // Step 1: Calculate retention
-  const retainedAmount = profit * retentionPercentage;
-  const availableForExtraction = profit - retainedAmount;
+  // Step 1: Calculate retention (nothing can be paid out of a loss year)
+  const retainedAmount = Math.max(0, profit) * retentionPercentage;
+  const availableForExtraction = Math.max(0, profit) - retainedAmount;
   
   calculationSteps.push({
     step: 'Fordeling av overskudd',
@@ -83,37 +129,46 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
     ]
   });
   
+  if (includePension && !pensionApplied) {
+    calculationSteps.push({
+      step: 'Pensjon (OTP)',
+      details: [`Eier er ${ownerAge} år i ${rates.taxYear} og omfattes ikke av OTP - pensjonsinnskudd er ikke medregnet`]
+    });
+  }
+
   // Step 3: Calculate salary component
   // The salary portion includes employer AGA, so we need to calculate backwards
-  const agaRate = EMPLOYER_SOCIAL_SECURITY_RATES[zone];
-  const salaryCalc = calculateMaxGrossSalary(salaryPortion, zone, includePension, pensionRate);
+  const salaryCalc = calculateMaxGrossSalary(salaryPortion, zone, pensionApplied, pensionRate, rates, agaFribelopUsed, pensionApplied ? additionalRate : 0);
   const grossSalary = salaryCalc.grossSalary;
   const employerAGA = salaryCalc.employerAGA;
   const pensionContribution = salaryCalc.pensionContribution || 0;
+  const pensionAGA = salaryCalc.pensionAGA || 0;
+  
+  // Own EPK saving, IPS and personal deductions are deducted in alminnelig
+  // inntekt; what the salary cannot absorb is set against the dividend below
+  const employeeSaving = calculateEmployeePensionSaving(grossSalary, pensionApplied ? employeeRate : 0, rates);
+  const ips = calculateIpsDeduction(ipsAmount, rates);
+  const personal = calculatePersonalDeductions(personalDeductions, rates);
+  const ownDeductions = [
+    { description: 'Egen sparing (EPK)', amount: employeeSaving.contribution },
+    { description: 'IPS', amount: ips.deductible },
+    ...personal.additionalDeductions
+  ];
   
-  // Calculate personal taxes on salary
-  const socialSecurityRate = SOCIAL_SECURITY_RATES.salary;
-  const trygdeavgift = grossSalary * socialSecurityRate;
-  
-  // Bracket tax
-  let trinnskatt = 0;
-  let prevThreshold = 0;
-  for (const bracket of BRACKET_TAX_2025) {
-    if (grossSalary > bracket.threshold) {
-      const nextThreshold = BRACKET_TAX_2025[BRACKET_TAX_2025.indexOf(bracket) + 1]?.threshold || Infinity;
-      const taxableInBracket = Math.min(grossSalary, nextThreshold) - bracket.threshold;
-      trinnskatt += taxableInBracket * bracket.rate;
-    }
-  }
-  
-  // Income tax on salary
-  const minstefradrag = Math.min(
-    Math.max(grossSalary * MINSTEFRADRAG.rate, MINSTEFRADRAG.minimum),
-    MINSTEFRADRAG.maximum,
-    grossSalary
-  );
-  const taxableIncome = Math.max(0, grossSalary - minstefradrag - PERSONFRADRAG);
-  const inntektsskatt = taxableIncome * PERSONAL_TAX_RATE;
+  // Calculate personal taxes on salary (threshold and opptrappingsregelen apply,
+  // tiltakssone rates follow the owner's residence). With other income the
+  // salary is taxed on top of it
+  const otherIncomeCalc = hasOtherIncome(otherIncome)
+    ? calculateSalaryTaxWithOtherIncome(grossSalary, otherIncome, rates, ownerResidence, ownerAge, ownDeductions)
+    : null;
+  const incomeTaxCalc = otherIncomeCalc ? null : calculateIncomeTax(grossSalary, rates, ownerResidence, ownDeductions);
+  const trygdeavgift = otherIncomeCalc ? otherIncomeCalc.trygdeavgift : calculateSocialSecurityContribution(grossSalary, rates, ownerAge).contribution;
+  const trinnskatt = otherIncomeCalc ? otherIncomeCalc.trinnskatt : calculateBracketTax(grossSalary, rates, ownerResidence).totalBracketTax;
+  const inntektsskatt = otherIncomeCalc ? otherIncomeCalc.inntektsskatt : incomeTaxCalc.incomeTax;
+  const unusedDeductions = otherIncomeCalc ? otherIncomeCalc.unusedDeductions : incomeTaxCalc.unusedDeductions;
+  const deductionsUsedAgainstIncome = otherIncomeCalc
+    ? otherIncomeCalc.additionalDeductionsUsed
+    : incomeTaxCalc.additionalDeductions - incomeTaxCalc.unusedDeductions;
   
   const totalSalaryTax = trygdeavgift + trinnskatt + inntektsskatt;
   const netSalary = grossSalary - totalSalaryTax;
@@ -123,6 +178,7 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
     details: [
       `Bruttolønn: ${grossSalary.toLocaleString('nb-NO')} kr`,
       `Arbeidsgiveravgift: ${Math.round(employerAGA).toLocaleString('nb-NO')} kr`,
+      ...(salaryCalc.fribelopApplies ? [`Gjenstående fribeløp (AGA): ${salaryCalc.fribelopRemaining.toLocaleString('nb-NO')} kr`] : []),
       `Trygdeavgift: ${Math.round(trygdeavgift).toLocaleString('nb-NO')} kr`,
       `Trinnskatt: ${Math.round(trinnskatt).toLocaleString('nb-NO')} kr`,
       `Inntektsskatt: ${Math.round(inntektsskatt).toLocaleString('nb-NO')} kr`,
@@ -130,47 +186,172 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
     ]
   });
   
+  if (otherIncomeCalc) {
+    calculationSteps.push({
+      step: 'Personskatt med annen inntekt',
+      details: otherIncomeCalc.calculationSteps
+    });
+  }
+  
+  if (pensionApplied) {
+    calculationSteps.push({
+      step: 'Pensjon (OTP)',
+      details: salaryCalc.pensionCalculationSteps
+    });
+  }
+  
   // Step 4: Calculate dividend component
+  // Corporate tax on what is left after salary, less any loss carried forward;
+  // the loss lowers the tax on the dividend and retained portions alike
+  const corporateTaxBase = profit < 0 ? profit : dividendPortion + retainedAmount;
+  const corporateTaxResult = calculateCorporateTax(corporateTaxBase, rates, lossCarryforward);
+  const totalCorporateTax = corporateTaxResult.corporateTax;
+  const corporateTaxShare = dividendPortion + retainedAmount > 0 ? totalCorporateTax / (dividendPortion + retainedAmount) : 0;
+  
   // Corporate tax on dividend portion
-  const corporateTaxOnDividend = dividendPortion * CORPORATE_TAX_RATE;
-  const dividendAvailable = dividendPortion - corporateTaxOnDividend;
+  const corporateTaxOnDividend = dividendPortion * corporateTaxShare;
+  const plannedDistribution = dividendPortion - corporateTaxOnDividend;
   
   // Corporate tax on retained amount
-  const corporateTaxOnRetained = retainedAmount * CORPORATE_TAX_RATE;
-  
-  // Total corporate tax
-  const totalCorporateTax = corporateTaxOnDividend + corporateTaxOnRetained;
+  const corporateTaxOnRetained = retainedAmount * corporateTaxShare;
+  
+  // Paid-in capital is repaid tax-free before any taxable dividend. The repayment
+  // is a capital reduction, so only the dividend is capped at the dividend capacity.
+  // In holding mode the whole distribution goes to the holding, as in calculateDividendScenario
+  const repaymentBeforeDividend = holding?.enabled
+    ? null
+    : calculateCapitalRepayment({ distribution: plannedDistribution, paidInCapital, costBasis: shareCostBasis });
+  const dividendCapacity = calculateDividendCapacity({
+    balanceSheet,
+    resultAfterTax: corporateTaxBase - totalCorporateTax,
+    distribution: repaymentBeforeDividend ? repaymentBeforeDividend.dividend : plannedDistribution
+  });
+  const holdingFlow = holding?.enabled
+    ? calculateHoldingFlow({
+        dividendReceived: dividendCapacity.distribution,
+        ownershipShare: holding.ownershipShare,
+        payoutPercentage: holding.payoutPercentage,
+        rates,
+        residence: ownerResidence
+      })
+    : null;
+  const capitalRepayment = calculateCapitalRepayment({
+    distribution: holdingFlow ? holdingFlow.paidToOwner : repaymentBeforeDividend.repayment + dividendCapacity.distribution,
+    paidInCapital,
+    costBasis: shareCostBasis
+  });
+  const dividendPaid = capitalRepayment.dividend;
+  
+  // Skjerming is used against the dividend; what is left is carried forward
+  const skjermingLedger = calculateSkjermingLedgerYear({
+    costBasis: capitalRepayment.costBasisAfter,
+    unusedFromPreviousYears: unusedSkjerming,
+    skjermingRate: rates.skjermingRate,
+    rateEstimated: rates.skjermingRateEstimated,
+    dividend: dividendPaid,
+    shareCount
+  });
   
-  // Dividend tax (no skjermingsfradrag applied proportionally for simplicity)
-  // In reality, skjermingsfradrag would be applied to total dividends
-  const dividendTaxResult = calculateDividendTax(dividendAvailable, 0);
+  const dividendTaxResult = calculateDividendTax(dividendPaid, skjermingLedger.used, rates, ownerResidence, unusedDeductions);
   const dividendTax = dividendTaxResult.dividendTax;
   const netDividend = dividendTaxResult.netDividend;
   
+  const lossSteps = describeLossCarryforward(corporateTaxResult);
+  if (lossSteps.length > 0) {
+    calculationSteps.push({
+      step: 'Fremførbart underskudd',
+      details: lossSteps
+    });
+  }
+  
+  if (dividendCapacity.checked) {
+    calculationSteps.push({
+      step: 'Utbyttekapasitet',
+      details: dividendCapacity.calculationSteps
+    });
+  }
+  
+  if (holdingFlow) {
+    calculationSteps.push({
+      step: 'Holdingselskap',
+      details: holdingFlow.calculationSteps
+    });
+  }
+  
+  if (paidInCapital > 0) {
+    calculationSteps.push({
+      step: 'Tilbakebetaling av innbetalt kapital',
+      details: capitalRepayment.calculationSteps
+    });
+  }
+  
   calculationSteps.push({
     step: 'Utbytteberegning',
     details: [
       `Overskudd til utbytte: ${Math.round(dividendPortion).toLocaleString('nb-NO')} kr`,
-      `Selskapsskatt (22%): ${Math.round(corporateTaxOnDividend).toLocaleString('nb-NO')} kr`,
-      `Utbytte før personskatt: ${Math.round(dividendAvailable).toLocaleString('nb-NO')} kr`,
-      `Utbytteskatt (37.84%): ${Math.round(dividendTax).toLocaleString('nb-NO')} kr`,
+      `Selskapsskatt${corporateTaxResult.lossUsed > 0 ? ' etter fremført underskudd' : ` (${(rates.corporateTaxRate * 100).toFixed(0)}%)`}: ${Math.round(corporateTaxOnDividend).toLocaleString('nb-NO')} kr`,
+      ...(dividendCapacity.heldBack > 0 ? [`Holdes tilbake (over utbyttekapasiteten): ${dividendCapacity.heldBack.toLocaleString('nb-NO')} kr`] : []),
+      ...(capitalRepayment.repayment > 0 ? [`Tilbakebetalt innbetalt kapital (skattefritt): ${capitalRepayment.repayment.toLocaleString('nb-NO')} kr`] : []),
+      `Utbytte før personskatt: ${Math.round(dividendPaid).toLocaleString('nb-NO')} kr`,
+      ...(skjermingLedger.availableSkjerming > 0 ? [`Skjermingsfradrag: ${skjermingLedger.used.toLocaleString('nb-NO')} kr (ubenyttet til neste år: ${skjermingLedger.unusedCarriedForward.toLocaleString('nb-NO')} kr)`] : []),
+      `Utbytteskatt (${(dividendTaxResult.theoreticalMaxRate * 100).toFixed(2)}%): ${Math.round(dividendTax).toLocaleString('nb-NO')} kr`,
       `Netto utbytte: ${Math.round(netDividend).toLocaleString('nb-NO')} kr`
     ]
   });
   
+  if (personal.total > 0) {
+    calculationSteps.push({
+      step: 'Personlige fradrag',
+      details: [
+        ...personal.calculationSteps,
+        `Fradrag i alminnelig inntekt brukt mot lønn: ${Math.round(deductionsUsedAgainstIncome).toLocaleString('nb-NO')} kr`,
+        `Fradrag brukt mot utbytte (oppjustert): ${dividendTaxResult.deductionsUsed.toLocaleString('nb-NO')} kr`,
+        ...(unusedDeductions > dividendTaxResult.deductionsUsed ? [`Fradrag som ikke kan utnyttes: ${Math.round(unusedDeductions - dividendTaxResult.deductionsUsed).toLocaleString('nb-NO')} kr`] : [])
+      ]
+    });
+  }
+  
+  // Pension products side by side: paid in, tax effect and projected capital
+  const pension = pensionApplied || ips.contribution > 0
+    ? calculatePensionSummary({
+        employerContribution: pensionContribution,
+        employerAGA: pensionAGA,
+        employeeSaving,
+        ips,
+        deductionsUsed: Math.min(employeeSaving.contribution + ips.deductible, deductionsUsedAgainstIncome + dividendTaxResult.deductionsUsed),
+        ownerAge,
+        yearsToRetirement,
+        expectedReturn,
+        rates,
+        residence: ownerResidence
+      })
+    : null;
+  
+  if (pension) {
+    calculationSteps.push({
+      step: 'Pensjonsprodukter',
+      details: pension.calculationSteps
+    });
+  }
+  
   // Step 5: Calculate totals
-  const totalTax = employerAGA + totalSalaryTax + totalCorporateTax + dividendTax;
-  const netPrivatePayout = netSalary + netDividend;
+  const holdingTax = holdingFlow?.holdingTax ?? 0;
+  const retainedInHolding = holdingFlow?.retainedInHolding ?? 0;
+  const totalTax = employerAGA + pensionAGA + totalSalaryTax + totalCorporateTax + holdingTax + dividendTax;
+  const netPrivatePayout = netSalary + netDividend + capitalRepayment.repayment;
+  const ownPensionSavings = employeeSaving.contribution + ips.contribution;
   const effectiveTaxRate = profit > 0 ? totalTax / profit : 0;
-  const retainedAfterTax = retainedAmount - corporateTaxOnRetained;
+  const retainedAfterTax = retainedAmount - corporateTaxOnRetained + dividendCapacity.heldBack;
   
   calculationSteps.push({
     step: 'Totalt',
     details: [
-      `Arbeidsgiveravgift: ${Math.round(employerAGA).toLocaleString('nb-NO')} kr`,
+      `Arbeidsgiveravgift: ${Math.round(employerAGA + pensionAGA).toLocaleString('nb-NO')} kr`,
       `Personskatt på lønn: ${Math.round(totalSalaryTax).toLocaleString('nb-NO')} kr`,
       `Selskapsskatt: ${Math.round(totalCorporateTax).toLocaleString('nb-NO')} kr`,
+      ...(holdingFlow ? [`Skatt i holding (fritaksmetoden): ${holdingTax.toLocaleString('nb-NO')} kr`] : []),
       `Utbytteskatt: ${Math.round(dividendTax).toLocaleString('nb-NO')} kr`,
+      ...(holdingFlow ? [`Utsatt utbytteskatt i holding: ${holdingFlow.taxDeferred.toLocaleString('nb-NO')} kr`] : []),
       `Total skatt: ${Math.round(totalTax).toLocaleString('nb-NO')} kr`,
       `Netto privat utbetaling: ${Math.round(netPrivatePayout).toLocaleString('nb-NO')} kr`,
       `Effektiv skattesats: ${(effectiveTaxRate * 100).toFixed(2)}%`
@@ -179,7 +360,7 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
   
   return {
     scenarioType: 'combination',
-    scenarioName: `Kombinasjon (${salaryRatio.toFixed(0)}% lønn / ${(100-salaryRatio).toFixed(0)}% utbytte)`,
+    scenarioName: `Kombinasjon (${salaryRatio.toFixed(0)}% lønn / ${(100-salaryRatio).toFixed(0)}% utbytte)${holdingFlow ? ' via holding' : ''}`,
     
     input: {
       profit,
@@ -189,11 +370,28 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
       includePension,
       pensionRate,
       retentionPercentage,
-      shareCostBasis
+      shareCostBasis,
+      unusedSkjerming,
+      shareCount,
+      paidInCapital,
+      holding,
+      taxYear: rates.taxYear,
+      overrides,
+      ownerBirthYear,
+      ownerAge,
+      ownerResidence,
+      agaFribelopUsed,
+      pensionProducts,
+      otherIncome,
+      personalDeductions,
+      lossCarryforward,
+      balanceSheet
     },
     
     company: {
       profit,
+      lossCarryforwardUsed: corporateTaxResult.lossUsed,
+      lossCarryforwardRemaining: corporateTaxResult.lossRemaining,
       retainedAmount: Math.round(retainedAmount),
       retainedAfterTax: Math.round(retainedAfterTax),
       salaryPortion: Math.round(salaryPortion),
@@ -201,10 +399,17 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
       grossSalaryPaid: grossSalary,
       employerAGA: Math.round(employerAGA),
       pensionContribution: Math.round(pensionContribution),
+      pensionAGA: Math.round(pensionAGA),
       corporateTax: Math.round(totalCorporateTax),
-      dividendDistributed: Math.round(dividendAvailable)
+      dividendCapacity: dividendCapacity.capacity,
+      dividendHeldBack: dividendCapacity.heldBack,
+      capitalRepaid: capitalRepayment.repayment,
+      dividendDistributed: Math.round(holdingFlow ? dividendCapacity.distribution : dividendPaid)
     },
     
+    // Holding company (null without holding mode)
+    holding: holdingFlow,
+    
     personal: {
       grossSalary: grossSalary,
       trygdeavgift: Math.round(trygdeavgift),
@@ -212,36 +417,57 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
       inntektsskatt: Math.round(inntektsskatt),
       totalSalaryTax: Math.round(totalSalaryTax),
       netSalary: Math.round(netSalary),
-      dividendReceived: Math.round(dividendAvailable),
+      capitalRepayment: capitalRepayment.repayment,
+      remainingPaidInCapital: capitalRepayment.remainingPaidInCapital,
+      dividendReceived: Math.round(dividendPaid),
+      skjermingsfradrag: skjermingLedger.used,
+      unusedSkjermingCarriedForward: skjermingLedger.unusedCarriedForward,
       dividendTax: Math.round(dividendTax),
       netDividend: Math.round(netDividend),
-      pensionAccrued: Math.round(pensionContribution)
+      pensionAccrued: Math.round(pensionContribution),
+      ownPensionSavings: ownPensionSavings,
+      netAfterPensionSavings: Math.round(netPrivatePayout - ownPensionSavings)
     },
     
+    pension,
+    
+    skjerming: skjermingLedger,
+    
     taxSummary: {
       employerAGA: Math.round(employerAGA),
+      pensionAGA: Math.round(pensionAGA),
       corporateTax: Math.round(totalCorporateTax),
+      holdingTax,
       salaryTax: Math.round(totalSalaryTax),
       dividendTax: Math.round(dividendTax),
       totalTax: Math.round(totalTax),
+      taxDeferredInHolding: holdingFlow?.taxDeferred ?? 0,
       effectiveTaxRate: effectiveTaxRate
     },
     
     results: {
       netPrivatePayout: Math.round(netPrivatePayout),
+      // Net payout plus what the holding keeps, after the deferred dividend tax
+      netValueAfterDeferredTax: Math.round(netPrivatePayout + retainedInHolding - (holdingFlow?.taxDeferred ?? 0)),
       totalTaxPaid: Math.round(totalTax),
       effectiveTaxRate: effectiveTaxRate,
-      retainedInCompany: Math.round(retainedAfterTax)
+      retainedInCompany: Math.round(retainedAfterTax + retainedInHolding)
     },
     
     calculationSteps,
     
     assumptions: [
       'Én aksjonær/ansatt',
-      'Ingen andre inntektskilder',
+      describeOtherIncome(otherIncome),
+      describePersonalDeductions(personal),
       'Standard ansettelsesforhold',
-      'Skjermingsfradrag ikke medregnet i kombinasjonsscenario',
-      'Pensjonsbidrag beregnes kun på lønnsandelen'
+      'Skjermingsfradrag brukes mot utbytteandelen, ubenyttet skjerming overføres til neste år',
+      describeDividendCapacity(dividendCapacity),
+      ...(paidInCapital > 0 ? [`Innbetalt kapital (${Math.round(paidInCapital).toLocaleString('nb-NO')} kr) tilbakebetales skattefritt før utbytte`] : []),
+      ...(holdingFlow ? ['Eier har aksjene i driftsselskapet gjennom et holdingselskap uten andre inntekter eller kostnader'] : []),
+      'Pensjonsbidrag beregnes kun på lønnsandelen',
+      ...describeOwnerAge(ownerAge, rates),
+      `Bosted: ${OWNER_RESIDENCE_DESCRIPTIONS[ownerResidence]}`
     ]
   };
 }
@@ -250,7 +476,12 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
  * Finds the optimal salary/dividend ratio that minimizes total tax.
  * 
  * Uses a simple search algorithm to find the ratio that gives
- * the highest net private payout (lowest total tax).
+ * the highest net private payout (lowest total tax). In holding mode the
+ * funds kept in the holding count too, after the deferred dividend tax.
+ * 
+ * With options.household (two persons, see validateHousehold) the search
+ * also covers how the salary is split between the persons, and the
+ * objective is the household's total net payout.
  * 
  * @param {number} profit - Total company profit
  * @param {string} zone - Employer zone
@@ -258,16 +489,36 @@ export function calculateCombinationScenario(profit, zone, salaryRatio, options
  * @returns {Object} Optimal scenario with comparison data
  */
 export function findOptimalRatio(profit, zone, options = {}) {
+  if (options.household) {
+    return findOptimalHouseholdRatio(profit, zone, options);
+  }
+  
   const {
     searchStep = 1, // Search in 1% increments
     includePension = false,
     pensionRate = 0.02,
     retentionPercentage = 0,
-    shareCostBasis = 0
+    shareCostBasis = 0,
+    unusedSkjerming = 0,
+    shareCount = 1,
+    paidInCapital = 0,
+    holding = null,
+    taxYear = DEFAULT_TAX_YEAR,
+    overrides = null,
+    ownerBirthYear = null,
+    ownerResidence = DEFAULT_OWNER_RESIDENCE,
+    agaFribelopUsed = 0,
+    pensionProducts = {},
+    otherIncome = null,
+    personalDeductions = null,
+    lossCarryforward = 0,
+    balanceSheet = null
   } = options;
   
+  const rates = getTaxRates(taxYear, overrides);
   let optimalRatio = 0;
   let optimalNetPayout = 0;
+  let optimalNetValue = 0;
   let optimalTax = Infinity;
   const searchResults = [];
   
@@ -278,17 +529,33 @@ export function findOptimalRatio(profit, zone, options = {}) {
         includePension,
         pensionRate,
         retentionPercentage,
-        shareCostBasis
+        shareCostBasis,
+        unusedSkjerming,
+        shareCount,
+        paidInCapital,
+        holding,
+        taxYear,
+        overrides,
+        ownerBirthYear,
+        ownerResidence,
+        agaFribelopUsed,
+        pensionProducts,
+        otherIncome,
+        personalDeductions,
+        lossCarryforward,
+        balanceSheet
       });
       
       searchResults.push({
         salaryRatio: ratio,
         netPayout: scenario.results.netPrivatePayout,
+        netValue: scenario.results.netValueAfterDeferredTax,
         totalTax: scenario.results.totalTaxPaid,
         effectiveRate: scenario.results.effectiveTaxRate
       });
       
-      if (scenario.results.netPrivatePayout > optimalNetPayout) {
+      if (scenario.results.netValueAfterDeferredTax > optimalNetValue) {
+        optimalNetValue = scenario.results.netValueAfterDeferredTax;
         optimalNetPayout = scenario.results.netPrivatePayout;
         optimalRatio = ratio;
         optimalTax = scenario.results.totalTaxPaid;
@@ -304,7 +571,21 @@ export function findOptimalRatio(profit, zone, options = {}) {
     includePension,
     pensionRate,
     retentionPercentage,
-    shareCostBasis
+    shareCostBasis,
+    unusedSkjerming,
+    shareCount,
+    paidInCapital,
+    holding,
+    taxYear,
+    overrides,
+    ownerBirthYear,
+    ownerResidence,
+    agaFribelopUsed,
+    pensionProducts,
+    otherIncome,
+    personalDeductions,
+    lossCarryforward,
+    balanceSheet
   });
   
   // Find comparison points
@@ -323,34 +604,150 @@ export function findOptimalRatio(profit, zone, options = {}) {
       optimal: {
         ratio: optimalRatio,
         netPayout: optimalNetPayout,
+        netValue: optimalNetValue,
         totalTax: optimalTax,
-        effectiveRate: optimalTax / profit
+        effectiveRate: profit > 0 ? optimalTax / profit : 0
       },
       allSalary: {
         ratio: 100,
         netPayout: scenario100Salary.results.netPrivatePayout,
+        netValue: scenario100Salary.results.netValueAfterDeferredTax,
         totalTax: scenario100Salary.results.totalTaxPaid,
         effectiveRate: scenario100Salary.results.effectiveTaxRate
       },
       allDividend: {
         ratio: 0,
         netPayout: scenario100Dividend.results.netPrivatePayout,
+        netValue: scenario100Dividend.results.netValueAfterDeferredTax,
         totalTax: scenario100Dividend.results.totalTaxPaid,
         effectiveRate: scenario100Dividend.results.effectiveTaxRate
       },
       split5050: {
         ratio: 50,
         netPayout: scenario5050.results.netPrivatePayout,
+        netValue: scenario5050.results.netValueAfterDeferredTax,
         totalTax: scenario5050.results.totalTaxPaid,
         effectiveRate: scenario5050.results.effectiveTaxRate
       }
     },
     savings: {
-      vsAllSalary: optimalNetPayout - scenario100Salary.results.netPrivatePayout,
-      vsAllDividend: optimalNetPayout - scenario100Dividend.results.netPrivatePayout,
-      vsSplit5050: optimalNetPayout - scenario5050.results.netPrivatePayout
+      vsAllSalary: optimalNetValue - scenario100Salary.results.netValueAfterDeferredTax,
+      vsAllDividend: optimalNetValue - scenario100Dividend.results.netValueAfterDeferredTax,
+      vsSplit5050: optimalNetValue - scenario5050.results.netValueAfterDeferredTax
     },
-    analysis: generateOptimizationAnalysis(optimalRatio, profit, zone)
+    analysis: generateOptimizationAnalysis(optimalRatio, profit, zone, rates, ownerResidence, otherIncome, personalDeductions)
+  };
+}
+
+/**
+ * Finds the best salary/dividend ratio and salary split for a household.
+ * 
+ * Each person has their own personfradrag, minstefradrag and trinnskatt
+ * steps, so splitting the salary between two persons can beat paying it
+ * all to one. The split is searched in householdSplitStep increments
+ * (default 5%) and only persons with works: true get salary. Dividends
+ * follow the ownership shares.
+ * 
+ * @param {number} profit - Total company profit
+ * @param {string} zone - Employer zone
+ * @param {Object} options - Options as for findOptimalRatio, with household and householdSplitStep
+ * @returns {Object} Optimal scenario, salary split and comparison data
+ */
+function findOptimalHouseholdRatio(profit, zone, options) {
+  const {
+    searchStep = 1,
+    householdSplitStep = 5,
+    household,
+    includePension = false,
+    pensionRate = 0.02,
+    retentionPercentage = 0,
+    taxYear = DEFAULT_TAX_YEAR,
+    overrides = null,
+    agaFribelopUsed = 0,
+    lossCarryforward = 0,
+    balanceSheet = null
+  } = options;
+  
+  const rates = getTaxRates(taxYear, overrides);
+  const persons = household.persons;
+  const scenarioOptions = { includePension, pensionRate, retentionPercentage, taxYear, overrides, agaFribelopUsed, lossCarryforward, balanceSheet };
+  const workers = persons.map((person, index) => (person.works ? index : -1)).filter(index => index >= 0);
+  
+  // Salary shares per person to try; with one earner there is nothing to split
+  const splits = [];
+  if (workers.length === 2) {
+    for (let share = 100; share >= 0; share -= householdSplitStep) {
+      splits.push(persons.map((person, index) => (index === workers[0] ? share / 100 : 1 - share / 100)));
+    }
+  } else {
+    splits.push(persons.map(person => (person.works ? 1 : 0)));
+  }
+  
+  const summarize = (ratio, salaryShares) => {
+    const scenario = calculateShareholderScenario(profit, zone, ratio, persons, { ...scenarioOptions, salaryShares });
+    return {
+      salaryRatio: ratio,
+      salaryShares,
+      netPayout: scenario.results.netPrivatePayout,
+      totalTax: scenario.results.totalTaxPaid,
+      effectiveRate: scenario.results.effectiveTaxRate
+    };
+  };
+  
+  // Best split for each ratio; the first split is all salary to one person
+  const searchResults = [];
+  const singleEarnerResults = [];
+  for (let ratio = 0; ratio <= 100; ratio += searchStep) {
+    const results = splits.map(salaryShares => summarize(ratio, salaryShares));
+    singleEarnerResults.push(results[0]);
+    searchResults.push(results.reduce((best, result) => (result.netPayout > best.netPayout ? result : best)));
+  }
+  
+  const best = list => list.reduce((top, result) => (result.netPayout > top.netPayout ? result : top));
+  const atRatio = ratio => searchResults.find(result => result.salaryRatio === ratio) ?? best(splits.map(salaryShares => summarize(ratio, salaryShares)));
+  const optimal = best(searchResults);
+  const singleEarner = best(singleEarnerResults);
+  const allSalary = atRatio(100);
+  const allDividend = atRatio(0);
+  const split5050 = atRatio(50);
+  
+  const optimalScenario = calculateShareholderScenario(profit, zone, optimal.salaryRatio, persons, { ...scenarioOptions, salaryShares: optimal.salaryShares });
+  const salaryDescription = optimalScenario.shareholders
+    .filter(person => person.grossSalary > 0)
+    .map(person => `${person.name} ${person.grossSalary.toLocaleString('nb-NO')} kr`)
+    .join(', ');
+  
+  const analysis = generateOptimizationAnalysis(optimal.salaryRatio, profit, zone, rates, persons[0].residence ?? DEFAULT_OWNER_RESIDENCE);
+  const splitSaving = optimal.netPayout - singleEarner.netPayout;
+  if (splitSaving > 0) {
+    analysis.factors.push(`Lønn til begge gir ${splitSaving.toLocaleString('nb-NO')} kr mer enn all lønn til ${persons[workers[0]].name}: hver person har eget personfradrag, minstefradrag og egne trinnskattgrenser`);
+  }
+  if (optimalScenario.shareholders.some(person => person.grossSalary > 0 && person.ownershipShare === 0)) {
+    analysis.recommendations.push('Lønn til ektefelle som ikke eier aksjer må svare til arbeidet som utføres i selskapet');
+  }
+  
+  return {
+    optimalRatio: optimal.salaryRatio,
+    optimalSalaryShares: optimal.salaryShares,
+    optimalScenario: {
+      ...optimalScenario,
+      scenarioName: `Optimalisert husholdning (${optimal.salaryRatio}% lønn${salaryDescription ? `: ${salaryDescription}` : ''})`
+    },
+    searchResults,
+    comparison: {
+      optimal: { ...optimal, ratio: optimal.salaryRatio },
+      allSalary: { ...allSalary, ratio: 100 },
+      allDividend: { ...allDividend, ratio: 0 },
+      split5050: { ...split5050, ratio: 50 },
+      singleEarner: { ...singleEarner, ratio: singleEarner.salaryRatio }
+    },
+    savings: {
+      vsAllSalary: optimal.netPayout - allSalary.netPayout,
+      vsAllDividend: optimal.netPayout - allDividend.netPayout,
+      vsSplit5050: optimal.netPayout - split5050.netPayout,
+      vsSingleEarner: splitSaving
+    },
+    analysis
   };
 }
 
@@ -360,10 +757,14 @@ export function findOptimalRatio(profit, zone, options = {}) {
  * @param {number} optimalRatio - The optimal salary ratio found
  * @param {number} profit - The profit amount
  * @param {string} zone - The employer zone
+ * @param {Object} rates - Rate set from getTaxRates
+ * @param {string} ownerResidence - Owner residence: 'standard' or 'tiltakssone'
+ * @param {Object|null} otherIncome - Owner's income outside the company (see validateOtherIncome)
+ * @param {Object[]|null} personalDeductions - Owner's personal deductions (see validatePersonalDeductions)
  * @returns {Object} Analysis with explanations
  */
-function generateOptimizationAnalysis(optimalRatio, profit, zone) {
-  const agaRate = EMPLOYER_SOCIAL_SECURITY_RATES[zone];
+function generateOptimizationAnalysis(optimalRatio, profit, zone, rates, ownerResidence = DEFAULT_OWNER_RESIDENCE, otherIncome = null, personalDeductions = null) {
+  const agaRate = rates.employerSocialSecurityRates[zone];
   
   const analysis = {
     summary: '',
@@ -395,8 +796,27 @@ function generateOptimizationAnalysis(optimalRatio, profit, zone) {
   // Add zone-specific advice
   if (zone === '5') {
     analysis.factors.push('Ingen arbeidsgiveravgift i sone 5 gjør lønn mer attraktivt');
-  } else if (zone === '1' || zone === '1a') {
+  } else if (zone === '1') {
     analysis.factors.push('Høy arbeidsgiveravgift (14.1%) øker kostnaden ved lønn');
+  } else if (AGA_FRIBELOP_ZONES.includes(zone)) {
+    const fullRate = rates.employerSocialSecurityRates[AGA_FRIBELOP_FULL_RATE_ZONE];
+    analysis.factors.push(`Redusert arbeidsgiveravgift i sone ${zone} gjelder til fribeløpet på ${rates.agaFribelop.toLocaleString('nb-NO')} kr er brukt opp, deretter ${(fullRate * 100).toFixed(1)}%`);
+  }
+  
+  if (ownerResidence === 'tiltakssone') {
+    analysis.factors.push(`Bosatt i tiltakssonen: ${(rates.tiltakssone.personalTaxRate * 100).toFixed(1)}% skatt på alminnelig inntekt, redusert trinnskatt trinn 3 og finnmarksfradrag`);
+  } else if (zone === '5') {
+    analysis.factors.push('Selskapet er i sone 5, men eier er ikke registrert bosatt i tiltakssonen - personskatten beregnes med ordinære satser');
+  }
+  
+  const otherPersonalIncome = (otherIncome?.salary || 0) + (otherIncome?.pension || 0);
+  if (otherPersonalIncome > 0) {
+    analysis.factors.push(`Annen lønn og pensjon (${Math.round(otherPersonalIncome).toLocaleString('nb-NO')} kr) kommer før lønnen fra selskapet i trinnskatten, så lønnen beskattes med høyere marginalskatt`);
+  }
+  
+  const personalDeductionTotal = calculatePersonalDeductions(personalDeductions, rates).total;
+  if (personalDeductionTotal > 0) {
+    analysis.factors.push(`Personlige fradrag (${personalDeductionTotal.toLocaleString('nb-NO')} kr) trekkes fra i alminnelig inntekt og kan brukes mot oppjustert utbytte - det trengs ikke lønn for å utnytte dem`);
   }
   
   return analysis;
@@ -408,55 +828,40 @@ function generateOptimizationAnalysis(optimalRatio, profit, zone) {
  * Useful for understanding at what salary levels the tax situation changes.
  * 
  * @param {string} zone - Employer zone
+ * @param {Object} options - Additional options
+ * @param {number} options.taxYear - Tax year for the rate set (default DEFAULT_TAX_YEAR)
+ * @param {Object} options.overrides - Per-request rate overrides (see getTaxRates)
  * @returns {Object} Key breakpoints with explanations
  */
-export function calculateBreakpoints(zone) {
-  const agaRate = EMPLOYER_SOCIAL_SECURITY_RATES[zone];
-  const brackets = BRACKET_TAX_2025;
-  
-  const breakpoints = [
-    {
-      name: 'Trinnskatt trinn 1',
-      threshold: brackets[0].threshold,
-      description: `Over ${brackets[0].threshold.toLocaleString('nb-NO')} kr: ${(brackets[0].rate * 100).toFixed(1)}% ekstra skatt`
-    },
-    {
-      name: 'Trinnskatt trinn 2',
-      threshold: brackets[1].threshold,
-      description: `Over ${brackets[1].threshold.toLocaleString('nb-NO')} kr: ${(brackets[1].rate * 100).toFixed(1)}% ekstra skatt`
-    },
-    {
-      name: 'Trinnskatt trinn 3',
-      threshold: brackets[2].threshold,
-      description: `Over ${brackets[2].threshold.toLocaleString('nb-NO')} kr: ${(brackets[2].rate * 100).toFixed(1)}% ekstra skatt`
-    },
-    {
-      name: 'Trinnskatt trinn 4',
-      threshold: brackets[3].threshold,
-      description: `Over ${brackets[3].threshold.toLocaleString('nb-NO')} kr: ${(brackets[3].rate * 100).toFixed(1)}% ekstra skatt`
-    },
-    {
-      name: 'Trinnskatt trinn 5',
-      threshold: brackets[4].threshold,
-      description: `Over ${brackets[4].threshold.toLocaleString('nb-NO')} kr: ${(brackets[4].rate * 100).toFixed(1)}% ekstra skatt`
-    }
-  ];
-  
-  // Calculate marginal tax rates at each level
-  breakpoints.forEach((bp, index) => {
-    const baseMarginalRate = PERSONAL_TAX_RATE + SOCIAL_SECURITY_RATES.salary;
-    const bracketRate = brackets[index].rate;
-    bp.marginalTaxRate = baseMarginalRate + bracketRate;
-    bp.totalCostWithAGA = bp.marginalTaxRate + agaRate * (1 - bp.marginalTaxRate);
+export function calculateBreakpoints(zone, options = {}) {
+  const { taxYear = DEFAULT_TAX_YEAR, overrides = null } = options;
+  const rates = getTaxRates(taxYear, overrides);
+  const agaRate = rates.employerSocialSecurityRates[zone];
+  const brackets = rates.bracketTax;
+  
+  // One breakpoint per step, so an overridden table with more or fewer steps works too
+  const baseMarginalRate = rates.personalTaxRate + rates.socialSecurityRates.salary;
+  const breakpoints = brackets.map((bracket, index) => {
+    const marginalTaxRate = baseMarginalRate + bracket.rate;
+    return {
+      name: `Trinnskatt trinn ${index + 1}`,
+      threshold: bracket.threshold,
+      description: `Over ${bracket.threshold.toLocaleString('nb-NO')} kr: ${(bracket.rate * 100).toFixed(1)}% ekstra skatt`,
+      marginalTaxRate,
+      totalCostWithAGA: marginalTaxRate + agaRate * (1 - marginalTaxRate)
+    };
   });
   
   return {
     zone,
+    taxYear: rates.taxYear,
     agaRate,
     breakpoints,
-    dividendEffectiveRate: EFFECTIVE_DIVIDEND_TAX_RATE,
-    combinedDividendRate: 1 - (1 - CORPORATE_TAX_RATE) * (1 - EFFECTIVE_DIVIDEND_TAX_RATE),
-    analysis: `Med ${(agaRate * 100).toFixed(1)}% arbeidsgiveravgift i sone ${zone}`
+    dividendEffectiveRate: rates.effectiveDividendTaxRate,
+    combinedDividendRate: 1 - (1 - rates.corporateTaxRate) * (1 - rates.effectiveDividendTaxRate),
+    analysis: AGA_FRIBELOP_ZONES.includes(zone)
+      ? `Med ${(agaRate * 100).toFixed(1)}% arbeidsgiveravgift i sone ${zone} til fribeløpet på ${rates.agaFribelop.toLocaleString('nb-NO')} kr er brukt opp`
+      : `Med ${(agaRate * 100).toFixed(1)}% arbeidsgiveravgift i sone ${zone}`
   };
 }
 
@@ -0,0 +1,116 @@
+/**
+ * Personal Deduction Calculation Module
+ *
+ * Turns the owner's personal deductions into amounts deducted in alminnelig
+ * inntekt, with the caps of the tax year:
+ * 1. Rentefradrag - interest on debt, no cap
+ * 2. Foreldrefradrag - childcare costs, capped per number of children
+ * 3. Fagforeningskontingent - union dues, yearly cap
+ * 4. Gave til frivillige organisasjoner - gifts, yearly cap
+ * 5. Andre fradrag - other deductions in alminnelig inntekt, no cap
+ *
+ * The deductions are used against salary first. What salary cannot absorb is
+ * set against the grossed-up dividend, which is also alminnelig inntekt (see
+ * calculateDividendTax).
+ *
+ * Sources:
+ * - Skatteetaten: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/
+ * - Lovdata: Skatteloven § 6-40 (interest), § 6-48 (foreldrefradrag),
+ *   § 6-19 (union dues), § 6-50 (gifts)
+ */
+
+import {
+  PERSONAL_DEDUCTION_TYPES,
+  getTaxRates
+} from '../config/taxRates.js';
+
+/**
+ * Finds the cap for one type of personal deduction.
+ *
+ * Source: Skatteetaten - "Foreldrefradrag", "Fagforeningskontingent",
+ *         "Gave til frivillige organisasjoner"
+ * URL: https://www.skatteetaten.no/satser/foreldrefradrag/
+ * Year: Selected tax year (personalDeductions in the rate file)
+ *
+ * @param {Object} deduction - { type, amount, children }
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @returns {number|null} Maximum deduction, or null when the type has no cap
+ */
+export function getPersonalDeductionMaximum(deduction, rates = getTaxRates()) {
+  const { unionDuesMaximum, childcareFirstChild, childcareAdditionalChild, giftsMaximum } = rates.personalDeductions;
+
+  switch (deduction.type) {
+    case 'childcare': {
+      const children = Math.max(1, deduction.children || 1);
+      return childcareFirstChild + (children - 1) * childcareAdditionalChild;
+    }
+    case 'unionDues':
+      return unionDuesMaximum;
+    case 'gifts':
+      return giftsMaximum;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Calculates the owner's personal deductions in alminnelig inntekt.
+ *
+ * The result's additionalDeductions has the same shape as the EPK and IPS
+ * deductions ({ description, amount }), so it can be passed straight to
+ * calculateIncomeTax and calculatePersonalIncomeTax.
+ *
+ * @param {Object[]|null} personalDeductions - [{ type, amount, children, description }] (see validatePersonalDeductions)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @returns {Object} Deductible amount per item and in total
+ */
+export function calculatePersonalDeductions(personalDeductions = [], rates = getTaxRates()) {
+  const items = (personalDeductions || [])
+    .filter(deduction => deduction.amount > 0)
+    .map(deduction => {
+      const maximum = getPersonalDeductionMaximum(deduction, rates);
+      const deductible = maximum === null ? deduction.amount : Math.min(deduction.amount, maximum);
+      const label = PERSONAL_DEDUCTION_TYPES[deduction.type];
+
+      return {
+        type: deduction.type,
+        description: deduction.description ? `${label} (${deduction.description})` : label,
+        claimed: Math.round(deduction.amount),
+        deductible: Math.round(deductible),
+        maximum
+      };
+    });
+  const total = items.reduce((sum, item) => sum + item.deductible, 0);
+
+  return {
+    items,
+    total,
+    additionalDeductions: items.map(item => ({ description: item.description, amount: item.deductible })),
+    calculationSteps: [
+      ...items.map(item => item.deductible < item.claimed
+        ? `${item.description}: ${item.claimed.toLocaleString('nb-NO')} kr, fradrag begrenset til ${item.deductible.toLocaleString('nb-NO')} kr (maks i ${rates.taxYear})`
+        : `${item.description}: ${item.deductible.toLocaleString('nb-NO')} kr`),
+      ...(items.length > 0 ? [`Sum personlige fradrag i alminnelig inntekt: ${total.toLocaleString('nb-NO')} kr`] : [])
+    ]
+  };
+}
+
+/**
+ * Describes the owner's personal deductions for the scenario assumptions.
+ *
+ * @param {Object} deductions - Result of calculatePersonalDeductions
+ * @returns {string} Norwegian description
+ */
+export function describePersonalDeductions(deductions) {
+  if (!deductions || deductions.items.length === 0) {
+    return 'Ingen personlige fradrag utover minstefradrag og personfradrag';
+  }
+  const parts = deductions.items.map(item => `${item.description.charAt(0).toLowerCase()}${item.description.slice(1)} ${item.deductible.toLocaleString('nb-NO')} kr`);
+  return `Personlige fradrag: ${parts.join(', ')}`;
+}
+
+export default {
+  getPersonalDeductionMaximum,
+  calculatePersonalDeductions,
+  describePersonalDeductions
+};
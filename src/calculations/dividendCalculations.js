@@ -21,85 +21,360 @@
  */
 
 import {
-  CORPORATE_TAX_RATE,
-  PERSONAL_TAX_RATE,
-  DIVIDEND_GROSS_UP_FACTOR,
-  EFFECTIVE_DIVIDEND_TAX_RATE,
-  SKJERMING_RATE_2025
+  SKJERMING_RATE_2025,
+  DEFAULT_TAX_YEAR,
+  DEFAULT_OWNER_RESIDENCE,
+  OWNER_RESIDENCE_DESCRIPTIONS,
+  getTaxRates,
+  getPersonalTaxRate
 } from '../config/taxRates.js';
+import { calculateOwnerAge, calculatePersonalIncomeTax, hasOtherIncome, describeOtherIncome } from './salaryCalculations.js';
+import { calculateEmployeePensionSaving, calculateIpsDeduction, calculatePensionSummary } from './pensionCalculations.js';
+import { calculateHoldingFlow } from './holdingCalculations.js';
+import { calculatePersonalDeductions, describePersonalDeductions } from './deductionCalculations.js';
 
 /**
  * Calculates corporate tax on profits.
  * 
- * Source: Skatteetaten - "Skatt på alminnelig inntekt for selskap"
+ * A loss carried forward from earlier years (fremførbart underskudd) is
+ * deducted from this year's profit before tax, with no time limit. A loss
+ * this year gives no tax and is added to the loss carried forward.
+ * 
+ * Source: Skatteetaten - "Skatt på alminnelig inntekt for selskap"; Skatteloven § 14-6
  * URL: https://www.skatteetaten.no/satser/skatt-pa-alminnelig-inntekt/
- * Year: 2025
+ * Year: Selected tax year (see getTaxRates)
  * 
- * @param {number} profit - Profit before tax
- * @returns {Object} Corporate tax calculation
+ * @param {number} profit - Profit before tax (negative for a loss year)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {number} lossCarryforward - Loss carried forward from earlier years
+ * @returns {Object} Corporate tax calculation with the loss used and remaining
  */
-export function calculateCorporateTax(profit) {
-  const corporateTax = profit * CORPORATE_TAX_RATE;
+export function calculateCorporateTax(profit, rates = getTaxRates(), lossCarryforward = 0) {
+  const { corporateTaxRate } = rates;
+  const lossUsed = Math.min(lossCarryforward, Math.max(0, profit));
+  const taxableProfit = Math.max(0, profit - lossUsed);
+  const lossRemaining = lossCarryforward - lossUsed + Math.max(0, -profit);
+  const corporateTax = taxableProfit * corporateTaxRate;
   const profitAfterTax = profit - corporateTax;
-  
-  return {
+  const result = {
     profit: profit,
+    lossCarryforward,
+    lossUsed: Math.round(lossUsed),
+    taxableProfit: Math.round(taxableProfit),
+    lossRemaining: Math.round(lossRemaining),
     corporateTax: Math.round(corporateTax),
     profitAfterTax: Math.round(profitAfterTax),
-    rate: CORPORATE_TAX_RATE,
+    rate: corporateTaxRate
+  };
+  
+  return {
+    ...result,
     calculationSteps: [
       `Overskudd før skatt: ${profit.toLocaleString('nb-NO')} kr`,
-      `Selskapsskattesats: ${(CORPORATE_TAX_RATE * 100)}%`,
-      `Selskapsskatt: ${profit.toLocaleString('nb-NO')} × ${(CORPORATE_TAX_RATE * 100)}% = ${Math.round(corporateTax).toLocaleString('nb-NO')} kr`,
+      ...describeLossCarryforward(result),
+      `Selskapsskattesats: ${(corporateTaxRate * 100)}%`,
+      `Selskapsskatt: ${Math.round(taxableProfit).toLocaleString('nb-NO')} × ${(corporateTaxRate * 100)}% = ${Math.round(corporateTax).toLocaleString('nb-NO')} kr`,
       `Overskudd etter skatt: ${profit.toLocaleString('nb-NO')} - ${Math.round(corporateTax).toLocaleString('nb-NO')} = ${Math.round(profitAfterTax).toLocaleString('nb-NO')} kr`
     ]
   };
 }
 
+/**
+ * Describes the use of a loss carried forward for the step log.
+ * 
+ * @param {Object} corporateTax - Result of calculateCorporateTax
+ * @returns {string[]} Step lines (empty when there is no loss involved)
+ */
+export function describeLossCarryforward(corporateTax) {
+  const { profit, lossCarryforward, lossUsed, taxableProfit, lossRemaining } = corporateTax;
+  if (!(lossCarryforward > 0) && profit >= 0) {
+    return [];
+  }
+  
+  return [
+    ...(lossCarryforward > 0 ? [`Fremførbart underskudd fra tidligere år: ${Math.round(lossCarryforward).toLocaleString('nb-NO')} kr, brukt i år: ${lossUsed.toLocaleString('nb-NO')} kr`] : []),
+    ...(profit < 0 ? [`Underskudd i år: ${Math.round(-profit).toLocaleString('nb-NO')} kr`] : []),
+    `Skattepliktig overskudd: ${taxableProfit.toLocaleString('nb-NO')} kr`,
+    `Fremførbart underskudd etter året: ${lossRemaining.toLocaleString('nb-NO')} kr`
+  ];
+}
+
 /**
  * Calculates skjermingsfradrag (tax-free allowance on shares).
  * 
  * Skjermingsfradrag reduces the taxable dividend amount.
- * It is calculated as: Cost basis × Skjermingsrente
+ * It is calculated as: Skjermingsgrunnlag × Skjermingsrente, where the
+ * skjermingsgrunnlag is the cost basis plus unused skjerming from earlier
+ * years. Unused skjerming from earlier years can also be deducted itself,
+ * so the allowance available this year is this year's skjerming plus the
+ * unused amount carried forward.
  * 
- * Source: Skatteetaten - "Skjermingsfradrag"
+ * Source: Skatteetaten - "Skjermingsfradrag"; Skatteloven § 10-12
  * URL: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/aksjer-og-verdipapirer/skjermingsfradrag/
- * Year: 2025
+ * Year: Selected tax year (skjermingsrente in the rate file)
  * 
  * Assumptions:
  * - Shares owned at year end
- * - No unused skjermingsfradrag from previous years
  * 
  * @param {number} costBasis - The cost basis (inngangsverdi) of shares
  * @param {number} skjermingRate - The skjermingsrente for the year
+ * @param {number} unusedFromPreviousYears - Unused skjerming carried forward from earlier years (default 0)
  * @returns {Object} Skjermingsfradrag calculation
  */
-export function calculateSkjermingsfradrag(costBasis, skjermingRate = SKJERMING_RATE_2025) {
-  if (!costBasis || costBasis <= 0) {
+export function calculateSkjermingsfradrag(costBasis, skjermingRate = SKJERMING_RATE_2025, unusedFromPreviousYears = 0) {
+  const unused = Math.max(0, unusedFromPreviousYears || 0);
+  
+  if ((!costBasis || costBasis <= 0) && unused === 0) {
     return {
       costBasis: 0,
       skjermingRate: skjermingRate,
+      skjermingsgrunnlag: 0,
       skjermingsfradrag: 0,
+      unusedFromPreviousYears: 0,
+      availableSkjerming: 0,
       calculationSteps: [
         'Inngangsverdi ikke oppgitt - skjermingsfradrag beregnes ikke'
       ]
     };
   }
   
-  const skjermingsfradrag = costBasis * skjermingRate;
+  const basis = Math.max(0, costBasis || 0);
+  const skjermingsgrunnlag = basis + unused;
+  const skjermingsfradrag = skjermingsgrunnlag * skjermingRate;
   
   return {
-    costBasis: costBasis,
+    costBasis: basis,
     skjermingRate: skjermingRate,
+    skjermingsgrunnlag: Math.round(skjermingsgrunnlag),
     skjermingsfradrag: Math.round(skjermingsfradrag),
+    unusedFromPreviousYears: Math.round(unused),
+    availableSkjerming: Math.round(skjermingsfradrag + unused),
     calculationSteps: [
-      `Inngangsverdi (kostpris): ${costBasis.toLocaleString('nb-NO')} kr`,
+      `Inngangsverdi (kostpris): ${basis.toLocaleString('nb-NO')} kr`,
+      ...(unused > 0 ? [
+        `Ubenyttet skjerming fra tidligere år: ${Math.round(unused).toLocaleString('nb-NO')} kr`,
+        `Skjermingsgrunnlag: ${basis.toLocaleString('nb-NO')} + ${Math.round(unused).toLocaleString('nb-NO')} = ${Math.round(skjermingsgrunnlag).toLocaleString('nb-NO')} kr`
+      ] : []),
       `Skjermingsrente: ${(skjermingRate * 100).toFixed(2)}%`,
-      `Skjermingsfradrag: ${costBasis.toLocaleString('nb-NO')} × ${(skjermingRate * 100).toFixed(2)}% = ${Math.round(skjermingsfradrag).toLocaleString('nb-NO')} kr`
+      `Skjermingsfradrag: ${Math.round(skjermingsgrunnlag).toLocaleString('nb-NO')} × ${(skjermingRate * 100).toFixed(2)}% = ${Math.round(skjermingsfradrag).toLocaleString('nb-NO')} kr`,
+      ...(unused > 0 ? [`Tilgjengelig skjerming: ${Math.round(skjermingsfradrag).toLocaleString('nb-NO')} + ${Math.round(unused).toLocaleString('nb-NO')} = ${Math.round(skjermingsfradrag + unused).toLocaleString('nb-NO')} kr`] : [])
+    ]
+  };
+}
+
+/**
+ * Calculates one year of the skjerming ledger (skjermingsgrunnlag per share).
+ * 
+ * Skjerming is calculated per share. Skjerming not used against this year's
+ * dividend is not lost: it is carried forward, added to next year's
+ * skjermingsgrunnlag and can be deducted against later dividends.
+ * 
+ * Source: Skatteloven § 10-12 (skjermingsfradrag, ubenyttet skjerming)
+ * URL: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/aksjer-og-verdipapirer/skjermingsfradrag/
+ * 
+ * @param {Object} params - Ledger values for the year
+ * @param {number} params.costBasis - Total cost basis of the shares
+ * @param {number} params.unusedFromPreviousYears - Total unused skjerming carried into the year
+ * @param {number} params.skjermingRate - Skjermingsrente for the year
+ * @param {boolean} params.rateEstimated - True if the rate is not published yet (see getSkjermingRate)
+ * @param {number} params.dividend - Dividend received this year (before tax)
+ * @param {number} params.shareCount - Number of shares (default 1)
+ * @returns {Object} Ledger line with totals and per-share values
+ */
+export function calculateSkjermingLedgerYear({
+  costBasis = 0,
+  unusedFromPreviousYears = 0,
+  skjermingRate = SKJERMING_RATE_2025,
+  rateEstimated = false,
+  dividend = 0,
+  shareCount = 1
+}) {
+  const skjerming = calculateSkjermingsfradrag(costBasis, skjermingRate, unusedFromPreviousYears);
+  const used = Math.min(skjerming.availableSkjerming, Math.max(0, dividend));
+  const unusedCarriedForward = skjerming.availableSkjerming - used;
+  const perShare = amount => Math.round((amount / shareCount) * 100) / 100;
+  
+  return {
+    costBasis: skjerming.costBasis,
+    skjermingRate,
+    rateEstimated,
+    shareCount,
+    skjermingsgrunnlag: skjerming.skjermingsgrunnlag,
+    skjermingsfradrag: skjerming.skjermingsfradrag,
+    unusedFromPreviousYears: skjerming.unusedFromPreviousYears,
+    availableSkjerming: skjerming.availableSkjerming,
+    used,
+    unusedCarriedForward,
+    nextYearSkjermingsgrunnlag: Math.round(skjerming.costBasis + unusedCarriedForward),
+    perShare: {
+      costBasis: perShare(skjerming.costBasis),
+      skjermingsgrunnlag: perShare(skjerming.skjermingsgrunnlag),
+      skjermingsfradrag: perShare(skjerming.skjermingsfradrag),
+      unusedCarriedForward: perShare(unusedCarriedForward)
+    },
+    calculationSteps: [
+      ...skjerming.calculationSteps,
+      ...(rateEstimated ? ['Skjermingsrenten er estimert (ikke publisert ennå) - skjermingsfradraget er ikke endelig'] : []),
+      `Brukt mot utbytte: ${used.toLocaleString('nb-NO')} kr`,
+      `Ubenyttet skjerming til neste år: ${unusedCarriedForward.toLocaleString('nb-NO')} kr`,
+      ...(unusedCarriedForward > 0 ? [`Skjermingsgrunnlag neste år: ${skjerming.costBasis.toLocaleString('nb-NO')} + ${unusedCarriedForward.toLocaleString('nb-NO')} = ${Math.round(skjerming.costBasis + unusedCarriedForward).toLocaleString('nb-NO')} kr`] : []),
+      ...(shareCount > 1 ? [`Per aksje (${shareCount.toLocaleString('nb-NO')} aksjer): grunnlag ${perShare(skjerming.skjermingsgrunnlag).toLocaleString('nb-NO')} kr, skjerming ${perShare(skjerming.skjermingsfradrag).toLocaleString('nb-NO')} kr, ubenyttet ${perShare(unusedCarriedForward).toLocaleString('nb-NO')} kr`] : [])
     ]
   };
 }
 
+/**
+ * Builds the skjerming ledger over several years.
+ * 
+ * Each year uses its own skjermingsrente from the rate file, and unused
+ * skjerming rolls into the next year.
+ * 
+ * @param {Object} params - Ledger input
+ * @param {number} params.costBasis - Total cost basis of the shares
+ * @param {number} params.unusedFromPreviousYears - Unused skjerming before the first year
+ * @param {Object[]} params.years - Years in order: { taxYear, dividend }
+ * @param {number} params.shareCount - Number of shares (default 1)
+ * @returns {Object[]} One ledger line per year
+ */
+export function buildSkjermingLedger({ costBasis = 0, unusedFromPreviousYears = 0, years = [], shareCount = 1 }) {
+  const ledger = [];
+  let unused = unusedFromPreviousYears;
+  
+  for (const { taxYear, dividend = 0 } of years) {
+    const rates = getTaxRates(taxYear);
+    const line = calculateSkjermingLedgerYear({
+      costBasis,
+      unusedFromPreviousYears: unused,
+      skjermingRate: rates.skjermingRate,
+      rateEstimated: rates.skjermingRateEstimated,
+      dividend,
+      shareCount
+    });
+    ledger.push({ taxYear, dividend, ...line });
+    unused = line.unusedCarriedForward;
+  }
+  
+  return ledger;
+}
+
+/**
+ * Splits a distribution into repayment of paid-in capital and dividend.
+ * 
+ * Repayment of paid-in share capital and share premium (innbetalt aksjekapital
+ * og overkurs) is tax-free for the shareholder up to the remaining paid-in
+ * capital, so it is used before taxable dividend. The repayment reduces the
+ * shares' inngangsverdi and therefore the skjermingsgrunnlag.
+ * 
+ * The repayment requires a capital reduction (kapitalnedsettelse) resolved by
+ * the general meeting, with creditor notice when share capital is reduced.
+ * 
+ * Source: Lovdata - Skatteloven § 10-11 annet ledd (tilbakebetaling av innbetalt kapital)
+ * URL: https://lovdata.no/dokument/NL/lov/1999-03-26-14
+ * Year: All years
+ * 
+ * @param {Object} params - Distribution values
+ * @param {number} params.distribution - Amount paid to the owner after corporate tax
+ * @param {number} params.paidInCapital - Remaining paid-in capital (aksjekapital + overkurs)
+ * @param {number} params.costBasis - Cost basis of the shares before the repayment
+ * @returns {Object} Repayment, remaining dividend and the reduced cost basis
+ */
+export function calculateCapitalRepayment({ distribution = 0, paidInCapital = 0, costBasis = 0 }) {
+  const repayment = Math.round(Math.min(Math.max(0, distribution), Math.max(0, paidInCapital)));
+  const dividend = Math.max(0, distribution - repayment);
+  const remainingPaidInCapital = Math.max(0, paidInCapital - repayment);
+  const costBasisAfter = Math.max(0, costBasis - repayment);
+  
+  return {
+    repayment,
+    dividend,
+    remainingPaidInCapital: Math.round(remainingPaidInCapital),
+    costBasisAfter: Math.round(costBasisAfter),
+    calculationSteps: paidInCapital > 0
+      ? [
+          `Gjenstående innbetalt kapital: ${Math.round(paidInCapital).toLocaleString('nb-NO')} kr`,
+          `Tilbakebetaling av innbetalt kapital (skattefri): ${repayment.toLocaleString('nb-NO')} kr`,
+          `Utbytte etter tilbakebetaling: ${Math.round(dividend).toLocaleString('nb-NO')} kr`,
+          `Innbetalt kapital igjen etter året: ${Math.round(remainingPaidInCapital).toLocaleString('nb-NO')} kr`,
+          ...(costBasis > 0 ? [`Inngangsverdi redusert: ${Math.round(costBasis).toLocaleString('nb-NO')} - ${Math.min(repayment, Math.round(costBasis)).toLocaleString('nb-NO')} = ${Math.round(costBasisAfter).toLocaleString('nb-NO')} kr`] : []),
+          'Krever kapitalnedsettelse vedtatt av generalforsamlingen'
+        ]
+      : []
+  };
+}
+
+/**
+ * Checks a distribution against the company's dividend capacity.
+ * 
+ * The company may only distribute net assets above the share capital and
+ * other restricted equity, after uncovered losses are covered. The dividend
+ * for a year is decided on that year's accounts, so the year's result after
+ * tax is part of the capacity. What exceeds the capacity stays in the
+ * company. Repayment of paid-in capital is a capital reduction (aksjeloven
+ * kapittel 12) and is not limited here. The board must also find the distribution prudent (forsvarlig
+ * egenkapital og likviditet, aksjeloven § 3-4), which is not calculated.
+ * 
+ * Source: Lovdata - Aksjeloven § 8-1 (hva kan utdeles som utbytte), § 3-4
+ * URL: https://lovdata.no/dokument/NL/lov/1997-06-13-44
+ * Year: All years
+ * 
+ * @param {Object} params - Balance sheet and distribution
+ * @param {Object|null} params.balanceSheet - { shareCapital, otherEquity, uncoveredLoss } before this year's result (see validateBalanceSheet)
+ * @param {number} params.resultAfterTax - This year's result after salary and corporate tax
+ * @param {number} params.distribution - Planned dividend (paid-in capital repaid by a capital reduction is not included)
+ * @returns {Object} Capacity, the distribution allowed and the amount held back (unchecked without a balance sheet)
+ */
+export function calculateDividendCapacity({ balanceSheet = null, resultAfterTax = 0, distribution = 0 }) {
+  if (!balanceSheet) {
+    return {
+      checked: false,
+      capacity: null,
+      distribution,
+      heldBack: 0,
+      calculationSteps: []
+    };
+  }
+  
+  const { shareCapital = 0, otherEquity = 0, uncoveredLoss = 0 } = balanceSheet;
+  const freeEquity = otherEquity - uncoveredLoss;
+  const capacity = Math.max(0, freeEquity + resultAfterTax);
+  const allowed = Math.min(Math.max(0, distribution), capacity);
+  const heldBack = Math.max(0, distribution - allowed);
+  
+  return {
+    checked: true,
+    shareCapital,
+    freeEquity,
+    resultAfterTax: Math.round(resultAfterTax),
+    capacity: Math.round(capacity),
+    distribution: allowed,
+    heldBack: Math.round(heldBack),
+    equityAfter: Math.round(shareCapital + freeEquity + resultAfterTax - allowed),
+    calculationSteps: [
+      `Aksjekapital (bundet): ${Math.round(shareCapital).toLocaleString('nb-NO')} kr`,
+      `Annen egenkapital: ${Math.round(otherEquity).toLocaleString('nb-NO')} kr`,
+      ...(uncoveredLoss > 0 ? [`Udekket tap: ${Math.round(uncoveredLoss).toLocaleString('nb-NO')} kr`] : []),
+      `Årets resultat etter skatt: ${Math.round(resultAfterTax).toLocaleString('nb-NO')} kr`,
+      `Utbyttekapasitet (aksjeloven § 8-1): ${Math.round(capacity).toLocaleString('nb-NO')} kr`,
+      heldBack > 0
+        ? `Planlagt utdeling ${Math.round(distribution).toLocaleString('nb-NO')} kr overstiger utbyttekapasiteten - ${Math.round(heldBack).toLocaleString('nb-NO')} kr blir stående i selskapet`
+        : `Planlagt utdeling ${Math.round(distribution).toLocaleString('nb-NO')} kr er innenfor utbyttekapasiteten`,
+      'Styret må i tillegg vurdere om utdelingen er forsvarlig (aksjeloven § 3-4)'
+    ]
+  };
+}
+
+/**
+ * Describes the dividend capacity check for the scenario assumptions.
+ * 
+ * @param {Object} capacity - Result of calculateDividendCapacity
+ * @returns {string} Norwegian description
+ */
+export function describeDividendCapacity(capacity) {
+  return capacity.checked
+    ? `Utdeling begrenset til utbyttekapasiteten etter aksjeloven § 8-1 (${capacity.capacity.toLocaleString('nb-NO')} kr)`
+    : 'Selskapet antas å ha nok fri egenkapital til utdelingen (aksjeloven § 8-1 er ikke kontrollert)';
+}
+
 /**
  * Calculates dividend tax using the shareholder model (aksjonærmodellen).
  * 
@@ -113,48 +388,66 @@ export function calculateSkjermingsfradrag(costBasis, skjermingRate = SKJERMING_
  * Tax = Taxable amount × 22%
  * Effective rate = 22% × 1.72 = 37.84%
  * 
+ * Residents of the tiltakssone (Finnmark and Nord-Troms) pay the reduced
+ * rate on alminnelig inntekt, which includes the grossed-up dividend.
+ * Deductions in alminnelig inntekt that the owner cannot use against salary
+ * (e.g. IPS) reduce the grossed-up dividend.
+ * 
  * Source: Skatteetaten - "Aksjer og utbytte"
  * URL: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/aksjer-og-verdipapirer/utbytte/
- * Year: 2025
+ * Year: Selected tax year (see getTaxRates)
  * 
  * @param {number} dividendAmount - The dividend amount before personal tax
  * @param {number} skjermingsfradrag - Tax-free allowance (default 0)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {string} residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
+ * @param {number} otherDeductions - Deductions in alminnelig inntekt set against the dividend (default 0)
  * @returns {Object} Dividend tax calculation
  */
-export function calculateDividendTax(dividendAmount, skjermingsfradrag = 0) {
+export function calculateDividendTax(dividendAmount, skjermingsfradrag = 0, rates = getTaxRates(), residence = DEFAULT_OWNER_RESIDENCE, otherDeductions = 0) {
+  const { dividendGrossUpFactor } = rates;
+  const personalTaxRate = getPersonalTaxRate(rates, residence);
+  const effectiveDividendTaxRate = personalTaxRate * dividendGrossUpFactor;
+  
   // Step 1: Calculate taxable dividend after skjermingsfradrag
   const taxableDividend = Math.max(0, dividendAmount - skjermingsfradrag);
   
   // Step 2: Apply gross-up factor
-  const grossedUpDividend = taxableDividend * DIVIDEND_GROSS_UP_FACTOR;
+  const grossedUpDividend = taxableDividend * dividendGrossUpFactor;
+  
+  // Step 3: Set other deductions against the grossed-up dividend
+  const deductionsUsed = Math.min(Math.max(0, otherDeductions), grossedUpDividend);
+  const taxBase = grossedUpDividend - deductionsUsed;
   
-  // Step 3: Calculate tax at personal rate
-  const dividendTax = grossedUpDividend * PERSONAL_TAX_RATE;
+  // Step 4: Calculate tax at personal rate
+  const dividendTax = taxBase * personalTaxRate;
   
-  // Step 4: Calculate effective rate on original dividend
+  // Step 5: Calculate effective rate on original dividend
   const effectiveRate = dividendAmount > 0 ? dividendTax / dividendAmount : 0;
   
-  // Step 5: Net dividend after tax
+  // Step 6: Net dividend after tax
   const netDividend = dividendAmount - dividendTax;
   
   return {
     dividendAmount: dividendAmount,
     skjermingsfradrag: skjermingsfradrag,
     taxableDividend: Math.round(taxableDividend),
-    grossUpFactor: DIVIDEND_GROSS_UP_FACTOR,
+    grossUpFactor: dividendGrossUpFactor,
     grossedUpDividend: Math.round(grossedUpDividend),
-    personalTaxRate: PERSONAL_TAX_RATE,
+    deductionsUsed: Math.round(deductionsUsed),
+    personalTaxRate: personalTaxRate,
     dividendTax: Math.round(dividendTax),
     netDividend: Math.round(netDividend),
     effectiveRate: effectiveRate,
-    theoreticalMaxRate: EFFECTIVE_DIVIDEND_TAX_RATE,
+    theoreticalMaxRate: effectiveDividendTaxRate,
     calculationSteps: [
       `Utbytte: ${dividendAmount.toLocaleString('nb-NO')} kr`,
       `Skjermingsfradrag: ${skjermingsfradrag.toLocaleString('nb-NO')} kr`,
       `Skattepliktig utbytte: ${dividendAmount.toLocaleString('nb-NO')} - ${skjermingsfradrag.toLocaleString('nb-NO')} = ${Math.round(taxableDividend).toLocaleString('nb-NO')} kr`,
-      `Oppjusteringsfaktor: ${DIVIDEND_GROSS_UP_FACTOR}`,
-      `Oppjustert utbytte: ${Math.round(taxableDividend).toLocaleString('nb-NO')} × ${DIVIDEND_GROSS_UP_FACTOR} = ${Math.round(grossedUpDividend).toLocaleString('nb-NO')} kr`,
-      `Utbytteskatt: ${Math.round(grossedUpDividend).toLocaleString('nb-NO')} × ${(PERSONAL_TAX_RATE * 100)}% = ${Math.round(dividendTax).toLocaleString('nb-NO')} kr`,
+      `Oppjusteringsfaktor: ${dividendGrossUpFactor}`,
+      `Oppjustert utbytte: ${Math.round(taxableDividend).toLocaleString('nb-NO')} × ${dividendGrossUpFactor} = ${Math.round(grossedUpDividend).toLocaleString('nb-NO')} kr`,
+      ...(deductionsUsed > 0 ? [`Andre fradrag i alminnelig inntekt: ${Math.round(grossedUpDividend).toLocaleString('nb-NO')} - ${Math.round(deductionsUsed).toLocaleString('nb-NO')} = ${Math.round(taxBase).toLocaleString('nb-NO')} kr`] : []),
+      `Utbytteskatt: ${Math.round(taxBase).toLocaleString('nb-NO')} × ${(personalTaxRate * 100)}% = ${Math.round(dividendTax).toLocaleString('nb-NO')} kr`,
       `Effektiv skattesats på utbytte: ${(effectiveRate * 100).toFixed(2)}%`,
       `Netto utbytte: ${dividendAmount.toLocaleString('nb-NO')} - ${Math.round(dividendTax).toLocaleString('nb-NO')} = ${Math.round(netDividend).toLocaleString('nb-NO')} kr`
     ]
@@ -173,18 +466,19 @@ export function calculateDividendTax(dividendAmount, skjermingsfradrag = 0) {
  * 
  * @param {number} profit - Profit before corporate tax
  * @param {number} skjermingsfradrag - Tax-free allowance (optional)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
  * @returns {Object} Combined tax calculation
  */
-export function calculateCombinedDividendTax(profit, skjermingsfradrag = 0) {
+export function calculateCombinedDividendTax(profit, skjermingsfradrag = 0, rates = getTaxRates()) {
   // Step 1: Calculate corporate tax
-  const corporateTaxResult = calculateCorporateTax(profit);
+  const corporateTaxResult = calculateCorporateTax(profit, rates);
   const profitAfterCorporateTax = corporateTaxResult.profitAfterTax;
   
   // Step 2: The remaining amount is available for dividend distribution
   const dividendAvailable = profitAfterCorporateTax;
   
   // Step 3: Calculate dividend tax
-  const dividendTaxResult = calculateDividendTax(dividendAvailable, skjermingsfradrag);
+  const dividendTaxResult = calculateDividendTax(dividendAvailable, skjermingsfradrag, rates);
   
   // Step 4: Calculate combined totals
   const totalTax = corporateTaxResult.corporateTax + dividendTaxResult.dividendTax;
@@ -234,19 +528,48 @@ export function calculateCombinedDividendTax(profit, skjermingsfradrag = 0) {
  * @param {Object} options - Optional settings
  * @param {number} options.retentionPercentage - Percentage of profit to retain (0-1)
  * @param {number} options.shareCostBasis - Cost basis for skjermingsfradrag calculation
+ * @param {number} options.unusedSkjerming - Unused skjerming carried forward from earlier years
+ * @param {number} options.shareCount - Number of shares for the per-share skjerming ledger
+ * @param {number} options.paidInCapital - Remaining paid-in capital, repaid tax-free before dividend
+ * @param {Object} options.holding - Holding mode: { enabled, payoutPercentage, ownershipShare } (see calculateHoldingFlow)
+ * @param {number} options.taxYear - Tax year for the rate set (default DEFAULT_TAX_YEAR)
+ * @param {Object} options.overrides - Per-request rate overrides (see getTaxRates)
+ * @param {string} options.ownerResidence - Owner residence: 'standard' or 'tiltakssone'
+ * @param {number} options.ownerBirthYear - Owner birth year (for the pension projection)
+ * @param {Object} options.pensionProducts - IPS amount and projection settings (no salary, so no OTP or EPK)
+ * @param {Object} options.otherIncome - Owner's income outside the company (see validateOtherIncome)
+ * @param {Object[]} options.personalDeductions - Owner's personal deductions (see validatePersonalDeductions)
+ * @param {number} options.lossCarryforward - Company loss carried forward from earlier years
+ * @param {Object} options.balanceSheet - Balance sheet for the dividend capacity (see validateBalanceSheet)
  * @returns {Object} Complete dividend scenario calculation
  */
 export function calculateDividendScenario(profit, options = {}) {
   const {
     retentionPercentage = 0,
-    shareCostBasis = 0
+    shareCostBasis = 0,
+    unusedSkjerming = 0,
+    shareCount = 1,
+    paidInCapital = 0,
+    holding = null,
+    taxYear = DEFAULT_TAX_YEAR,
+    overrides = null,
+    ownerResidence = DEFAULT_OWNER_RESIDENCE,
+    ownerBirthYear = null,
+    pensionProducts = {},
+    otherIncome = null,
+    personalDeductions = null,
+    lossCarryforward = 0,
+    balanceSheet = null
   } = options;
   
+  const { ipsAmount = 0, yearsToRetirement = null, expectedReturn = null } = pensionProducts;
+  const rates = getTaxRates(taxYear, overrides);
   const calculationSteps = [];
   
-  // Step 1: Calculate retention
-  const retainedBeforeTax = profit * retentionPercentage;
-  const availableForDividend = profit - retainedBeforeTax;
+  // Step 1: Calculate retention (nothing can be paid out of a loss year)
+  const distributableProfit = Math.max(0, profit);
+  const retainedBeforeTax = distributableProfit * retentionPercentage;
+  const availableForDividend = distributableProfit - retainedBeforeTax;
   
   calculationSteps.push({
     step: 'Tilbakeholdt overskudd',
@@ -255,55 +578,161 @@ export function calculateDividendScenario(profit, options = {}) {
       : 'Alt overskudd tas ut som utbytte'
   });
   
-  // Step 2: Calculate corporate tax on entire profit
-  const corporateTaxResult = calculateCorporateTax(profit);
+  // Step 2: Calculate corporate tax on entire profit, after the loss carried forward
+  const corporateTaxResult = calculateCorporateTax(profit, rates, lossCarryforward);
   const totalCorporateTax = corporateTaxResult.corporateTax;
+  // The loss lowers the tax on the retained and distributed portions alike
+  const corporateTaxShare = distributableProfit > 0 ? totalCorporateTax / distributableProfit : 0;
   
   // Corporate tax on retained portion
-  const corporateTaxOnRetained = retainedBeforeTax * CORPORATE_TAX_RATE;
+  const corporateTaxOnRetained = retainedBeforeTax * corporateTaxShare;
   const retainedAfterTax = retainedBeforeTax - corporateTaxOnRetained;
   
   // Corporate tax on distributed portion
-  const corporateTaxOnDistributed = availableForDividend * CORPORATE_TAX_RATE;
-  const dividendAvailable = availableForDividend - corporateTaxOnDistributed;
+  const corporateTaxOnDistributed = availableForDividend * corporateTaxShare;
+  
+  const plannedDistribution = availableForDividend - corporateTaxOnDistributed;
+  
+  // Paid-in capital is repaid by a capital reduction (aksjeloven kapittel 12), so
+  // without holding it comes first and only the dividend is capped at the capacity
+  const repaymentBeforeDividend = holding?.enabled
+    ? null
+    : calculateCapitalRepayment({ distribution: plannedDistribution, paidInCapital, costBasis: shareCostBasis });
+  const dividendCapacity = calculateDividendCapacity({
+    balanceSheet,
+    resultAfterTax: profit - totalCorporateTax,
+    distribution: repaymentBeforeDividend ? repaymentBeforeDividend.dividend : plannedDistribution
+  });
+  const dividendAvailable = dividendCapacity.distribution;
   
   calculationSteps.push({
     step: 'Selskapsskatt',
     details: [
+      ...describeLossCarryforward(corporateTaxResult),
       `Total selskapsskatt: ${Math.round(totalCorporateTax).toLocaleString('nb-NO')} kr`,
       `- På tilbakeholdt: ${Math.round(corporateTaxOnRetained).toLocaleString('nb-NO')} kr`,
       `- På utdelt: ${Math.round(corporateTaxOnDistributed).toLocaleString('nb-NO')} kr`,
-      `Disponibelt for utbytte: ${Math.round(dividendAvailable).toLocaleString('nb-NO')} kr`
+      `Disponibelt for utbytte: ${Math.round(plannedDistribution).toLocaleString('nb-NO')} kr`
     ]
   });
   
-  // Step 3: Calculate skjermingsfradrag
-  const skjermingResult = calculateSkjermingsfradrag(shareCostBasis);
-  const skjermingsfradrag = Math.min(skjermingResult.skjermingsfradrag, dividendAvailable);
+  if (dividendCapacity.checked) {
+    calculationSteps.push({
+      step: 'Utbyttekapasitet',
+      details: dividendCapacity.calculationSteps
+    });
+  }
+  
+  // Holding mode: the dividend goes to the holding under fritaksmetoden and
+  // only what the holding pays out is taxed on the owner
+  const holdingFlow = holding?.enabled
+    ? calculateHoldingFlow({
+        dividendReceived: dividendAvailable,
+        ownershipShare: holding.ownershipShare,
+        payoutPercentage: holding.payoutPercentage,
+        rates,
+        residence: ownerResidence
+      })
+    : null;
+  const ownerDistribution = holdingFlow ? holdingFlow.paidToOwner : repaymentBeforeDividend.repayment + dividendAvailable;
+  
+  if (holdingFlow) {
+    calculationSteps.push({
+      step: 'Holdingselskap',
+      details: holdingFlow.calculationSteps
+    });
+  }
+  
+  // Step 3: Repay paid-in capital tax-free before paying taxable dividend
+  const capitalRepayment = calculateCapitalRepayment({
+    distribution: ownerDistribution,
+    paidInCapital,
+    costBasis: shareCostBasis
+  });
+  const dividendPaid = capitalRepayment.dividend;
+  
+  if (paidInCapital > 0) {
+    calculationSteps.push({
+      step: 'Tilbakebetaling av innbetalt kapital',
+      details: capitalRepayment.calculationSteps
+    });
+  }
+  
+  // Step 4: Calculate skjermingsfradrag (unused skjerming is carried forward, not lost)
+  const skjermingLedger = calculateSkjermingLedgerYear({
+    costBasis: capitalRepayment.costBasisAfter,
+    unusedFromPreviousYears: unusedSkjerming,
+    skjermingRate: rates.skjermingRate,
+    rateEstimated: rates.skjermingRateEstimated,
+    dividend: dividendPaid,
+    shareCount
+  });
+  const skjermingsfradrag = skjermingLedger.used;
   
   calculationSteps.push({
     step: 'Skjermingsfradrag',
-    details: skjermingResult.calculationSteps
+    details: skjermingLedger.calculationSteps
   });
   
-  // Step 4: Calculate dividend tax
-  const dividendTaxResult = calculateDividendTax(dividendAvailable, skjermingsfradrag);
+  // Step 5: Calculate dividend tax (IPS is deducted in alminnelig inntekt, here the dividend,
+  // together with capital expenses and personal deductions the owner's other income cannot absorb)
+  const ips = calculateIpsDeduction(ipsAmount, rates);
+  const personal = calculatePersonalDeductions(personalDeductions, rates);
+  const unusedOtherDeductions = hasOtherIncome(otherIncome) || personal.total > 0
+    ? calculatePersonalIncomeTax(0, otherIncome, rates, ownerResidence, calculateOwnerAge(ownerBirthYear, rates.taxYear), personal.additionalDeductions).unusedDeductions
+    : 0;
+  const dividendTaxResult = calculateDividendTax(dividendPaid, skjermingsfradrag, rates, ownerResidence, ips.deductible + unusedOtherDeductions);
+  
+  if (personal.total > 0) {
+    calculationSteps.push({
+      step: 'Personlige fradrag',
+      details: [
+        ...personal.calculationSteps,
+        `Fradrag som ikke brukes mot annen inntekt går mot oppjustert utbytte: ${Math.round(unusedOtherDeductions).toLocaleString('nb-NO')} kr`
+      ]
+    });
+  }
   
   calculationSteps.push({
     step: 'Utbytteskatt',
     details: dividendTaxResult.calculationSteps
   });
   
-  // Step 5: Calculate totals
-  const totalTax = totalCorporateTax + dividendTaxResult.dividendTax;
-  const netPrivatePayout = dividendTaxResult.netDividend;
+  const pension = ips.contribution > 0
+    ? calculatePensionSummary({
+        employeeSaving: calculateEmployeePensionSaving(0, 0, rates),
+        ips,
+        deductionsUsed: Math.min(ips.deductible, dividendTaxResult.deductionsUsed),
+        ownerAge: calculateOwnerAge(ownerBirthYear, rates.taxYear),
+        yearsToRetirement,
+        expectedReturn,
+        rates,
+        residence: ownerResidence
+      })
+    : null;
+  
+  if (pension) {
+    calculationSteps.push({
+      step: 'Pensjonsprodukter',
+      details: pension.calculationSteps
+    });
+  }
+  
+  // Step 6: Calculate totals
+  const holdingTax = holdingFlow?.holdingTax ?? 0;
+  const retainedInHolding = holdingFlow?.retainedInHolding ?? 0;
+  const totalTax = totalCorporateTax + holdingTax + dividendTaxResult.dividendTax;
+  const netPrivatePayout = dividendTaxResult.netDividend + capitalRepayment.repayment;
   const effectiveTaxRate = profit > 0 ? totalTax / profit : 0;
   
   calculationSteps.push({
     step: 'Oppsummering',
     details: [
       `Total selskapsskatt: ${Math.round(totalCorporateTax).toLocaleString('nb-NO')} kr`,
+      ...(holdingFlow ? [`Skatt i holding (fritaksmetoden): ${holdingTax.toLocaleString('nb-NO')} kr`] : []),
       `Total utbytteskatt: ${Math.round(dividendTaxResult.dividendTax).toLocaleString('nb-NO')} kr`,
+      ...(holdingFlow ? [`Utsatt utbytteskatt i holding: ${holdingFlow.taxDeferred.toLocaleString('nb-NO')} kr`] : []),
+      ...(capitalRepayment.repayment > 0 ? [`Skattefri tilbakebetaling av innbetalt kapital: ${capitalRepayment.repayment.toLocaleString('nb-NO')} kr`] : []),
       `Total skatt: ${Math.round(totalTax).toLocaleString('nb-NO')} kr`,
       `Netto privat utbetaling: ${Math.round(netPrivatePayout).toLocaleString('nb-NO')} kr`,
       `Effektiv skattesats: ${(effectiveTaxRate * 100).toFixed(2)}%`
@@ -312,39 +741,73 @@ export function calculateDividendScenario(profit, options = {}) {
   
   return {
     scenarioType: 'dividend',
-    scenarioName: '100% Utbytte',
+    scenarioName: holdingFlow ? '100% Utbytte via holding' : '100% Utbytte',
     
     // Input values
     input: {
       profit,
       retentionPercentage,
-      shareCostBasis
+      shareCostBasis,
+      unusedSkjerming,
+      shareCount,
+      paidInCapital,
+      holding,
+      taxYear: rates.taxYear,
+      overrides,
+      ownerResidence,
+      ownerBirthYear,
+      pensionProducts,
+      otherIncome,
+      personalDeductions,
+      lossCarryforward,
+      balanceSheet
     },
     
     // Company level
     company: {
       profit: profit,
+      lossCarryforwardUsed: corporateTaxResult.lossUsed,
+      lossCarryforwardRemaining: corporateTaxResult.lossRemaining,
       corporateTax: Math.round(totalCorporateTax),
       profitAfterTax: Math.round(profit - totalCorporateTax),
       retainedBeforeTax: Math.round(retainedBeforeTax),
-      retainedAfterTax: Math.round(retainedAfterTax),
-      dividendDistributed: Math.round(dividendAvailable)
+      retainedAfterTax: Math.round(retainedAfterTax + dividendCapacity.heldBack),
+      dividendCapacity: dividendCapacity.capacity,
+      dividendHeldBack: dividendCapacity.heldBack,
+      capitalRepaid: capitalRepayment.repayment,
+      dividendDistributed: Math.round(holdingFlow ? dividendAvailable : dividendPaid)
     },
     
+    // Holding company (null without holding mode)
+    holding: holdingFlow,
+    
     // Personal level
     personal: {
-      dividendReceived: Math.round(dividendAvailable),
+      capitalRepayment: capitalRepayment.repayment,
+      remainingPaidInCapital: capitalRepayment.remainingPaidInCapital,
+      dividendReceived: Math.round(dividendPaid),
       skjermingsfradrag: Math.round(skjermingsfradrag),
+      unusedSkjermingCarriedForward: skjermingLedger.unusedCarriedForward,
       taxableDividend: dividendTaxResult.taxableDividend,
       dividendTax: Math.round(dividendTaxResult.dividendTax),
-      netDividend: Math.round(netPrivatePayout)
+      netDividend: Math.round(dividendTaxResult.netDividend),
+      ownPensionSavings: ips.contribution,
+      netAfterPensionSavings: Math.round(netPrivatePayout - ips.contribution)
     },
     
+    // Skjerming ledger for this year (unused skjerming carried forward)
+    skjerming: skjermingLedger,
+    
+    // Pension products (null without IPS)
+    pension,
+    
     // Tax summary
     taxSummary: {
       corporateTax: Math.round(totalCorporateTax),
+      holdingTax,
       dividendTax: Math.round(dividendTaxResult.dividendTax),
       totalTax: Math.round(totalTax),
+      taxDeferredInHolding: holdingFlow?.taxDeferred ?? 0,
       effectiveTaxRate: effectiveTaxRate,
       effectiveDividendTaxRate: dividendTaxResult.effectiveRate
     },
@@ -352,9 +815,11 @@ export function calculateDividendScenario(profit, options = {}) {
     // Final results
     results: {
       netPrivatePayout: Math.round(netPrivatePayout),
+      // Net payout plus what the holding keeps, after the deferred dividend tax
+      netValueAfterDeferredTax: Math.round(netPrivatePayout + retainedInHolding - (holdingFlow?.taxDeferred ?? 0)),
       totalTaxPaid: Math.round(totalTax),
       effectiveTaxRate: effectiveTaxRate,
-      retainedInCompany: Math.round(retainedAfterTax)
+      retainedInCompany: Math.round(retainedAfterTax + dividendCapacity.heldBack + retainedInHolding)
     },
     
     // Calculation breakdown
@@ -364,16 +829,30 @@ export function calculateDividendScenario(profit, options = {}) {
     assumptions: [
       'Én aksjonær',
       'Ingen andre utbytteinntekter dette året',
+      describeOtherIncome(otherIncome),
+      describePersonalDeductions(personal),
       'Aksjene eies ved årsslutt (for skjermingsfradrag)',
       'Alt overskudd etter skatt distribueres som utbytte (med mindre tilbakeholdt)',
-      'Ingen ubenyttet skjermingsfradrag fra tidligere år'
+      describeDividendCapacity(dividendCapacity),
+      unusedSkjerming > 0
+        ? `Ubenyttet skjermingsfradrag fra tidligere år: ${Math.round(unusedSkjerming).toLocaleString('nb-NO')} kr`
+        : 'Ingen ubenyttet skjermingsfradrag fra tidligere år',
+      ...(paidInCapital > 0 ? [`Innbetalt kapital (${Math.round(paidInCapital).toLocaleString('nb-NO')} kr) tilbakebetales skattefritt før utbytte`] : []),
+      ...(holdingFlow ? ['Eier har aksjene i driftsselskapet gjennom et holdingselskap uten andre inntekter eller kostnader'] : []),
+      `Bosted: ${OWNER_RESIDENCE_DESCRIPTIONS[ownerResidence]}`
     ]
   };
 }
 
 export default {
   calculateCorporateTax,
+  describeLossCarryforward,
   calculateSkjermingsfradrag,
+  calculateSkjermingLedgerYear,
+  buildSkjermingLedger,
+  calculateCapitalRepayment,
+  calculateDividendCapacity,
+  describeDividendCapacity,
   calculateDividendTax,
   calculateCombinedDividendTax,
   calculateDividendScenario
@@ -0,0 +1,113 @@
+/**
+ * Holding Company Calculation Module
+ *
+ * Calculates the dividend path through a holding company:
+ * operating AS → holding AS → owner.
+ *
+ * Dividends from the operating AS to the holding are covered by
+ * fritaksmetoden: they are tax-free for the holding except for the 3%
+ * inclusion (sjablonmessig inntektsføring) taxed at the corporate rate.
+ * The owner's dividend tax is only due when the holding pays out; what the
+ * holding keeps defers that tax.
+ *
+ * Simplifications:
+ * - The holding has no other income or costs
+ * - Deferred tax is the dividend tax on the amount kept in the holding at
+ *   this year's rates, without skjerming
+ *
+ * Sources:
+ * - Lovdata: Skatteloven § 2-38 (fritaksmetoden), § 10-11 (utbytte til personlig aksjonær)
+ */
+
+import {
+  DEFAULT_OWNER_RESIDENCE,
+  getTaxRates,
+  getPersonalTaxRate
+} from '../config/taxRates.js';
+
+/**
+ * Calculates the holding's tax on a dividend received under fritaksmetoden.
+ *
+ * 3% of the dividend is taxed as income at the corporate rate (0.66% at 22%).
+ * The inclusion does not apply when the holding owns more than 90% of the
+ * paying company (konsern).
+ *
+ * Source: Lovdata - Skatteloven § 2-38 sjette ledd
+ * URL: https://lovdata.no/dokument/NL/lov/1999-03-26-14
+ * Year: Selected tax year (fritaksmetoden in the rate file)
+ *
+ * @param {number} dividendReceived - Dividend received by the holding
+ * @param {number} ownershipShare - Holding's share of the operating AS (0-1, default 1)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @returns {Object} Inclusion amount and tax
+ */
+export function calculateFritaksmetodenTax(dividendReceived, ownershipShare = 1, rates = getTaxRates()) {
+  const { inclusionRate, groupOwnershipThreshold } = rates.fritaksmetoden;
+  const groupExempt = ownershipShare > groupOwnershipThreshold;
+  const inclusionAmount = groupExempt ? 0 : dividendReceived * inclusionRate;
+  const tax = inclusionAmount * rates.corporateTaxRate;
+
+  return {
+    groupExempt,
+    inclusionAmount: Math.round(inclusionAmount),
+    tax: Math.round(tax),
+    calculationSteps: groupExempt
+      ? [`Holding eier ${(ownershipShare * 100).toFixed(0)}% (over ${(groupOwnershipThreshold * 100).toFixed(0)}%): ingen 3%-inntektsføring i konsern`]
+      : [
+          `Inntektsføring: ${Math.round(dividendReceived).toLocaleString('nb-NO')} × ${(inclusionRate * 100).toFixed(0)}% = ${Math.round(inclusionAmount).toLocaleString('nb-NO')} kr`,
+          `Skatt i holding: ${Math.round(inclusionAmount).toLocaleString('nb-NO')} × ${(rates.corporateTaxRate * 100).toFixed(0)}% = ${Math.round(tax).toLocaleString('nb-NO')} kr`
+        ]
+  };
+}
+
+/**
+ * Calculates the flow through the holding: dividend in, fritaksmetoden tax,
+ * payout to the owner and the dividend tax deferred on what is kept.
+ *
+ * @param {Object} params - Holding values
+ * @param {number} params.dividendReceived - Dividend from the operating AS
+ * @param {number} params.ownershipShare - Holding's share of the operating AS (0-1, default 1)
+ * @param {number} params.payoutPercentage - Share of the holding's funds paid to the owner this year (0-1)
+ * @param {Object} params.rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {string} params.residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
+ * @returns {Object} Holding flow with calculation steps
+ */
+export function calculateHoldingFlow({
+  dividendReceived = 0,
+  ownershipShare = 1,
+  payoutPercentage = 0,
+  rates = getTaxRates(),
+  residence = DEFAULT_OWNER_RESIDENCE
+}) {
+  const fritaksmetoden = calculateFritaksmetodenTax(dividendReceived, ownershipShare, rates);
+  const availableInHolding = dividendReceived - fritaksmetoden.tax;
+  const paidToOwner = availableInHolding * payoutPercentage;
+  const retainedInHolding = availableInHolding - paidToOwner;
+  const deferredTaxRate = getPersonalTaxRate(rates, residence) * rates.dividendGrossUpFactor;
+  const taxDeferred = retainedInHolding * deferredTaxRate;
+
+  return {
+    dividendReceived: Math.round(dividendReceived),
+    ownershipShare,
+    payoutPercentage,
+    inclusionAmount: fritaksmetoden.inclusionAmount,
+    holdingTax: fritaksmetoden.tax,
+    availableInHolding: Math.round(availableInHolding),
+    paidToOwner: Math.round(paidToOwner),
+    retainedInHolding: Math.round(retainedInHolding),
+    taxDeferred: Math.round(taxDeferred),
+    calculationSteps: [
+      `Utbytte fra driftsselskapet til holding: ${Math.round(dividendReceived).toLocaleString('nb-NO')} kr (fritaksmetoden)`,
+      ...fritaksmetoden.calculationSteps,
+      `Tilgjengelig i holding: ${Math.round(availableInHolding).toLocaleString('nb-NO')} kr`,
+      `Utbytte fra holding til eier (${(payoutPercentage * 100).toFixed(0)}%): ${Math.round(paidToOwner).toLocaleString('nb-NO')} kr`,
+      `Beholdt i holding: ${Math.round(retainedInHolding).toLocaleString('nb-NO')} kr`,
+      `Utsatt utbytteskatt på beholdt (${(deferredTaxRate * 100).toFixed(2)}%): ${Math.round(taxDeferred).toLocaleString('nb-NO')} kr`
+    ]
+  };
+}
+
+export default {
+  calculateFritaksmetodenTax,
+  calculateHoldingFlow
+};
@@ -0,0 +1,218 @@
+/**
+ * Pension Product Calculation Module
+ *
+ * Calculates the pension products an owner can combine with salary from a
+ * Norwegian AS, side by side:
+ * 1. Innskuddspensjon (OTP) - paid by the company on salary up to 12G, with
+ *    an optional additional contribution between 7.1G and 12G
+ *    (calculated in salaryCalculations.js, summarised here)
+ * 2. Egen pensjonskonto (EPK) - the employee's own saving, withheld from salary
+ * 3. Individuell pensjonssparing (IPS) - private saving with its own cap
+ *
+ * Own EPK saving and IPS are deducted in alminnelig inntekt, not in
+ * personinntekt, so they reduce income tax but not trygdeavgift or trinnskatt.
+ * Payments from the pension are taxed as pension income later; this is not
+ * part of the projection.
+ *
+ * Sources:
+ * - Lovdata: Innskuddspensjonsloven § 5-2, § 5-5; skatteloven § 6-47
+ * - Skatteetaten: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/pensjon/
+ */
+
+import {
+  PENSION_PROJECTION_DEFAULTS,
+  DEFAULT_OWNER_RESIDENCE,
+  getTaxRates,
+  getPersonalTaxRate
+} from '../config/taxRates.js';
+
+/**
+ * Calculates the employee's own saving in egen pensjonskonto (EPK).
+ *
+ * The saving uses the same salary band as the company contribution and is
+ * withheld from the salary. It is deductible in alminnelig inntekt.
+ *
+ * Source: Lovdata - Innskuddspensjonsloven § 5-5, skatteloven § 6-47 første ledd bokstav c
+ * URL: https://lovdata.no/dokument/NL/lov/2000-11-24-81
+ * Year: Selected tax year (band and G in the rate file)
+ *
+ * @param {number} grossSalary - Gross salary amount
+ * @param {number} employeeRate - Own saving rate (0 to pensionLimits.employeeMaxRate)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @returns {Object} Own saving with the salary band used
+ */
+export function calculateEmployeePensionSaving(grossSalary, employeeRate = 0, rates = getTaxRates()) {
+  const { lowerLimitG, upperLimitG } = rates.otpSalaryBand;
+  const lowerLimit = lowerLimitG * rates.grunnbelopet;
+  const upperLimit = upperLimitG * rates.grunnbelopet;
+  const pensionBase = Math.max(0, Math.min(grossSalary, upperLimit) - lowerLimit);
+  const contribution = pensionBase * employeeRate;
+
+  return {
+    contribution: Math.round(contribution),
+    pensionBase: Math.round(pensionBase),
+    employeeRate,
+    calculationSteps: employeeRate > 0
+      ? [`Egen sparing (EPK): ${Math.round(pensionBase).toLocaleString('nb-NO')} × ${(employeeRate * 100).toFixed(1)}% = ${Math.round(contribution).toLocaleString('nb-NO')} kr (trekkes i lønn, fradrag i alminnelig inntekt)`]
+      : []
+  };
+}
+
+/**
+ * Calculates the deductible part of a payment to individuell pensjonssparing.
+ *
+ * Source: Skatteetaten - "Individuell pensjonssparing (IPS)"
+ * URL: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/pensjon/individuell-pensjonssparing-ips/
+ * Year: Selected tax year (pensionLimits.ipsMaxDeduction in the rate file)
+ *
+ * @param {number} ipsAmount - Yearly payment to IPS
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @returns {Object} Payment and deduction
+ */
+export function calculateIpsDeduction(ipsAmount = 0, rates = getTaxRates()) {
+  const maxDeduction = rates.pensionLimits.ipsMaxDeduction;
+  const deductible = Math.min(Math.max(0, ipsAmount), maxDeduction);
+
+  return {
+    contribution: Math.round(Math.max(0, ipsAmount)),
+    deductible: Math.round(deductible),
+    maxDeduction,
+    calculationSteps: ipsAmount > 0
+      ? [`IPS: ${Math.round(ipsAmount).toLocaleString('nb-NO')} kr, fradrag i alminnelig inntekt: ${Math.round(deductible).toLocaleString('nb-NO')} kr (maks ${maxDeduction.toLocaleString('nb-NO')} kr i ${rates.taxYear})`]
+      : []
+  };
+}
+
+/**
+ * Finds the number of years to project the pension capital over.
+ *
+ * An explicit horizon wins; otherwise the years until the default retirement
+ * age are used when the owner's age is known.
+ *
+ * @param {number|null} ownerAge - Owner age in the tax year (null if unknown)
+ * @param {number|null} yearsToRetirement - Explicit horizon (null if not given)
+ * @returns {number|null} Years to project, or null if they cannot be determined
+ */
+export function calculatePensionYears(ownerAge, yearsToRetirement = null) {
+  if (yearsToRetirement !== null && yearsToRetirement !== undefined) {
+    return yearsToRetirement;
+  }
+  if (ownerAge === null || ownerAge === undefined) {
+    return null;
+  }
+  return Math.max(0, PENSION_PROJECTION_DEFAULTS.retirementAge - ownerAge);
+}
+
+/**
+ * Projects the pension capital from a fixed yearly contribution.
+ *
+ * Contributions are paid at the end of each year and earn the expected
+ * return from then on (future value of an ordinary annuity):
+ * Capital = Contribution × ((1 + r)^n - 1) / r, or Contribution × n when r = 0
+ *
+ * With a real return the capital is in today's kroner.
+ *
+ * @param {number} annualContribution - Yearly contribution
+ * @param {number} years - Number of years
+ * @param {number} expectedReturn - Yearly return as a decimal
+ * @returns {number} Projected capital
+ */
+export function projectPensionCapital(annualContribution, years, expectedReturn = PENSION_PROJECTION_DEFAULTS.expectedReturn) {
+  if (years <= 0 || annualContribution <= 0) {
+    return 0;
+  }
+  if (expectedReturn === 0) {
+    return Math.round(annualContribution * years);
+  }
+  return Math.round(annualContribution * (Math.pow(1 + expectedReturn, years) - 1) / expectedReturn);
+}
+
+/**
+ * Summarises the pension products of a scenario: what is paid in, the tax
+ * effect this year and the projected capital.
+ *
+ * Tax effect:
+ * - The company contribution and the AGA on it are deducted before corporate
+ *   tax; corporateTaxSaved is the corporate tax the same amount would have
+ *   cost if kept as profit
+ * - agaCost is the AGA paid on the contribution
+ * - personalTaxSaved is income tax saved by the EPK and IPS deductions
+ *   actually used against salary or dividend
+ *
+ * @param {Object} params - Scenario values
+ * @param {number} params.employerContribution - Company contribution (OTP, incl. additional)
+ * @param {number} params.employerAGA - AGA on the company contribution
+ * @param {Object} params.employeeSaving - Result of calculateEmployeePensionSaving
+ * @param {Object} params.ips - Result of calculateIpsDeduction
+ * @param {number} params.deductionsUsed - EPK and IPS deductions used in alminnelig inntekt
+ * @param {number|null} params.ownerAge - Owner age in the tax year
+ * @param {number|null} params.yearsToRetirement - Explicit projection horizon
+ * @param {number|null} params.expectedReturn - Yearly return (default PENSION_PROJECTION_DEFAULTS)
+ * @param {Object} params.rates - Rate set from getTaxRates
+ * @param {string} params.residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
+ * @returns {Object} Pension summary with calculation steps
+ */
+export function calculatePensionSummary({
+  employerContribution = 0,
+  employerAGA = 0,
+  employeeSaving = calculateEmployeePensionSaving(0),
+  ips = calculateIpsDeduction(0),
+  deductionsUsed = 0,
+  ownerAge = null,
+  yearsToRetirement = null,
+  expectedReturn = null,
+  rates = getTaxRates(),
+  residence = DEFAULT_OWNER_RESIDENCE
+}) {
+  const corporateTaxDeduction = employerContribution + employerAGA;
+  const corporateTaxSaved = corporateTaxDeduction * rates.corporateTaxRate;
+  const personalTaxSaved = deductionsUsed * getPersonalTaxRate(rates, residence);
+  const annualContribution = employerContribution + employeeSaving.contribution + ips.contribution;
+
+  const years = calculatePensionYears(ownerAge, yearsToRetirement);
+  const projectionReturn = expectedReturn ?? PENSION_PROJECTION_DEFAULTS.expectedReturn;
+  const projection = years === null
+    ? null
+    : {
+        years,
+        expectedReturn: projectionReturn,
+        annualContribution: Math.round(annualContribution),
+        projectedCapital: projectPensionCapital(annualContribution, years, projectionReturn)
+      };
+
+  const calculationSteps = [
+    `Innskudd fra selskapet: ${Math.round(employerContribution).toLocaleString('nb-NO')} kr`,
+    ...employeeSaving.calculationSteps,
+    ...ips.calculationSteps,
+    `Skatteeffekt i selskapet: ${Math.round(corporateTaxDeduction).toLocaleString('nb-NO')} kr fradrag sparer ${Math.round(corporateTaxSaved).toLocaleString('nb-NO')} kr selskapsskatt, arbeidsgiveravgift på innskuddet ${Math.round(employerAGA).toLocaleString('nb-NO')} kr`,
+    `Skatteeffekt for eier: ${Math.round(deductionsUsed).toLocaleString('nb-NO')} kr fradrag sparer ${Math.round(personalTaxSaved).toLocaleString('nb-NO')} kr inntektsskatt`,
+    projection
+      ? `Fremskrevet pensjonskapital: ${projection.annualContribution.toLocaleString('nb-NO')} kr/år i ${years} år med ${(projectionReturn * 100).toFixed(1)}% avkastning = ${projection.projectedCapital.toLocaleString('nb-NO')} kr`
+      : 'Fremskrevet pensjonskapital: oppgi fødselsår eller år til pensjon'
+  ];
+
+  return {
+    employerContribution: Math.round(employerContribution),
+    employerAGA: Math.round(employerAGA),
+    employeeContribution: employeeSaving.contribution,
+    ipsContribution: ips.contribution,
+    ipsDeductible: ips.deductible,
+    totalContribution: Math.round(annualContribution),
+    taxEffect: {
+      corporateTaxDeduction: Math.round(corporateTaxDeduction),
+      corporateTaxSaved: Math.round(corporateTaxSaved),
+      agaCost: Math.round(employerAGA),
+      personalTaxSaved: Math.round(personalTaxSaved)
+    },
+    projection,
+    calculationSteps
+  };
+}
+
+export default {
+  calculateEmployeePensionSaving,
+  calculateIpsDeduction,
+  calculatePensionYears,
+  projectPensionCapital,
+  calculatePensionSummary
+};
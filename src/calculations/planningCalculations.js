@@ -0,0 +1,343 @@
+/**
+ * Multi-Year Planning Module
+ *
+ * Plans salary, dividend and retention over several years. Profit retained
+ * in year N (after corporate tax) is company equity that can be paid as
+ * dividend in year N+1 and later, so a high-profit year can fund the
+ * consumption of a low-profit year without taking a large salary at high
+ * trinnskatt rates.
+ *
+ * Each year the planner looks for the salary that gives the most value:
+ * net payout this year plus retained equity valued at what it pays out
+ * after dividend tax. Dividends are only paid to reach the desired
+ * consumption; the rest stays in the company.
+ *
+ * The plan is compared with optimizing each year in isolation (the best
+ * salary/dividend ratio with everything paid out every year).
+ *
+ * Simplifications:
+ * - Years after the last supported tax year use the rates of that year
+ * - Retained equity is valued without discounting
+ * - Wealth tax on retained equity is counted in the totals, not in the yearly choice
+ * - No pension, EPK or IPS in the plan
+ *
+ * Sources:
+ * - Skatteetaten: All tax rates and rules (see salaryCalculations.js, dividendCalculations.js)
+ */
+
+import { calculateMaxGrossSalary, calculateOwnerAge, calculateSalaryTaxWithOtherIncome, hasOtherIncome, describeOtherIncome } from './salaryCalculations.js';
+import { calculateCorporateTax, calculateDividendCapacity, calculateDividendTax, calculateSkjermingsfradrag, calculateSkjermingLedgerYear } from './dividendCalculations.js';
+import { calculateRetentionWealthTax } from './wealthTaxCalculations.js';
+import { calculatePersonalDeductions, describePersonalDeductions } from './deductionCalculations.js';
+import { validatePlanInput } from '../validation/inputValidation.js';
+import {
+  SUPPORTED_TAX_YEARS,
+  getTaxRates,
+  getPersonalTaxRate
+} from '../config/taxRates.js';
+
+/**
+ * Returns the rate set for a plan year; later years use the last supported year.
+ *
+ * @param {number} year - Income year in the plan
+ * @param {Object} overrides - Per-request rate overrides (see getTaxRates)
+ * @returns {Object} Rate set
+ */
+function getPlanYearRates(year, overrides) {
+  return getTaxRates(Math.min(year, Math.max(...SUPPORTED_TAX_YEARS)), overrides);
+}
+
+/**
+ * Calculates one salary choice for a plan year.
+ *
+ * The dividend covers what the net salary leaves of the consumption target,
+ * up to what the company can distribute this year. With a balance sheet the
+ * dividend is also capped at the dividend capacity (aksjeloven § 8-1), where
+ * the equity retained in earlier plan years counts as other equity.
+ *
+ * @returns {Object} Year values for the given salary ratio
+ */
+function calculatePlanYear({ salaryRatio, profit, consumptionTarget, equityIn, lossIn, balanceSheet, availableSkjerming, zone, rates, residence, age, agaFribelopUsed, otherIncome, personalDeductions }) {
+  const salaryBudget = Math.max(0, profit) * (salaryRatio / 100);
+  const salaryCalc = salaryBudget > 0
+    ? calculateMaxGrossSalary(salaryBudget, zone, false, 0, rates, agaFribelopUsed)
+    : null;
+  const grossSalary = salaryCalc?.grossSalary ?? 0;
+  const employerAGA = salaryCalc?.employerAGA ?? 0;
+  const deductions = calculatePersonalDeductions(personalDeductions, rates).additionalDeductions;
+  const salaryTax = calculateSalaryTaxWithOtherIncome(grossSalary, otherIncome, rates, residence, age, deductions);
+  const netSalary = grossSalary - salaryTax.totalTax;
+
+  const companyProfit = profit - salaryBudget;
+  const corporateTaxResult = calculateCorporateTax(companyProfit, rates, lossIn);
+  const corporateTax = corporateTaxResult.corporateTax;
+  // A loss year eats into the equity from earlier years
+  const distributable = companyProfit - corporateTax + equityIn;
+
+  // Gross dividend needed for the rest of the consumption; skjerming makes the first part tax-free
+  const dividendTaxRate = getPersonalTaxRate(rates, residence) * rates.dividendGrossUpFactor;
+  const gap = Math.max(0, consumptionTarget - netSalary);
+  const dividendNeeded = gap <= availableSkjerming
+    ? gap
+    : availableSkjerming + (gap - availableSkjerming) / (1 - dividendTaxRate);
+  const dividendCapacity = calculateDividendCapacity({
+    balanceSheet: balanceSheet && { ...balanceSheet, otherEquity: balanceSheet.otherEquity + equityIn },
+    resultAfterTax: companyProfit - corporateTax,
+    distribution: Math.max(0, Math.min(dividendNeeded, distributable))
+  });
+  const dividend = dividendCapacity.distribution;
+  const dividendTaxResult = calculateDividendTax(dividend, Math.min(availableSkjerming, dividend), rates, residence, salaryTax.unusedDeductions);
+
+  const equityOut = distributable - dividend;
+  const netPayout = netSalary + dividendTaxResult.netDividend;
+
+  return {
+    salaryRatio,
+    salaryBudget,
+    grossSalary,
+    employerAGA,
+    salaryTax,
+    netSalary,
+    corporateTax,
+    lossUsed: corporateTaxResult.lossUsed,
+    lossOut: corporateTaxResult.lossRemaining,
+    distributable,
+    dividendCapacity,
+    dividend,
+    dividendTax: dividendTaxResult.dividendTax,
+    netDividend: dividendTaxResult.netDividend,
+    equityOut,
+    netPayout,
+    value: netPayout + equityOut * (1 - dividendTaxRate),
+    dividendTaxRate
+  };
+}
+
+/**
+ * Picks the salary ratio for one plan year.
+ *
+ * Among the ratios that reach the consumption target, the one with the
+ * highest value (net payout plus retained equity after future dividend tax)
+ * wins. When no ratio reaches the target, the highest net payout wins.
+ *
+ * @returns {Object} The chosen year values
+ */
+function choosePlanYear(params, searchStep) {
+  let best = null;
+  for (let salaryRatio = 0; salaryRatio <= 100; salaryRatio += searchStep) {
+    const candidate = calculatePlanYear({ ...params, salaryRatio });
+    const meetsTarget = candidate.netPayout >= params.consumptionTarget - 1;
+    const better = !best
+      || (meetsTarget && !best.meetsTarget)
+      || (meetsTarget === best.meetsTarget && (meetsTarget ? candidate.value > best.value : candidate.netPayout > best.netPayout));
+    if (better) {
+      best = { ...candidate, meetsTarget };
+    }
+  }
+  return best;
+}
+
+/**
+ * Runs a plan over all years.
+ *
+ * @param {Object} input - Sanitized planner input (see validatePlanInput)
+ * @param {boolean} payOutAll - Optimize each year in isolation and pay out everything
+ * @param {number} searchStep - Salary ratio search step in percent
+ * @returns {Object} Plan years and totals
+ */
+function runPlan(input, payOutAll, searchStep) {
+  const {
+    horizon,
+    profits,
+    consumption,
+    taxYear,
+    employerZone,
+    overrides,
+    ownerBirthYear,
+    ownerResidence,
+    shareCostBasis,
+    unusedSkjerming,
+    agaFribelopUsed,
+    companyEquity,
+    otherNetWealth,
+    otherIncome,
+    personalDeductions,
+    lossCarryforward,
+    balanceSheet
+  } = input;
+
+  const years = [];
+  let equity = 0;
+  let loss = lossCarryforward || 0;
+  let unusedCarried = unusedSkjerming || 0;
+
+  for (let index = 0; index < horizon; index++) {
+    const year = taxYear + index;
+    const rates = getPlanYearRates(year, overrides);
+    const age = calculateOwnerAge(ownerBirthYear ?? null, year);
+    const profit = profits[index];
+    const equityIn = equity;
+    const lossIn = loss;
+    const availableSkjerming = calculateSkjermingsfradrag(shareCostBasis || 0, rates.skjermingRate, unusedCarried).availableSkjerming;
+
+    const chosen = choosePlanYear({
+      profit,
+      consumptionTarget: payOutAll ? Infinity : consumption[index],
+      equityIn,
+      lossIn,
+      balanceSheet,
+      availableSkjerming,
+      zone: employerZone,
+      rates,
+      residence: ownerResidence,
+      age,
+      agaFribelopUsed,
+      otherIncome,
+      personalDeductions
+    }, searchStep);
+
+    const skjerming = calculateSkjermingLedgerYear({
+      costBasis: shareCostBasis || 0,
+      unusedFromPreviousYears: unusedCarried,
+      skjermingRate: rates.skjermingRate,
+      rateEstimated: rates.skjermingRateEstimated,
+      dividend: chosen.dividend
+    });
+    unusedCarried = skjerming.unusedCarriedForward;
+
+    // Equity retained in earlier years raises this year's wealth tax
+    const wealthTax = equityIn > 0
+      ? calculateRetentionWealthTax({ retainedAfterTax: equityIn, companyEquity, otherNetWealth, rates }).annualCostOfRetention
+      : 0;
+
+    const totalTax = chosen.employerAGA + chosen.salaryTax.totalTax + chosen.corporateTax + chosen.dividendTax + wealthTax;
+    const consumptionTarget = consumption[index];
+    const shortfall = Math.max(0, consumptionTarget - chosen.netPayout);
+    equity = chosen.equityOut;
+    loss = chosen.lossOut;
+
+    years.push({
+      year,
+      rateYear: rates.taxYear,
+      profit,
+      consumptionTarget,
+      salaryRatio: chosen.salaryRatio,
+      grossSalary: Math.round(chosen.grossSalary),
+      employerAGA: Math.round(chosen.employerAGA),
+      salaryTax: chosen.salaryTax.totalTax,
+      netSalary: Math.round(chosen.netSalary),
+      corporateTax: Math.round(chosen.corporateTax),
+      lossCarryforwardIn: Math.round(lossIn),
+      lossCarryforwardUsed: Math.round(chosen.lossUsed),
+      lossCarryforwardOut: Math.round(chosen.lossOut),
+      equityIn: Math.round(equityIn),
+      dividendCapacity: chosen.dividendCapacity.capacity,
+      dividend: Math.round(chosen.dividend),
+      skjermingUsed: skjerming.used,
+      dividendTax: chosen.dividendTax,
+      netDividend: Math.round(chosen.netDividend),
+      netPayout: Math.round(chosen.netPayout),
+      shortfall: Math.round(shortfall),
+      retainedAfterTax: Math.round(chosen.equityOut - equityIn),
+      equityOut: Math.round(chosen.equityOut),
+      wealthTax,
+      totalTax: Math.round(totalTax),
+      skjerming,
+      calculationSteps: [
+        `Overskudd: ${profit.toLocaleString('nb-NO')} kr, ønsket forbruk: ${consumptionTarget.toLocaleString('nb-NO')} kr`,
+        `Lønn: ${Math.round(chosen.grossSalary).toLocaleString('nb-NO')} kr (${chosen.salaryRatio}% av overskuddet), netto ${Math.round(chosen.netSalary).toLocaleString('nb-NO')} kr`,
+        `Egenkapital fra tidligere år: ${Math.round(equityIn).toLocaleString('nb-NO')} kr`,
+        ...(lossIn > 0 || chosen.lossOut > 0 ? [`Fremførbart underskudd: ${Math.round(lossIn).toLocaleString('nb-NO')} kr inn, ${Math.round(chosen.lossUsed).toLocaleString('nb-NO')} kr brukt, ${Math.round(chosen.lossOut).toLocaleString('nb-NO')} kr videre`] : []),
+        `Utbytte: ${Math.round(chosen.dividend).toLocaleString('nb-NO')} kr, netto ${Math.round(chosen.netDividend).toLocaleString('nb-NO')} kr`,
+        ...(chosen.dividendCapacity.checked ? [`Utbyttekapasitet (aksjeloven § 8-1): ${chosen.dividendCapacity.capacity.toLocaleString('nb-NO')} kr${chosen.dividendCapacity.heldBack > 0 ? `, ${chosen.dividendCapacity.heldBack.toLocaleString('nb-NO')} kr holdes tilbake` : ''}`] : []),
+        ...(shortfall > 0 ? [`Mangler ${Math.round(shortfall).toLocaleString('nb-NO')} kr for å nå ønsket forbruk`] : []),
+        ...(wealthTax > 0 ? [`Formuesskatt på tilbakeholdt egenkapital: ${wealthTax.toLocaleString('nb-NO')} kr`] : []),
+        `Egenkapital til neste år: ${Math.round(chosen.equityOut).toLocaleString('nb-NO')} kr`
+      ]
+    });
+  }
+
+  const sum = key => years.reduce((total, year) => total + year[key], 0);
+  const lastRates = getPlanYearRates(taxYear + horizon - 1, overrides);
+  const endingEquity = years[years.length - 1].equityOut;
+  const latentDividendTax = Math.round(Math.max(0, endingEquity - unusedCarried) * getPersonalTaxRate(lastRates, ownerResidence) * lastRates.dividendGrossUpFactor);
+  const netPayout = sum('netPayout');
+  const wealthTax = sum('wealthTax');
+
+  return {
+    years,
+    totals: {
+      profit: sum('profit'),
+      netPayout,
+      totalTax: sum('totalTax'),
+      wealthTax,
+      shortfall: sum('shortfall'),
+      yearsBelowTarget: years.filter(year => year.shortfall > 0).length,
+      endingEquity,
+      latentDividendTax,
+      lossCarryforwardRemaining: years[years.length - 1].lossCarryforwardOut,
+      // What the owner ends up with if the remaining equity is paid out at the last year's rates
+      netValue: netPayout - wealthTax + endingEquity - latentDividendTax
+    }
+  };
+}
+
+/**
+ * Plans salary, dividend and retention over several years.
+ *
+ * @param {Object} input - Planner input
+ * @param {number} input.horizon - Number of years (1-15)
+ * @param {number|number[]} input.profit - Expected profit before tax, per year or the same every year
+ * @param {number|number[]} input.consumption - Desired net payout, per year or the same every year
+ * @param {number} input.taxYear - First income year (default DEFAULT_TAX_YEAR)
+ * @param {number} input.searchStep - Salary ratio search step in percent (default 1)
+ * @returns {Object} Plan per year, totals and comparison with optimizing each year in isolation
+ */
+export function calculateExtractionPlan(input) {
+  const validation = validatePlanInput(input);
+
+  if (!validation.isValid) {
+    return {
+      success: false,
+      errors: validation.errors
+    };
+  }
+
+  const sanitized = validation.sanitizedInput;
+  const plan = runPlan(sanitized, false, sanitized.searchStep);
+  const yearByYear = runPlan(sanitized, true, sanitized.searchStep);
+  const lastRateYear = Math.min(sanitized.taxYear + sanitized.horizon - 1, Math.max(...SUPPORTED_TAX_YEARS));
+
+  return {
+    success: true,
+    input: sanitized,
+    warnings: validation.warnings,
+    plan,
+    yearByYear,
+    benefit: {
+      netValue: plan.totals.netValue - yearByYear.totals.netValue,
+      totalTax: yearByYear.totals.totalTax - plan.totals.totalTax,
+      taxDeferred: plan.totals.latentDividendTax,
+      shortfall: yearByYear.totals.shortfall - plan.totals.shortfall
+    },
+    assumptions: [
+      'Tilbakeholdt overskudd etter selskapsskatt kan deles ut som utbytte senere år',
+      'Hvert år velges lønnen som gir mest verdi: netto utbetaling pluss tilbakeholdt egenkapital etter fremtidig utbytteskatt',
+      'Utbytte tas bare ut for å nå ønsket forbruk, resten står i selskapet',
+      'Sammenlignes med å optimalisere hvert år for seg og ta ut alt',
+      ...(sanitized.taxYear + sanitized.horizon - 1 > lastRateYear ? [`Satsene for ${lastRateYear} brukes for senere år`] : []),
+      'Egenkapital ved periodens slutt verdsettes etter utbytteskatt, uten diskontering',
+      `${describeOtherIncome(sanitized.otherIncome)}${hasOtherIncome(sanitized.otherIncome) ? ', samme hvert år' : ''}`,
+      `${describePersonalDeductions(calculatePersonalDeductions(sanitized.personalDeductions, getTaxRates(sanitized.taxYear, sanitized.overrides)))}${sanitized.personalDeductions?.length ? ', samme hvert år' : ''}`,
+      ...(sanitized.lossCarryforward > 0 || sanitized.profits.some(profit => profit < 0) ? ['Underskudd fremføres og brukes mot overskudd senere år; underskudd som står igjen ved periodens slutt er ikke verdsatt'] : []),
+      sanitized.balanceSheet
+        ? 'Utbytte begrenset til utbyttekapasiteten etter aksjeloven § 8-1; egenkapital tilbakeholdt i planen regnes som annen egenkapital'
+        : 'Selskapet antas å ha nok fri egenkapital til utbyttet (aksjeloven § 8-1 er ikke kontrollert)',
+      'Ingen pensjon i planen'
+    ]
+  };
+}
+
+export default {
+  calculateExtractionPlan
+};
@@ -0,0 +1,190 @@
+/**
+ * Retention Module
+ *
+ * Compares leaving money in the company with paying it out today:
+ * - Net present value: money paid out today is invested privately; money
+ *   kept in the company grows there and is paid out as dividend later, when
+ *   the deferred dividend tax falls due.
+ * - Investing the retained profit in equities inside the AS (fritaksmetoden)
+ *   versus paying it out and investing it in an aksjesparekonto (ASK).
+ *
+ * Simplifications:
+ * - NPV returns are given after tax (company tax inside the AS, personal tax privately)
+ * - Today's dividend tax rate and skjermingsrente apply in all later years
+ * - Skjerming on the operating company's shares and wealth tax are not included
+ *
+ * Sources:
+ * - Skatteetaten: Dividend tax rules (see dividendCalculations.js)
+ * - Lovdata: Skatteloven § 2-38 (fritaksmetoden), § 10-21 (aksjesparekonto)
+ */
+
+import {
+  DEFAULT_OWNER_RESIDENCE,
+  RETENTION_NPV_DEFAULTS,
+  RETENTION_INVESTMENT_DEFAULTS,
+  getTaxRates,
+  getPersonalTaxRate
+} from '../config/taxRates.js';
+
+/**
+ * Calculates the net present value of a scenario's payout and retained profit.
+ *
+ * NPV = (net payout × (1 + private return)^years
+ *        + retained × (1 + company return)^years × (1 - dividend tax rate))
+ *       / (1 + discount rate)^years
+ *
+ * @param {Object} params - Scenario values
+ * @param {number} params.netPayout - Net amount paid to the owner this year
+ * @param {number} params.retainedAfterTax - Profit kept in the company after corporate tax
+ * @param {Object} params.rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {string} params.residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
+ * @param {Object} params.settings - { companyReturn, privateReturn, discountRate, years } (default RETENTION_NPV_DEFAULTS)
+ * @returns {Object} Net present value with its parts
+ */
+export function calculateRetentionNpv({
+  netPayout = 0,
+  retainedAfterTax = 0,
+  rates = getTaxRates(),
+  residence = DEFAULT_OWNER_RESIDENCE,
+  settings = RETENTION_NPV_DEFAULTS
+}) {
+  const { companyReturn, privateReturn, discountRate, years } = { ...RETENTION_NPV_DEFAULTS, ...settings };
+  const dividendTaxRate = getPersonalTaxRate(rates, residence) * rates.dividendGrossUpFactor;
+  const discountFactor = Math.pow(1 + discountRate, years);
+
+  const payoutFutureValue = netPayout * Math.pow(1 + privateReturn, years);
+  const retainedFutureValue = retainedAfterTax * Math.pow(1 + companyReturn, years);
+  const deferredDividendTax = retainedFutureValue * dividendTaxRate;
+
+  const payoutPresentValue = payoutFutureValue / discountFactor;
+  const retainedPresentValue = (retainedFutureValue - deferredDividendTax) / discountFactor;
+  const npv = payoutPresentValue + retainedPresentValue;
+
+  return {
+    npv: Math.round(npv),
+    payoutPresentValue: Math.round(payoutPresentValue),
+    retainedPresentValue: Math.round(retainedPresentValue),
+    retainedFutureValue: Math.round(retainedFutureValue),
+    deferredDividendTax: Math.round(deferredDividendTax),
+    deferredDividendTaxPresentValue: Math.round(deferredDividendTax / discountFactor),
+    settings: { companyReturn, privateReturn, discountRate, years },
+    calculationSteps: [
+      `Netto utbetalt i dag: ${Math.round(netPayout).toLocaleString('nb-NO')} kr, investert privat med ${(privateReturn * 100).toFixed(1)}% i ${years} år = ${Math.round(payoutFutureValue).toLocaleString('nb-NO')} kr`,
+      ...(retainedAfterTax > 0 ? [
+        `Beholdt i selskapet: ${Math.round(retainedAfterTax).toLocaleString('nb-NO')} kr, med ${(companyReturn * 100).toFixed(1)}% avkastning i ${years} år = ${Math.round(retainedFutureValue).toLocaleString('nb-NO')} kr`,
+        `Utsatt utbytteskatt ved utdeling om ${years} år: ${Math.round(retainedFutureValue).toLocaleString('nb-NO')} × ${(dividendTaxRate * 100).toFixed(2)}% = ${Math.round(deferredDividendTax).toLocaleString('nb-NO')} kr`
+      ] : []),
+      `Diskontert med ${(discountRate * 100).toFixed(1)}% per år: nåverdi ${Math.round(npv).toLocaleString('nb-NO')} kr`
+    ]
+  };
+}
+
+/**
+ * Compares investing retained profit in equities inside the company with
+ * paying it out now and investing it privately in an aksjesparekonto.
+ *
+ * In the company, gains are tax-free and dividends received are taxed through
+ * the 3% inclusion of fritaksmetoden. After the period everything is paid to
+ * the owner as dividend.
+ *
+ * Privately, dividend tax is paid now and the rest is deposited in an ASK.
+ * Dividends received in the account are taxed each year; the gain is taxed
+ * on withdrawal after skjerming on the deposit. Unused skjerming is added to
+ * the skjermingsgrunnlag the next year.
+ *
+ * Source: Lovdata - Skatteloven § 2-38 (fritaksmetoden), § 10-21 (aksjesparekonto)
+ * URL: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/aksjer-og-verdipapirer/aksjesparekonto/
+ * Year: Selected tax year (fritaksmetoden and skjermingsrente in the rate file)
+ *
+ * @param {Object} params - Scenario values
+ * @param {number} params.retainedAfterTax - Profit kept in the company after corporate tax
+ * @param {Object} params.rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {string} params.residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
+ * @param {Object} params.settings - { expectedReturn, dividendYield, years } (default RETENTION_INVESTMENT_DEFAULTS)
+ * @returns {Object} Net amount to the owner after the period for both paths
+ */
+export function calculateRetentionInvestment({
+  retainedAfterTax = 0,
+  rates = getTaxRates(),
+  residence = DEFAULT_OWNER_RESIDENCE,
+  settings = RETENTION_INVESTMENT_DEFAULTS
+}) {
+  const { expectedReturn, dividendYield, years } = { ...RETENTION_INVESTMENT_DEFAULTS, ...settings };
+  const dividendTaxRate = getPersonalTaxRate(rates, residence) * rates.dividendGrossUpFactor;
+  const inclusionTaxRate = rates.fritaksmetoden.inclusionRate * rates.corporateTaxRate;
+  const { skjermingRate } = rates;
+
+  // Company: fritaksmetoden on dividends received, gains tax-free
+  let companyValue = retainedAfterTax;
+  let companyTax = 0;
+  // Private: dividend tax now, ASK taxed on dividends and on withdrawal
+  const payoutTax = retainedAfterTax * dividendTaxRate;
+  const deposit = retainedAfterTax - payoutTax;
+  let privateValue = deposit;
+  let privateDividendTax = 0;
+  let skjerming = 0;
+
+  for (let year = 0; year < years; year++) {
+    const companyDividendTax = companyValue * dividendYield * inclusionTaxRate;
+    companyTax += companyDividendTax;
+    companyValue = companyValue * (1 + expectedReturn) - companyDividendTax;
+
+    const askDividendTax = privateValue * dividendYield * dividendTaxRate;
+    privateDividendTax += askDividendTax;
+    privateValue = privateValue * (1 + expectedReturn) - askDividendTax;
+    skjerming += (deposit + skjerming) * skjermingRate;
+  }
+
+  const extractionTax = companyValue * dividendTaxRate;
+  const companyNet = companyValue - extractionTax;
+
+  const gain = Math.max(0, privateValue - deposit);
+  const skjermingUsed = Math.min(gain, skjerming);
+  const withdrawalTax = (gain - skjermingUsed) * dividendTaxRate;
+  const privateNet = privateValue - withdrawalTax;
+
+  const difference = companyNet - privateNet;
+  const fmt = value => Math.round(value).toLocaleString('nb-NO');
+
+  return {
+    company: {
+      invested: Math.round(retainedAfterTax),
+      finalValue: Math.round(companyValue),
+      fritaksmetodenTax: Math.round(companyTax),
+      extractionTax: Math.round(extractionTax),
+      netToOwner: Math.round(companyNet)
+    },
+    private: {
+      payoutTax: Math.round(payoutTax),
+      deposit: Math.round(deposit),
+      finalValue: Math.round(privateValue),
+      dividendTax: Math.round(privateDividendTax),
+      gain: Math.round(gain),
+      skjerming: Math.round(skjerming),
+      skjermingUsed: Math.round(skjermingUsed),
+      withdrawalTax: Math.round(withdrawalTax),
+      netToOwner: Math.round(privateNet)
+    },
+    difference: Math.round(difference),
+    better: difference >= 0 ? 'company' : 'private',
+    settings: { expectedReturn, dividendYield, years },
+    calculationSteps: [
+      `Investert i selskapet: ${fmt(retainedAfterTax)} kr med ${(expectedReturn * 100).toFixed(1)}% avkastning, herav ${(dividendYield * 100).toFixed(1)}% utbytte, i ${years} år`,
+      `Skatt på mottatt utbytte i selskapet (${(rates.fritaksmetoden.inclusionRate * 100).toFixed(0)}% × ${(rates.corporateTaxRate * 100).toFixed(0)}%): ${fmt(companyTax)} kr; gevinst er skattefri (fritaksmetoden)`,
+      `Verdi i selskapet etter ${years} år: ${fmt(companyValue)} kr, utbytteskatt ved utdeling ${(dividendTaxRate * 100).toFixed(2)}% = ${fmt(extractionTax)} kr`,
+      `Netto til eier via selskapet: ${fmt(companyNet)} kr`,
+      `Utdelt nå: utbytteskatt ${fmt(payoutTax)} kr, innskudd på aksjesparekonto ${fmt(deposit)} kr`,
+      `Skatt på utbytte mottatt på aksjesparekontoen (${(dividendTaxRate * 100).toFixed(2)}%): ${fmt(privateDividendTax)} kr`,
+      `Verdi på aksjesparekontoen etter ${years} år: ${fmt(privateValue)} kr, gevinst ${fmt(gain)} kr`,
+      `Skjerming på innskuddet (${(skjermingRate * 100).toFixed(2)}% per år): ${fmt(skjerming)} kr, brukt ${fmt(skjermingUsed)} kr`,
+      `Skatt ved uttak: (${fmt(gain)} - ${fmt(skjermingUsed)}) × ${(dividendTaxRate * 100).toFixed(2)}% = ${fmt(withdrawalTax)} kr`,
+      `Netto til eier via aksjesparekonto: ${fmt(privateNet)} kr`,
+      `${difference >= 0 ? 'Selskapet' : 'Aksjesparekontoen'} gir ${fmt(Math.abs(difference))} kr mer etter ${years} år`
+    ]
+  };
+}
+
+export default {
+  calculateRetentionNpv,
+  calculateRetentionInvestment
+};
@@ -16,17 +16,222 @@
  */
 
 import {
-  CORPORATE_TAX_RATE,
-  EMPLOYER_SOCIAL_SECURITY_RATES,
-  PERSONAL_TAX_RATE,
-  BRACKET_TAX_2025,
-  SOCIAL_SECURITY_RATES,
-  SOCIAL_SECURITY_THRESHOLD,
-  MINSTEFRADRAG,
-  PERSONFRADRAG,
   OTP_MIN_RATE,
-  GRUNNBELOPET
+  SOCIAL_SECURITY_AGE_LIMITS,
+  OTP_AGE_LIMITS,
+  AGA_FRIBELOP_ZONES,
+  AGA_FRIBELOP_FULL_RATE_ZONE,
+  DEFAULT_TAX_YEAR,
+  DEFAULT_OWNER_RESIDENCE,
+  OWNER_RESIDENCE_DESCRIPTIONS,
+  getTaxRates,
+  getPersonalTaxRate
 } from '../config/taxRates.js';
+import {
+  calculateEmployeePensionSaving,
+  calculateIpsDeduction,
+  calculatePensionSummary
+} from './pensionCalculations.js';
+import { calculatePersonalDeductions, describePersonalDeductions } from './deductionCalculations.js';
+import { calculateCorporateTax, describeLossCarryforward } from './dividendCalculations.js';
+
+/**
+ * Calculates the owner's age in a tax year.
+ * 
+ * Norwegian age limits for trygdeavgift and OTP use the age reached during
+ * the income year, so only the birth year is needed.
+ * 
+ * @param {number|null} birthYear - Owner birth year (null if unknown)
+ * @param {number} taxYear - Tax year (inntektsår)
+ * @returns {number|null} Age reached in the tax year, or null if unknown
+ */
+export function calculateOwnerAge(birthYear, taxYear) {
+  if (birthYear === undefined || birthYear === null) {
+    return null;
+  }
+  return taxYear - birthYear;
+}
+
+/**
+ * Checks whether salary is charged the low trygdeavgift rate for the age.
+ * 
+ * Source: Skatteetaten - "Trygdeavgift"
+ * URL: https://www.skatteetaten.no/satser/trygdeavgift/
+ * 
+ * @param {number|null} age - Age reached in the tax year (null if unknown)
+ * @returns {boolean} True for persons under 17 or over 69
+ */
+export function isLowSocialSecurityRateAge(age) {
+  if (age === null) {
+    return false;
+  }
+  return age < SOCIAL_SECURITY_AGE_LIMITS.lowRateBelowAge || age > SOCIAL_SECURITY_AGE_LIMITS.lowRateAboveAge;
+}
+
+/**
+ * Checks whether the owner is covered by mandatory occupational pension (OTP).
+ * 
+ * Source: Lovdata - Lov om obligatorisk tjenestepensjon
+ * URL: https://lovdata.no/dokument/NL/lov/2005-12-21-124
+ * 
+ * @param {number|null} age - Age reached in the tax year (null if unknown)
+ * @returns {boolean} True if OTP contributions apply (assumed when age is unknown)
+ */
+export function isOtpEligible(age) {
+  if (age === null) {
+    return true;
+  }
+  return age >= OTP_AGE_LIMITS.minimumAge && age <= OTP_AGE_LIMITS.maximumAge;
+}
+
+/**
+ * Describes the age-dependent rules used in a scenario, for the assumptions list.
+ * 
+ * @param {number|null} age - Age reached in the tax year (null if unknown)
+ * @param {Object} rates - Rate set from getTaxRates
+ * @returns {string[]} Assumption texts
+ */
+export function describeOwnerAge(age, rates) {
+  const { lowRateBelowAge, lowRateAboveAge } = SOCIAL_SECURITY_AGE_LIMITS;
+  
+  if (age === null) {
+    return [`Personen er mellom ${lowRateBelowAge} og ${lowRateAboveAge} år (fødselsår ikke oppgitt)`];
+  }
+  
+  const assumptions = [];
+  
+  if (isLowSocialSecurityRateAge(age)) {
+    assumptions.push(`Eier er ${age} år i ${rates.taxYear}: lav sats for trygdeavgift (${(rates.socialSecurityRates.pension * 100).toFixed(1)}%)`);
+  } else {
+    assumptions.push(`Eier er ${age} år i ${rates.taxYear}: ordinær sats for trygdeavgift (${(rates.socialSecurityRates.salary * 100).toFixed(1)}%)`);
+  }
+  
+  if (!isOtpEligible(age)) {
+    assumptions.push(`Eier omfattes ikke av OTP (${OTP_AGE_LIMITS.minimumAge}-${OTP_AGE_LIMITS.maximumAge} år): ingen pensjonsinnskudd`);
+  }
+  
+  return assumptions;
+}
+
+/**
+ * Calculates employer's social security contribution (arbeidsgiveravgift).
+ * 
+ * In zones 1a and 4a the reduced rate only applies until the AGA saved
+ * compared to the zone 1 rate reaches the yearly fribeløp. The rest of the
+ * base is charged the zone 1 rate. Other zones use their flat rate.
+ * 
+ * Source: Skatteetaten - "Arbeidsgiveravgift"
+ * URL: https://www.skatteetaten.no/satser/arbeidsgiveravgift/
+ * Year: Selected tax year (see getTaxRates)
+ * 
+ * @param {number} base - AGA base (salary and other payments subject to AGA)
+ * @param {string} zone - Employer zone
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {number} fribelopUsed - Fribeløp already used this year (AGA saved on other payments)
+ * @returns {Object} AGA amount with fribeløp breakdown
+ */
+export function calculateEmployerAGA(base, zone, rates = getTaxRates(), fribelopUsed = 0) {
+  const agaRate = rates.employerSocialSecurityRates[zone];
+  
+  if (agaRate === undefined) {
+    throw new Error(`Invalid employer zone: ${zone}. Cannot calculate without valid zone.`);
+  }
+  
+  if (!AGA_FRIBELOP_ZONES.includes(zone)) {
+    const employerAGA = base * agaRate;
+    return {
+      employerAGA,
+      agaRate,
+      fribelopApplies: false,
+      fribelopUsed: 0,
+      fribelopRemaining: null,
+      calculationSteps: [
+        `Arbeidsgiveravgift: ${Math.round(base).toLocaleString('nb-NO')} × ${(agaRate * 100).toFixed(1)}% = ${Math.round(employerAGA).toLocaleString('nb-NO')} kr`
+      ]
+    };
+  }
+  
+  const fullRate = rates.employerSocialSecurityRates[AGA_FRIBELOP_FULL_RATE_ZONE];
+  const savingPerKrone = Math.max(0, fullRate - agaRate);
+  const remainingBefore = Math.max(0, rates.agaFribelop - fribelopUsed);
+  
+  // Base that can be charged the reduced rate before the fribeløp is used up
+  const reducedBase = savingPerKrone > 0 ? Math.min(base, remainingBefore / savingPerKrone) : base;
+  const fullBase = base - reducedBase;
+  const employerAGA = reducedBase * agaRate + fullBase * fullRate;
+  const saved = reducedBase * savingPerKrone;
+  
+  const steps = [
+    `Fribeløp: ${rates.agaFribelop.toLocaleString('nb-NO')} kr - brukt tidligere: ${Math.round(fribelopUsed).toLocaleString('nb-NO')} kr = ${Math.round(remainingBefore).toLocaleString('nb-NO')} kr igjen`,
+    `Redusert sats ${(agaRate * 100).toFixed(1)}% på ${Math.round(reducedBase).toLocaleString('nb-NO')} kr (besparelse ${Math.round(saved).toLocaleString('nb-NO')} kr)`
+  ];
+  if (fullBase > 0) {
+    steps.push(`Fribeløpet er brukt opp: sone ${AGA_FRIBELOP_FULL_RATE_ZONE}-sats ${(fullRate * 100).toFixed(1)}% på ${Math.round(fullBase).toLocaleString('nb-NO')} kr`);
+  }
+  steps.push(`Arbeidsgiveravgift: ${Math.round(employerAGA).toLocaleString('nb-NO')} kr`);
+  
+  return {
+    employerAGA,
+    agaRate: base > 0 ? employerAGA / base : agaRate,
+    fribelopApplies: true,
+    fribelopUsed: saved,
+    fribelopRemaining: remainingBefore - saved,
+    calculationSteps: steps
+  };
+}
+
+/**
+ * Calculates the OTP contribution (innskudd) on a salary.
+ * 
+ * Contributions are only paid on the part of the salary inside the OTP
+ * salary band (otpSalaryBand, in G). Salary above the upper limit of 12G
+ * gives no contribution. An innskuddspensjon scheme may add an additional
+ * contribution on salary between 7.1G and 12G (pensionLimits).
+ * 
+ * Source: Lovdata - Lov om obligatorisk tjenestepensjon § 4; innskuddspensjonsloven § 5-2
+ * URL: https://lovdata.no/dokument/NL/lov/2005-12-21-124
+ * Year: Selected tax year (band, limits and G in the rate file)
+ * 
+ * @param {number} grossSalary - Gross salary amount
+ * @param {number} pensionRate - Contribution rate (default OTP minimum 2%)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {number} additionalRate - Additional contribution rate between 7.1G and 12G (default 0)
+ * @returns {Object} Contribution with the salary band used
+ */
+export function calculateOtpContribution(grossSalary, pensionRate = OTP_MIN_RATE, rates = getTaxRates(), additionalRate = 0) {
+  const { lowerLimitG, upperLimitG } = rates.otpSalaryBand;
+  const lowerLimit = lowerLimitG * rates.grunnbelopet;
+  const upperLimit = upperLimitG * rates.grunnbelopet;
+  const pensionBase = Math.max(0, Math.min(grossSalary, upperLimit) - lowerLimit);
+  const additionalLowerLimit = rates.pensionLimits.additionalLowerLimitG * rates.grunnbelopet;
+  const additionalBase = Math.max(0, Math.min(grossSalary, upperLimit) - additionalLowerLimit);
+  const ordinaryContribution = pensionBase * pensionRate;
+  const additionalContribution = additionalBase * additionalRate;
+  const contribution = ordinaryContribution + additionalContribution;
+  
+  const calculationSteps = [
+    `Pensjonsgrunnlag: lønn mellom ${lowerLimitG}G (${Math.round(lowerLimit).toLocaleString('nb-NO')} kr) og ${upperLimitG}G (${Math.round(upperLimit).toLocaleString('nb-NO')} kr) = ${Math.round(pensionBase).toLocaleString('nb-NO')} kr`,
+    `Innskudd: ${Math.round(pensionBase).toLocaleString('nb-NO')} × ${(pensionRate * 100).toFixed(1)}% = ${Math.round(ordinaryContribution).toLocaleString('nb-NO')} kr`
+  ];
+  if (additionalRate > 0) {
+    calculationSteps.push(
+      `Tilleggsinnskudd: lønn mellom ${rates.pensionLimits.additionalLowerLimitG}G og ${upperLimitG}G = ${Math.round(additionalBase).toLocaleString('nb-NO')} kr × ${(additionalRate * 100).toFixed(1)}% = ${Math.round(additionalContribution).toLocaleString('nb-NO')} kr`
+    );
+  }
+  
+  return {
+    contribution,
+    ordinaryContribution,
+    additionalContribution,
+    pensionBase,
+    additionalBase,
+    pensionRate,
+    additionalRate,
+    lowerLimit,
+    upperLimit,
+    calculationSteps
+  };
+}
 
 /**
  * Calculates the maximum gross salary that can be paid from a given profit.
@@ -36,50 +241,115 @@ import {
  *          Profit = Gross Salary × (1 + AGA rate)
  *          Gross Salary = Profit / (1 + AGA rate)
  * 
+ * In zones 1a and 4a the AGA rate steps up to the zone 1 rate once the
+ * fribeløp is used up, so the part of the amount above that point is divided
+ * by (1 + zone 1 rate) instead.
+ * 
+ * With pension, the OTP contribution (on the salary band only) and the AGA
+ * on the contribution also come out of the amount. The cost is then no
+ * longer a fixed factor of the salary, so the salary is found by bisection.
+ * Salary, AGA, contribution and AGA on the contribution are all deductible
+ * for the company, so none of it is subject to corporate tax.
+ * 
  * @param {number} availableAmount - Amount available for salary extraction
  * @param {string} zone - Employer zone for social security calculation
  * @param {boolean} includePension - Whether to include OTP contribution
  * @param {number} pensionRate - OTP rate (default 2%)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {number} fribelopUsed - AGA fribeløp already used by other employees this year
+ * @param {number} additionalRate - Additional pension contribution rate between 7.1G and 12G
  * @returns {Object} Calculation breakdown
  */
-export function calculateMaxGrossSalary(availableAmount, zone, includePension = false, pensionRate = OTP_MIN_RATE) {
+export function calculateMaxGrossSalary(availableAmount, zone, includePension = false, pensionRate = OTP_MIN_RATE, rates = getTaxRates(), fribelopUsed = 0, additionalRate = 0) {
   // Step 1: Get the employer's social security rate for the zone
-  const agaRate = EMPLOYER_SOCIAL_SECURITY_RATES[zone];
+  const agaRate = rates.employerSocialSecurityRates[zone];
   
   if (agaRate === undefined) {
     throw new Error(`Invalid employer zone: ${zone}. Cannot calculate without valid zone.`);
   }
   
-  // Step 2: Calculate pension contribution factor if applicable
-  // Pension is calculated on salary between 1G and 12G
-  const pensionFactor = includePension ? pensionRate : 0;
+  // Step 2: Calculate maximum gross salary
+  let grossSalary;
+  if (!includePension) {
+    // AGA base = salary; total cost = base + AGA on base
+    grossSalary = availableAmount / (1 + agaRate);
+    if (AGA_FRIBELOP_ZONES.includes(zone)) {
+      const fullRate = rates.employerSocialSecurityRates[AGA_FRIBELOP_FULL_RATE_ZONE];
+      const savingPerKrone = fullRate - agaRate;
+      const reducedBaseLimit = savingPerKrone > 0 ? Math.max(0, rates.agaFribelop - fribelopUsed) / savingPerKrone : Infinity;
+      if (grossSalary > reducedBaseLimit) {
+        grossSalary = reducedBaseLimit + (availableAmount - reducedBaseLimit * (1 + agaRate)) / (1 + fullRate);
+      }
+    }
+  } else {
+    // Total cost = salary + contribution + AGA on both, increasing in the salary
+    const totalCost = salary => {
+      const contribution = calculateOtpContribution(salary, pensionRate, rates, additionalRate).contribution;
+      return salary + contribution + calculateEmployerAGA(salary + contribution, zone, rates, fribelopUsed).employerAGA;
+    };
+    let low = 0;
+    let high = availableAmount;
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (totalCost(mid) > availableAmount) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    grossSalary = low;
+  }
   
-  // Step 3: Calculate the divisor
-  // Total cost = Salary × (1 + AGA rate + pension rate)
-  // Note: Pension contribution also attracts employer's AGA
-  const totalCostFactor = 1 + agaRate + pensionFactor * (1 + agaRate);
+  // Step 3: Calculate employer costs
+  // The salary uses the fribeløp first, the pension contribution gets what is left
+  const salaryAGA = calculateEmployerAGA(grossSalary, zone, rates, fribelopUsed);
+  const employerAGA = salaryAGA.employerAGA;
+  const otp = includePension ? calculateOtpContribution(grossSalary, pensionRate, rates, additionalRate) : null;
+  const pensionContribution = otp ? otp.contribution : 0;
+  const pensionAGACalc = calculateEmployerAGA(pensionContribution, zone, rates, fribelopUsed + salaryAGA.fribelopUsed);
+  const pensionAGA = pensionAGACalc.employerAGA;
   
-  // Step 4: Calculate maximum gross salary
-  const grossSalary = availableAmount / totalCostFactor;
+  const calculationSteps = [
+    `1. Arbeidsgiveravgiftssats for sone ${zone}: ${(agaRate * 100).toFixed(1)}%`,
+    otp
+      ? `2. Pensjon (OTP): ${(pensionRate * 100).toFixed(1)}% av lønn mellom ${rates.otpSalaryBand.lowerLimitG}G og ${rates.otpSalaryBand.upperLimitG}G, med arbeidsgiveravgift på innskuddet`
+      : '2. Pensjonssats: 0.0%'
+  ];
   
-  // Step 5: Calculate employer costs
-  const employerAGA = grossSalary * agaRate;
-  const pensionContribution = includePension ? grossSalary * pensionRate : 0;
-  const pensionAGA = pensionContribution * agaRate;
+  if (otp || salaryAGA.fribelopApplies) {
+    calculationSteps.push(
+      salaryAGA.fribelopApplies
+        ? `3. Fribeløp i sone ${zone}: redusert sats til besparelsen når ${rates.agaFribelop.toLocaleString('nb-NO')} kr, deretter sone ${AGA_FRIBELOP_FULL_RATE_ZONE}-sats`
+        : `3. Lønn + pensjonsinnskudd + arbeidsgiveravgift = ${availableAmount.toLocaleString('nb-NO')} kr`,
+      `4. Maksimal bruttolønn: ${Math.round(grossSalary).toLocaleString('nb-NO')} kr`,
+      ...salaryAGA.calculationSteps.map((step, index) => `5${String.fromCharCode(97 + index)}. ${step}`)
+    );
+  } else {
+    const totalCostFactor = 1 + agaRate;
+    calculationSteps.push(
+      `3. Total kostnadsfaktor: ${totalCostFactor.toFixed(4)}`,
+      `4. Maksimal bruttolønn: ${availableAmount.toLocaleString('nb-NO')} / ${totalCostFactor.toFixed(4)} = ${Math.round(grossSalary).toLocaleString('nb-NO')} kr`,
+      `5. Arbeidsgiveravgift: ${Math.round(grossSalary).toLocaleString('nb-NO')} × ${(agaRate * 100).toFixed(1)}% = ${Math.round(employerAGA).toLocaleString('nb-NO')} kr`
+    );
+  }
   
   return {
     grossSalary: Math.round(grossSalary),
     employerAGA: Math.round(employerAGA),
     pensionContribution: Math.round(pensionContribution),
     pensionAGA: Math.round(pensionAGA),
+    pensionBase: otp ? Math.round(otp.pensionBase) : 0,
     totalEmployerCost: Math.round(grossSalary + employerAGA + pensionContribution + pensionAGA),
-    calculationSteps: [
-      `1. Arbeidsgiveravgiftssats for sone ${zone}: ${(agaRate * 100).toFixed(1)}%`,
-      `2. Pensjonssats: ${(pensionFactor * 100).toFixed(1)}%`,
-      `3. Total kostnadsfaktor: ${totalCostFactor.toFixed(4)}`,
-      `4. Maksimal bruttolønn: ${availableAmount.toLocaleString('nb-NO')} / ${totalCostFactor.toFixed(4)} = ${Math.round(grossSalary).toLocaleString('nb-NO')} kr`,
-      `5. Arbeidsgiveravgift: ${Math.round(grossSalary).toLocaleString('nb-NO')} × ${(agaRate * 100).toFixed(1)}% = ${Math.round(employerAGA).toLocaleString('nb-NO')} kr`
-    ]
+    fribelopApplies: salaryAGA.fribelopApplies,
+    fribelopRemaining: pensionAGACalc.fribelopApplies ? Math.round(pensionAGACalc.fribelopRemaining) : null,
+    calculationSteps,
+    pensionCalculationSteps: otp
+      ? [
+          ...otp.calculationSteps,
+          `Arbeidsgiveravgift på innskuddet: ${Math.round(pensionAGA).toLocaleString('nb-NO')} kr`,
+          `Fradragsført i selskapet før selskapsskatt: ${Math.round(pensionContribution + pensionAGA).toLocaleString('nb-NO')} kr (ingen selskapsskatt på beløpet)`
+        ]
+      : []
   };
 }
 
@@ -88,16 +358,22 @@ export function calculateMaxGrossSalary(availableAmount, zone, includePension =
  * 
  * Trinnskatt is a progressive tax on gross personal income (personinntekt).
  * Each bracket only applies to income above the threshold.
+ * Residents of the tiltakssone (Finnmark and Nord-Troms) pay a reduced
+ * rate in step 3.
  * 
  * Source: Skatteetaten - "Trinnskatt"
  * URL: https://www.skatteetaten.no/satser/trinnskatt/
- * Year: 2025
+ * Year: Selected tax year (see getTaxRates)
  * 
  * @param {number} grossSalary - Gross salary amount
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {string} residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
  * @returns {Object} Bracket tax breakdown by step
  */
-export function calculateBracketTax(grossSalary) {
-  const brackets = BRACKET_TAX_2025;
+export function calculateBracketTax(grossSalary, rates = getTaxRates(), residence = DEFAULT_OWNER_RESIDENCE) {
+  const brackets = residence === 'tiltakssone'
+    ? rates.bracketTax.map((bracket, index) => index === 2 ? { ...bracket, rate: rates.tiltakssone.bracketStep3Rate } : bracket)
+    : rates.bracketTax;
   const breakdown = [];
   let totalBracketTax = 0;
   let previousThreshold = 0;
@@ -119,7 +395,7 @@ export function calculateBracketTax(grossSalary) {
         rate: bracket.rate,
         taxableAmount: Math.round(taxableInBracket),
         tax: Math.round(taxInBracket),
-        description: `Trinn ${i + 1}: (${Math.round(taxableInBracket).toLocaleString('nb-NO')} kr) × ${(bracket.rate * 100).toFixed(1)}% = ${Math.round(taxInBracket).toLocaleString('nb-NO')} kr`
+        description: `Trinn ${i + 1}${brackets[i] !== rates.bracketTax[i] ? ' (tiltakssonen)' : ''}: (${Math.round(taxableInBracket).toLocaleString('nb-NO')} kr) × ${(bracket.rate * 100).toFixed(1)}% = ${Math.round(taxInBracket).toLocaleString('nb-NO')} kr`
       });
     }
     
@@ -137,19 +413,30 @@ export function calculateBracketTax(grossSalary) {
  * Calculates social security contribution (trygdeavgift) on salary.
  * 
  * Trygdeavgift is deducted from the employee's gross salary.
- * Rate for salary income: 7.8%
+ * Rate for salary income: 7.7% (2025)
+ * Persons under 17 or over 69 pay the low rate (the pension income rate).
  * No contribution on income below the threshold.
  * 
+ * Opptrappingsregelen (phase-in rule): the contribution can never exceed 25%
+ * of the income above the threshold. Just above the threshold the capped
+ * amount applies; the ordinary rate takes over once
+ * salary × rate ≤ (salary − threshold) × 25%, i.e. from
+ * threshold × 25% / (25% − rate) (about 144 000 kr in 2025).
+ * 
  * Source: Skatteetaten - "Trygdeavgift"
  * URL: https://www.skatteetaten.no/satser/trygdeavgift/
- * Year: 2025
+ * Year: Selected tax year (see getTaxRates)
  * 
  * @param {number} grossSalary - Gross salary amount
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {number|null} age - Owner age in the tax year (null: ordinary rate)
  * @returns {Object} Social security contribution breakdown
  */
-export function calculateSocialSecurityContribution(grossSalary) {
-  const rate = SOCIAL_SECURITY_RATES.salary;
-  const threshold = SOCIAL_SECURITY_THRESHOLD;
+export function calculateSocialSecurityContribution(grossSalary, rates = getTaxRates(), age = null) {
+  const lowRate = isLowSocialSecurityRateAge(age);
+  const rate = lowRate ? rates.socialSecurityRates.pension : rates.socialSecurityRates.salary;
+  const threshold = rates.socialSecurityThreshold;
+  const phaseInRate = rates.socialSecurityPhaseInRate;
   
   // No contribution on income below threshold
   if (grossSalary <= threshold) {
@@ -157,6 +444,7 @@ export function calculateSocialSecurityContribution(grossSalary) {
       contribution: 0,
       rate: rate,
       taxableBase: 0,
+      phaseInApplied: false,
       calculationSteps: [
         `Bruttoinntekt (${grossSalary.toLocaleString('nb-NO')} kr) er under terskelverdi (${threshold.toLocaleString('nb-NO')} kr)`,
         `Trygdeavgift: 0 kr`
@@ -164,17 +452,33 @@ export function calculateSocialSecurityContribution(grossSalary) {
     };
   }
   
-  // Full contribution on entire salary (not just amount above threshold)
-  const contribution = grossSalary * rate;
+  // Ordinary contribution on entire salary (not just amount above threshold)
+  const ordinaryContribution = grossSalary * rate;
+  
+  // Opptrappingsregelen: at most 25% of the income above the threshold
+  const phaseInCap = (grossSalary - threshold) * phaseInRate;
+  const phaseInApplied = phaseInCap < ordinaryContribution;
+  const contribution = Math.min(ordinaryContribution, phaseInCap);
+  
+  const calculationSteps = [
+    lowRate
+      ? `Lav trygdeavgiftssats (${age} år, under ${SOCIAL_SECURITY_AGE_LIMITS.lowRateBelowAge} eller over ${SOCIAL_SECURITY_AGE_LIMITS.lowRateAboveAge}): ${(rate * 100).toFixed(1)}%`
+      : `Trygdeavgiftssats for lønn: ${(rate * 100).toFixed(1)}%`,
+    `Ordinær trygdeavgift: ${grossSalary.toLocaleString('nb-NO')} × ${(rate * 100).toFixed(1)}% = ${Math.round(ordinaryContribution).toLocaleString('nb-NO')} kr`,
+    `Opptrappingsregelen: maks ${(phaseInRate * 100).toFixed(0)}% × (${grossSalary.toLocaleString('nb-NO')} - ${threshold.toLocaleString('nb-NO')}) = ${Math.round(phaseInCap).toLocaleString('nb-NO')} kr`
+  ];
+  
+  calculationSteps.push(phaseInApplied
+    ? `Trygdeavgift begrenset av opptrappingsregelen: ${Math.round(contribution).toLocaleString('nb-NO')} kr`
+    : `Trygdeavgift: ${Math.round(contribution).toLocaleString('nb-NO')} kr`);
   
   return {
     contribution: Math.round(contribution),
     rate: rate,
     taxableBase: grossSalary,
-    calculationSteps: [
-      `Trygdeavgiftssats for lønn: ${(rate * 100).toFixed(1)}%`,
-      `Trygdeavgift: ${grossSalary.toLocaleString('nb-NO')} × ${(rate * 100).toFixed(1)}% = ${Math.round(contribution).toLocaleString('nb-NO')} kr`
-    ]
+    phaseInApplied,
+    phaseInCap: Math.round(phaseInCap),
+    calculationSteps
   };
 }
 
@@ -186,13 +490,14 @@ export function calculateSocialSecurityContribution(grossSalary) {
  * 
  * Source: Skatteetaten - "Minstefradrag"
  * URL: https://www.skatteetaten.no/satser/minstefradrag/
- * Year: 2025
+ * Year: Selected tax year (see getTaxRates)
  * 
  * @param {number} grossSalary - Gross salary amount
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
  * @returns {Object} Minstefradrag calculation
  */
-export function calculateMinstefradrag(grossSalary) {
-  const { rate, minimum, maximum } = MINSTEFRADRAG;
+export function calculateMinstefradrag(grossSalary, rates = getTaxRates()) {
+  const { rate, minimum, maximum } = rates.minstefradrag;
   
   // Calculate standard deduction
   let minstefradrag = grossSalary * rate;
@@ -222,37 +527,240 @@ export function calculateMinstefradrag(grossSalary) {
  * Tax is calculated on net income after deductions:
  * - Minstefradrag (minimum standard deduction)
  * - Personfradrag (personal allowance)
+ * - Finnmarksfradrag (residents of the tiltakssone only)
+ * - Additional deductions, e.g. own pension saving (EPK) and IPS
+ * 
+ * Residents of the tiltakssone (Finnmark and Nord-Troms) pay a reduced rate
+ * on alminnelig inntekt.
  * 
- * Source: Skatteetaten - "Skatt på alminnelig inntekt"
+ * Additional deductions larger than the income left after the standard
+ * deductions are returned as unusedDeductions, so callers can set them
+ * against other alminnelig inntekt such as dividends.
+ * 
+ * Source: Skatteetaten - "Skatt på alminnelig inntekt", "Finnmarksfradrag"
  * URL: https://www.skatteetaten.no/satser/skatt-pa-alminnelig-inntekt/
- * Year: 2025
+ * URL: https://www.skatteetaten.no/satser/finnmarksfradrag/
+ * Year: Selected tax year (see getTaxRates)
  * 
  * @param {number} grossSalary - Gross salary amount
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {string} residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
+ * @param {Object[]} additionalDeductions - Extra deductions in alminnelig inntekt ({ description, amount })
  * @returns {Object} Income tax calculation
  */
-export function calculateIncomeTax(grossSalary) {
+export function calculateIncomeTax(grossSalary, rates = getTaxRates(), residence = DEFAULT_OWNER_RESIDENCE, additionalDeductions = []) {
+  const { personfradrag } = rates;
+  const personalTaxRate = getPersonalTaxRate(rates, residence);
+  const finnmarksfradrag = residence === 'tiltakssone' ? rates.tiltakssone.finnmarksfradrag : 0;
+  const extraDeductions = additionalDeductions.filter(deduction => deduction.amount > 0);
+  const totalAdditionalDeductions = extraDeductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+  
   // Step 1: Calculate minstefradrag
-  const minstefradragResult = calculateMinstefradrag(grossSalary);
+  const minstefradragResult = calculateMinstefradrag(grossSalary, rates);
   const minstefradrag = minstefradragResult.minstefradrag;
   
   // Step 2: Calculate taxable income (alminnelig inntekt)
-  const taxableIncome = Math.max(0, grossSalary - minstefradrag - PERSONFRADRAG);
+  const incomeBeforeAdditional = Math.max(0, grossSalary - minstefradrag - personfradrag - finnmarksfradrag);
+  const taxableIncome = Math.max(0, incomeBeforeAdditional - totalAdditionalDeductions);
+  const unusedDeductions = Math.max(0, totalAdditionalDeductions - incomeBeforeAdditional);
   
   // Step 3: Calculate income tax
-  const incomeTax = taxableIncome * PERSONAL_TAX_RATE;
+  const incomeTax = taxableIncome * personalTaxRate;
+  
+  const deductions = [minstefradrag, personfradrag, ...(finnmarksfradrag > 0 ? [finnmarksfradrag] : []), ...extraDeductions.map(deduction => Math.round(deduction.amount))]
+    .map(amount => amount.toLocaleString('nb-NO'));
   
   return {
     incomeTax: Math.round(incomeTax),
     taxableIncome: Math.round(taxableIncome),
     minstefradrag: minstefradrag,
-    personfradrag: PERSONFRADRAG,
-    rate: PERSONAL_TAX_RATE,
+    personfradrag: personfradrag,
+    finnmarksfradrag: finnmarksfradrag,
+    additionalDeductions: Math.round(totalAdditionalDeductions),
+    unusedDeductions: Math.round(unusedDeductions),
+    rate: personalTaxRate,
     calculationSteps: [
       `Bruttolønn: ${grossSalary.toLocaleString('nb-NO')} kr`,
       `Minstefradrag: ${minstefradrag.toLocaleString('nb-NO')} kr`,
-      `Personfradrag: ${PERSONFRADRAG.toLocaleString('nb-NO')} kr`,
-      `Alminnelig inntekt: ${grossSalary.toLocaleString('nb-NO')} - ${minstefradrag.toLocaleString('nb-NO')} - ${PERSONFRADRAG.toLocaleString('nb-NO')} = ${Math.round(taxableIncome).toLocaleString('nb-NO')} kr`,
-      `Inntektsskatt: ${Math.round(taxableIncome).toLocaleString('nb-NO')} × ${(PERSONAL_TAX_RATE * 100)}% = ${Math.round(incomeTax).toLocaleString('nb-NO')} kr`
+      `Personfradrag: ${personfradrag.toLocaleString('nb-NO')} kr`,
+      ...(finnmarksfradrag > 0 ? [`Finnmarksfradrag: ${finnmarksfradrag.toLocaleString('nb-NO')} kr`] : []),
+      ...extraDeductions.map(deduction => `${deduction.description}: ${Math.round(deduction.amount).toLocaleString('nb-NO')} kr`),
+      `Alminnelig inntekt: ${[grossSalary.toLocaleString('nb-NO'), ...deductions].join(' - ')} = ${Math.round(taxableIncome).toLocaleString('nb-NO')} kr`,
+      ...(unusedDeductions > 0 ? [`Fradrag som ikke kan brukes mot lønn: ${Math.round(unusedDeductions).toLocaleString('nb-NO')} kr`] : []),
+      `Inntektsskatt: ${Math.round(taxableIncome).toLocaleString('nb-NO')} × ${(personalTaxRate * 100)}%${residence === 'tiltakssone' ? ' (tiltakssonen)' : ''} = ${Math.round(incomeTax).toLocaleString('nb-NO')} kr`
+    ]
+  };
+}
+
+/**
+ * Calculates minstefradrag on pension income.
+ * 
+ * Pension has its own rate and maximum. Together with minstefradrag in wage
+ * income it cannot exceed the maximum for wage income (see
+ * calculatePersonalIncomeTax).
+ * 
+ * Source: Skatteetaten - "Minstefradrag"; Skatteloven § 6-32
+ * URL: https://www.skatteetaten.no/satser/minstefradrag/
+ * Year: Selected tax year (pensionMinstefradrag in the rate file)
+ * 
+ * @param {number} pensionIncome - Pension income (alderspensjon, uføretrygd, AFP)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @returns {Object} Minstefradrag on pension income
+ */
+export function calculatePensionMinstefradrag(pensionIncome, rates = getTaxRates()) {
+  const { rate, minimum, maximum } = rates.pensionMinstefradrag;
+  const minstefradrag = Math.min(Math.max(pensionIncome * rate, minimum), maximum, pensionIncome);
+  
+  return {
+    minstefradrag: Math.round(Math.max(0, minstefradrag)),
+    rate,
+    minimum,
+    maximum
+  };
+}
+
+/**
+ * Checks whether the owner has any income or expenses outside the company.
+ * 
+ * @param {Object|null} otherIncome - { salary, pension, capitalIncome, capitalExpenses } (see validateOtherIncome)
+ * @returns {boolean} True if any amount is above zero
+ */
+export function hasOtherIncome(otherIncome) {
+  return Boolean(otherIncome) && ['salary', 'pension', 'capitalIncome', 'capitalExpenses'].some(field => otherIncome[field] > 0);
+}
+
+/**
+ * Describes the owner's other income for the assumptions list.
+ * 
+ * @param {Object|null} otherIncome - { salary, pension, capitalIncome, capitalExpenses }
+ * @returns {string} Assumption text
+ */
+export function describeOtherIncome(otherIncome) {
+  if (!hasOtherIncome(otherIncome)) {
+    return 'Ingen andre inntektskilder';
+  }
+  
+  const parts = [
+    ['lønn fra andre arbeidsgivere', otherIncome.salary],
+    ['pensjon', otherIncome.pension],
+    ['kapitalinntekt', otherIncome.capitalIncome],
+    ['kapitalkostnader', otherIncome.capitalExpenses]
+  ].filter(([, amount]) => amount > 0);
+  
+  return `Annen inntekt: ${parts.map(([label, amount]) => `${label} ${Math.round(amount).toLocaleString('nb-NO')} kr`).join(', ')}`;
+}
+
+/**
+ * Calculates the owner's personal tax on salary from the company together
+ * with income outside the company.
+ * 
+ * - Salary from other employers is wage income like the company salary
+ * - Pension is personinntekt with the lower trygdeavgift rate and its own minstefradrag
+ * - Both count in the trinnskatt base, and opptrappingsregelen applies to the total
+ * - Capital income is added to alminnelig inntekt; capital expenses such as
+ *   mortgage interest are deducted there. Capital expenses and additional
+ *   deductions left over are returned as unusedDeductions
+ * 
+ * Source: Skatteetaten - "Trygdeavgift", "Trinnskatt", "Minstefradrag", "Skatt på alminnelig inntekt"
+ * URL: https://www.skatteetaten.no/satser/
+ * Year: Selected tax year (see getTaxRates)
+ * 
+ * @param {number} companySalary - Gross salary from the company
+ * @param {Object} otherIncome - { salary, pension, capitalIncome, capitalExpenses } (default none)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {string} residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
+ * @param {number|null} age - Owner age in the tax year (null if unknown)
+ * @param {Object[]} additionalDeductions - Extra deductions in alminnelig inntekt ({ description, amount })
+ * @returns {Object} Trygdeavgift, trinnskatt and income tax on the total income
+ */
+export function calculatePersonalIncomeTax(companySalary, otherIncome = {}, rates = getTaxRates(), residence = DEFAULT_OWNER_RESIDENCE, age = null, additionalDeductions = []) {
+  const { salary = 0, pension = 0, capitalIncome = 0, capitalExpenses = 0 } = otherIncome || {};
+  const wageIncome = companySalary + salary;
+  const personinntekt = wageIncome + pension;
+  const threshold = rates.socialSecurityThreshold;
+  
+  // Trygdeavgift: wage and pension at their own rates, capped together by opptrappingsregelen
+  const wageRate = isLowSocialSecurityRateAge(age) ? rates.socialSecurityRates.pension : rates.socialSecurityRates.salary;
+  const ordinaryContribution = wageIncome * wageRate + pension * rates.socialSecurityRates.pension;
+  const trygdeavgift = personinntekt <= threshold
+    ? 0
+    : Math.min(ordinaryContribution, (personinntekt - threshold) * rates.socialSecurityPhaseInRate);
+  
+  const trinnskatt = calculateBracketTax(personinntekt, rates, residence).totalBracketTax;
+  
+  // Minstefradrag is calculated for wage and pension separately, within the wage maximum in total
+  const minstefradrag = Math.min(
+    calculateMinstefradrag(wageIncome, rates).minstefradrag + calculatePensionMinstefradrag(pension, rates).minstefradrag,
+    rates.minstefradrag.maximum
+  );
+  
+  // Additional deductions are used before capital expenses
+  const finnmarksfradrag = residence === 'tiltakssone' ? rates.tiltakssone.finnmarksfradrag : 0;
+  const ownDeductions = additionalDeductions.reduce((sum, deduction) => sum + Math.max(0, deduction.amount), 0);
+  const incomeBeforeAdditional = Math.max(0, personinntekt + capitalIncome - minstefradrag - rates.personfradrag - finnmarksfradrag);
+  const taxableIncome = Math.max(0, incomeBeforeAdditional - ownDeductions - capitalExpenses);
+  const unusedDeductions = Math.max(0, ownDeductions + capitalExpenses - incomeBeforeAdditional);
+  const incomeTax = taxableIncome * getPersonalTaxRate(rates, residence);
+  
+  return {
+    personinntekt: Math.round(personinntekt),
+    trygdeavgift: Math.round(trygdeavgift),
+    trinnskatt: Math.round(trinnskatt),
+    minstefradrag: Math.round(minstefradrag),
+    taxableIncome: Math.round(taxableIncome),
+    incomeTax: Math.round(incomeTax),
+    totalTax: Math.round(trygdeavgift) + Math.round(trinnskatt) + Math.round(incomeTax),
+    additionalDeductions: Math.round(ownDeductions),
+    additionalDeductionsUsed: Math.round(Math.min(ownDeductions, incomeBeforeAdditional)),
+    unusedDeductions: Math.round(unusedDeductions)
+  };
+}
+
+/**
+ * Calculates the tax on the company salary when the owner has other income.
+ * 
+ * The tax is the difference between the tax on all income with the salary
+ * and the tax on the other income alone, so the salary is taxed at the
+ * owner's own marginal rates. Deductions the income cannot absorb are
+ * returned as unusedDeductions, to be set against the dividend.
+ * 
+ * @param {number} grossSalary - Gross salary from the company
+ * @param {Object} otherIncome - { salary, pension, capitalIncome, capitalExpenses } (see validateOtherIncome)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {string} residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
+ * @param {number|null} age - Owner age in the tax year (null if unknown)
+ * @param {Object[]} additionalDeductions - Extra deductions in alminnelig inntekt, e.g. EPK and IPS
+ * @returns {Object} Trygdeavgift, trinnskatt and income tax caused by the salary
+ */
+export function calculateSalaryTaxWithOtherIncome(grossSalary, otherIncome = {}, rates = getTaxRates(), residence = DEFAULT_OWNER_RESIDENCE, age = null, additionalDeductions = []) {
+  const { salary = 0, pension = 0, capitalIncome = 0, capitalExpenses = 0 } = otherIncome || {};
+  const withSalary = calculatePersonalIncomeTax(grossSalary, otherIncome, rates, residence, age, additionalDeductions);
+  const withoutSalary = calculatePersonalIncomeTax(0, otherIncome, rates, residence, age);
+  
+  const trygdeavgift = withSalary.trygdeavgift - withoutSalary.trygdeavgift;
+  const trinnskatt = withSalary.trinnskatt - withoutSalary.trinnskatt;
+  const inntektsskatt = withSalary.incomeTax - withoutSalary.incomeTax;
+  const totalTax = trygdeavgift + trinnskatt + inntektsskatt;
+  const fmt = value => Math.round(value).toLocaleString('nb-NO');
+  
+  return {
+    trygdeavgift,
+    trinnskatt,
+    inntektsskatt,
+    totalTax,
+    taxOnOtherIncome: withoutSalary.totalTax,
+    additionalDeductions: withSalary.additionalDeductions,
+    additionalDeductionsUsed: withSalary.additionalDeductionsUsed,
+    unusedDeductions: withSalary.unusedDeductions,
+    calculationSteps: [
+      `Annen inntekt: lønn ${fmt(salary)} kr, pensjon ${fmt(pension)} kr, kapitalinntekt ${fmt(capitalIncome)} kr, kapitalkostnader ${fmt(capitalExpenses)} kr`,
+      `Personinntekt: ${fmt(withoutSalary.personinntekt)} kr uten lønn fra selskapet, ${fmt(withSalary.personinntekt)} kr med`,
+      `Minstefradrag: ${fmt(withSalary.minstefradrag)} kr (${fmt(withoutSalary.minstefradrag)} kr uten lønn fra selskapet)`,
+      `Trygdeavgift på lønnen: ${fmt(withSalary.trygdeavgift)} - ${fmt(withoutSalary.trygdeavgift)} = ${fmt(trygdeavgift)} kr`,
+      `Trinnskatt på lønnen: ${fmt(withSalary.trinnskatt)} - ${fmt(withoutSalary.trinnskatt)} = ${fmt(trinnskatt)} kr`,
+      `Inntektsskatt på lønnen: ${fmt(withSalary.incomeTax)} - ${fmt(withoutSalary.incomeTax)} = ${fmt(inntektsskatt)} kr`,
+      ...(withSalary.unusedDeductions > 0 ? [`Fradrag som ikke kan brukes mot lønn og annen inntekt: ${fmt(withSalary.unusedDeductions)} kr`] : []),
+      `Skatt på lønnen fra selskapet: ${fmt(totalTax)} kr (skatt på annen inntekt alene: ${fmt(withoutSalary.totalTax)} kr)`
     ]
   };
 }
@@ -265,28 +773,51 @@ export function calculateIncomeTax(grossSalary) {
  * 
  * Assumptions:
  * - Single shareholder/employee
- * - No other income sources
+ * - No other income sources unless otherIncome is given
  * - Standard employment situation
- * - Person is between 17 and 69 years old
+ * - Person is between 17 and 69 years old unless ownerBirthYear is given
  * 
  * @param {number} profit - Company profit before tax
  * @param {string} zone - Employer zone (1, 1a, 2, 3, 4, 4a, or 5)
- * @param {Object} options - Optional settings (pension, retention)
+ * @param {Object} options - Optional settings (pension, retention, tax year)
+ * @param {number} options.taxYear - Tax year for the rate set (default DEFAULT_TAX_YEAR)
+ * @param {Object} options.overrides - Per-request rate overrides (see getTaxRates)
+ * @param {number} options.ownerBirthYear - Owner birth year for age-dependent trygdeavgift and OTP
+ * @param {string} options.ownerResidence - Owner residence: 'standard' or 'tiltakssone'
+ * @param {number} options.agaFribelopUsed - AGA fribeløp already used by other employees (zones 1a and 4a)
+ * @param {Object} options.pensionProducts - Additional OTP rate, own EPK rate, IPS amount and projection settings
+ * @param {Object} options.otherIncome - Owner's income outside the company (see validateOtherIncome)
+ * @param {Object[]} options.personalDeductions - Owner's personal deductions (see validatePersonalDeductions)
+ * @param {number} options.lossCarryforward - Company loss carried forward from earlier years
  * @returns {Object} Complete salary scenario calculation
  */
 export function calculateSalaryScenario(profit, zone, options = {}) {
   const {
     includePension = false,
     pensionRate = OTP_MIN_RATE,
-    retentionPercentage = 0
+    retentionPercentage = 0,
+    taxYear = DEFAULT_TAX_YEAR,
+    overrides = null,
+    ownerBirthYear = null,
+    ownerResidence = DEFAULT_OWNER_RESIDENCE,
+    agaFribelopUsed = 0,
+    pensionProducts = {},
+    otherIncome = null,
+    personalDeductions = null,
+    lossCarryforward = 0
   } = options;
   
+  const { additionalRate = 0, employeeRate = 0, ipsAmount = 0, yearsToRetirement = null, expectedReturn = null } = pensionProducts;
+  const rates = getTaxRates(taxYear, overrides);
+  const ownerAge = calculateOwnerAge(ownerBirthYear, rates.taxYear);
+  const pensionApplied = includePension && isOtpEligible(ownerAge);
   const calculationSteps = [];
   
   // Step 1: Calculate amount available for extraction
-  // If retaining profits, reduce the available amount
-  const retainedAmount = profit * retentionPercentage;
-  const availableForExtraction = profit - retainedAmount;
+  // If retaining profits, reduce the available amount. Nothing can be paid
+  // out of a loss year
+  const retainedAmount = Math.max(0, profit) * retentionPercentage;
+  const availableForExtraction = Math.max(0, profit) - retainedAmount;
   
   calculationSteps.push({
     step: 'Tilgjengelig for uttak',
@@ -294,62 +825,150 @@ export function calculateSalaryScenario(profit, zone, options = {}) {
   });
   
   // Step 2: Calculate maximum gross salary from available amount
+  if (includePension && !pensionApplied) {
+    calculationSteps.push({
+      step: 'Pensjon (OTP)',
+      description: `Eier er ${ownerAge} år i ${rates.taxYear} og omfattes ikke av OTP - pensjonsinnskudd er ikke medregnet`
+    });
+  }
+  
   const salaryCalc = calculateMaxGrossSalary(
     availableForExtraction, 
     zone, 
-    includePension, 
-    pensionRate
+    pensionApplied, 
+    pensionRate,
+    rates,
+    agaFribelopUsed,
+    pensionApplied ? additionalRate : 0
   );
   const grossSalary = salaryCalc.grossSalary;
   const employerAGA = salaryCalc.employerAGA;
   const pensionContribution = salaryCalc.pensionContribution;
+  const pensionAGA = salaryCalc.pensionAGA;
   
   calculationSteps.push({
     step: 'Bruttolønn beregning',
     details: salaryCalc.calculationSteps
   });
   
-  // Step 3: Calculate employee social security contribution
-  const socialSecurityCalc = calculateSocialSecurityContribution(grossSalary);
-  const trygdeavgift = socialSecurityCalc.contribution;
+  if (pensionApplied) {
+    calculationSteps.push({
+      step: 'Pensjon (OTP)',
+      details: salaryCalc.pensionCalculationSteps
+    });
+  }
   
-  calculationSteps.push({
-    step: 'Trygdeavgift',
-    details: socialSecurityCalc.calculationSteps
-  });
+  // Own EPK saving and IPS are deducted in alminnelig inntekt
+  const employeeSaving = calculateEmployeePensionSaving(grossSalary, pensionApplied ? employeeRate : 0, rates);
+  const ips = calculateIpsDeduction(ipsAmount, rates);
+  const pensionDeductions = employeeSaving.contribution + ips.deductible;
+  const personal = calculatePersonalDeductions(personalDeductions, rates);
+  const ownDeductions = [
+    { description: 'Egen sparing (EPK)', amount: employeeSaving.contribution },
+    { description: 'IPS', amount: ips.deductible },
+    ...personal.additionalDeductions
+  ];
+  
+  if (personal.total > 0) {
+    calculationSteps.push({
+      step: 'Personlige fradrag',
+      details: personal.calculationSteps
+    });
+  }
   
-  // Step 4: Calculate bracket tax
-  const bracketTaxCalc = calculateBracketTax(grossSalary);
-  const trinnskatt = bracketTaxCalc.totalBracketTax;
+  let trygdeavgift;
+  let trinnskatt;
+  let inntektsskatt;
+  let deductionsUsed;
   
-  calculationSteps.push({
-    step: 'Trinnskatt',
-    details: bracketTaxCalc.calculationSteps
-  });
+  if (hasOtherIncome(otherIncome)) {
+    // Steps 3-5: The salary is taxed on top of the owner's other income
+    const otherIncomeCalc = calculateSalaryTaxWithOtherIncome(grossSalary, otherIncome, rates, ownerResidence, ownerAge, ownDeductions);
+    ({ trygdeavgift, trinnskatt, inntektsskatt } = otherIncomeCalc);
+    deductionsUsed = Math.min(pensionDeductions, otherIncomeCalc.additionalDeductionsUsed);
+    
+    calculationSteps.push({
+      step: 'Personskatt med annen inntekt',
+      details: otherIncomeCalc.calculationSteps
+    });
+  } else {
+    // Step 3: Calculate employee social security contribution
+    const socialSecurityCalc = calculateSocialSecurityContribution(grossSalary, rates, ownerAge);
+    trygdeavgift = socialSecurityCalc.contribution;
+    
+    calculationSteps.push({
+      step: 'Trygdeavgift',
+      details: socialSecurityCalc.calculationSteps
+    });
+    
+    // Step 4: Calculate bracket tax
+    const bracketTaxCalc = calculateBracketTax(grossSalary, rates, ownerResidence);
+    trinnskatt = bracketTaxCalc.totalBracketTax;
+    
+    calculationSteps.push({
+      step: 'Trinnskatt',
+      details: bracketTaxCalc.calculationSteps
+    });
+    
+    // Step 5: Calculate income tax
+    const incomeTaxCalc = calculateIncomeTax(grossSalary, rates, ownerResidence, ownDeductions);
+    inntektsskatt = incomeTaxCalc.incomeTax;
+    deductionsUsed = Math.min(pensionDeductions, incomeTaxCalc.additionalDeductions - incomeTaxCalc.unusedDeductions);
+    
+    calculationSteps.push({
+      step: 'Inntektsskatt',
+      details: incomeTaxCalc.calculationSteps
+    });
+  }
   
-  // Step 5: Calculate income tax
-  const incomeTaxCalc = calculateIncomeTax(grossSalary);
-  const inntektsskatt = incomeTaxCalc.incomeTax;
+  // Pension products side by side: paid in, tax effect and projected capital
+  const pension = pensionApplied || ips.contribution > 0
+    ? calculatePensionSummary({
+        employerContribution: pensionContribution,
+        employerAGA: pensionAGA,
+        employeeSaving,
+        ips,
+        deductionsUsed,
+        ownerAge,
+        yearsToRetirement,
+        expectedReturn,
+        rates,
+        residence: ownerResidence
+      })
+    : null;
   
-  calculationSteps.push({
-    step: 'Inntektsskatt',
-    details: incomeTaxCalc.calculationSteps
-  });
+  if (pension) {
+    calculationSteps.push({
+      step: 'Pensjonsprodukter',
+      details: pension.calculationSteps
+    });
+  }
   
-  // Step 6: Calculate corporate tax on retained earnings
-  const corporateTaxOnRetained = retainedAmount * CORPORATE_TAX_RATE;
+  // Step 6: Calculate corporate tax on retained earnings (salary is deducted,
+  // so only the retained part is taxed, after any loss carried forward)
+  const corporateTaxResult = calculateCorporateTax(profit < 0 ? profit : retainedAmount, rates, lossCarryforward);
+  const corporateTaxOnRetained = corporateTaxResult.corporateTax;
   
   if (retainedAmount > 0) {
     calculationSteps.push({
       step: 'Selskapsskatt på tilbakeholdt overskudd',
-      description: `${Math.round(retainedAmount).toLocaleString('nb-NO')} × ${(CORPORATE_TAX_RATE * 100)}% = ${Math.round(corporateTaxOnRetained).toLocaleString('nb-NO')} kr`
+      description: `${Math.round(corporateTaxResult.taxableProfit).toLocaleString('nb-NO')} × ${(rates.corporateTaxRate * 100)}% = ${Math.round(corporateTaxOnRetained).toLocaleString('nb-NO')} kr`
+    });
+  }
+  
+  const lossSteps = describeLossCarryforward(corporateTaxResult);
+  if (lossSteps.length > 0) {
+    calculationSteps.push({
+      step: 'Fremførbart underskudd',
+      details: lossSteps
     });
   }
   
   // Step 7: Calculate totals
   const totalPersonalTax = trygdeavgift + trinnskatt + inntektsskatt;
-  const totalTax = employerAGA + totalPersonalTax + corporateTaxOnRetained;
+  const totalTax = employerAGA + pensionAGA + totalPersonalTax + corporateTaxOnRetained;
   const netSalary = grossSalary - totalPersonalTax;
+  const ownPensionSavings = employeeSaving.contribution + ips.contribution;
   
   // Step 8: Calculate effective tax rate
   const effectiveTaxRate = profit > 0 ? totalTax / profit : 0;
@@ -375,19 +994,32 @@ export function calculateSalaryScenario(profit, zone, options = {}) {
       zone,
       includePension,
       pensionRate,
-      retentionPercentage
+      retentionPercentage,
+      taxYear: rates.taxYear,
+      overrides,
+      ownerBirthYear,
+      ownerAge,
+      ownerResidence,
+      agaFribelopUsed,
+      pensionProducts,
+      otherIncome,
+      personalDeductions,
+      lossCarryforward
     },
     
     // Company level
     company: {
       profit: profit,
+      lossCarryforwardUsed: corporateTaxResult.lossUsed,
+      lossCarryforwardRemaining: corporateTaxResult.lossRemaining,
       retainedEarnings: Math.round(retainedAmount),
       retainedAfterTax: Math.round(retainedAmount - corporateTaxOnRetained),
       availableForExtraction: Math.round(availableForExtraction),
       grossSalaryPaid: grossSalary,
       employerAGA: employerAGA,
       pensionContribution: Math.round(pensionContribution),
-      totalEmployerCost: Math.round(grossSalary + employerAGA + pensionContribution),
+      pensionAGA: pensionAGA,
+      totalEmployerCost: Math.round(grossSalary + employerAGA + pensionContribution + pensionAGA),
       corporateTaxOnRetained: Math.round(corporateTaxOnRetained)
     },
     
@@ -399,12 +1031,18 @@ export function calculateSalaryScenario(profit, zone, options = {}) {
       inntektsskatt: inntektsskatt,
       totalPersonalTax: totalPersonalTax,
       netSalary: netSalary,
-      pensionAccrued: Math.round(pensionContribution)
+      pensionAccrued: Math.round(pensionContribution),
+      ownPensionSavings: ownPensionSavings,
+      netAfterPensionSavings: netSalary - ownPensionSavings
     },
     
+    // Pension products (null when neither OTP nor IPS applies)
+    pension,
+    
     // Tax summary
     taxSummary: {
       employerAGA: employerAGA,
+      pensionAGA: pensionAGA,
       corporateTax: Math.round(corporateTaxOnRetained),
       personalTax: totalPersonalTax,
       totalTax: Math.round(totalTax),
@@ -425,8 +1063,11 @@ export function calculateSalaryScenario(profit, zone, options = {}) {
     
     // Assumptions documented
     assumptions: [
-      'Personen er mellom 17 og 69 år',
-      'Ingen andre inntektskilder',
+      ...describeOwnerAge(ownerAge, rates),
+      `Bosted: ${OWNER_RESIDENCE_DESCRIPTIONS[ownerResidence]}`,
+      ...(salaryCalc.fribelopApplies ? [`Fribeløp for arbeidsgiveravgift brukt av andre ansatte: ${Math.round(agaFribelopUsed).toLocaleString('nb-NO')} kr`] : []),
+      describeOtherIncome(otherIncome),
+      describePersonalDeductions(personal),
       'Standard ansettelsesforhold',
       'Én aksjonær/ansatt',
       'Minstefradrag beregnes automatisk',
@@ -436,10 +1077,21 @@ export function calculateSalaryScenario(profit, zone, options = {}) {
 }
 
 export default {
+  calculateOwnerAge,
+  isLowSocialSecurityRateAge,
+  isOtpEligible,
+  describeOwnerAge,
+  calculateEmployerAGA,
+  calculateOtpContribution,
   calculateMaxGrossSalary,
   calculateBracketTax,
   calculateSocialSecurityContribution,
   calculateMinstefradrag,
   calculateIncomeTax,
+  calculatePensionMinstefradrag,
+  hasOtherIncome,
+  describeOtherIncome,
+  calculatePersonalIncomeTax,
+  calculateSalaryTaxWithOtherIncome,
   calculateSalaryScenario
 };
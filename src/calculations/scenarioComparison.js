@@ -6,9 +6,13 @@
  */
 
 import { calculateSalaryScenario } from './salaryCalculations.js';
-import { calculateDividendScenario } from './dividendCalculations.js';
+import { calculateDividendScenario, calculateSkjermingLedgerYear } from './dividendCalculations.js';
 import { calculateCombinationScenario, findOptimalRatio, calculateBreakpoints } from './combinationCalculations.js';
-import { validateCalculationInput } from '../validation/inputValidation.js';
+import { calculateRetentionWealthTax } from './wealthTaxCalculations.js';
+import { compareShareholderScenarios } from './shareholderCalculations.js';
+import { calculateRetentionNpv, calculateRetentionInvestment } from './retentionCalculations.js';
+import { validateCalculationInput, validateTaxYear } from '../validation/inputValidation.js';
+import { DEFAULT_TAX_YEAR, SUPPORTED_TAX_YEARS, getTaxRates } from '../config/taxRates.js';
 
 /**
  * Generates all standard scenarios for comparison.
@@ -28,13 +32,33 @@ export function generateAllScenarios(input) {
     };
   }
   
-  const { profit, employerZone, pension, retention, shareCostBasis } = validation.sanitizedInput;
+  const { profit, employerZone, pension, retention, shareCostBasis, unusedSkjerming, shareCount, paidInCapital, holding, shareholders, household, taxYear, overrides, ownerBirthYear, ownerResidence, agaFribelopUsed, otherNetWealth, companyEquity, otherIncome, personalDeductions, lossCarryforward, balanceSheet, npv, investment, ranking } = validation.sanitizedInput;
   
   const options = {
     includePension: pension?.enabled || false,
     pensionRate: pension?.rate || 0.02,
+    pensionProducts: {
+      additionalRate: pension?.additionalRate || 0,
+      employeeRate: pension?.employeeRate || 0,
+      ipsAmount: pension?.ipsAmount || 0,
+      yearsToRetirement: pension?.yearsToRetirement ?? null,
+      expectedReturn: pension?.expectedReturn ?? null
+    },
     retentionPercentage: retention?.percentage || 0,
-    shareCostBasis: shareCostBasis || 0
+    shareCostBasis: shareCostBasis || 0,
+    unusedSkjerming,
+    shareCount,
+    paidInCapital,
+    holding,
+    taxYear,
+    overrides,
+    ownerBirthYear,
+    ownerResidence,
+    agaFribelopUsed,
+    otherIncome,
+    personalDeductions,
+    lossCarryforward,
+    balanceSheet
   };
   
   const scenarios = {};
@@ -44,17 +68,59 @@ export function generateAllScenarios(input) {
     scenarios.allSalary = calculateSalaryScenario(profit, employerZone, {
       includePension: options.includePension,
       pensionRate: options.pensionRate,
-      retentionPercentage: options.retentionPercentage
+      retentionPercentage: options.retentionPercentage,
+      taxYear: options.taxYear,
+      overrides: options.overrides,
+      ownerBirthYear: options.ownerBirthYear,
+      ownerResidence: options.ownerResidence,
+      agaFribelopUsed: options.agaFribelopUsed,
+      pensionProducts: options.pensionProducts,
+      otherIncome: options.otherIncome,
+      personalDeductions: options.personalDeductions,
+      lossCarryforward: options.lossCarryforward,
+      balanceSheet: options.balanceSheet
     });
   } catch (error) {
     scenarios.allSalary = { error: error.message };
   }
   
+  // Without a dividend the whole skjerming is carried forward to next year
+  const rates = getTaxRates(taxYear, overrides);
+  if (!scenarios.allSalary.error) {
+    scenarios.allSalary.skjerming = calculateSkjermingLedgerYear({
+      costBasis: options.shareCostBasis,
+      unusedFromPreviousYears: options.unusedSkjerming,
+      skjermingRate: rates.skjermingRate,
+      rateEstimated: rates.skjermingRateEstimated,
+      dividend: 0,
+      shareCount: options.shareCount
+    });
+    if (scenarios.allSalary.skjerming.availableSkjerming > 0) {
+      scenarios.allSalary.calculationSteps.push({
+        step: 'Skjermingsfradrag',
+        details: scenarios.allSalary.skjerming.calculationSteps
+      });
+    }
+  }
+  
   // Scenario 2: 100% Dividend
   try {
     scenarios.allDividend = calculateDividendScenario(profit, {
       retentionPercentage: options.retentionPercentage,
-      shareCostBasis: options.shareCostBasis
+      shareCostBasis: options.shareCostBasis,
+      unusedSkjerming: options.unusedSkjerming,
+      shareCount: options.shareCount,
+      paidInCapital: options.paidInCapital,
+      holding: options.holding,
+      taxYear: options.taxYear,
+      overrides: options.overrides,
+      ownerResidence: options.ownerResidence,
+      ownerBirthYear: options.ownerBirthYear,
+      pensionProducts: options.pensionProducts,
+      otherIncome: options.otherIncome,
+      personalDeductions: options.personalDeductions,
+      lossCarryforward: options.lossCarryforward,
+      balanceSheet: options.balanceSheet
     });
   } catch (error) {
     scenarios.allDividend = { error: error.message };
@@ -93,13 +159,200 @@ export function generateAllScenarios(input) {
     }
   }
   
+  // Formuesskatt: retained profit raises the share value every year it stays in the company.
+  // With several shareholders the owner in these scenarios is the first one who works in the company
+  const owner = shareholders ? (shareholders.find(shareholder => shareholder.works) ?? shareholders[0]) : null;
+  for (const key of ['allSalary', 'allDividend', 'split5050', 'optimized', 'withRetention']) {
+    const scenario = scenarios[key];
+    if (scenario && !scenario.error) {
+      scenario.wealthTax = calculateRetentionWealthTax({
+        retainedAfterTax: scenario.results.retainedInCompany,
+        companyEquity,
+        otherNetWealth,
+        ownershipShare: owner ? owner.ownershipShare : 1,
+        rates
+      });
+      if (scenario.results.retainedInCompany > 0) {
+        scenario.calculationSteps.push({
+          step: 'Formuesskatt',
+          details: scenario.wealthTax.calculationSteps
+        });
+        scenario.assumptions.push(scenario.wealthTax.assumption);
+      }
+    }
+  }
+  
+  // Nåverdi: retained profit is worth what it pays out later, after the deferred dividend tax
+  for (const key of ['allSalary', 'allDividend', 'split5050', 'optimized', 'withRetention']) {
+    const scenario = scenarios[key];
+    if (scenario && !scenario.error) {
+      scenario.npv = calculateRetentionNpv({
+        netPayout: scenario.results.netPrivatePayout,
+        retainedAfterTax: scenario.results.retainedInCompany,
+        rates,
+        residence: ownerResidence,
+        settings: npv
+      });
+      if (scenario.results.retainedInCompany > 0) {
+        scenario.calculationSteps.push({
+          step: 'Nåverdi',
+          details: scenario.npv.calculationSteps
+        });
+      }
+    }
+  }
+  
+  // Retained profit invested in equities: inside the AS (fritaksmetoden) or paid out to an ASK
+  for (const key of ['allSalary', 'allDividend', 'split5050', 'optimized', 'withRetention']) {
+    const scenario = scenarios[key];
+    if (scenario && !scenario.error && scenario.results.retainedInCompany > 0) {
+      scenario.investment = calculateRetentionInvestment({
+        retainedAfterTax: scenario.results.retainedInCompany,
+        rates,
+        residence: ownerResidence,
+        settings: investment
+      });
+      scenario.calculationSteps.push({
+        step: 'Investering: selskap eller aksjesparekonto',
+        details: scenario.investment.calculationSteps
+      });
+    }
+  }
+  
+  // Several shareholders: the scenarios above assume one owner, so the
+  // per-person split is calculated separately
+  let shareholderComparison = null;
+  if (shareholders) {
+    try {
+      shareholderComparison = compareShareholderScenarios(profit, employerZone, shareholders, {
+        retentionPercentage: options.retentionPercentage,
+        includePension: options.includePension,
+        pensionRate: options.pensionRate,
+        taxYear,
+        overrides,
+        agaFribelopUsed,
+        lossCarryforward,
+        balanceSheet
+      });
+    } catch (error) {
+      shareholderComparison = { error: error.message };
+    }
+  }
+  
+  // Household: salary can go to either person, searched together with the ratio.
+  // Owner-level input it cannot use is rejected by validateCalculationInput
+  const householdOptimization = household
+    ? findOptimalRatio(profit, employerZone, { ...options, household })
+    : null;
+  
   return {
     success: true,
     input: validation.sanitizedInput,
     warnings: validation.warnings,
+    effectiveRates: rates,
     scenarios,
-    comparison: generateComparisonTable(scenarios),
-    recommendations: generateRecommendations(scenarios, profit, employerZone)
+    shareholderComparison,
+    householdOptimization,
+    comparison: generateComparisonTable(scenarios, ranking),
+    recommendations: generateRecommendations(scenarios, profit, employerZone, ranking)
+  };
+}
+
+/**
+ * Compares the same input across several tax years.
+ * 
+ * Runs generateAllScenarios once per year and reports the optimized result
+ * for each year together with the change from the previous year in the list.
+ * Rate overrides in the input apply to every year. A year whose optimization
+ * fails is reported with its error and left out of the deltas.
+ * Useful for explaining how rate changes (e.g. the dividend gross-up factor
+ * going from 1.44 to 1.60 to 1.72) affect the same company.
+ * 
+ * @param {Object} input - Calculation input (as for generateAllScenarios)
+ * @param {number[]} input.taxYears - Years to compare (default: all supported years)
+ * @returns {Object} Per-year results and year-over-year deltas
+ */
+export function compareTaxYears(input) {
+  const errors = [];
+  const requestedYears = input.taxYears ?? SUPPORTED_TAX_YEARS;
+  
+  if (!Array.isArray(requestedYears) || requestedYears.length === 0) {
+    return {
+      success: false,
+      errors: ['Skatteår må være en liste med minst ett år (Tax years must be a non-empty list)']
+    };
+  }
+  
+  const taxYears = [];
+  for (const year of requestedYears) {
+    const yearResult = validateTaxYear(year);
+    if (!yearResult.isValid) {
+      errors.push(...yearResult.errors);
+    } else if (!taxYears.includes(yearResult.value)) {
+      taxYears.push(yearResult.value);
+    }
+  }
+  
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+  
+  taxYears.sort((a, b) => a - b);
+  
+  const years = [];
+  for (const taxYear of taxYears) {
+    const result = generateAllScenarios({ ...input, taxYear });
+    
+    if (!result.success) {
+      return { success: false, errors: result.errors };
+    }
+    
+    const optimized = result.scenarios.optimized;
+    const rates = result.effectiveRates;
+    
+    if (!optimized || optimized.error) {
+      years.push({
+        taxYear,
+        status: rates.status,
+        error: optimized?.error || 'Optimalisering mislyktes (Optimization failed)'
+      });
+      continue;
+    }
+    
+    years.push({
+      taxYear,
+      status: rates.status,
+      dividendGrossUpFactor: rates.dividendGrossUpFactor,
+      skjermingRate: rates.skjermingRate,
+      skjermingRateEstimated: rates.skjermingRateEstimated,
+      optimalRatio: result.scenarios.optimizationDetails?.optimalRatio ?? null,
+      netPayout: optimized.results.netPrivatePayout,
+      totalTax: optimized.results.totalTaxPaid,
+      effectiveTaxRate: optimized.results.effectiveTaxRate,
+      bestScenario: result.comparison.bestScenario
+    });
+  }
+  
+  // Year-over-year changes relative to the previous year in the list; years that failed are left out
+  const comparableYears = years.filter(year => !year.error);
+  const deltas = comparableYears.slice(1).map((current, index) => {
+    const previous = comparableYears[index];
+    return {
+      fromYear: previous.taxYear,
+      toYear: current.taxYear,
+      netPayout: current.netPayout - previous.netPayout,
+      totalTax: current.totalTax - previous.totalTax,
+      effectiveTaxRate: current.effectiveTaxRate - previous.effectiveTaxRate,
+      optimalRatio: current.optimalRatio - previous.optimalRatio,
+      dividendGrossUpFactor: current.dividendGrossUpFactor - previous.dividendGrossUpFactor
+    };
+  });
+  
+  return {
+    success: true,
+    taxYears,
+    years,
+    deltas
   };
 }
 
@@ -107,9 +360,11 @@ export function generateAllScenarios(input) {
  * Generates a comparison table from scenarios.
  * 
  * @param {Object} scenarios - All calculated scenarios
+ * @param {string} ranking - Rank by 'netPayout' (this year's payout, plus what a holding
+ *   keeps after the deferred dividend tax) or 'npv' (net present value)
  * @returns {Object} Comparison table data
  */
-function generateComparisonTable(scenarios) {
+function generateComparisonTable(scenarios, ranking = 'netPayout') {
   const rows = [];
   
   const scenarioList = [
@@ -128,22 +383,34 @@ function generateComparisonTable(scenarios) {
         grossPayout: scenario.results?.netPrivatePayout + scenario.results?.totalTaxPaid,
         totalTax: scenario.results?.totalTaxPaid,
         netPayout: scenario.results?.netPrivatePayout,
+        netValue: scenario.results?.netValueAfterDeferredTax ?? scenario.results?.netPrivatePayout,
+        npv: scenario.npv?.npv ?? null,
+        deferredDividendTax: scenario.npv?.deferredDividendTax || 0,
         effectiveRate: scenario.results?.effectiveTaxRate,
-        retained: scenario.results?.retainedInCompany || 0
+        retained: scenario.results?.retainedInCompany || 0,
+        capitalRepayment: scenario.personal?.capitalRepayment || 0,
+        taxDeferredInHolding: scenario.holding?.taxDeferred || 0,
+        lossCarryforwardRemaining: scenario.company?.lossCarryforwardRemaining || 0,
+        dividendHeldBack: scenario.company?.dividendHeldBack || 0,
+        wealthTaxOnRetained: scenario.wealthTax?.annualCostOfRetention || 0,
+        pensionSaving: scenario.pension?.totalContribution || 0,
+        projectedPension: scenario.pension?.projection?.projectedCapital ?? null
       });
     }
   }
   
-  // Sort by net payout (descending)
-  rows.sort((a, b) => b.netPayout - a.netPayout);
+  // Sort by net value or net present value (descending). Without a holding
+  // the net value is the net payout
+  const rankKey = ranking === 'npv' ? 'npv' : 'netValue';
+  rows.sort((a, b) => b[rankKey] - a[rankKey]);
   
   // Calculate differences from best option
   const best = rows[0];
   rows.forEach((row, index) => {
     row.rank = index + 1;
-    row.differenceFromBest = best.netPayout - row.netPayout;
-    row.percentDifferenceFromBest = best.netPayout > 0 
-      ? (row.differenceFromBest / best.netPayout) * 100 
+    row.differenceFromBest = best[rankKey] - row[rankKey];
+    row.percentDifferenceFromBest = best[rankKey] > 0 
+      ? (row.differenceFromBest / best[rankKey]) * 100 
       : 0;
   });
   
@@ -152,27 +419,75 @@ function generateComparisonTable(scenarios) {
       { key: 'rank', label: 'Rang' },
       { key: 'name', label: 'Scenario' },
       { key: 'netPayout', label: 'Netto utbetaling', format: 'currency' },
+      { key: 'netValue', label: 'Nettoverdi etter utsatt skatt', format: 'currency' },
+      { key: 'npv', label: 'Nåverdi', format: 'currency' },
       { key: 'totalTax', label: 'Total skatt', format: 'currency' },
       { key: 'effectiveRate', label: 'Effektiv skattesats', format: 'percent' },
       { key: 'retained', label: 'Beholdt i selskapet', format: 'currency' },
+      { key: 'deferredDividendTax', label: 'Utsatt utbytteskatt', format: 'currency' },
+      { key: 'capitalRepayment', label: 'Tilbakebetalt innbetalt kapital', format: 'currency' },
+      { key: 'taxDeferredInHolding', label: 'Utsatt skatt i holding', format: 'currency' },
+      { key: 'lossCarryforwardRemaining', label: 'Fremførbart underskudd etter året', format: 'currency' },
+      { key: 'dividendHeldBack', label: 'Holdt tilbake (utbyttekapasitet)', format: 'currency' },
+      { key: 'wealthTaxOnRetained', label: 'Årlig formuesskatt på beholdt', format: 'currency' },
+      { key: 'pensionSaving', label: 'Pensjonssparing per år', format: 'currency' },
+      { key: 'projectedPension', label: 'Fremskrevet pensjonskapital', format: 'currency' },
       { key: 'differenceFromBest', label: 'Forskjell fra beste', format: 'currency' }
     ],
     rows,
+    rankedBy: ranking === 'npv' ? 'npv' : 'netPayout',
     bestScenario: best?.name,
     worstScenario: rows[rows.length - 1]?.name,
     maxDifference: rows[rows.length - 1]?.differenceFromBest
   };
 }
 
+/**
+ * Describes whether retaining is worth more than paying out, in present value.
+ * 
+ * @param {Object} withRetention - Scenario with 30% retention
+ * @param {Object} optimized - Optimized scenario paying out everything
+ * @returns {Object} Consideration
+ */
+function describeRetentionNpv(withRetention, optimized) {
+  const { companyReturn, privateReturn, discountRate, years } = withRetention.npv.settings;
+  const difference = withRetention.npv.npv - optimized.npv.npv;
+  
+  return {
+    topic: 'Nåverdi av tilbakeholdelse',
+    description: `Med ${(companyReturn * 100).toFixed(1)}% avkastning i selskapet, ${(privateReturn * 100).toFixed(1)}% privat og ${(discountRate * 100).toFixed(1)}% diskonteringsrente er 30% tilbakeholdelse med utdeling om ${years} år ${Math.abs(difference).toLocaleString('nb-NO')} kr ${difference >= 0 ? 'mer' : 'mindre'} verdt i nåverdi enn å ta ut alt nå. Utsatt utbytteskatt på ${withRetention.npv.deferredDividendTax.toLocaleString('nb-NO')} kr er trukket fra.`,
+    relevance: 'high'
+  };
+}
+
+/**
+ * Describes whether retained profit grows more invested in the company or
+ * paid out and invested in an aksjesparekonto.
+ * 
+ * @param {Object} investment - Result of calculateRetentionInvestment
+ * @returns {Object} Consideration
+ */
+function describeRetentionInvestment(investment) {
+  const { expectedReturn, years } = investment.settings;
+  const better = investment.better === 'company' ? 'i selskapet (fritaksmetoden)' : 'privat på aksjesparekonto';
+  
+  return {
+    topic: 'Investere i selskapet eller privat',
+    description: `Med ${(expectedReturn * 100).toFixed(1)}% årlig avkastning gir ${investment.company.invested.toLocaleString('nb-NO')} kr investert ${better} ${Math.abs(investment.difference).toLocaleString('nb-NO')} kr mer til eier etter ${years} år, etter utbytteskatt ved utdeling. Via selskapet: ${investment.company.netToOwner.toLocaleString('nb-NO')} kr, via aksjesparekonto: ${investment.private.netToOwner.toLocaleString('nb-NO')} kr.`,
+    relevance: 'high'
+  };
+}
+
 /**
  * Generates personalized recommendations based on scenarios.
  * 
  * @param {Object} scenarios - All calculated scenarios
  * @param {number} profit - The profit amount
  * @param {string} zone - The employer zone
+ * @param {string} ranking - Rank by 'netPayout' or 'npv', as in generateComparisonTable
  * @returns {Object} Recommendations
  */
-function generateRecommendations(scenarios, profit, zone) {
+function generateRecommendations(scenarios, profit, zone, ranking = 'netPayout') {
   const recommendations = {
     primary: null,
     alternatives: [],
@@ -182,20 +497,24 @@ function generateRecommendations(scenarios, profit, zone) {
   
   // Determine best option
   const allResults = [];
-  ['allSalary', 'allDividend', 'split5050', 'optimized'].forEach(key => {
+  ['allSalary', 'allDividend', 'split5050', 'optimized', 'withRetention'].forEach(key => {
     const s = scenarios[key];
     if (s && !s.error && s.results) {
       allResults.push({
         key,
         name: s.scenarioName,
         netPayout: s.results.netPrivatePayout,
+        netValue: s.results.netValueAfterDeferredTax ?? s.results.netPrivatePayout,
+        npv: s.npv?.npv ?? null,
         effectiveRate: s.results.effectiveTaxRate,
         scenario: s
       });
     }
   });
   
-  allResults.sort((a, b) => b.netPayout - a.netPayout);
+  // Same order as the comparison table
+  const rankKey = ranking === 'npv' ? 'npv' : 'netValue';
+  allResults.sort((a, b) => b[rankKey] - a[rankKey]);
   
   if (allResults.length > 0) {
     const best = allResults[0];
@@ -204,7 +523,9 @@ function generateRecommendations(scenarios, profit, zone) {
     recommendations.primary = {
       scenario: best.name,
       reason: generateReasonForRecommendation(best.key, profit, zone),
+      dividendConstraint: describeDividendConstraint(best.scenario, scenarios),
       netPayout: best.netPayout,
+      npv: best.npv,
       effectiveRate: best.effectiveRate
     };
     
@@ -213,7 +534,7 @@ function generateRecommendations(scenarios, profit, zone) {
       recommendations.alternatives = allResults.slice(1, 3).map(alt => ({
         scenario: alt.name,
         netPayout: alt.netPayout,
-        difference: best.netPayout - alt.netPayout,
+        difference: best[rankKey] - alt[rankKey],
         reason: generateReasonForAlternative(alt.key)
       }));
     }
@@ -236,6 +557,35 @@ function generateRecommendations(scenarios, profit, zone) {
       description: 'Tilbakeholdt overskudd kan investeres i selskapet eller tas ut senere som utbytte.',
       relevance: 'medium'
     },
+    ...(scenarios.optimized?.personal?.capitalRepayment > 0 ? [{
+      topic: 'Innbetalt kapital',
+      description: `${scenarios.optimized.personal.capitalRepayment.toLocaleString('nb-NO')} kr tas ut som skattefri tilbakebetaling av innbetalt kapital før utbytte. Tilbakebetalingen krever kapitalnedsettelse og reduserer inngangsverdien på aksjene.`,
+      relevance: 'high'
+    }] : []),
+    ...(scenarios.allDividend?.holding ? [{
+      topic: 'Holdingselskap',
+      description: `Utbytte til holding er skattefritt etter fritaksmetoden${scenarios.allDividend.holding.holdingTax > 0 ? ` bortsett fra 3% inntektsføring (${scenarios.allDividend.holding.holdingTax.toLocaleString('nb-NO')} kr)` : ''}. Utbytteskatt på ${scenarios.allDividend.holding.taxDeferred.toLocaleString('nb-NO')} kr er utsatt så lenge midlene står i holdingselskapet.`,
+      relevance: 'high'
+    }] : []),
+    {
+      topic: 'Utbyttekapasitet (aksjeloven § 8-1)',
+      description: scenarios.optimized?.company?.dividendCapacity === null || scenarios.optimized?.company?.dividendCapacity === undefined
+        ? 'Selskapet kan bare dele ut fri egenkapital: egenkapital utover aksjekapitalen etter at udekket tap er dekket. Beregningen forutsetter at selskapet har nok fri egenkapital til utdelingen. Oppgi balansen (aksjekapital, annen egenkapital og udekket tap) for å kontrollere utbyttekapasiteten.'
+        : `Med optimalisert fordeling kan selskapet dele ut inntil ${scenarios.optimized.company.dividendCapacity.toLocaleString('nb-NO')} kr${scenarios.optimized.company.dividendHeldBack > 0 ? `, og ${scenarios.optimized.company.dividendHeldBack.toLocaleString('nb-NO')} kr av utbytteandelen må bli stående i selskapet` : ''}. Alle scenarioer er begrenset til utbyttekapasiteten. Styret må i tillegg vurdere om utdelingen er forsvarlig ut fra egenkapital og likviditet (aksjeloven § 3-4).`,
+      relevance: 'high'
+    },
+    ...(scenarios.optimized?.company?.lossCarryforwardUsed > 0 || scenarios.optimized?.company?.lossCarryforwardRemaining > 0 ? [{
+      topic: 'Fremførbart underskudd',
+      description: `Optimalisert fordeling bruker ${scenarios.optimized.company.lossCarryforwardUsed.toLocaleString('nb-NO')} kr av fremførbart underskudd mot årets overskudd. ${scenarios.optimized.company.lossCarryforwardRemaining.toLocaleString('nb-NO')} kr kan fremføres til senere år og reduserer da selskapsskatten; verdien av dette er ikke med i netto utbetaling. Lønn bruker ikke underskuddet, så underskuddet gjør utbytte gunstigere.`,
+      relevance: 'high'
+    }] : []),
+    ...(scenarios.withRetention?.wealthTax?.annualCostOfRetention > 0 ? [{
+      topic: 'Formuesskatt',
+      description: `Tilbakeholdt overskudd øker aksjeverdien i formuen. Med 30% tilbakeholdelse gir det ${scenarios.withRetention.wealthTax.annualCostOfRetention.toLocaleString('nb-NO')} kr mer formuesskatt hvert år beløpet står i selskapet.`,
+      relevance: 'medium'
+    }] : []),
+    ...(scenarios.withRetention?.npv && scenarios.optimized?.npv ? [describeRetentionNpv(scenarios.withRetention, scenarios.optimized)] : []),
+    ...(scenarios.withRetention?.investment || scenarios.optimized?.investment ? [describeRetentionInvestment(scenarios.withRetention?.investment || scenarios.optimized.investment)] : []),
     {
       topic: 'Fremtidige regelendringer',
       description: 'Skatteregler kan endres. Diversifisering mellom lønn og utbytte gir risikospredning.',
@@ -258,13 +608,37 @@ function generateRecommendations(scenarios, profit, zone) {
     {
       option: 'Tilbakeholdelse',
       pros: ['Investeringsmuligheter', 'Skatteplanlegging over tid', 'Buffer for dårlige år'],
-      cons: ['Penger bundet i selskapet', 'Fremtidig utbytteskatt']
+      cons: ['Penger bundet i selskapet', 'Fremtidig utbytteskatt', 'Årlig formuesskatt på økt aksjeverdi']
     }
   ];
   
   return recommendations;
 }
 
+/**
+ * Describes how the dividend capacity (aksjeloven § 8-1) limits the
+ * recommended scenario.
+ * 
+ * @param {Object} scenario - The recommended scenario
+ * @param {Object} scenarios - All scenarios (the dividend-only scenario shows a binding capacity)
+ * @returns {string|null} Norwegian description, or null when the capacity does not matter
+ */
+function describeDividendConstraint(scenario, scenarios) {
+  const company = scenario.company || {};
+  if (company.dividendCapacity === null || company.dividendCapacity === undefined) {
+    const dividendOnly = scenarios.allDividend?.company;
+    if (dividendOnly?.dividendHeldBack > 0) {
+      return `Utbytte er begrenset av utbyttekapasiteten etter aksjeloven § 8-1 - med rent utbytte kan bare ${dividendOnly.dividendCapacity.toLocaleString('nb-NO')} kr deles ut`;
+    }
+    return company.dividendDistributed > 0
+      ? 'Forutsetter at selskapet har nok fri egenkapital til utdelingen (aksjeloven § 8-1 er ikke kontrollert)'
+      : null;
+  }
+  return company.dividendHeldBack > 0
+    ? `Utdelingen er begrenset til utbyttekapasiteten på ${company.dividendCapacity.toLocaleString('nb-NO')} kr (aksjeloven § 8-1) - ${company.dividendHeldBack.toLocaleString('nb-NO')} kr blir stående i selskapet`
+    : `Utdelingen er innenfor utbyttekapasiteten på ${company.dividendCapacity.toLocaleString('nb-NO')} kr (aksjeloven § 8-1)`;
+}
+
 /**
  * Generates reason text for the primary recommendation.
  */
@@ -273,7 +647,8 @@ function generateReasonForRecommendation(key, profit, zone) {
     allSalary: `Med overskudd på ${profit.toLocaleString('nb-NO')} kr og arbeidsgiveravgiftssone ${zone}, gir ren lønnsstrategi best netto utbetaling. Trinnskatten er fortsatt lavere enn kombinert selskaps- og utbytteskatt.`,
     allDividend: `Med overskudd på ${profit.toLocaleString('nb-NO')} kr er ren utbyttestrategi mest effektiv. Den høye arbeidsgiveravgiften og trinnskatten gjør lønn mindre attraktivt.`,
     split5050: `En 50/50 fordeling gir god balanse mellom skatteeffektivitet og trygderettigheter.`,
-    optimized: `Den optimaliserte fordelingen balanserer trinnskattens terskelgrenser mot utbytteskattens faste sats for å minimere total skatt.`
+    optimized: `Den optimaliserte fordelingen balanserer trinnskattens terskelgrenser mot utbytteskattens faste sats for å minimere total skatt.`,
+    withRetention: `Å holde tilbake 30% av overskuddet i selskapet gir høyest nåverdi: avkastningen i selskapet veier opp for den utsatte utbytteskatten.`
   };
   
   return reasons[key] || 'Basert på beregningene er dette den mest skatteeffektive strategien.';
@@ -287,7 +662,8 @@ function generateReasonForAlternative(key) {
     allSalary: 'Gir pensjons- og trygdeopptjening',
     allDividend: 'Enklere å administrere, ingen lønnsutbetalinger',
     split5050: 'Balansert tilnærming med diversifisering',
-    optimized: 'Mest skatteeffektiv basert på gjeldende regler'
+    optimized: 'Mest skatteeffektiv basert på gjeldende regler',
+    withRetention: 'Utsetter utbytteskatten på det som blir stående i selskapet'
   };
   
   return reasons[key] || '';
@@ -319,7 +695,7 @@ export function generateDetailedReport(scenario) {
     assumptions: scenario.assumptions,
     metadata: {
       generatedAt: new Date().toISOString(),
-      taxYear: 2025,
+      taxYear: scenario.input?.taxYear ?? DEFAULT_TAX_YEAR,
       disclaimer: 'Dette er en beregning for planleggingsformål. Konsulter en skatterådgiver for profesjonell rådgivning.'
     }
   };
@@ -339,12 +715,14 @@ export function prepareExcelExport(comparisonResult) {
   const workbookData = {
     summary: {
       name: 'Sammendrag',
-      columns: ['Scenario', 'Netto utbetaling', 'Total skatt', 'Effektiv skattesats', 'Forskjell fra beste'],
+      columns: ['Scenario', 'Netto utbetaling', 'Nåverdi', 'Total skatt', 'Effektiv skattesats', 'Årlig formuesskatt på beholdt', 'Forskjell fra beste'],
       rows: comparisonResult.comparison.rows.map(row => [
         row.name,
         row.netPayout,
+        row.npv,
         row.totalTax,
         row.effectiveRate,
+        row.wealthTaxOnRetained,
         row.differenceFromBest
       ])
     },
@@ -356,8 +734,17 @@ export function prepareExcelExport(comparisonResult) {
         ['Arbeidsgiveravgiftssone', comparisonResult.input.employerZone],
         ['Pensjon inkludert', comparisonResult.input.pension?.enabled ? 'Ja' : 'Nei'],
         ['Tilbakeholdelse', `${(comparisonResult.input.retention?.percentage || 0) * 100}%`],
+        ['Innbetalt kapital', comparisonResult.input.paidInCapital || 0],
+        ['Rangering', comparisonResult.comparison.rankedBy === 'npv' ? 'Nåverdi' : 'Netto utbetaling'],
+        ['Avkastning i selskapet', comparisonResult.input.npv?.companyReturn],
+        ['Privat avkastning', comparisonResult.input.npv?.privateReturn],
+        ['Diskonteringsrente', comparisonResult.input.npv?.discountRate],
+        ['År før utdeling', comparisonResult.input.npv?.years],
+        ['Forventet avkastning på aksjer', comparisonResult.input.investment?.expectedReturn],
+        ['Utbytteandel av avkastningen', comparisonResult.input.investment?.dividendYield],
+        ['År med investering', comparisonResult.input.investment?.years],
         ['Beregningsdato', new Date().toLocaleDateString('nb-NO')],
-        ['Skatteår', 2025]
+        ['Skatteår', comparisonResult.input.taxYear ?? DEFAULT_TAX_YEAR]
       ]
     }
   };
@@ -377,6 +764,7 @@ export function prepareExcelExport(comparisonResult) {
 
 export default {
   generateAllScenarios,
+  compareTaxYears,
   generateDetailedReport,
   prepareExcelExport
 };
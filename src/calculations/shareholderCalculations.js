@@ -0,0 +1,369 @@
+/**
+ * Multiple Shareholder Calculation Module
+ *
+ * Calculates salary/dividend scenarios for a company with several owners,
+ * e.g. a consultancy with two or three partners. Each shareholder has an
+ * ownership share, their own cost basis for skjerming, their own other
+ * income and may or may not work in the company.
+ *
+ * - Salary goes only to working owners, split by their ownership shares
+ * - Dividends are split pro rata by ownership among all shareholders
+ * - Each owner's salary is taxed on top of their other income: salary from
+ *   other employers, pension and capital income less capital expenses
+ *   (see calculateSalaryTaxWithOtherIncome)
+ * - Salary shares per person can also be given directly, e.g. for a couple
+ *   where the spouse is employed without owning shares (see findOptimalRatio)
+ *
+ * Simplifications:
+ * - EPK, IPS, paid-in capital and the holding mode are not applied per owner
+ *
+ * Sources:
+ * - Skatteetaten: All tax rates and rules (see salaryCalculations.js, dividendCalculations.js)
+ * - Lovdata: Aksjeloven § 8-1 (utbytte fordeles etter aksjeinnehav)
+ */
+
+import {
+  calculateMaxGrossSalary,
+  calculateSalaryTaxWithOtherIncome,
+  calculateOwnerAge,
+  isOtpEligible
+} from './salaryCalculations.js';
+import { calculateCorporateTax, describeLossCarryforward, calculateDividendCapacity, describeDividendCapacity, calculateDividendTax, calculateSkjermingLedgerYear } from './dividendCalculations.js';
+import { calculatePersonalDeductions } from './deductionCalculations.js';
+import {
+  DEFAULT_TAX_YEAR,
+  DEFAULT_OWNER_RESIDENCE,
+  getTaxRates
+} from '../config/taxRates.js';
+
+/**
+ * Calculates the personal tax on a salary paid on top of other income.
+ *
+ * The tax is the difference between the tax on salary plus other income and
+ * the tax on the other income alone, so the salary is taxed at the owner's
+ * own marginal rates. Personal deductions the income cannot absorb are
+ * returned as unusedDeductions, to be set against the dividend.
+ *
+ * @param {number} grossSalary - Salary from the company
+ * @param {Object|null} otherIncome - { salary, pension, capitalIncome, capitalExpenses } (see validateOtherIncome)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @param {string} residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
+ * @param {number|null} age - Owner age in the tax year (null if unknown)
+ * @param {Object[]|null} personalDeductions - The owner's personal deductions (see validatePersonalDeductions)
+ * @returns {Object} Trygdeavgift, trinnskatt and income tax caused by the salary, and unused deductions
+ */
+export function calculatePersonalSalaryTax(grossSalary, otherIncome = null, rates = getTaxRates(), residence = DEFAULT_OWNER_RESIDENCE, age = null, personalDeductions = null) {
+  const deductions = calculatePersonalDeductions(personalDeductions ?? [], rates).additionalDeductions;
+  const { trygdeavgift, trinnskatt, inntektsskatt, totalTax, unusedDeductions, calculationSteps } = calculateSalaryTaxWithOtherIncome(grossSalary, otherIncome ?? {}, rates, residence, age, deductions);
+
+  return { trygdeavgift, trinnskatt, inntektsskatt, totalTax, unusedDeductions, calculationSteps };
+}
+
+/**
+ * Calculates a salary/dividend scenario for several shareholders.
+ *
+ * @param {number} profit - Total company profit before tax
+ * @param {string} zone - Employer zone for AGA calculation
+ * @param {number} salaryRatio - Percentage of profit allocated to salary for working owners (0-100)
+ * @param {Object[]} shareholders - Shareholders (see validateShareholders)
+ * @param {Object} options - Additional options
+ * @param {number} options.retentionPercentage - Percentage of profit to retain (0-1)
+ * @param {boolean} options.includePension - Whether working owners get OTP
+ * @param {number} options.pensionRate - OTP rate
+ * @param {number} options.taxYear - Tax year for the rate set (default DEFAULT_TAX_YEAR)
+ * @param {Object} options.overrides - Per-request rate overrides (see getTaxRates)
+ * @param {number} options.agaFribelopUsed - AGA fribeløp already used by other employees (zones 1a and 4a)
+ * @param {number[]|null} options.salaryShares - Share of the salary per person (0-1, same order as shareholders);
+ *   default splits the salary between working owners by ownership share
+ * @param {number} options.lossCarryforward - Company loss carried forward from earlier years
+ * @param {Object} options.balanceSheet - Balance sheet for the dividend capacity (see validateBalanceSheet)
+ * @returns {Object} Scenario with per-shareholder results and totals
+ */
+export function calculateShareholderScenario(profit, zone, salaryRatio, shareholders, options = {}) {
+  const {
+    retentionPercentage = 0,
+    includePension = false,
+    pensionRate = 0.02,
+    taxYear = DEFAULT_TAX_YEAR,
+    overrides = null,
+    agaFribelopUsed = 0,
+    salaryShares = null,
+    lossCarryforward = 0,
+    balanceSheet = null
+  } = options;
+
+  if (salaryRatio < 0 || salaryRatio > 100) {
+    throw new Error('Salary ratio must be between 0 and 100');
+  }
+
+  const rates = getTaxRates(taxYear, overrides);
+  const workingOwners = shareholders.filter(shareholder => shareholder.works);
+  const workingOwnership = workingOwners.reduce((sum, shareholder) => sum + shareholder.ownershipShare, 0);
+  // Working persons without shares (an employed spouse) share the salary equally
+  const defaultSalaryShare = shareholder => {
+    if (!shareholder.works) return 0;
+    return workingOwnership > 0 ? shareholder.ownershipShare / workingOwnership : 1 / workingOwners.length;
+  };
+  const appliedRatio = workingOwners.length > 0 ? salaryRatio : 0;
+  const calculationSteps = [];
+
+  // Step 1: Split the profit between retention, salary and dividend
+  // (nothing can be paid out of a loss year)
+  const retainedAmount = Math.max(0, profit) * retentionPercentage;
+  const availableForExtraction = Math.max(0, profit) - retainedAmount;
+  const salaryPortion = availableForExtraction * (appliedRatio / 100);
+  const dividendPortion = availableForExtraction - salaryPortion;
+
+  calculationSteps.push({
+    step: 'Fordeling av overskudd',
+    details: [
+      `Totalt overskudd: ${profit.toLocaleString('nb-NO')} kr`,
+      `Tilbakeholdt: ${Math.round(retainedAmount).toLocaleString('nb-NO')} kr (${(retentionPercentage * 100).toFixed(0)}%)`,
+      `Lønnsandel for arbeidende eiere: ${Math.round(salaryPortion).toLocaleString('nb-NO')} kr`,
+      `Utbytteandel: ${Math.round(dividendPortion).toLocaleString('nb-NO')} kr`,
+      ...(workingOwners.length === 0 && salaryRatio > 0 ? ['Ingen eiere arbeider i selskapet - alt tas ut som utbytte'] : [])
+    ]
+  });
+
+  // Step 2: Corporate tax on the dividend and retained parts, less any loss carried forward
+  const corporateTaxBase = profit < 0 ? profit : dividendPortion + retainedAmount;
+  const corporateTaxResult = calculateCorporateTax(corporateTaxBase, rates, lossCarryforward);
+  const totalCorporateTax = corporateTaxResult.corporateTax;
+  const corporateTaxShare = dividendPortion + retainedAmount > 0 ? totalCorporateTax / (dividendPortion + retainedAmount) : 0;
+  const corporateTaxOnDividend = dividendPortion * corporateTaxShare;
+  const corporateTaxOnRetained = retainedAmount * corporateTaxShare;
+  // The distribution is capped at the dividend capacity (aksjeloven § 8-1)
+  const dividendCapacity = calculateDividendCapacity({
+    balanceSheet,
+    resultAfterTax: corporateTaxBase - totalCorporateTax,
+    distribution: dividendPortion - corporateTaxOnDividend
+  });
+  const dividendAvailable = dividendCapacity.distribution;
+
+  const lossSteps = describeLossCarryforward(corporateTaxResult);
+  if (lossSteps.length > 0) {
+    calculationSteps.push({
+      step: 'Fremførbart underskudd',
+      details: lossSteps
+    });
+  }
+
+  if (dividendCapacity.checked) {
+    calculationSteps.push({
+      step: 'Utbyttekapasitet',
+      details: dividendCapacity.calculationSteps
+    });
+  }
+
+  // Step 3: Per shareholder; the AGA fribeløp is used in list order
+  let fribelopUsed = agaFribelopUsed;
+  const results = shareholders.map((shareholder, index) => {
+    const residence = shareholder.residence || DEFAULT_OWNER_RESIDENCE;
+    const age = calculateOwnerAge(shareholder.birthYear ?? null, rates.taxYear);
+    const salaryShare = shareholder.works ? (salaryShares ? salaryShares[index] : defaultSalaryShare(shareholder)) : 0;
+    const pensionApplied = includePension && shareholder.works && isOtpEligible(age);
+
+    const salaryCalc = salaryShare > 0
+      ? calculateMaxGrossSalary(salaryPortion * salaryShare, zone, pensionApplied, pensionRate, rates, fribelopUsed)
+      : null;
+    if (salaryCalc?.fribelopRemaining !== null && salaryCalc?.fribelopRemaining !== undefined) {
+      fribelopUsed = rates.agaFribelop - salaryCalc.fribelopRemaining;
+    }
+    const grossSalary = salaryCalc?.grossSalary ?? 0;
+    const salaryTax = calculatePersonalSalaryTax(grossSalary, shareholder.otherIncome, rates, residence, age, shareholder.personalDeductions);
+
+    const dividendReceived = dividendAvailable * shareholder.ownershipShare;
+    const skjerming = calculateSkjermingLedgerYear({
+      costBasis: shareholder.shareCostBasis || 0,
+      unusedFromPreviousYears: shareholder.unusedSkjerming || 0,
+      skjermingRate: rates.skjermingRate,
+      rateEstimated: rates.skjermingRateEstimated,
+      dividend: dividendReceived
+    });
+    const dividendTaxResult = calculateDividendTax(dividendReceived, skjerming.used, rates, residence, salaryTax.unusedDeductions);
+
+    const netSalary = grossSalary - salaryTax.totalTax;
+    const netDividend = dividendTaxResult.netDividend;
+
+    return {
+      name: shareholder.name,
+      ownershipShare: shareholder.ownershipShare,
+      works: shareholder.works,
+      otherIncome: shareholder.otherIncome ?? null,
+      grossSalary,
+      employerAGA: Math.round((salaryCalc?.employerAGA ?? 0) + (salaryCalc?.pensionAGA ?? 0)),
+      pensionContribution: salaryCalc?.pensionContribution ?? 0,
+      salaryTax,
+      netSalary: Math.round(netSalary),
+      dividendReceived: Math.round(dividendReceived),
+      skjerming,
+      dividendTax: dividendTaxResult.dividendTax,
+      netDividend: Math.round(netDividend),
+      netPayout: Math.round(netSalary + netDividend),
+      personalTax: Math.round(salaryTax.totalTax + dividendTaxResult.dividendTax)
+    };
+  });
+
+  results.forEach(result => {
+    calculationSteps.push({
+      step: `Aksjonær: ${result.name} (${(result.ownershipShare * 100).toFixed(1)}%)`,
+      details: [
+        ...(result.works
+          ? [
+              `Bruttolønn: ${result.grossSalary.toLocaleString('nb-NO')} kr (arbeidsgiveravgift ${result.employerAGA.toLocaleString('nb-NO')} kr)`,
+              ...(result.otherIncome
+                ? [result.salaryTax.calculationSteps[0]]
+                : []),
+              `Skatt på lønn (over annen inntekt): ${Math.round(result.salaryTax.totalTax).toLocaleString('nb-NO')} kr`
+            ]
+          : ['Arbeider ikke i selskapet - ingen lønn']),
+        `Utbytte: ${result.dividendReceived.toLocaleString('nb-NO')} kr, skjermingsfradrag ${result.skjerming.used.toLocaleString('nb-NO')} kr`,
+        `Utbytteskatt: ${result.dividendTax.toLocaleString('nb-NO')} kr`,
+        `Netto utbetaling: ${result.netPayout.toLocaleString('nb-NO')} kr`
+      ]
+    });
+  });
+
+  // Step 4: Totals
+  const sum = key => results.reduce((total, result) => total + result[key], 0);
+  const employerAGA = sum('employerAGA');
+  const salaryTax = results.reduce((total, result) => total + result.salaryTax.totalTax, 0);
+  const dividendTax = sum('dividendTax');
+  const totalTax = employerAGA + salaryTax + totalCorporateTax + dividendTax;
+  const netPrivatePayout = sum('netPayout');
+  const effectiveTaxRate = profit > 0 ? totalTax / profit : 0;
+  const retainedAfterTax = retainedAmount - corporateTaxOnRetained + dividendCapacity.heldBack;
+
+  calculationSteps.push({
+    step: 'Totalt',
+    details: [
+      `Arbeidsgiveravgift: ${Math.round(employerAGA).toLocaleString('nb-NO')} kr`,
+      `Personskatt på lønn: ${Math.round(salaryTax).toLocaleString('nb-NO')} kr`,
+      `Selskapsskatt: ${Math.round(totalCorporateTax).toLocaleString('nb-NO')} kr`,
+      `Utbytteskatt: ${Math.round(dividendTax).toLocaleString('nb-NO')} kr`,
+      `Total skatt: ${Math.round(totalTax).toLocaleString('nb-NO')} kr`,
+      `Netto utbetaling til eierne: ${Math.round(netPrivatePayout).toLocaleString('nb-NO')} kr`,
+      `Effektiv skattesats: ${(effectiveTaxRate * 100).toFixed(2)}%`
+    ]
+  });
+
+  return {
+    scenarioType: 'shareholders',
+    scenarioName: `${appliedRatio.toFixed(0)}% lønn / ${(100 - appliedRatio).toFixed(0)}% utbytte (${shareholders.length} aksjonærer)`,
+
+    input: {
+      profit,
+      zone,
+      salaryRatio: appliedRatio,
+      shareholderCount: shareholders.length,
+      retentionPercentage,
+      includePension,
+      pensionRate,
+      taxYear: rates.taxYear,
+      overrides,
+      agaFribelopUsed,
+      salaryShares,
+      lossCarryforward,
+      balanceSheet
+    },
+
+    company: {
+      profit,
+      lossCarryforwardUsed: corporateTaxResult.lossUsed,
+      lossCarryforwardRemaining: corporateTaxResult.lossRemaining,
+      retainedAmount: Math.round(retainedAmount),
+      retainedAfterTax: Math.round(retainedAfterTax),
+      salaryPortion: Math.round(salaryPortion),
+      dividendPortion: Math.round(dividendPortion),
+      grossSalaryPaid: sum('grossSalary'),
+      employerAGA: Math.round(employerAGA),
+      corporateTax: Math.round(totalCorporateTax),
+      dividendCapacity: dividendCapacity.capacity,
+      dividendHeldBack: dividendCapacity.heldBack,
+      dividendDistributed: Math.round(dividendAvailable)
+    },
+
+    shareholders: results,
+
+    totals: {
+      grossSalary: sum('grossSalary'),
+      salaryTax: Math.round(salaryTax),
+      dividendReceived: sum('dividendReceived'),
+      dividendTax: Math.round(dividendTax),
+      netPayout: Math.round(netPrivatePayout)
+    },
+
+    results: {
+      netPrivatePayout: Math.round(netPrivatePayout),
+      totalTaxPaid: Math.round(totalTax),
+      effectiveTaxRate,
+      retainedInCompany: Math.round(retainedAfterTax)
+    },
+
+    calculationSteps,
+
+    assumptions: [
+      `${shareholders.length} aksjonærer, utbytte fordeles etter eierandel`,
+      salaryShares
+        ? `Lønn fordelt mellom personene: ${results.map(result => `${result.name} ${result.grossSalary.toLocaleString('nb-NO')} kr`).join(', ')}`
+        : 'Lønn går bare til eiere som arbeider i selskapet, fordelt etter eierandel',
+      'Lønn til arbeidende eiere reduserer utbyttet til de andre eierne - optimalisert fordeling gjelder samlet utbetaling',
+      'Lønnen skattlegges på toppen av eierens andre inntekt',
+      'Skjermingsfradrag beregnes per aksjonær med egen inngangsverdi',
+      describeDividendCapacity(dividendCapacity)
+    ]
+  };
+}
+
+/**
+ * Compares all-salary, all-dividend, 50/50 and the best salary ratio for
+ * several shareholders, measured by the owners' total net payout.
+ *
+ * @param {number} profit - Total company profit before tax
+ * @param {string} zone - Employer zone for AGA calculation
+ * @param {Object[]} shareholders - Shareholders (see validateShareholders)
+ * @param {Object} options - Same options as calculateShareholderScenario, plus searchStep (default 1)
+ * @returns {Object} Scenarios by key and the optimal salary ratio
+ */
+export function compareShareholderScenarios(profit, zone, shareholders, options = {}) {
+  const { searchStep = 1 } = options;
+  const hasWorkingOwners = shareholders.some(shareholder => shareholder.works);
+
+  let optimalRatio = 0;
+  let optimalNetPayout = -Infinity;
+  if (hasWorkingOwners) {
+    for (let ratio = 0; ratio <= 100; ratio += searchStep) {
+      const netPayout = calculateShareholderScenario(profit, zone, ratio, shareholders, options).results.netPrivatePayout;
+      if (netPayout > optimalNetPayout) {
+        optimalNetPayout = netPayout;
+        optimalRatio = ratio;
+      }
+    }
+  }
+
+  const scenarios = {
+    allDividend: calculateShareholderScenario(profit, zone, 0, shareholders, options),
+    ...(hasWorkingOwners
+      ? {
+          allSalary: calculateShareholderScenario(profit, zone, 100, shareholders, options),
+          split5050: calculateShareholderScenario(profit, zone, 50, shareholders, options)
+        }
+      : {})
+  };
+  const optimized = calculateShareholderScenario(profit, zone, optimalRatio, shareholders, options);
+  scenarios.optimized = {
+    ...optimized,
+    scenarioName: `Optimalisert (${optimized.scenarioName})`
+  };
+
+  return {
+    optimalRatio,
+    scenarios
+  };
+}
+
+export default {
+  calculatePersonalSalaryTax,
+  calculateShareholderScenario,
+  compareShareholderScenarios
+};
@@ -0,0 +1,131 @@
+/**
+ * Wealth Tax Calculation Module
+ *
+ * Calculates the owner's wealth tax (formuesskatt) on the shares in the AS
+ * and the part of it caused by retaining profit in the company.
+ *
+ * Retained profit raises the company's equity and therefore the value of the
+ * owner's shares in the wealth tax base, after the valuation discount for
+ * shares (verdsettelsesrabatt). Unlike corporate tax this is not a one-time
+ * cost: it is paid every year the money stays in the company.
+ *
+ * Simplifications:
+ * - The company's formuesverdi is taken to be its equity (egenkapital)
+ * - The owner holds all shares
+ * - Amounts paid out are assumed spent and not part of the owner's wealth
+ *
+ * Sources:
+ * - Skatteetaten: https://www.skatteetaten.no/satser/formuesskatt/
+ * - Lovdata: Skatteloven § 4-12 (verdsettelse av aksjer), § 15-1 (formuesskatt)
+ */
+
+import { getTaxRates } from '../config/taxRates.js';
+
+/**
+ * Calculates wealth tax on net wealth.
+ *
+ * Formula:
+ * Tax = (min(wealth, upper threshold) - bunnfradrag) × rate
+ *     + (wealth - upper threshold) × upper rate
+ *
+ * Source: Skatteetaten - "Formuesskatt"
+ * URL: https://www.skatteetaten.no/satser/formuesskatt/
+ * Year: Selected tax year (see getTaxRates)
+ *
+ * @param {number} netWealth - Net wealth (formue after debt)
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @returns {Object} Wealth tax calculation
+ */
+export function calculateWealthTax(netWealth, rates = getTaxRates()) {
+  const { bunnfradrag, rate, upperThreshold, upperRate } = rates.wealthTax;
+  const lowerBase = Math.max(0, Math.min(netWealth, upperThreshold) - bunnfradrag);
+  const upperBase = Math.max(0, netWealth - upperThreshold);
+  const wealthTax = lowerBase * rate + upperBase * upperRate;
+
+  return {
+    wealthTax: Math.round(wealthTax),
+    taxableWealth: Math.round(lowerBase + upperBase),
+    calculationSteps: [
+      `Nettoformue: ${Math.round(netWealth).toLocaleString('nb-NO')} kr`,
+      `Bunnfradrag: ${bunnfradrag.toLocaleString('nb-NO')} kr`,
+      `Trinn 1: ${Math.round(lowerBase).toLocaleString('nb-NO')} × ${(rate * 100).toFixed(2)}% = ${Math.round(lowerBase * rate).toLocaleString('nb-NO')} kr`,
+      ...(upperBase > 0 ? [`Trinn 2 (over ${upperThreshold.toLocaleString('nb-NO')} kr): ${Math.round(upperBase).toLocaleString('nb-NO')} × ${(upperRate * 100).toFixed(2)}% = ${Math.round(upperBase * upperRate).toLocaleString('nb-NO')} kr`] : []),
+      `Formuesskatt: ${Math.round(wealthTax).toLocaleString('nb-NO')} kr`
+    ]
+  };
+}
+
+/**
+ * Calculates the wealth tax value of the shares from the company's equity.
+ *
+ * Source: Lovdata - Skatteloven § 4-12 (verdsettelsesrabatt for aksjer)
+ * URL: https://lovdata.no/dokument/NL/lov/1999-03-26-14
+ * Year: Selected tax year (wealthTax.shareValuationFactor in the rate file)
+ *
+ * @param {number} companyEquity - Company equity used as formuesverdi
+ * @param {Object} rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @returns {number} Share value in the wealth tax base
+ */
+export function calculateShareWealthValue(companyEquity, rates = getTaxRates()) {
+  return Math.max(0, companyEquity) * rates.wealthTax.shareValuationFactor;
+}
+
+/**
+ * Calculates the yearly wealth tax caused by retaining profit in the company.
+ *
+ * The owner's wealth tax is calculated twice, with and without the retained
+ * amount (after corporate tax) in the company's equity. The difference is
+ * the recurring cost of retention. The shares are valued at the start of the
+ * year, so the cost first applies the year after the profit is retained.
+ * Only the owner's share of the equity is counted; by default the owner
+ * owns all the shares.
+ *
+ * @param {Object} params - Scenario values
+ * @param {number} params.retainedAfterTax - Profit retained in the company after corporate tax
+ * @param {number} params.companyEquity - Company equity before this year's retention
+ * @param {number} params.otherNetWealth - Owner's other net wealth (can be negative)
+ * @param {number} params.ownershipShare - Owner's share of the company (0-1, default 1)
+ * @param {Object} params.rates - Rate set from getTaxRates (default: DEFAULT_TAX_YEAR)
+ * @returns {Object} Wealth tax with and without retention, the yearly cost of retention and the ownership assumption
+ */
+export function calculateRetentionWealthTax({
+  retainedAfterTax = 0,
+  companyEquity = 0,
+  otherNetWealth = 0,
+  ownershipShare = 1,
+  rates = getTaxRates()
+}) {
+  const shareValueBefore = calculateShareWealthValue(companyEquity, rates) * ownershipShare;
+  const shareValueAfter = calculateShareWealthValue(companyEquity + retainedAfterTax, rates) * ownershipShare;
+  const ownershipText = ownershipShare < 1 ? ` × eierandel ${(ownershipShare * 100).toFixed(1)}%` : '';
+  const withoutRetention = calculateWealthTax(otherNetWealth + shareValueBefore, rates);
+  const withRetention = calculateWealthTax(otherNetWealth + shareValueAfter, rates);
+  const annualCostOfRetention = withRetention.wealthTax - withoutRetention.wealthTax;
+  const factor = rates.wealthTax.shareValuationFactor;
+
+  return {
+    shareValueBefore: Math.round(shareValueBefore),
+    shareValueAfter: Math.round(shareValueAfter),
+    wealthTaxWithoutRetention: withoutRetention.wealthTax,
+    wealthTaxWithRetention: withRetention.wealthTax,
+    annualCostOfRetention,
+    ownershipShare,
+    assumption: ownershipShare < 1
+      ? `Formuesskatt: eierens andel (${(ownershipShare * 100).toFixed(1)}%) av selskapets egenkapital regnes med i formuen`
+      : 'Formuesskatt: eieren antas å eie alle aksjene, så hele selskapets egenkapital regnes med i formuen',
+    calculationSteps: [
+      `Aksjeverdi før tilbakeholdelse: ${Math.round(companyEquity).toLocaleString('nb-NO')} × ${(factor * 100).toFixed(0)}%${ownershipText} = ${Math.round(shareValueBefore).toLocaleString('nb-NO')} kr`,
+      `Aksjeverdi med tilbakeholdt overskudd: ${Math.round(companyEquity + retainedAfterTax).toLocaleString('nb-NO')} × ${(factor * 100).toFixed(0)}%${ownershipText} = ${Math.round(shareValueAfter).toLocaleString('nb-NO')} kr`,
+      `Annen nettoformue: ${Math.round(otherNetWealth).toLocaleString('nb-NO')} kr`,
+      `Formuesskatt uten tilbakeholdelse: ${withoutRetention.wealthTax.toLocaleString('nb-NO')} kr`,
+      `Formuesskatt med tilbakeholdelse: ${withRetention.wealthTax.toLocaleString('nb-NO')} kr`,
+      `Årlig formuesskatt på tilbakeholdt overskudd: ${annualCostOfRetention.toLocaleString('nb-NO')} kr (fra neste år, så lenge beløpet står i selskapet)`
+    ]
+  };
+}
+
+export default {
+  calculateWealthTax,
+  calculateShareWealthValue,
+  calculateRetentionWealthTax
+};
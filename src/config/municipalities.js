@@ -0,0 +1,175 @@
+/**
+ * Municipality Table (kommunenummer → AGA zone)
+ *
+ * Maps each Norwegian municipality to its employer social security zone
+ * (arbeidsgiveravgiftssone) and whether it is part of the tiltakssone for
+ * Finnmark and Nord-Troms. The data lives in municipalities.json and is
+ * validated when this module is loaded, like the rate files.
+ *
+ * Source: Skatteetaten - Arbeidsgiveravgift, soneinndeling
+ * URL: https://www.skatteetaten.no/satser/arbeidsgiveravgift/
+ * Legal basis: Forskrift om arbeidsgiveravgift til folketrygden (soneinndeling)
+ *
+ * IMPORTANT: Review the table when municipalities merge or split (usually from
+ * 1 January) and when Stortinget changes the zone assignments.
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { REQUIRED_ZONES } from './rateSchema.js';
+
+/**
+ * Path of the municipality data file
+ */
+export const MUNICIPALITIES_FILE = join(dirname(fileURLToPath(import.meta.url)), 'municipalities.json');
+
+/**
+ * Validates parsed municipality data.
+ *
+ * @param {Object} data - Parsed JSON content of the municipality file
+ * @returns {string[]} Error messages (empty when the data is valid)
+ */
+export function validateMunicipalityData(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return ['file must contain a JSON object'];
+  }
+
+  const errors = [];
+  if (typeof data.source !== 'string' || data.source.trim() === '') {
+    errors.push('source is required');
+  }
+  if (typeof data.url !== 'string' || !/^https?:\/\/\S+$/.test(data.url)) {
+    errors.push('url must be an http(s) URL');
+  }
+  if (!Number.isInteger(data.validFrom)) {
+    errors.push('validFrom must be an integer year');
+  }
+  if (!Array.isArray(data.municipalities) || data.municipalities.length === 0) {
+    errors.push('municipalities must be a non-empty list');
+    return errors;
+  }
+
+  const seen = new Set();
+  data.municipalities.forEach((municipality, index) => {
+    const path = `municipalities[${index}]`;
+    const { number, name, county, zone, tiltakssone } = municipality ?? {};
+
+    if (typeof number !== 'string' || !/^\d{4}$/.test(number)) {
+      errors.push(`${path}.number must be a four-digit kommunenummer`);
+    } else if (seen.has(number)) {
+      errors.push(`${path}.number ${number} is listed more than once`);
+    } else {
+      seen.add(number);
+    }
+    if (typeof name !== 'string' || name.trim() === '') {
+      errors.push(`${path}.name is required`);
+    }
+    if (typeof county !== 'string' || county.trim() === '') {
+      errors.push(`${path}.county is required`);
+    }
+    if (!REQUIRED_ZONES.includes(zone)) {
+      errors.push(`${path}.zone must be one of: ${REQUIRED_ZONES.join(', ')}`);
+    }
+    if (typeof tiltakssone !== 'boolean') {
+      errors.push(`${path}.tiltakssone must be true or false`);
+    } else if (tiltakssone && zone !== '5') {
+      errors.push(`${path}.tiltakssone is only possible in zone 5`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Reads and validates the municipality file.
+ *
+ * @param {string} filePath - Path of the municipality file
+ * @returns {Object} Parsed municipality data
+ * @throws {Error} If the file cannot be parsed or fails validation
+ */
+export function loadMunicipalities(filePath = MUNICIPALITIES_FILE) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid municipality file: ${error.message}`);
+  }
+
+  const errors = validateMunicipalityData(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid municipality file:\n- ${errors.join('\n- ')}`);
+  }
+
+  return data;
+}
+
+const MUNICIPALITY_DATA = loadMunicipalities();
+
+/**
+ * Source metadata of the municipality table
+ */
+export const MUNICIPALITIES_METADATA = {
+  validFrom: MUNICIPALITY_DATA.validFrom,
+  lastUpdated: MUNICIPALITY_DATA.lastUpdated,
+  source: MUNICIPALITY_DATA.source,
+  url: MUNICIPALITY_DATA.url,
+  note: MUNICIPALITY_DATA.note,
+};
+
+/**
+ * All municipalities, sorted by kommunenummer
+ */
+export const MUNICIPALITIES = Object.freeze(
+  [...MUNICIPALITY_DATA.municipalities]
+    .sort((a, b) => a.number.localeCompare(b.number))
+    .map(municipality => Object.freeze({ ...municipality }))
+);
+
+const MUNICIPALITIES_BY_NUMBER = new Map(MUNICIPALITIES.map(municipality => [municipality.number, municipality]));
+
+/**
+ * Looks up a municipality by kommunenummer.
+ *
+ * Three-digit numbers are accepted with the leading zero left out (301 → 0301).
+ *
+ * @param {string|number} number - Kommunenummer
+ * @returns {Object|null} The municipality, or null if the number is unknown
+ */
+export function findMunicipality(number) {
+  if (number === undefined || number === null) {
+    return null;
+  }
+  const key = String(number).trim().padStart(4, '0');
+  return MUNICIPALITIES_BY_NUMBER.get(key) ?? null;
+}
+
+/**
+ * Searches municipalities by kommunenummer prefix or name.
+ *
+ * Name matching is case-insensitive and matches anywhere in the name, so
+ * "nord" finds both Nordkapp and Nord-Fron. An empty query returns all.
+ *
+ * @param {string} query - Search text
+ * @returns {Object[]} Matching municipalities, sorted by kommunenummer
+ */
+export function searchMunicipalities(query) {
+  const text = String(query ?? '').trim().toLowerCase();
+  if (text === '') {
+    return [...MUNICIPALITIES];
+  }
+  if (/^\d+$/.test(text)) {
+    return MUNICIPALITIES.filter(municipality => municipality.number.startsWith(text));
+  }
+  return MUNICIPALITIES.filter(municipality => municipality.name.toLowerCase().includes(text));
+}
+
+export default {
+  MUNICIPALITIES_FILE,
+  MUNICIPALITIES_METADATA,
+  MUNICIPALITIES,
+  validateMunicipalityData,
+  loadMunicipalities,
+  findMunicipality,
+  searchMunicipalities
+};
@@ -0,0 +1,263 @@
+/**
+ * Tax Rate File Schema
+ *
+ * Validates the per-year rate files in src/config/rates/ before they are used.
+ * Every rate entry must carry its value together with the source name, source
+ * URL and the year the source applies to, so each number can be traced back
+ * to Skatteetaten, Lovdata or NAV.
+ *
+ * Entry format:
+ *   "corporateTaxRate": {
+ *     "value": 0.22,
+ *     "source": "Skatteetaten - Skatt på alminnelig inntekt for selskap",
+ *     "url": "https://www.skatteetaten.no/satser/skatt-pa-alminnelig-inntekt/",
+ *     "year": 2025,
+ *     "note": "optional remark, e.g. estimated values"
+ *   }
+ *
+ * Rates that are published after the income year (skjermingsrente) also carry
+ * "status": "published" or "estimated", so reports can say whether the value
+ * is final.
+ */
+
+/**
+ * Employer zones every rate file must define
+ */
+export const REQUIRED_ZONES = ['1', '1a', '2', '3', '4', '4a', '5'];
+
+/**
+ * Allowed statuses for a rate file
+ * - final: rates adopted by Stortinget
+ * - proposed: rates from the budget proposal, not yet adopted
+ */
+export const RATE_FILE_STATUSES = ['final', 'proposed'];
+
+/**
+ * Allowed statuses for a single rate entry
+ * - published: the value published by Skatteetaten
+ * - estimated: the value is not published yet and is our estimate
+ */
+export const RATE_ENTRY_STATUSES = ['published', 'estimated'];
+
+/**
+ * Rate keys that must carry an entry status
+ */
+export const STATUS_REQUIRED_RATES = ['skjermingRate'];
+
+/**
+ * Value type per required rate key
+ */
+export const RATE_FILE_SCHEMA = {
+  corporateTaxRate: 'rate',
+  personalTaxRate: 'rate',
+  employerSocialSecurityRates: 'zoneRates',
+  agaFribelop: 'amount',
+  bracketTax: 'brackets',
+  socialSecurityRates: { salary: 'rate', selfEmployed: 'rate', pension: 'rate' },
+  socialSecurityThreshold: 'amount',
+  socialSecurityPhaseInRate: 'rate',
+  dividendGrossUpFactor: 'factor',
+  skjermingRate: 'rate',
+  minstefradrag: { rate: 'rate', minimum: 'amount', maximum: 'amount' },
+  pensionMinstefradrag: { rate: 'rate', minimum: 'amount', maximum: 'amount' },
+  personfradrag: 'amount',
+  tiltakssone: { personalTaxRate: 'rate', bracketStep3Rate: 'rate', finnmarksfradrag: 'amount' },
+  otpMinRate: 'rate',
+  otpMaxRate: 'rate',
+  otpSalaryBand: { lowerLimitG: 'amount', upperLimitG: 'amount' },
+  pensionLimits: { additionalRate: 'rate', additionalLowerLimitG: 'amount', employeeMaxRate: 'rate', ipsMaxDeduction: 'amount' },
+  personalDeductions: { unionDuesMaximum: 'amount', childcareFirstChild: 'amount', childcareAdditionalChild: 'amount', giftsMaximum: 'amount' },
+  wealthTax: { bunnfradrag: 'amount', rate: 'rate', upperThreshold: 'amount', upperRate: 'rate', shareValuationFactor: 'rate' },
+  fritaksmetoden: { inclusionRate: 'rate', groupOwnershipThreshold: 'rate' },
+  grunnbelopet: 'amount',
+};
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks a value against a schema type and returns error messages.
+ *
+ * @param {any} value - The value to check
+ * @param {string|Object} type - Schema type name or nested field map
+ * @param {string} path - Path of the value for error messages
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function checkValue(value, type, path) {
+  if (isPlainObject(type)) {
+    if (!isPlainObject(value)) {
+      return [`${path} must be an object`];
+    }
+    const errors = [];
+    for (const [field, fieldType] of Object.entries(type)) {
+      if (!(field in value)) {
+        errors.push(`${path}.${field} is required`);
+      } else {
+        errors.push(...checkValue(value[field], fieldType, `${path}.${field}`));
+      }
+    }
+    for (const field of Object.keys(value)) {
+      if (!(field in type)) {
+        errors.push(`${path}.${field} is not a known field`);
+      }
+    }
+    return errors;
+  }
+
+  switch (type) {
+    case 'rate':
+      return isNumber(value) && value >= 0 && value <= 1 ? [] : [`${path} must be a rate between 0 and 1`];
+    case 'amount':
+      return isNumber(value) && value >= 0 ? [] : [`${path} must be an amount of 0 or more`];
+    case 'factor':
+      return isNumber(value) && value > 0 ? [] : [`${path} must be a positive number`];
+    case 'zoneRates': {
+      const zoneType = Object.fromEntries(REQUIRED_ZONES.map(zone => [zone, 'rate']));
+      return checkValue(value, zoneType, path);
+    }
+    case 'brackets':
+      return checkBrackets(value, path);
+    default:
+      return [`${path} has unknown schema type ${type}`];
+  }
+}
+
+/**
+ * Checks a bracket tax table: non-empty, valid steps, increasing thresholds.
+ */
+function checkBrackets(value, path) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return [`${path} must be a non-empty list`];
+  }
+
+  const errors = [];
+  value.forEach((bracket, index) => {
+    const stepPath = `${path}[${index}]`;
+    if (!isPlainObject(bracket)) {
+      errors.push(`${stepPath} must be an object`);
+      return;
+    }
+    errors.push(...checkValue(bracket.threshold, 'amount', `${stepPath}.threshold`));
+    errors.push(...checkValue(bracket.rate, 'rate', `${stepPath}.rate`));
+    if (bracket.description !== undefined && typeof bracket.description !== 'string') {
+      errors.push(`${stepPath}.description must be a string`);
+    }
+    if (index > 0 && isNumber(bracket.threshold) && isNumber(value[index - 1]?.threshold) &&
+        bracket.threshold <= value[index - 1].threshold) {
+      errors.push(`${stepPath}.threshold must be higher than the previous threshold (monotonic brackets)`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Checks the source metadata of one rate entry.
+ */
+function checkSource(entry, key, taxYear) {
+  const errors = [];
+
+  if (typeof entry.source !== 'string' || entry.source.trim() === '') {
+    errors.push(`rates.${key}.source is required`);
+  }
+  if (typeof entry.url !== 'string' || !/^https?:\/\/\S+$/.test(entry.url)) {
+    errors.push(`rates.${key}.url must be an http(s) URL`);
+  }
+  if (!Number.isInteger(entry.year) || entry.year > taxYear) {
+    errors.push(`rates.${key}.year must be an integer year no later than ${taxYear}`);
+  }
+  if (entry.note !== undefined && typeof entry.note !== 'string') {
+    errors.push(`rates.${key}.note must be a string`);
+  }
+  if (entry.status !== undefined && !RATE_ENTRY_STATUSES.includes(entry.status)) {
+    errors.push(`rates.${key}.status must be one of: ${RATE_ENTRY_STATUSES.join(', ')}`);
+  }
+  if (entry.status === undefined && STATUS_REQUIRED_RATES.includes(key)) {
+    errors.push(`rates.${key}.status is required`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a parsed rate file against the schema.
+ *
+ * @param {Object} data - Parsed JSON content of a rate file
+ * @returns {string[]} Error messages (empty when the file is valid)
+ */
+export function validateRateFile(data) {
+  if (!isPlainObject(data)) {
+    return ['file must contain a JSON object'];
+  }
+
+  const errors = [];
+  const { taxYear, status, lastUpdated, rates } = data;
+
+  if (!Number.isInteger(taxYear)) {
+    errors.push('taxYear must be an integer');
+  }
+  if (!RATE_FILE_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${RATE_FILE_STATUSES.join(', ')}`);
+  }
+  if (typeof lastUpdated !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(lastUpdated)) {
+    errors.push('lastUpdated must be a date (YYYY-MM-DD)');
+  }
+  if (!isPlainObject(rates)) {
+    errors.push('rates must be an object');
+    return errors;
+  }
+
+  for (const [key, type] of Object.entries(RATE_FILE_SCHEMA)) {
+    const entry = rates[key];
+
+    if (entry === undefined) {
+      errors.push(`rates.${key} is required`);
+      continue;
+    }
+    if (!isPlainObject(entry) || !('value' in entry)) {
+      errors.push(`rates.${key} must be an object with value, source, url and year`);
+      continue;
+    }
+
+    errors.push(...checkValue(entry.value, type, `rates.${key}.value`));
+    errors.push(...checkSource(entry, key, Number.isInteger(taxYear) ? taxYear : Infinity));
+  }
+
+  for (const key of Object.keys(rates)) {
+    if (!(key in RATE_FILE_SCHEMA)) {
+      errors.push(`rates.${key} is not a known rate`);
+    }
+  }
+
+  if (isPlainObject(rates.otpMinRate) && isPlainObject(rates.otpMaxRate) &&
+      rates.otpMinRate.value > rates.otpMaxRate.value) {
+    errors.push('rates.otpMinRate.value cannot exceed rates.otpMaxRate.value');
+  }
+
+  const otpBand = rates.otpSalaryBand?.value;
+  if (isPlainObject(otpBand) && isNumber(otpBand.lowerLimitG) && isNumber(otpBand.upperLimitG) &&
+      otpBand.lowerLimitG >= otpBand.upperLimitG) {
+    errors.push('rates.otpSalaryBand.value.lowerLimitG must be below upperLimitG');
+  }
+
+  const wealthTax = rates.wealthTax?.value;
+  if (isPlainObject(wealthTax) && isNumber(wealthTax.bunnfradrag) && isNumber(wealthTax.upperThreshold) &&
+      wealthTax.bunnfradrag >= wealthTax.upperThreshold) {
+    errors.push('rates.wealthTax.value.bunnfradrag must be below upperThreshold');
+  }
+
+  return errors;
+}
+
+export default {
+  REQUIRED_ZONES,
+  RATE_FILE_STATUSES,
+  RATE_ENTRY_STATUSES,
+  STATUS_REQUIRED_RATES,
+  RATE_FILE_SCHEMA,
+  validateRateFile
+};
@@ -1,276 +1,324 @@
 /**
- * Norwegian Tax Rates and Constants - Tax Year 2025
- * 
- * All rates are sourced from official Norwegian sources and documented with:
+ * Norwegian Tax Rates and Constants
+ *
+ * The rates themselves live in one data file per tax year in src/config/rates/
+ * (e.g. rates/2025.json). Every value in those files is documented with:
  * - Source name and URL
  * - Year of applicability
- * - Any assumptions or conditions
- * 
- * IMPORTANT: This file should be reviewed and updated annually when new tax rates are published.
+ * - Any assumptions or conditions (note)
+ *
+ * The files are validated against the schema in rateSchema.js when this module
+ * is loaded. A broken file throws, so the server refuses to start instead of
+ * calculating with bad rates.
+ *
+ * IMPORTANT: The rate files should be reviewed and updated annually when new tax rates are published.
  * New rates are typically announced in the national budget (statsbudsjettet) in October
  * and confirmed in December for the following year.
- * 
- * Last updated: January 2025 for tax year 2025
  */
 
+import { readdirSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { validateRateFile } from './rateSchema.js';
+
 // ============================================================================
-// CORPORATE TAX (SELSKAPSSKATT)
+// RATE FILES
 // ============================================================================
 
 /**
- * Corporate Income Tax Rate
- * 
- * Source: Skatteetaten - "Skatt på alminnelig inntekt for selskap"
- * URL: https://www.skatteetaten.no/satser/skatt-pa-alminnelig-inntekt/
- * Year: 2025
- * 
- * The corporate tax rate in Norway has been 22% since 2019.
- * This applies to all Norwegian limited companies (AS).
+ * Directory holding one JSON rate file per tax year
+ */
+export const RATE_FILES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'rates');
+
+/**
+ * Reads and validates every rate file in a directory.
+ *
+ * File names must be the tax year (2025.json) and match the taxYear field.
+ * All problems across all files are collected before throwing, so one run
+ * reports everything that needs fixing.
+ *
+ * @param {string} directory - Directory containing the rate files
+ * @returns {Object} Parsed rate files keyed by tax year
+ * @throws {Error} If a file cannot be parsed or fails schema validation
+ */
+export function loadRateFiles(directory = RATE_FILES_DIR) {
+  const files = readdirSync(directory).filter(name => name.endsWith('.json')).sort();
+  const rateFiles = {};
+  const problems = [];
+
+  for (const fileName of files) {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(join(directory, fileName), 'utf8'));
+    } catch (error) {
+      problems.push(`${fileName}: ${error.message}`);
+      continue;
+    }
+
+    const errors = validateRateFile(data);
+    if (`${data?.taxYear}.json` !== fileName) {
+      errors.push(`file name must match taxYear (expected ${data?.taxYear}.json)`);
+    }
+
+    if (errors.length > 0) {
+      problems.push(...errors.map(error => `${fileName}: ${error}`));
+    } else {
+      rateFiles[data.taxYear] = data;
+    }
+  }
+
+  if (files.length === 0) {
+    problems.push(`no rate files found in ${directory}`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid tax rate files:\n- ${problems.join('\n- ')}`);
+  }
+
+  return rateFiles;
+}
+
+const RATE_FILES = loadRateFiles();
+
+/**
+ * Complete rate sets per tax year (inntektsår), built from the rate files.
+ */
+const TAX_YEAR_REGISTRY = Object.fromEntries(
+  Object.values(RATE_FILES).map(file => [file.taxYear, {
+    taxYear: file.taxYear,
+    status: file.status,
+    ...Object.fromEntries(Object.entries(file.rates).map(([key, entry]) => [key, entry.value]))
+  }])
+);
+
+/**
+ * Source documentation per rate value and tax year.
  */
-export const CORPORATE_TAX_RATE = 0.22;
+const RATE_SOURCES = Object.fromEntries(
+  Object.values(RATE_FILES).map(file => [file.taxYear, Object.fromEntries(
+    Object.entries(file.rates).map(([key, { value, ...source }]) => [key, source])
+  )])
+);
 
 // ============================================================================
-// EMPLOYER'S SOCIAL SECURITY CONTRIBUTIONS (ARBEIDSGIVERAVGIFT)
+// TAX YEAR 2025 CONSTANTS
 // ============================================================================
 
 /**
- * Employer's Social Security Contribution Rates by Zone
- * 
- * Source: Skatteetaten - "Arbeidsgiveravgift"
- * URL: https://www.skatteetaten.no/satser/arbeidsgiveravgift/
- * Year: 2025
- * 
- * Norway uses a differentiated system with 5 geographical zones.
- * The rate depends on where the company is registered.
- * 
- * Assumptions:
- * - Standard rates (not reduced rates for certain industries)
- * - Company does not exceed state aid limits (fribeløp)
+ * Tax year used when a caller does not specify one.
  */
-export const EMPLOYER_SOCIAL_SECURITY_RATES = {
-  1: 0.141,   // Zone 1: Major cities and surrounding areas (14.1%)
-  '1a': 0.141, // Zone 1a: Same as zone 1 (14.1%)
-  2: 0.106,   // Zone 2: (10.6%)
-  3: 0.064,   // Zone 3: (6.4%)
-  4: 0.054,   // Zone 4: (5.4%)
-  '4a': 0.079, // Zone 4a: (7.9%)
-  5: 0.00,    // Zone 5: Finnmark and Nord-Troms (0%)
-};
+export const DEFAULT_TAX_YEAR = 2025;
+
+const RATES_2025 = TAX_YEAR_REGISTRY[2025];
+
+/**
+ * Named constants for tax year 2025, kept for existing callers.
+ * Sources and notes for each value are in rates/2025.json.
+ */
+export const CORPORATE_TAX_RATE = RATES_2025.corporateTaxRate;
+export const EMPLOYER_SOCIAL_SECURITY_RATES = RATES_2025.employerSocialSecurityRates;
+export const AGA_FRIBELOP = RATES_2025.agaFribelop;
+export const PERSONAL_TAX_RATE = RATES_2025.personalTaxRate;
+export const BRACKET_TAX_2025 = RATES_2025.bracketTax;
+export const SOCIAL_SECURITY_RATES = RATES_2025.socialSecurityRates;
+export const SOCIAL_SECURITY_THRESHOLD = RATES_2025.socialSecurityThreshold;
+export const SOCIAL_SECURITY_PHASE_IN_RATE = RATES_2025.socialSecurityPhaseInRate;
+export const DIVIDEND_GROSS_UP_FACTOR = RATES_2025.dividendGrossUpFactor;
+export const SKJERMING_RATE_2024 = TAX_YEAR_REGISTRY[2024].skjermingRate;
+export const SKJERMING_RATE_2025 = RATES_2025.skjermingRate;
+export const MINSTEFRADRAG = RATES_2025.minstefradrag;
+export const PENSION_MINSTEFRADRAG = RATES_2025.pensionMinstefradrag;
+export const PERSONFRADRAG = RATES_2025.personfradrag;
+export const OTP_MIN_RATE = RATES_2025.otpMinRate;
+export const OTP_MAX_RATE = RATES_2025.otpMaxRate;
+export const OTP_SALARY_BAND = RATES_2025.otpSalaryBand;
+export const PENSION_LIMITS = RATES_2025.pensionLimits;
+export const PERSONAL_DEDUCTIONS = RATES_2025.personalDeductions;
+export const WEALTH_TAX = RATES_2025.wealthTax;
+export const FRITAKSMETODEN = RATES_2025.fritaksmetoden;
+export const GRUNNBELOPET = RATES_2025.grunnbelopet;
+
+/**
+ * Effective dividend tax rate after gross-up
+ * This is a derived value for convenience
+ */
+export const EFFECTIVE_DIVIDEND_TAX_RATE = PERSONAL_TAX_RATE * DIVIDEND_GROSS_UP_FACTOR;
 
 /**
  * Zone descriptions for UI display
  */
 export const EMPLOYER_ZONE_DESCRIPTIONS = {
   1: 'Sone 1 - Storbyområder (Oslo, Bergen, Trondheim, Stavanger m.fl.)',
-  '1a': 'Sone 1a - Tilsvarende sone 1',
+  '1a': 'Sone 1a - Sats som sone 2 opp til fribeløpet, deretter sone 1',
   2: 'Sone 2 - Mellomstore byer og tettsteder',
   3: 'Sone 3 - Distriktskommuner',
   4: 'Sone 4 - Tynne distrikter',
-  '4a': 'Sone 4a - Spesielle områder',
+  '4a': 'Sone 4a - Redusert sats opp til fribeløpet, deretter sone 1',
   5: 'Sone 5 - Finnmark og Nord-Troms (0% avgift)',
 };
 
-// ============================================================================
-// PERSONAL INCOME TAX (SKATT PÅ ALMINNELIG INNTEKT)
-// ============================================================================
-
 /**
- * Personal Income Tax Rate (Alminnelig inntekt)
- * 
- * Source: Skatteetaten - "Skatt på alminnelig inntekt"
- * URL: https://www.skatteetaten.no/satser/skatt-pa-alminnelig-inntekt/
- * Year: 2025
- * 
- * This rate applies to net income after deductions.
- * Split between municipality (kommuneskatt) and common tax (fellesskatt).
+ * Zones Where the Reduced AGA Rate Is Limited by the Fribeløp
+ *
+ * Source: Skatteetaten - "Arbeidsgiveravgift", fribeløp
+ * URL: https://www.skatteetaten.no/satser/arbeidsgiveravgift/
+ * Year: 2022-2026 (amount in agaFribelop of each rate file)
+ *
+ * In zones 1a and 4a the reduced rate counts as state aid (bagatellmessig
+ * støtte). The company pays the reduced rate until the AGA saved compared to
+ * the zone 1 rate reaches the yearly fribeløp, and the zone 1 rate after that.
+ * The fribeløp is per company, so AGA saved on other employees' salaries
+ * reduces what is left for the owner.
+ *
+ * Assumption: No other state aid received that counts against the same limit.
  */
-export const PERSONAL_TAX_RATE = 0.22;
-
-// ============================================================================
-// BRACKET TAX (TRINNSKATT)
-// ============================================================================
+export const AGA_FRIBELOP_ZONES = ['1a', '4a'];
+export const AGA_FRIBELOP_FULL_RATE_ZONE = '1';
 
 /**
- * Bracket Tax Thresholds and Rates
- * 
- * Source: Skatteetaten - "Trinnskatt"
- * URL: https://www.skatteetaten.no/satser/trinnskatt/
- * Year: 2025
- * 
- * Progressive tax on gross personal income (personinntekt).
- * Applies to salary, but NOT to dividends or capital income.
- * 
- * Thresholds are adjusted annually for inflation.
+ * Owner residence for personal taxation
+ *
+ * Source: Skatteetaten - "Finnmark og Nord-Troms"
+ * URL: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/bolig-og-eiendeler/finnmark-og-nord-troms/
+ * Year: Selected tax year (rates in the tiltakssone entry of each rate file)
+ *
+ * Persons resident in the tiltakssone (all of Finnmark and Kåfjord, Karlsøy,
+ * Kvænangen, Lyngen, Nordreisa, Skjervøy and Storfjord) get a reduced rate on
+ * alminnelig inntekt, a reduced trinnskatt step 3 rate and the finnmarksfradrag.
+ * This is independent of the company's employer zone.
  */
-export const BRACKET_TAX_2025 = [
-  { 
-    threshold: 217_400, 
-    rate: 0.017,
-    description: 'Trinn 1: 1,7% av inntekt over 217 400 kr'
-  },
-  { 
-    threshold: 306_050, 
-    rate: 0.04,
-    description: 'Trinn 2: 4,0% av inntekt over 306 050 kr'
-  },
-  { 
-    threshold: 697_150, 
-    rate: 0.137,
-    description: 'Trinn 3: 13,7% av inntekt over 697 150 kr'
-  },
-  { 
-    threshold: 942_400, 
-    rate: 0.167,
-    description: 'Trinn 4: 16,7% av inntekt over 942 400 kr'
-  },
-  { 
-    threshold: 1_410_750, 
-    rate: 0.176,
-    description: 'Trinn 5: 17,6% av inntekt over 1 410 750 kr'
-  },
-];
+export const OWNER_RESIDENCE_DESCRIPTIONS = {
+  standard: 'Resten av landet',
+  tiltakssone: 'Finnmark og Nord-Troms (tiltakssonen)',
+};
+
+export const DEFAULT_OWNER_RESIDENCE = 'standard';
 
 // ============================================================================
-// SOCIAL SECURITY CONTRIBUTION (TRYGDEAVGIFT)
+// PERSONAL DEDUCTIONS
 // ============================================================================
 
 /**
- * Social Security Contribution Rates (Employee)
- * 
- * Source: Skatteetaten - "Trygdeavgift"
- * URL: https://www.skatteetaten.no/satser/trygdeavgift/
- * Year: 2025
- * 
- * Deducted from gross salary. Different rates for different income types.
- * 
- * Assumptions:
- * - Person is between 17 and 69 years old
- * - Standard employment income (not self-employment)
+ * Personal Deductions in Alminnelig Inntekt
+ *
+ * Source: Skatteetaten - "Rentefradrag", "Foreldrefradrag",
+ *         "Fagforeningskontingent", "Gave til frivillige organisasjoner"
+ * URL: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/
+ * Year: Selected tax year (caps in personalDeductions in each rate file)
+ *
+ * The deductions lower alminnelig inntekt, not personinntekt, so they reduce
+ * income tax on salary and the grossed-up dividend but not trygdeavgift or
+ * trinnskatt. Types without a cap are deducted in full.
  */
-export const SOCIAL_SECURITY_RATES = {
-  salary: 0.078,        // Lønnsinntekt: 7.8%
-  selfEmployed: 0.111,  // Næringsinntekt: 11.1%
-  pension: 0.054,       // Pensjonsinntekt: 5.4%
+export const PERSONAL_DEDUCTION_TYPES = {
+  interest: 'Rentefradrag',
+  childcare: 'Foreldrefradrag',
+  unionDues: 'Fagforeningskontingent',
+  gifts: 'Gave til frivillige organisasjoner',
+  other: 'Andre fradrag',
 };
 
-/**
- * Social Security Contribution Thresholds
- * 
- * Source: Skatteetaten - "Trygdeavgift"
- * Year: 2025
- * 
- * No social security contribution on income below this threshold.
- */
-export const SOCIAL_SECURITY_THRESHOLD = 69_650;
-
 // ============================================================================
-// DIVIDEND TAX (UTBYTTESKATT)
+// AGE LIMITS
 // ============================================================================
 
 /**
- * Dividend Gross-Up Factor (Oppjusteringsfaktor)
- * 
- * Source: Skatteetaten - "Aksjer og utbytte"
- * URL: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/aksjer-og-verdipapirer/utbytte/
- * Year: 2025
- * 
- * Dividends are grossed up by this factor before taxation.
- * This results in an effective dividend tax rate higher than the nominal 22%.
- * 
- * Calculation: Effective rate = 22% × 1.72 = 37.84%
- * 
- * History:
- * - 2022: 1.44 (effective ~31.68%)
- * - 2023: 1.60 (effective ~35.2%)
- * - 2024: 1.72 (effective ~37.84%)
- * - 2025: 1.72 (effective ~37.84%)
- */
-export const DIVIDEND_GROSS_UP_FACTOR = 1.72;
-
-/**
- * Effective dividend tax rate after gross-up
- * This is a derived value for convenience
+ * Age Limits for Trygdeavgift on Salary
+ *
+ * Source: Skatteetaten - "Trygdeavgift"; Folketrygdloven § 23-3
+ * URL: https://www.skatteetaten.no/satser/trygdeavgift/
+ * Year: 2022-2026 (unchanged in the period)
+ *
+ * Salary earned by persons under 17 or over 69 years is charged the low rate
+ * (same as the pension income rate, socialSecurityRates.pension) instead of
+ * the ordinary salary rate. Age is the age reached during the tax year.
  */
-export const EFFECTIVE_DIVIDEND_TAX_RATE = PERSONAL_TAX_RATE * DIVIDEND_GROSS_UP_FACTOR;
+export const SOCIAL_SECURITY_AGE_LIMITS = {
+  lowRateBelowAge: 17,  // Low rate up to and including the year the person turns 16
+  lowRateAboveAge: 69,  // Low rate from the year the person turns 70
+};
 
 /**
- * Skjermingsfradrag (Tax-Free Allowance on Shares)
- * 
- * Source: Skatteetaten - "Skjermingsfradrag"
- * URL: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/aksjer-og-verdipapirer/skjermingsfradrag/
- * Year: 2025
- * 
- * Shareholders receive a tax-free allowance (skjermingsfradrag) based on
- * their cost basis (inngangsverdi) multiplied by a risk-free interest rate.
- * 
- * The rate is set annually based on average 3-month treasury bill rate + 0.5%.
- * 
- * Assumption: We use a placeholder rate. Actual rate should be obtained from
- * Skatteetaten when available for the specific year.
+ * Age Limits for Mandatory Occupational Pension (OTP)
+ *
+ * Source: Lovdata - Lov om obligatorisk tjenestepensjon § 2 and
+ *         innskuddspensjonsloven § 2-3
+ * URL: https://lovdata.no/dokument/NL/lov/2005-12-21-124
+ * Year: 2022-2026
+ *
+ * Employees are covered by OTP from the year they turn 13. Contributions are
+ * not paid from the year the employee turns 75.
+ *
+ * Assumption: Age is the age reached during the tax year; the exact birthday
+ * within the year is not modelled.
  */
-export const SKJERMING_RATE_2024 = 0.046; // 4.6% for 2024 (example)
-export const SKJERMING_RATE_2025 = 0.05;  // Estimated - verify with Skatteetaten
+export const OTP_AGE_LIMITS = {
+  minimumAge: 13,
+  maximumAge: 74,
+};
 
 // ============================================================================
-// STANDARD DEDUCTIONS (FRADRAG)
+// PENSION PROJECTION
 // ============================================================================
 
 /**
- * Minimum Standard Deduction (Minstefradrag)
- * 
- * Source: Skatteetaten - "Minstefradrag"
- * URL: https://www.skatteetaten.no/satser/minstefradrag/
- * Year: 2025
- * 
- * Automatic deduction from salary income.
+ * Default Assumptions for Projecting Pension Capital
+ *
+ * These are planning assumptions, not rates from a source:
+ * - retirementAge: Age the capital is projected to (years to retirement are
+ *   calculated from the owner's birth year when no horizon is given)
+ * - expectedReturn: Yearly real return after costs
+ *
+ * Users can replace both per request (pension.yearsToRetirement and
+ * pension.expectedReturn).
  */
-export const MINSTEFRADRAG = {
-  rate: 0.46,           // 46% of gross salary
-  minimum: 4_000,       // Minimum deduction
-  maximum: 114_950,     // Maximum deduction for 2025
+export const PENSION_PROJECTION_DEFAULTS = {
+  retirementAge: 67,
+  expectedReturn: 0.03,
 };
 
-/**
- * Personal Allowance (Personfradrag)
- * 
- * Source: Skatteetaten - "Personfradrag"
- * URL: https://www.skatteetaten.no/satser/personfradrag/
- * Year: 2025
- * 
- * Standard deduction from taxable income for all taxpayers.
- */
-export const PERSONFRADRAG = 73_150;
-
 // ============================================================================
-// PENSION CONTRIBUTIONS (OTP - Obligatorisk Tjenestepensjon)
+// RETENTION NET PRESENT VALUE
 // ============================================================================
 
 /**
- * Mandatory Occupational Pension (OTP)
- * 
- * Source: Lovdata - Lov om obligatorisk tjenestepensjon
- * URL: https://lovdata.no/dokument/NL/lov/2005-12-21-124
- * Year: 2025
- * 
- * Companies must contribute minimum 2% of salary between 1G and 12G.
- * 
- * Assumptions:
- * - Using minimum required contribution (2%)
- * - Salary is between 1G and 12G
+ * Default Assumptions for the Net Present Value of Retention
+ *
+ * These are planning assumptions, not rates from a source:
+ * - companyReturn: Yearly return on money kept in the company, after company tax
+ * - privateReturn: Yearly return on money paid out and invested, after personal tax
+ * - discountRate: Yearly rate future amounts are discounted with
+ * - years: Years until retained money is paid out as dividend
+ *
+ * With equal returns and discount rate, retaining an amount and paying it
+ * as dividend today have the same present value. Users can replace all of
+ * them per request (npv).
  */
-export const OTP_MIN_RATE = 0.02;
-export const OTP_MAX_RATE = 0.07; // Maximum tax-deductible contribution
+export const RETENTION_NPV_DEFAULTS = {
+  companyReturn: 0.04,
+  privateReturn: 0.04,
+  discountRate: 0.04,
+  years: 10,
+};
 
 /**
- * National Insurance Base Amount (Grunnbeløpet - G)
- * 
- * Source: NAV - "Grunnbeløpet i folketrygden"
- * URL: https://www.nav.no/grunnbelopet
- * Year: 2025 (as of May 1, 2024 - updated annually in May)
- * 
- * The G is adjusted annually on May 1st.
+ * Default Assumptions for Investing Retained Profit (AS vs. ASK)
+ *
+ * Planning assumptions, not rates from a source:
+ * - expectedReturn: Yearly return on an equity portfolio before tax, dividends included
+ * - dividendYield: Part of the yearly return paid out as dividend
+ * - years: Years the money is invested before it is paid to the owner
+ *
+ * In the company, dividends are taxed through the 3% inclusion of
+ * fritaksmetoden and gains are tax-free. Privately in an aksjesparekonto,
+ * dividends are taxed when received and gains on withdrawal, less skjerming.
+ * Users can replace all of them per request (investment).
  */
-export const GRUNNBELOPET = 124_028; // As of May 1, 2024
+export const RETENTION_INVESTMENT_DEFAULTS = {
+  expectedReturn: 0.06,
+  dividendYield: 0.02,
+  years: 10,
+};
 
 // ============================================================================
 // VALIDATION LIMITS
@@ -280,7 +328,7 @@ export const GRUNNBELOPET = 124_028; // As of May 1, 2024
  * Reasonable limits for input validation
  */
 export const VALIDATION_LIMITS = {
-  MIN_PROFIT: 0,
+  MIN_PROFIT: -100_000_000_000, // Loss years are allowed (see lossCarryforward)
   MAX_PROFIT: 100_000_000_000, // 100 billion NOK
   MIN_PERCENTAGE: 0,
   MAX_PERCENTAGE: 100,
@@ -291,8 +339,8 @@ export const VALIDATION_LIMITS = {
 // ============================================================================
 
 export const TAX_RATES_METADATA = {
-  taxYear: 2025,
-  lastUpdated: '2025-01-29',
+  taxYear: DEFAULT_TAX_YEAR,
+  lastUpdated: RATE_FILES[DEFAULT_TAX_YEAR].lastUpdated,
   nextUpdateDue: '2025-10-15', // When new budget is typically released
   sources: [
     {
@@ -312,30 +360,203 @@ export const TAX_RATES_METADATA = {
     }
   ],
   notes: [
-    'All rates apply to tax year 2025',
+    'Rates are loaded from src/config/rates/<year>.json; each value carries its own source',
     'Bracket tax thresholds are adjusted annually for inflation',
     'Skjermingsrente is published by Skatteetaten in January for the previous year',
-    'G (grunnbeløpet) is adjusted annually on May 1st'
+    'G (grunnbelopet) is adjusted annually on May 1st'
   ]
 };
 
+// ============================================================================
+// TAX YEAR REGISTRY
+// ============================================================================
+
+/**
+ * Tax years with a complete rate set, in ascending order.
+ */
+export const SUPPORTED_TAX_YEARS = Object.keys(TAX_YEAR_REGISTRY).map(Number);
+
+if (!SUPPORTED_TAX_YEARS.includes(DEFAULT_TAX_YEAR)) {
+  throw new Error(`Invalid tax rate files: missing rates/${DEFAULT_TAX_YEAR}.json for the default tax year`);
+}
+
+/**
+ * Skjermingsrente (after tax) per income year, in ascending order.
+ *
+ * Skatteetaten publishes the rate in January after the income year, so the
+ * rate for the current and later years is an estimate until then. Entries
+ * marked estimated must not be presented as final.
+ *
+ * Source: Skatteetaten - "Skjermingsfradrag"; Skatteloven § 10-12
+ * URL: https://www.skatteetaten.no/person/skatt/hjelp-til-riktig-skatt/aksjer-og-verdipapirer/skjermingsfradrag/
+ */
+export const SKJERMING_RATE_HISTORY = SUPPORTED_TAX_YEARS.map(year => {
+  const { value, status, source, url, note } = RATE_FILES[year].rates.skjermingRate;
+  return {
+    incomeYear: year,
+    rate: value,
+    estimated: status === 'estimated',
+    source,
+    url,
+    ...(note ? { note } : {})
+  };
+});
+
+/**
+ * Returns the skjermingsrente for an income year with its published/estimated flag.
+ *
+ * @param {number|string} taxYear - Income year (inntektsår), default DEFAULT_TAX_YEAR
+ * @returns {Object} History entry: { incomeYear, rate, estimated, source, url, note? }
+ * @throws {Error} If the year has no rate file
+ */
+export function getSkjermingRate(taxYear = DEFAULT_TAX_YEAR) {
+  const entry = SKJERMING_RATE_HISTORY.find(item => item.incomeYear === Number(taxYear));
+
+  if (!entry) {
+    throw new Error(`Unsupported tax year: ${taxYear}. Supported years: ${SUPPORTED_TAX_YEARS.join(', ')}`);
+  }
+
+  return entry;
+}
+
+/**
+ * Rate set keys a caller may override per request (what-if scenarios,
+ * e.g. modelling the statsbudsjett proposal before it is adopted).
+ *
+ * Object-valued rates (zone rates, trygdeavgift rates, minstefradrag, tiltakssone,
+ * OTP band, pension limits, wealth tax, fritaksmetoden) are merged with the
+ * year's values, so a partial object only replaces the given fields. The
+ * bracket table is always replaced as a whole.
+ */
+export const OVERRIDABLE_RATE_KEYS = [
+  'corporateTaxRate',
+  'personalTaxRate',
+  'employerSocialSecurityRates',
+  'agaFribelop',
+  'bracketTax',
+  'socialSecurityRates',
+  'socialSecurityThreshold',
+  'socialSecurityPhaseInRate',
+  'dividendGrossUpFactor',
+  'skjermingRate',
+  'minstefradrag',
+  'pensionMinstefradrag',
+  'personfradrag',
+  'tiltakssone',
+  'otpMinRate',
+  'otpMaxRate',
+  'otpSalaryBand',
+  'pensionLimits',
+  'wealthTax',
+  'fritaksmetoden',
+  'grunnbelopet',
+  'personalDeductions',
+];
+
+/**
+ * Returns the complete rate set for a tax year.
+ *
+ * The returned object also carries the derived effective dividend tax rate
+ * (personal tax rate × gross-up factor), the list of overridden keys, the
+ * source of every value (overridden values are marked as such) and whether
+ * the skjermingsrente is still an estimate (false when it is overridden).
+ * Overrides are not validated here beyond the key names; untrusted input
+ * should go through validateRateOverrides first.
+ *
+ * @param {number|string} taxYear - Tax year (inntektsår), default DEFAULT_TAX_YEAR
+ * @param {Object} overrides - Optional per-request replacements (see OVERRIDABLE_RATE_KEYS)
+ * @returns {Object} Rate set for the year
+ */
+export function getTaxRates(taxYear = DEFAULT_TAX_YEAR, overrides = null) {
+  const baseRates = TAX_YEAR_REGISTRY[Number(taxYear)];
+
+  if (!baseRates) {
+    throw new Error(`Unsupported tax year: ${taxYear}. Supported years: ${SUPPORTED_TAX_YEARS.join(', ')}`);
+  }
+
+  const rates = { ...baseRates };
+  const sources = { ...RATE_SOURCES[Number(taxYear)] };
+  const overriddenRates = [];
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (!OVERRIDABLE_RATE_KEYS.includes(key)) {
+      throw new Error(`Unknown rate override: ${key}. Overridable rates: ${OVERRIDABLE_RATE_KEYS.join(', ')}`);
+    }
+
+    const mergeable = isPlainObject(value) && isPlainObject(baseRates[key]);
+    rates[key] = mergeable ? { ...baseRates[key], ...value } : value;
+    sources[key] = { source: 'Per-request override', note: 'Value supplied in the request (what-if)' };
+    overriddenRates.push(key);
+  }
+
+  return {
+    ...rates,
+    overriddenRates,
+    sources,
+    effectiveDividendTaxRate: rates.personalTaxRate * rates.dividendGrossUpFactor,
+    skjermingRateEstimated: sources.skjermingRate.status === 'estimated'
+  };
+}
+
+/**
+ * Returns the rate on alminnelig inntekt for the owner's residence.
+ *
+ * @param {Object} rates - Rate set from getTaxRates
+ * @param {string} residence - Owner residence (see OWNER_RESIDENCE_DESCRIPTIONS)
+ * @returns {number} Reduced rate in the tiltakssone, otherwise the ordinary rate
+ */
+export function getPersonalTaxRate(rates, residence = DEFAULT_OWNER_RESIDENCE) {
+  return residence === 'tiltakssone' ? rates.tiltakssone.personalTaxRate : rates.personalTaxRate;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
 export default {
   CORPORATE_TAX_RATE,
   EMPLOYER_SOCIAL_SECURITY_RATES,
   EMPLOYER_ZONE_DESCRIPTIONS,
+  AGA_FRIBELOP,
+  AGA_FRIBELOP_ZONES,
+  AGA_FRIBELOP_FULL_RATE_ZONE,
   PERSONAL_TAX_RATE,
   BRACKET_TAX_2025,
   SOCIAL_SECURITY_RATES,
   SOCIAL_SECURITY_THRESHOLD,
+  SOCIAL_SECURITY_PHASE_IN_RATE,
   DIVIDEND_GROSS_UP_FACTOR,
   EFFECTIVE_DIVIDEND_TAX_RATE,
   SKJERMING_RATE_2024,
   SKJERMING_RATE_2025,
   MINSTEFRADRAG,
+  PENSION_MINSTEFRADRAG,
   PERSONFRADRAG,
   OTP_MIN_RATE,
   OTP_MAX_RATE,
+  OTP_SALARY_BAND,
+  PENSION_LIMITS,
+  PERSONAL_DEDUCTIONS,
+  WEALTH_TAX,
+  FRITAKSMETODEN,
+  PENSION_PROJECTION_DEFAULTS,
+  RETENTION_NPV_DEFAULTS,
+  RETENTION_INVESTMENT_DEFAULTS,
   GRUNNBELOPET,
+  OWNER_RESIDENCE_DESCRIPTIONS,
+  DEFAULT_OWNER_RESIDENCE,
+  PERSONAL_DEDUCTION_TYPES,
+  SOCIAL_SECURITY_AGE_LIMITS,
+  OTP_AGE_LIMITS,
   VALIDATION_LIMITS,
-  TAX_RATES_METADATA
+  TAX_RATES_METADATA,
+  RATE_FILES_DIR,
+  DEFAULT_TAX_YEAR,
+  SUPPORTED_TAX_YEARS,
+  OVERRIDABLE_RATE_KEYS,
+  SKJERMING_RATE_HISTORY,
+  loadRateFiles,
+  getTaxRates,
+  getSkjermingRate,
+  getPersonalTaxRate
 };
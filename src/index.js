@@ -8,25 +8,86 @@
 // Tax Rates Configuration
 export * from './config/taxRates.js';
 
+// Municipality Table
+export {
+  MUNICIPALITIES,
+  MUNICIPALITIES_METADATA,
+  findMunicipality,
+  searchMunicipalities
+} from './config/municipalities.js';
+
 // Salary Calculations
 export {
+  calculateOwnerAge,
+  isLowSocialSecurityRateAge,
+  isOtpEligible,
+  describeOwnerAge,
+  calculateEmployerAGA,
+  calculateOtpContribution,
   calculateMaxGrossSalary,
   calculateBracketTax,
   calculateSocialSecurityContribution,
   calculateMinstefradrag,
   calculateIncomeTax,
+  calculatePensionMinstefradrag,
+  hasOtherIncome,
+  describeOtherIncome,
+  calculatePersonalIncomeTax,
+  calculateSalaryTaxWithOtherIncome,
   calculateSalaryScenario
 } from './calculations/salaryCalculations.js';
 
 // Dividend Calculations
 export {
   calculateCorporateTax,
+  describeLossCarryforward,
   calculateSkjermingsfradrag,
+  calculateSkjermingLedgerYear,
+  buildSkjermingLedger,
+  calculateCapitalRepayment,
+  calculateDividendCapacity,
+  describeDividendCapacity,
   calculateDividendTax,
   calculateCombinedDividendTax,
   calculateDividendScenario
 } from './calculations/dividendCalculations.js';
 
+// Pension Products
+export {
+  calculateEmployeePensionSaving,
+  calculateIpsDeduction,
+  calculatePensionYears,
+  projectPensionCapital,
+  calculatePensionSummary
+} from './calculations/pensionCalculations.js';
+
+// Personal Deductions
+export {
+  getPersonalDeductionMaximum,
+  calculatePersonalDeductions,
+  describePersonalDeductions
+} from './calculations/deductionCalculations.js';
+
+// Wealth Tax Calculations
+export {
+  calculateWealthTax,
+  calculateShareWealthValue,
+  calculateRetentionWealthTax
+} from './calculations/wealthTaxCalculations.js';
+
+// Holding Company Calculations
+export {
+  calculateFritaksmetodenTax,
+  calculateHoldingFlow
+} from './calculations/holdingCalculations.js';
+
+// Multiple Shareholder Calculations
+export {
+  calculatePersonalSalaryTax,
+  calculateShareholderScenario,
+  compareShareholderScenarios
+} from './calculations/shareholderCalculations.js';
+
 // Combination Calculations
 export {
   calculateCombinationScenario,
@@ -37,20 +98,56 @@ export {
 // Scenario Comparison
 export {
   generateAllScenarios,
+  compareTaxYears,
   generateDetailedReport,
   prepareExcelExport
 } from './calculations/scenarioComparison.js';
 
+// Retention: Net Present Value and Investing in the AS vs. ASK
+export {
+  calculateRetentionNpv,
+  calculateRetentionInvestment
+} from './calculations/retentionCalculations.js';
+
+// Multi-Year Planning
+export {
+  calculateExtractionPlan
+} from './calculations/planningCalculations.js';
+
 // Input Validation
 export {
   validateProfit,
   validateEmployerZone,
+  validateMunicipality,
   validatePercentage,
   validateWithdrawalStrategy,
   validatePensionSettings,
   validateRetentionSettings,
+  validateHoldingSettings,
   validateShareCostBasis,
-  validateCalculationInput
+  validateUnusedSkjerming,
+  validateShareCount,
+  validateOtherNetWealth,
+  validateCompanyEquity,
+  validateOtherIncome,
+  validatePersonalDeductions,
+  validateLossCarryforward,
+  validateBalanceSheet,
+  validatePaidInCapital,
+  validateShareholders,
+  validateHousehold,
+  validateNpvSettings,
+  validateInvestmentSettings,
+  validateRanking,
+  validateAgaFribelopUsed,
+  validateTaxYear,
+  validateOwnerBirthYear,
+  validateOwnerResidence,
+  validateBracketTable,
+  validateRateOverrides,
+  validateCalculationInput,
+  validatePlanInput,
+  MAX_PLAN_HORIZON
 } from './validation/inputValidation.js';
 
 /**
@@ -68,7 +165,26 @@ export function quickCalculate(profit, zone, options = {}) {
     withdrawalStrategy: { type: 'combination', salaryRatio: 50 },
     pension: options.pension || { enabled: false },
     retention: options.retention || { enabled: false, percentage: 0 },
-    shareCostBasis: options.shareCostBasis || 0
+    shareCostBasis: options.shareCostBasis || 0,
+    unusedSkjerming: options.unusedSkjerming,
+    shareCount: options.shareCount,
+    paidInCapital: options.paidInCapital,
+    holding: options.holding,
+    shareholders: options.shareholders,
+    household: options.household,
+    taxYear: options.taxYear,
+    ownerBirthYear: options.ownerBirthYear,
+    ownerResidence: options.ownerResidence,
+    agaFribelopUsed: options.agaFribelopUsed,
+    otherNetWealth: options.otherNetWealth,
+    companyEquity: options.companyEquity,
+    otherIncome: options.otherIncome,
+    personalDeductions: options.personalDeductions,
+    lossCarryforward: options.lossCarryforward,
+    balanceSheet: options.balanceSheet,
+    npv: options.npv,
+    investment: options.investment,
+    ranking: options.ranking
   };
   
   const { generateAllScenarios } = require('./calculations/scenarioComparison.js');
@@ -16,9 +16,17 @@ const pensionCheckbox = document.getElementById('pensionEnabled');
 const pensionRateContainer = document.getElementById('pensionRateContainer');
 const retentionCheckbox = document.getElementById('retentionEnabled');
 const retentionContainer = document.getElementById('retentionContainer');
+const holdingCheckbox = document.getElementById('holdingEnabled');
+const holdingContainer = document.getElementById('holdingContainer');
+const shareholdersCheckbox = document.getElementById('shareholdersEnabled');
+const shareholdersContainer = document.getElementById('shareholdersContainer');
+const shareholderRows = document.getElementById('shareholderRows');
+const householdCheckbox = document.getElementById('householdEnabled');
+const householdContainer = document.getElementById('householdContainer');
 
 // State
 let currentResults = null;
+let municipalities = [];
 
 // Format number as Norwegian currency
 function formatCurrency(amount) {
@@ -56,11 +64,109 @@ function toggleRetention() {
     retentionContainer.style.display = retentionCheckbox.checked ? 'block' : 'none';
 }
 
-// Show error messages
+// Toggle holding company visibility
+function toggleHolding() {
+    holdingContainer.style.display = holdingCheckbox.checked ? 'block' : 'none';
+}
+
+// Toggle spouse/household visibility (not combined with several shareholders)
+function toggleHousehold() {
+    householdContainer.style.display = householdCheckbox.checked ? 'block' : 'none';
+    if (householdCheckbox.checked && shareholdersCheckbox.checked) {
+        shareholdersCheckbox.checked = false;
+        shareholdersContainer.style.display = 'none';
+    }
+}
+
+// Toggle shareholder list visibility; starts with two partners
+function toggleShareholders() {
+    if (shareholdersCheckbox.checked && householdCheckbox.checked) {
+        householdCheckbox.checked = false;
+        householdContainer.style.display = 'none';
+    }
+    shareholdersContainer.style.display = shareholdersCheckbox.checked ? 'block' : 'none';
+    if (shareholdersCheckbox.checked && shareholderRows.children.length === 0) {
+        addShareholderRow({ name: 'Aksjonær 1', ownershipShare: 50, works: true });
+        addShareholderRow({ name: 'Aksjonær 2', ownershipShare: 50, works: true });
+    }
+}
+
+// Add one shareholder row to the input table
+function addShareholderRow(values = {}) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="text" data-field="name"></td>
+        <td><input type="number" data-field="ownershipShare" min="0" max="100" step="1" value="${values.ownershipShare ?? ''}"></td>
+        <td><input type="number" data-field="shareCostBasis" min="0" step="1000" value="${values.shareCostBasis ?? ''}"></td>
+        <td><input type="number" data-field="otherSalary" min="0" step="10000" value="${values.otherSalary ?? ''}"></td>
+        <td><input type="checkbox" data-field="works" ${values.works ? 'checked' : ''}></td>
+    `;
+    // Names are user input, so they are set as values and never parsed as HTML
+    row.querySelector('[data-field="name"]').value = values.name || `Aksjonær ${shareholderRows.children.length + 1}`;
+    shareholderRows.appendChild(row);
+}
+
+// Collect the shareholder rows (null when only one owner)
+function getShareholders() {
+    if (!shareholdersCheckbox.checked) return null;
+
+    return Array.from(shareholderRows.children).map(row => {
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        return {
+            name: field('name').value,
+            ownershipShare: parseFloat(field('ownershipShare').value) || 0,
+            shareCostBasis: parseFloat(field('shareCostBasis').value) || 0,
+            otherIncome: { salary: parseFloat(field('otherSalary').value) || 0 },
+            works: field('works').checked
+        };
+    });
+}
+
+// Collect the household: the owner from the main form and the spouse (null when not used)
+function getHousehold(formData) {
+    if (!householdCheckbox.checked) return null;
+
+    const spouseOwnershipShare = parseFloat(document.getElementById('spouseOwnershipShare').value) || 0;
+    return {
+        persons: [
+            {
+                name: 'Eier',
+                ownershipShare: 100 - spouseOwnershipShare,
+                works: true,
+                shareCostBasis: formData.shareCostBasis,
+                unusedSkjerming: formData.unusedSkjerming,
+                otherIncome: formData.otherIncome,
+                personalDeductions: formData.personalDeductions,
+                birthYear: formData.ownerBirthYear,
+                residence: formData.ownerResidence
+            },
+            {
+                name: document.getElementById('spouseName').value || 'Ektefelle',
+                ownershipShare: spouseOwnershipShare,
+                works: document.getElementById('spouseWorks').checked,
+                otherIncome: { salary: parseFloat(document.getElementById('spouseOtherIncome').value) || 0 },
+                residence: formData.ownerResidence
+            }
+        ]
+    };
+}
+
+// Show error messages (as text: server errors can contain user-entered names)
 function showErrors(errors) {
-    errorMessages.innerHTML = errors.map(err => 
-        `<div class="error-message">⚠️ ${err}</div>`
-    ).join('');
+    errorMessages.innerHTML = '';
+    errors.forEach(err => {
+        const message = document.createElement('div');
+        message.className = 'error-message';
+        message.textContent = `⚠️ ${err}`;
+        errorMessages.appendChild(message);
+    });
+}
+
+// Fill the cells marked with data-name with names as text, in order
+function fillNames(container, names) {
+    container.querySelectorAll('[data-name]').forEach((cell, index) => {
+        cell.textContent = names[index];
+    });
 }
 
 // Clear error messages
@@ -78,40 +184,157 @@ function setLoading(loading) {
 function getFormData() {
     const profit = parseFloat(document.getElementById('profit').value);
     const employerZone = document.getElementById('employerZone').value;
+    const taxYear = parseInt(document.getElementById('taxYear').value);
     const salaryRatio = parseInt(salaryRatioSlider.value);
     const pensionEnabled = pensionCheckbox.checked;
     const pensionRate = parseFloat(document.getElementById('pensionRate').value) / 100;
+    const pensionAdditionalRate = (parseFloat(document.getElementById('pensionAdditionalRate').value) || 0) / 100;
+    const pensionEmployeeRate = (parseFloat(document.getElementById('pensionEmployeeRate').value) || 0) / 100;
+    const ipsAmount = parseFloat(document.getElementById('ipsAmount').value) || 0;
+    const yearsToRetirement = parseInt(document.getElementById('yearsToRetirement').value);
+    const expectedReturn = parseFloat(document.getElementById('expectedReturn').value);
     const retentionEnabled = retentionCheckbox.checked;
     const retentionPercentage = parseFloat(document.getElementById('retentionPercentage').value) / 100;
     const shareCostBasis = parseFloat(document.getElementById('shareCostBasis').value) || 0;
+    const unusedSkjerming = parseFloat(document.getElementById('unusedSkjerming').value) || 0;
+    const shareCount = parseInt(document.getElementById('shareCount').value) || 1;
+    const paidInCapital = parseFloat(document.getElementById('paidInCapital').value) || 0;
+    const holdingEnabled = holdingCheckbox.checked;
+    const holdingPayoutPercentage = parseFloat(document.getElementById('holdingPayoutPercentage').value) || 0;
+    const holdingOwnershipShare = parseFloat(document.getElementById('holdingOwnershipShare').value);
+    const companyEquity = parseFloat(document.getElementById('companyEquity').value) || 0;
+    const otherNetWealth = parseFloat(document.getElementById('otherNetWealth').value) || 0;
+    const numberField = id => parseFloat(document.getElementById(id).value) || 0;
+    const ownerBirthYear = parseInt(document.getElementById('ownerBirthYear').value) || null;
+    const ownerResidence = document.getElementById('ownerResidence').value;
+    const agaFribelopUsed = parseFloat(document.getElementById('agaFribelopUsed').value) || 0;
+    const municipality = findSelectedMunicipality()?.number;
 
     return {
         profit,
         employerZone,
+        municipality,
         withdrawalStrategy: {
             type: 'combination',
             salaryRatio
         },
         pension: {
             enabled: pensionEnabled,
-            rate: pensionRate
+            rate: pensionRate,
+            additionalRate: pensionEnabled ? pensionAdditionalRate : 0,
+            employeeRate: pensionEnabled ? pensionEmployeeRate : 0,
+            ipsAmount,
+            yearsToRetirement: isNaN(yearsToRetirement) ? null : yearsToRetirement,
+            expectedReturn: isNaN(expectedReturn) ? null : expectedReturn / 100
         },
         retention: {
             enabled: retentionEnabled,
             percentage: retentionEnabled ? retentionPercentage : 0
         },
-        shareCostBasis
+        shareCostBasis,
+        unusedSkjerming,
+        shareCount,
+        paidInCapital,
+        lossCarryforward: numberField('lossCarryforward'),
+        balanceSheet: ['balanceShareCapital', 'balanceOtherEquity', 'balanceUncoveredLoss'].some(id => document.getElementById(id).value !== '')
+            ? {
+                shareCapital: numberField('balanceShareCapital'),
+                otherEquity: numberField('balanceOtherEquity'),
+                uncoveredLoss: numberField('balanceUncoveredLoss')
+            }
+            : null,
+        shareholders: getShareholders(),
+        holding: {
+            enabled: holdingEnabled,
+            payoutPercentage: holdingPayoutPercentage,
+            ownershipShare: isNaN(holdingOwnershipShare) ? 100 : holdingOwnershipShare
+        },
+        companyEquity,
+        otherNetWealth,
+        otherIncome: {
+            salary: numberField('otherSalary'),
+            pension: numberField('otherPension'),
+            capitalIncome: numberField('capitalIncome'),
+            capitalExpenses: numberField('capitalExpenses')
+        },
+        personalDeductions: [
+            { type: 'interest', amount: numberField('deductionInterest') },
+            { type: 'childcare', amount: numberField('deductionChildcare'), children: numberField('deductionChildren') || 1 },
+            { type: 'unionDues', amount: numberField('deductionUnionDues') },
+            { type: 'gifts', amount: numberField('deductionGifts') },
+            { type: 'other', amount: numberField('deductionOther') }
+        ].filter(deduction => deduction.amount > 0),
+        npv: {
+            companyReturn: numberField('npvCompanyReturn') / 100,
+            privateReturn: numberField('npvPrivateReturn') / 100,
+            discountRate: numberField('npvDiscountRate') / 100,
+            years: numberField('npvYears')
+        },
+        investment: {
+            expectedReturn: numberField('investmentReturn') / 100,
+            dividendYield: numberField('investmentDividendYield') / 100,
+            years: numberField('investmentYears')
+        },
+        ranking: document.getElementById('ranking').value,
+        taxYear,
+        ownerBirthYear,
+        ownerResidence,
+        agaFribelopUsed
     };
 }
 
+// Load the municipality table for the search field
+async function loadMunicipalities() {
+    try {
+        const response = await fetch('/api/municipalities');
+        const result = await response.json();
+        if (!result.success) return;
+
+        municipalities = result.data.municipalities;
+        document.getElementById('municipalityList').innerHTML = municipalities
+            .map(m => `<option value="${m.number} ${m.name}">${m.county}</option>`)
+            .join('');
+    } catch (error) {
+        console.error('Could not load municipalities:', error);
+    }
+}
+
+// Find the municipality matching the search field ("0301 Oslo", "0301" or "Oslo")
+function findSelectedMunicipality() {
+    const text = document.getElementById('municipality').value.trim().toLowerCase();
+    if (!text) return null;
+
+    const number = text.match(/^\d{4}/)?.[0];
+    if (number) {
+        return municipalities.find(m => m.number === number) || null;
+    }
+    return municipalities.find(m => m.name.toLowerCase() === text) || null;
+}
+
+// Fill in the employer zone from the selected municipality
+function applyMunicipality() {
+    const hint = document.getElementById('municipalityHint');
+    const municipality = findSelectedMunicipality();
+
+    if (!municipality) {
+        hint.textContent = 'Fyller inn arbeidsgiveravgiftssonen (valgfritt)';
+        return;
+    }
+
+    document.getElementById('employerZone').value = municipality.zone;
+    hint.textContent = municipality.tiltakssone
+        ? `Sone ${municipality.zone} - ${municipality.name} er i tiltakssonen. Velg tiltakssonen som bosted hvis eieren også bor der.`
+        : `Sone ${municipality.zone} - ${municipality.name}, ${municipality.county}`;
+}
+
 // Validate form data
 function validateForm() {
     const errors = [];
     const profit = document.getElementById('profit').value;
     const zone = document.getElementById('employerZone').value;
 
-    if (!profit || parseFloat(profit) <= 0) {
-        errors.push('Overskudd må være et positivt tall');
+    if (profit === '' || isNaN(parseFloat(profit))) {
+        errors.push('Oppgi overskudd før skatt (negativt ved underskudd)');
         document.getElementById('profit').classList.add('error');
     } else {
         document.getElementById('profit').classList.remove('error');
@@ -139,6 +362,11 @@ async function calculateScenarios() {
 
     try {
         const formData = getFormData();
+        formData.household = getHousehold(formData);
+        if (formData.household) {
+            // The owner's own fields are sent per person in the household
+            Object.assign(formData, { shareCostBasis: 0, unusedSkjerming: 0, otherIncome: null, personalDeductions: null });
+        }
         
         const response = await fetch('/api/calculate', {
             method: 'POST',
@@ -172,6 +400,9 @@ async function calculateScenarios() {
 function displayResults(data) {
     displaySummaryStats(data);
     displayComparisonTable(data.comparison);
+    displayShareholderTable(data.shareholderComparison);
+    displayHousehold(data.householdOptimization);
+    displayInvestment(data.scenarios.withRetention?.investment || data.scenarios.optimized?.investment);
     displayRecommendations(data.recommendations);
     displayDetailedBreakdown(data.scenarios);
 }
@@ -182,11 +413,12 @@ function displaySummaryStats(data) {
     const best = data.comparison.rows[0];
     const worst = data.comparison.rows[data.comparison.rows.length - 1];
     const optimized = data.scenarios.optimized;
+    const rankedByNpv = data.comparison.rankedBy === 'npv';
 
     stats.innerHTML = `
         <div class="stat-card">
-            <div class="value text-success">${formatCurrency(best.netPayout)}</div>
-            <div class="label">Beste netto utbetaling</div>
+            <div class="value text-success">${formatCurrency(rankedByNpv ? best.npv : best.netValue)}</div>
+            <div class="label">${rankedByNpv ? 'Høyeste nåverdi' : best.netValue !== best.netPayout ? 'Beste nettoverdi etter utsatt skatt' : 'Beste netto utbetaling'}</div>
             <div class="text-muted">${best.name}</div>
         </div>
         <div class="stat-card">
@@ -201,9 +433,133 @@ function displaySummaryStats(data) {
     `;
 }
 
+// Display per-shareholder results for the optimized salary/dividend split
+function displayShareholderTable(shareholderComparison) {
+    const card = document.getElementById('shareholderCard');
+    const scenario = shareholderComparison?.scenarios?.optimized;
+    if (!scenario || scenario.error) {
+        card.style.display = 'none';
+        return;
+    }
+
+    const rows = [...scenario.shareholders, { name: 'Totalt', ...scenario.totals, netPayout: scenario.results.netPrivatePayout }];
+    document.getElementById('shareholderTable').innerHTML = `
+        <thead>
+            <tr>
+                <th>${scenario.scenarioName}</th>
+                <th>Eierandel</th>
+                <th>Bruttolønn</th>
+                <th>Skatt på lønn</th>
+                <th>Utbytte</th>
+                <th>Utbytteskatt</th>
+                <th>Netto utbetaling</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${rows.map(row => `
+                <tr>
+                    <td data-name></td>
+                    <td>${row.ownershipShare !== undefined ? formatPercent(row.ownershipShare) : ''}</td>
+                    <td>${formatCurrency(row.grossSalary)}</td>
+                    <td>${formatCurrency(row.salaryTax?.totalTax ?? row.salaryTax)}</td>
+                    <td>${formatCurrency(row.dividendReceived)}</td>
+                    <td>${formatCurrency(row.dividendTax)}</td>
+                    <td>${formatCurrency(row.netPayout)}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+    fillNames(document.getElementById('shareholderTable'), rows.map(row => row.name));
+    card.style.display = 'block';
+}
+
+// Display the household optimization: salary split and per-person results
+function displayHousehold(householdOptimization) {
+    const card = document.getElementById('householdCard');
+    const scenario = householdOptimization?.optimalScenario;
+    if (!scenario) {
+        card.style.display = 'none';
+        return;
+    }
+
+    const { savings, comparison } = householdOptimization;
+    document.getElementById('householdSummary').innerHTML = `
+        <p><strong data-name></strong></p>
+        <p>Samlet netto utbetaling: ${formatCurrency(comparison.optimal.netPayout)}
+        ${savings.vsSingleEarner > 0 ? ` - ${formatCurrency(savings.vsSingleEarner)} mer enn med all lønn til én person` : ''}</p>
+    `;
+    document.getElementById('householdTable').innerHTML = `
+        <thead>
+            <tr>
+                <th>Person</th>
+                <th>Eierandel</th>
+                <th>Bruttolønn</th>
+                <th>Skatt på lønn</th>
+                <th>Utbytte</th>
+                <th>Utbytteskatt</th>
+                <th>Netto utbetaling</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${scenario.shareholders.map(person => `
+                <tr>
+                    <td data-name></td>
+                    <td>${formatPercent(person.ownershipShare)}</td>
+                    <td>${formatCurrency(person.grossSalary)}</td>
+                    <td>${formatCurrency(person.salaryTax.totalTax)}</td>
+                    <td>${formatCurrency(person.dividendReceived)}</td>
+                    <td>${formatCurrency(person.dividendTax)}</td>
+                    <td>${formatCurrency(person.netPayout)}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+    fillNames(document.getElementById('householdSummary'), [scenario.scenarioName]);
+    fillNames(document.getElementById('householdTable'), scenario.shareholders.map(person => person.name));
+    card.style.display = 'block';
+}
+
+// Display retained profit invested in the company vs. in an aksjesparekonto
+function displayInvestment(investment) {
+    const card = document.getElementById('investmentCard');
+    if (!investment) {
+        card.style.display = 'none';
+        return;
+    }
+
+    const { company, settings } = investment;
+    const ask = investment.private;
+    document.getElementById('investmentSummary').innerHTML = `
+        <p>${formatCurrency(company.invested)} tilbakeholdt, ${formatPercent(settings.expectedReturn)} årlig avkastning i ${settings.years} år:
+        <strong>${investment.better === 'company' ? 'selskapet' : 'aksjesparekontoen'}</strong> gir ${formatCurrency(Math.abs(investment.difference))} mer til eier</p>
+    `;
+    document.getElementById('investmentTable').innerHTML = `
+        <thead>
+            <tr>
+                <th></th>
+                <th>I selskapet</th>
+                <th>Aksjesparekonto</th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr><td>Utbytteskatt nå</td><td>${formatCurrency(0)}</td><td>${formatCurrency(ask.payoutTax)}</td></tr>
+            <tr><td>Investert</td><td>${formatCurrency(company.invested)}</td><td>${formatCurrency(ask.deposit)}</td></tr>
+            <tr><td>Skatt på utbytte underveis</td><td>${formatCurrency(company.fritaksmetodenTax)}</td><td>${formatCurrency(ask.dividendTax)}</td></tr>
+            <tr><td>Verdi etter ${settings.years} år</td><td>${formatCurrency(company.finalValue)}</td><td>${formatCurrency(ask.finalValue)}</td></tr>
+            <tr><td>Skatt ved uttak</td><td>${formatCurrency(company.extractionTax)}</td><td>${formatCurrency(ask.withdrawalTax)}</td></tr>
+            <tr><td><strong>Netto til eier</strong></td><td><strong>${formatCurrency(company.netToOwner)}</strong></td><td><strong>${formatCurrency(ask.netToOwner)}</strong></td></tr>
+        </tbody>
+    `;
+    card.style.display = 'block';
+}
+
 // Display comparison table
 function displayComparisonTable(comparison) {
     const table = document.getElementById('comparisonTable');
+    const showPension = comparison.rows.some(row => row.pensionSaving > 0);
+    const showCapitalRepayment = comparison.rows.some(row => row.capitalRepayment > 0);
+    const showHolding = comparison.rows.some(row => row.taxDeferredInHolding > 0);
+    const showNpv = comparison.rankedBy === 'npv' || comparison.rows.some(row => row.retained > 0);
     
     let html = `
         <thead>
@@ -211,9 +567,15 @@ function displayComparisonTable(comparison) {
                 <th>Rang</th>
                 <th>Scenario</th>
                 <th>Netto utbetaling</th>
+                ${showNpv ? '<th>Nåverdi</th>' : ''}
                 <th>Total skatt</th>
                 <th>Effektiv sats</th>
                 <th>Beholdt i selskapet</th>
+                ${showNpv ? '<th>Utsatt utbytteskatt</th>' : ''}
+                <th>Årlig formuesskatt på beholdt</th>
+                ${showCapitalRepayment ? '<th>Tilbakebetalt innbetalt kapital</th>' : ''}
+                ${showHolding ? '<th>Utsatt skatt i holding</th><th>Nettoverdi etter utsatt skatt</th>' : ''}
+                ${showPension ? '<th>Pensjonssparing per år</th><th>Fremskrevet pensjon</th>' : ''}
                 <th>Forskjell fra beste</th>
             </tr>
         </thead>
@@ -229,9 +591,15 @@ function displayComparisonTable(comparison) {
                 <td><span class="rank-badge ${rankClass}">${row.rank}</span></td>
                 <td><strong>${row.name}</strong></td>
                 <td>${formatCurrency(row.netPayout)}</td>
+                ${showNpv ? `<td>${formatCurrency(row.npv)}</td>` : ''}
                 <td>${formatCurrency(row.totalTax)}</td>
                 <td>${formatPercent(row.effectiveRate)}</td>
                 <td>${formatCurrency(row.retained)}</td>
+                ${showNpv ? `<td>${formatCurrency(row.deferredDividendTax)}</td>` : ''}
+                <td>${formatCurrency(row.wealthTaxOnRetained)}</td>
+                ${showCapitalRepayment ? `<td>${formatCurrency(row.capitalRepayment)}</td>` : ''}
+                ${showHolding ? `<td>${formatCurrency(row.taxDeferredInHolding)}</td><td>${formatCurrency(row.netValue)}</td>` : ''}
+                ${showPension ? `<td>${formatCurrency(row.pensionSaving)}</td><td>${row.projectedPension === null ? '-' : formatCurrency(row.projectedPension)}</td>` : ''}
                 <td>${index === 0 ? '-' : formatCurrency(row.differenceFromBest)}</td>
             </tr>
         `;
@@ -252,6 +620,7 @@ function displayRecommendations(recommendations) {
             <div class="recommendation-card">
                 <h3>🎯 Anbefalt strategi: ${recommendations.primary.scenario}</h3>
                 <p>${recommendations.primary.reason}</p>
+                ${recommendations.primary.dividendConstraint ? `<p><strong>Utbyttekapasitet:</strong> ${recommendations.primary.dividendConstraint}</p>` : ''}
                 <p class="mt-20">
                     <strong>Forventet netto utbetaling:</strong> ${formatCurrency(recommendations.primary.netPayout)}<br>
                     <strong>Effektiv skattesats:</strong> ${formatPercent(recommendations.primary.effectiveRate)}
@@ -325,6 +694,9 @@ function displayDetailedBreakdown(scenarios) {
                         ${scenario.company?.employerAGA ? `<tr><td>Arbeidsgiveravgift</td><td>${formatCurrency(scenario.company.employerAGA)}</td></tr>` : ''}
                         ${scenario.company?.corporateTax ? `<tr><td>Selskapsskatt</td><td>${formatCurrency(scenario.company.corporateTax)}</td></tr>` : ''}
                         ${scenario.company?.dividendDistributed ? `<tr><td>Utbytte utdelt</td><td>${formatCurrency(scenario.company.dividendDistributed)}</td></tr>` : ''}
+                        ${scenario.holding ? `<tr><td>Skatt i holding (fritaksmetoden)</td><td>${formatCurrency(scenario.holding.holdingTax)}</td></tr>` : ''}
+                        ${scenario.holding ? `<tr><td>Beholdt i holding</td><td>${formatCurrency(scenario.holding.retainedInHolding)}</td></tr>` : ''}
+                        ${scenario.holding ? `<tr><td>Utsatt utbytteskatt</td><td>${formatCurrency(scenario.holding.taxDeferred)}</td></tr>` : ''}
                     </table>
                 </div>
                 <div>
@@ -335,9 +707,15 @@ function displayDetailedBreakdown(scenarios) {
                         ${scenario.personal?.trinnskatt ? `<tr><td>Trinnskatt</td><td>${formatCurrency(scenario.personal.trinnskatt)}</td></tr>` : ''}
                         ${scenario.personal?.inntektsskatt ? `<tr><td>Inntektsskatt</td><td>${formatCurrency(scenario.personal.inntektsskatt)}</td></tr>` : ''}
                         ${scenario.personal?.netSalary ? `<tr><td>Netto lønn</td><td>${formatCurrency(scenario.personal.netSalary)}</td></tr>` : ''}
+                        ${scenario.personal?.capitalRepayment ? `<tr><td>Tilbakebetalt innbetalt kapital (skattefritt)</td><td>${formatCurrency(scenario.personal.capitalRepayment)}</td></tr>` : ''}
                         ${scenario.personal?.dividendReceived ? `<tr><td>Utbytte mottatt</td><td>${formatCurrency(scenario.personal.dividendReceived)}</td></tr>` : ''}
                         ${scenario.personal?.dividendTax ? `<tr><td>Utbytteskatt</td><td>${formatCurrency(scenario.personal.dividendTax)}</td></tr>` : ''}
                         ${scenario.personal?.netDividend ? `<tr><td>Netto utbytte</td><td>${formatCurrency(scenario.personal.netDividend)}</td></tr>` : ''}
+                        ${scenario.skjerming?.availableSkjerming ? `<tr><td>Skjermingsfradrag (${formatPercent(scenario.skjerming.skjermingRate)})${scenario.skjerming.rateEstimated ? '<span class="estimate-badge" title="Skjermingsrenten er ikke publisert ennå">estimert</span>' : ''}</td><td>${formatCurrency(scenario.skjerming.used)}</td></tr>` : ''}
+                        ${scenario.skjerming?.unusedCarriedForward ? `<tr><td>Ubenyttet skjerming til neste år</td><td>${formatCurrency(scenario.skjerming.unusedCarriedForward)}</td></tr>` : ''}
+                        ${scenario.pension ? `<tr><td>Pensjonssparing (selskap + EPK + IPS)</td><td>${formatCurrency(scenario.pension.totalContribution)}</td></tr>` : ''}
+                        ${scenario.pension ? `<tr><td>Skattebesparelse for eier</td><td>${formatCurrency(scenario.pension.taxEffect.personalTaxSaved)}</td></tr>` : ''}
+                        ${scenario.pension?.projection ? `<tr><td>Fremskrevet pensjonskapital (${scenario.pension.projection.years} år)</td><td>${formatCurrency(scenario.pension.projection.projectedCapital)}</td></tr>` : ''}
                     </table>
                 </div>
             </div>
@@ -427,10 +805,14 @@ async function exportToExcel() {
 
 // Create CSV from data
 function createCSV(data) {
-    let csv = 'Scenario,Netto utbetaling,Total skatt,Effektiv skattesats,Forskjell fra beste\n';
+    const { columns, rows } = data.summary;
+    let csv = columns.join(',') + '\n';
     
-    data.summary.rows.forEach(row => {
-        csv += `"${row[0]}",${row[1]},${row[2]},${(row[3] * 100).toFixed(2)}%,${row[4]}\n`;
+    rows.forEach(row => {
+        csv += row.map((value, index) => {
+            if (index === 0) return `"${value}"`;
+            return columns[index] === 'Effektiv skattesats' ? `${(value * 100).toFixed(2)}%` : value;
+        }).join(',') + '\n';
     });
     
     return csv;
@@ -459,6 +841,11 @@ function resetForm() {
     updateSliderLabels();
     pensionRateContainer.style.display = 'none';
     retentionContainer.style.display = 'none';
+    holdingContainer.style.display = 'none';
+    shareholdersContainer.style.display = 'none';
+    shareholderRows.innerHTML = '';
+    householdContainer.style.display = 'none';
+    applyMunicipality();
     resultsSection.classList.remove('visible');
     clearErrors();
     currentResults = null;
@@ -469,9 +856,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // Slider
     salaryRatioSlider.addEventListener('input', updateSliderLabels);
     
+    // Municipality search
+    document.getElementById('municipality').addEventListener('change', applyMunicipality);
+    loadMunicipalities();
+    
     // Checkboxes
     pensionCheckbox.addEventListener('change', togglePensionRate);
     retentionCheckbox.addEventListener('change', toggleRetention);
+    holdingCheckbox.addEventListener('change', toggleHolding);
+    shareholdersCheckbox.addEventListener('change', toggleShareholders);
+    householdCheckbox.addEventListener('change', toggleHousehold);
+    document.getElementById('addShareholder').addEventListener('click', () => addShareholderRow());
     
     // Form submit
     form.addEventListener('submit', (e) => {
@@ -7,11 +7,14 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { generateAllScenarios, prepareExcelExport } from './calculations/scenarioComparison.js';
+import { generateAllScenarios, compareTaxYears, prepareExcelExport } from './calculations/scenarioComparison.js';
 import { calculateSalaryScenario } from './calculations/salaryCalculations.js';
 import { calculateDividendScenario } from './calculations/dividendCalculations.js';
 import { calculateCombinationScenario, findOptimalRatio, calculateBreakpoints } from './calculations/combinationCalculations.js';
-import { TAX_RATES_METADATA, EMPLOYER_ZONE_DESCRIPTIONS } from './config/taxRates.js';
+import { calculateExtractionPlan } from './calculations/planningCalculations.js';
+import { validateTaxYear } from './validation/inputValidation.js';
+import { MUNICIPALITIES_METADATA, searchMunicipalities } from './config/municipalities.js';
+import { TAX_RATES_METADATA, EMPLOYER_ZONE_DESCRIPTIONS, OWNER_RESIDENCE_DESCRIPTIONS, DEFAULT_TAX_YEAR, SUPPORTED_TAX_YEARS, SKJERMING_RATE_HISTORY, getTaxRates } from './config/taxRates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,10 +36,32 @@ app.get('/api/config', (req, res) => {
   res.json({
     success: true,
     data: {
-      taxYear: TAX_RATES_METADATA.taxYear,
+      taxYear: DEFAULT_TAX_YEAR,
+      supportedTaxYears: SUPPORTED_TAX_YEARS,
       lastUpdated: TAX_RATES_METADATA.lastUpdated,
       zones: EMPLOYER_ZONE_DESCRIPTIONS,
-      sources: TAX_RATES_METADATA.sources
+      residences: OWNER_RESIDENCE_DESCRIPTIONS,
+      sources: TAX_RATES_METADATA.sources,
+      rateSources: getTaxRates(DEFAULT_TAX_YEAR).sources,
+      skjermingRateHistory: SKJERMING_RATE_HISTORY
+    }
+  });
+});
+
+/**
+ * GET /api/municipalities
+ * Returns the kommunenummer table with AGA zone and tiltakssone status.
+ * Optional ?q= filters by kommunenummer prefix or name.
+ */
+app.get('/api/municipalities', (req, res) => {
+  const municipalities = searchMunicipalities(req.query.q);
+  
+  res.json({
+    success: true,
+    data: {
+      ...MUNICIPALITIES_METADATA,
+      count: municipalities.length,
+      municipalities
     }
   });
 });
@@ -47,15 +72,36 @@ app.get('/api/config', (req, res) => {
  */
 app.post('/api/calculate', (req, res) => {
   try {
-    const { profit, employerZone, pension, retention, shareCostBasis, withdrawalStrategy } = req.body;
+    const { profit, employerZone, municipality, pension, retention, shareCostBasis, unusedSkjerming, shareCount, paidInCapital, holding, shareholders, household, withdrawalStrategy, taxYear, overrides, ownerBirthYear, ownerResidence, agaFribelopUsed, otherNetWealth, companyEquity, otherIncome, personalDeductions, lossCarryforward, balanceSheet, npv, investment, ranking } = req.body;
     
     const input = {
       profit,
       employerZone,
+      municipality,
       pension: pension || { enabled: false },
       retention: retention || { enabled: false, percentage: 0 },
       shareCostBasis: shareCostBasis || 0,
-      withdrawalStrategy: withdrawalStrategy || { type: 'combination', salaryRatio: 50 }
+      unusedSkjerming,
+      shareCount,
+      paidInCapital,
+      holding,
+      shareholders,
+      household,
+      withdrawalStrategy: withdrawalStrategy || { type: 'combination', salaryRatio: 50 },
+      taxYear,
+      overrides,
+      ownerBirthYear,
+      ownerResidence,
+      agaFribelopUsed,
+      otherNetWealth,
+      companyEquity,
+      otherIncome,
+      personalDeductions,
+      lossCarryforward,
+      balanceSheet,
+      npv,
+      investment,
+      ranking
     };
     
     const result = generateAllScenarios(input);
@@ -80,13 +126,123 @@ app.post('/api/calculate', (req, res) => {
   }
 });
 
+/**
+ * POST /api/compare/years
+ * Compare the same input across several tax years
+ */
+app.post('/api/compare/years', (req, res) => {
+  try {
+    const { profit, employerZone, municipality, pension, retention, shareCostBasis, unusedSkjerming, shareCount, paidInCapital, holding, shareholders, household, withdrawalStrategy, taxYears, overrides, ownerBirthYear, ownerResidence, agaFribelopUsed, otherNetWealth, companyEquity, otherIncome, personalDeductions, lossCarryforward, balanceSheet, npv, investment, ranking } = req.body;
+    
+    const input = {
+      profit,
+      employerZone,
+      municipality,
+      pension: pension || { enabled: false },
+      retention: retention || { enabled: false, percentage: 0 },
+      shareCostBasis: shareCostBasis || 0,
+      unusedSkjerming,
+      shareCount,
+      paidInCapital,
+      holding,
+      shareholders,
+      household,
+      withdrawalStrategy: withdrawalStrategy || { type: 'combination', salaryRatio: 50 },
+      taxYears,
+      overrides,
+      ownerBirthYear,
+      ownerResidence,
+      agaFribelopUsed,
+      otherNetWealth,
+      companyEquity,
+      otherIncome,
+      personalDeductions,
+      lossCarryforward,
+      balanceSheet,
+      npv,
+      investment,
+      ranking
+    };
+    
+    const result = compareTaxYears(input);
+    
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        errors: result.errors
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Comparison error:', error);
+    res.status(500).json({
+      success: false,
+      errors: [`Server error: ${error.message}`]
+    });
+  }
+});
+
+/**
+ * POST /api/plan
+ * Multi-year plan for salary, dividend and retention
+ */
+app.post('/api/plan', (req, res) => {
+  try {
+    const { horizon, profit, consumption, employerZone, municipality, shareCostBasis, unusedSkjerming, taxYear, overrides, ownerBirthYear, ownerResidence, agaFribelopUsed, otherNetWealth, companyEquity, otherIncome, personalDeductions, lossCarryforward, balanceSheet, searchStep } = req.body;
+    
+    const result = calculateExtractionPlan({
+      horizon,
+      profit,
+      consumption,
+      employerZone,
+      municipality,
+      shareCostBasis: shareCostBasis || 0,
+      unusedSkjerming,
+      taxYear,
+      overrides,
+      ownerBirthYear,
+      ownerResidence,
+      agaFribelopUsed,
+      otherNetWealth,
+      companyEquity,
+      otherIncome,
+      personalDeductions,
+      lossCarryforward,
+      balanceSheet,
+      searchStep
+    });
+    
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        errors: result.errors
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Planning error:', error);
+    res.status(500).json({
+      success: false,
+      errors: [`Server error: ${error.message}`]
+    });
+  }
+});
+
 /**
  * POST /api/calculate/salary
  * Calculate salary-only scenario
  */
 app.post('/api/calculate/salary', (req, res) => {
   try {
-    const { profit, employerZone, includePension, pensionRate, retentionPercentage } = req.body;
+    const { profit, employerZone, includePension, pensionRate, pensionProducts, retentionPercentage, taxYear, ownerBirthYear, ownerResidence, agaFribelopUsed } = req.body;
     
     if (!profit || !employerZone) {
       return res.status(400).json({
@@ -95,10 +251,23 @@ app.post('/api/calculate/salary', (req, res) => {
       });
     }
     
+    const taxYearResult = validateTaxYear(taxYear);
+    if (!taxYearResult.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: taxYearResult.errors
+      });
+    }
+    
     const result = calculateSalaryScenario(profit, employerZone, {
       includePension,
       pensionRate,
-      retentionPercentage
+      pensionProducts,
+      retentionPercentage,
+      taxYear: taxYearResult.value,
+      ownerBirthYear,
+      ownerResidence,
+      agaFribelopUsed
     });
     
     res.json({
@@ -119,7 +288,7 @@ app.post('/api/calculate/salary', (req, res) => {
  */
 app.post('/api/calculate/dividend', (req, res) => {
   try {
-    const { profit, retentionPercentage, shareCostBasis } = req.body;
+    const { profit, retentionPercentage, shareCostBasis, unusedSkjerming, shareCount, paidInCapital, holding, taxYear, ownerResidence, ownerBirthYear, pensionProducts } = req.body;
     
     if (!profit) {
       return res.status(400).json({
@@ -128,9 +297,25 @@ app.post('/api/calculate/dividend', (req, res) => {
       });
     }
     
+    const taxYearResult = validateTaxYear(taxYear);
+    if (!taxYearResult.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: taxYearResult.errors
+      });
+    }
+    
     const result = calculateDividendScenario(profit, {
       retentionPercentage,
-      shareCostBasis
+      shareCostBasis,
+      unusedSkjerming,
+      shareCount,
+      paidInCapital,
+      holding,
+      taxYear: taxYearResult.value,
+      ownerResidence,
+      ownerBirthYear,
+      pensionProducts
     });
     
     res.json({
@@ -205,12 +390,20 @@ app.post('/api/optimize', (req, res) => {
 
 /**
  * GET /api/breakpoints/:zone
- * Get tax breakpoints for a zone
+ * Get tax breakpoints for a zone (optional ?taxYear=)
  */
 app.get('/api/breakpoints/:zone', (req, res) => {
   try {
     const { zone } = req.params;
-    const result = calculateBreakpoints(zone);
+    const taxYearResult = validateTaxYear(req.query.taxYear);
+    if (!taxYearResult.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: taxYearResult.errors
+      });
+    }
+    
+    const result = calculateBreakpoints(zone, { taxYear: taxYearResult.value });
     
     res.json({
       success: true,
@@ -277,7 +470,10 @@ app.listen(PORT, () => {
 ║   - POST /api/calculate/dividend - Dividend-only calculation  ║
 ║   - POST /api/calculate/combination - Custom ratio            ║
 ║   - POST /api/optimize       - Find optimal ratio             ║
+║   - POST /api/compare/years  - Compare across tax years       ║
+║   - POST /api/plan           - Multi-year extraction plan     ║
 ║   - GET  /api/config         - Tax configuration              ║
+║   - GET  /api/municipalities - Municipality → AGA zone table  ║
 ║   - GET  /api/breakpoints/:zone - Tax breakpoints             ║
 ║                                                               ║
 ╚═══════════════════════════════════════════════════════════════╝
@@ -8,8 +8,19 @@
 
 import { 
   EMPLOYER_SOCIAL_SECURITY_RATES, 
-  VALIDATION_LIMITS 
+  VALIDATION_LIMITS,
+  DEFAULT_TAX_YEAR,
+  SUPPORTED_TAX_YEARS,
+  OVERRIDABLE_RATE_KEYS,
+  OWNER_RESIDENCE_DESCRIPTIONS,
+  DEFAULT_OWNER_RESIDENCE,
+  PERSONAL_DEDUCTION_TYPES,
+  RETENTION_NPV_DEFAULTS,
+  RETENTION_INVESTMENT_DEFAULTS,
+  getTaxRates,
+  getSkjermingRate
 } from '../config/taxRates.js';
+import { findMunicipality } from '../config/municipalities.js';
 
 /**
  * Validation result object
@@ -41,7 +52,7 @@ export function validateProfit(profit) {
   }
   
   if (numericProfit < VALIDATION_LIMITS.MIN_PROFIT) {
-    errors.push(`Overskudd kan ikke være negativt (Profit cannot be negative)`);
+    errors.push(`Underskudd overstiger maksimalt tillatt beløp på ${Math.abs(VALIDATION_LIMITS.MIN_PROFIT).toLocaleString('nb-NO')} kr`);
     return { isValid: false, errors, value: null };
   }
   
@@ -78,6 +89,30 @@ export function validateEmployerZone(zone) {
   return { isValid: true, errors: [], value: zoneStr };
 }
 
+/**
+ * Validates the municipality (kommunenummer)
+ * 
+ * @param {any} municipality - Four-digit kommunenummer, e.g. '0301'
+ * @returns {Object} Validation result with the matching municipality or error
+ */
+export function validateMunicipality(municipality) {
+  const errors = [];
+  
+  // Municipality is optional - the employer zone can be given directly
+  if (municipality === undefined || municipality === null || municipality === '') {
+    return { isValid: true, errors: [], value: null };
+  }
+  
+  const match = /^\d{3,4}$/.test(String(municipality).trim()) ? findMunicipality(municipality) : null;
+  
+  if (!match) {
+    errors.push(`Ukjent kommunenummer: ${municipality} (Unknown municipality number)`);
+    return { isValid: false, errors, value: null };
+  }
+  
+  return { isValid: true, errors: [], value: match };
+}
+
 /**
  * Validates a percentage value (0-100)
  * 
@@ -161,31 +196,75 @@ export function validateWithdrawalStrategy(strategy) {
   };
 }
 
+/**
+ * Converts a rate given as a decimal (0.05) or a percentage (5) to a decimal
+ */
+function toDecimalRate(value) {
+  const numericRate = Number(value);
+  return numericRate > 0 && numericRate < 1 ? numericRate : numericRate / 100;
+}
+
+/**
+ * Validates an optional rate field of the pension settings
+ * 
+ * @returns {Object} Validation result with the rate as a decimal (0 when not given)
+ */
+function validatePensionRateField(value, maxRate, message) {
+  if (value === undefined || value === null || value === '') {
+    return { isValid: true, errors: [], value: 0 };
+  }
+  
+  const rate = toDecimalRate(value);
+  if (isNaN(rate) || rate < 0 || rate > maxRate + 1e-9) {
+    return { isValid: false, errors: [message], value: null };
+  }
+  
+  return { isValid: true, errors: [], value: rate };
+}
+
 /**
  * Validates optional pension contribution settings
  * 
+ * Company scheme (when enabled):
+ * - rate: contribution on salary up to 12G, 2-7%
+ * - additionalRate: extra contribution on salary between 7.1G and 12G
+ * - employeeRate: the employee's own saving in egen pensjonskonto (EPK)
+ * 
+ * Private saving and projection (with or without a company scheme):
+ * - ipsAmount: yearly payment to individuell pensjonssparing (IPS)
+ * - yearsToRetirement, expectedReturn: horizon and real return for the
+ *   projected pension capital
+ * 
+ * Rates can be given as decimals (0.05) or percentages (5).
+ * 
  * @param {Object} pensionSettings - Pension contribution settings
+ * @param {number} taxYear - Tax year whose pension limits apply
+ * @param {Object} overrides - Validated rate overrides (see validateRateOverrides)
  * @returns {Object} Validation result
  */
-export function validatePensionSettings(pensionSettings) {
+export function validatePensionSettings(pensionSettings, taxYear = DEFAULT_TAX_YEAR, overrides = null) {
   const errors = [];
+  const { pensionLimits, otpMaxRate } = getTaxRates(taxYear, overrides);
   
   // Pension settings are optional
-  if (!pensionSettings || pensionSettings.enabled === false) {
+  if (!pensionSettings) {
     return {
       isValid: true,
       errors: [],
-      value: { enabled: false, rate: 0 }
+      value: { enabled: false, rate: 0, additionalRate: 0, employeeRate: 0, ipsAmount: 0, yearsToRetirement: null, expectedReturn: null }
     };
   }
   
-  if (pensionSettings.enabled === true) {
+  if (pensionSettings.enabled !== true && pensionSettings.enabled !== false && pensionSettings.enabled !== undefined) {
+    errors.push('Ugyldig pensjonsinnstilling (Invalid pension setting)');
+    return { isValid: false, errors, value: null };
+  }
+  
+  const value = { enabled: pensionSettings.enabled === true, rate: 0, additionalRate: 0, employeeRate: 0 };
+  
+  if (value.enabled) {
     // Rate can be passed as decimal (0.02-0.07) or percentage (2-7)
-    let rate = pensionSettings.rate;
-    
-    // If rate is already a decimal (less than 1), convert to percentage for validation
-    const isDecimal = rate > 0 && rate < 1;
-    const rateAsPercentage = isDecimal ? rate * 100 : rate;
+    const rateAsPercentage = toDecimalRate(pensionSettings.rate) * 100;
     
     if (isNaN(rateAsPercentage)) {
       errors.push('Pensjonssats må være et tall (Pension rate must be a number)');
@@ -204,17 +283,68 @@ export function validatePensionSettings(pensionSettings) {
     }
     
     // Always return as decimal for calculations
-    const rateAsDecimal = isDecimal ? rate : rate / 100;
+    value.rate = rateAsPercentage / 100;
     
-    return {
-      isValid: true,
-      errors: [],
-      value: { enabled: true, rate: rateAsDecimal }
-    };
+    const additionalResult = validatePensionRateField(
+      pensionSettings.additionalRate,
+      pensionLimits.additionalRate,
+      `Tilleggsinnskudd mellom ${pensionLimits.additionalLowerLimitG}G og 12G kan være høyst ${(pensionLimits.additionalRate * 100).toFixed(1)}% (Additional contribution cannot exceed ${(pensionLimits.additionalRate * 100).toFixed(1)}%)`
+    );
+    const employeeResult = validatePensionRateField(
+      pensionSettings.employeeRate,
+      Math.min(pensionLimits.employeeMaxRate, otpMaxRate - value.rate),
+      `Egen sparing i EPK kan være høyst ${(pensionLimits.employeeMaxRate * 100).toFixed(0)}%, og samlet med arbeidsgivers innskudd høyst ${(otpMaxRate * 100).toFixed(0)}% (Own EPK saving is limited to ${(pensionLimits.employeeMaxRate * 100).toFixed(0)}% and ${(otpMaxRate * 100).toFixed(0)}% in total)`
+    );
+    
+    for (const [field, result] of [['additionalRate', additionalResult], ['employeeRate', employeeResult]]) {
+      if (!result.isValid) {
+        errors.push(...result.errors);
+      } else {
+        value[field] = result.value;
+      }
+    }
+  } else if (pensionSettings.additionalRate || pensionSettings.employeeRate) {
+    errors.push('Tilleggsinnskudd og egen sparing i EPK krever innskuddspensjon i selskapet (Additional contribution and own EPK saving require a company pension scheme)');
   }
   
-  errors.push('Ugyldig pensjonsinnstilling (Invalid pension setting)');
-  return { isValid: false, errors, value: null };
+  // IPS is private saving and does not depend on the company scheme
+  const ipsAmount = pensionSettings.ipsAmount === undefined || pensionSettings.ipsAmount === null || pensionSettings.ipsAmount === ''
+    ? 0
+    : Number(pensionSettings.ipsAmount);
+  if (isNaN(ipsAmount) || ipsAmount < 0) {
+    errors.push('IPS-innskudd må være et positivt beløp (IPS contribution must be a positive amount)');
+  } else if (ipsAmount > pensionLimits.ipsMaxDeduction) {
+    errors.push(`IPS-innskudd kan være høyst ${pensionLimits.ipsMaxDeduction.toLocaleString('nb-NO')} kr i ${taxYear} (IPS contribution cannot exceed ${pensionLimits.ipsMaxDeduction} NOK)`);
+  } else {
+    value.ipsAmount = ipsAmount;
+  }
+  
+  // Projection horizon and return are optional
+  const { yearsToRetirement, expectedReturn } = pensionSettings;
+  if (yearsToRetirement === undefined || yearsToRetirement === null || yearsToRetirement === '') {
+    value.yearsToRetirement = null;
+  } else if (!Number.isInteger(Number(yearsToRetirement)) || Number(yearsToRetirement) < 0 || Number(yearsToRetirement) > 80) {
+    errors.push('År til pensjon må være et helt tall mellom 0 og 80 (Years to retirement must be a whole number between 0 and 80)');
+  } else {
+    value.yearsToRetirement = Number(yearsToRetirement);
+  }
+  
+  if (expectedReturn === undefined || expectedReturn === null || expectedReturn === '') {
+    value.expectedReturn = null;
+  } else {
+    const returnResult = validatePensionRateField(expectedReturn, 0.2, 'Forventet avkastning må være mellom 0 og 20% (Expected return must be between 0 and 20%)');
+    if (!returnResult.isValid) {
+      errors.push(...returnResult.errors);
+    } else {
+      value.expectedReturn = returnResult.value;
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    value: errors.length === 0 ? value : null
+  };
 }
 
 /**
@@ -256,6 +386,42 @@ export function validateRetentionSettings(retentionSettings) {
   return { isValid: false, errors, value: null };
 }
 
+/**
+ * Validates holding company settings (operating AS → holding AS → owner)
+ * 
+ * @param {Object} holdingSettings - { enabled, payoutPercentage, ownershipShare } with percentages 0-100
+ * @returns {Object} Validation result with percentages as decimals
+ */
+export function validateHoldingSettings(holdingSettings) {
+  // Holding mode is optional
+  if (!holdingSettings || holdingSettings.enabled === false) {
+    return { isValid: true, errors: [], value: { enabled: false, payoutPercentage: 0, ownershipShare: 1 } };
+  }
+  
+  if (holdingSettings.enabled !== true) {
+    return { isValid: false, errors: ['Ugyldig holdinginnstilling (Invalid holding setting)'], value: null };
+  }
+  
+  const errors = [];
+  const payoutResult = validatePercentage(holdingSettings.payoutPercentage ?? 0, 'Utbetaling fra holding');
+  const ownershipResult = validatePercentage(holdingSettings.ownershipShare ?? 100, 'Holdings eierandel');
+  errors.push(...payoutResult.errors, ...ownershipResult.errors);
+  
+  if (errors.length > 0) {
+    return { isValid: false, errors, value: null };
+  }
+  
+  return {
+    isValid: true,
+    errors: [],
+    value: {
+      enabled: true,
+      payoutPercentage: payoutResult.value / 100,
+      ownershipShare: ownershipResult.value / 100
+    }
+  };
+}
+
 /**
  * Validates share cost basis for skjermingsfradrag calculation
  * 
@@ -291,78 +457,1364 @@ export function validateShareCostBasis(costBasis) {
 }
 
 /**
- * Validates all calculation inputs
+ * Validates unused skjerming carried forward from earlier years
  * 
- * @param {Object} input - All input values
- * @returns {ValidationResult} Complete validation result
+ * @param {any} unusedSkjerming - Last year's unused skjerming (ubenyttet skjerming)
+ * @returns {Object} Validation result
  */
-export function validateCalculationInput(input) {
+export function validateUnusedSkjerming(unusedSkjerming) {
+  if (unusedSkjerming === undefined || unusedSkjerming === null || unusedSkjerming === '') {
+    return { isValid: true, errors: [], value: 0 };
+  }
+  
+  const numericUnused = Number(unusedSkjerming);
+  
+  if (isNaN(numericUnused) || numericUnused < 0) {
+    return { isValid: false, errors: ['Ubenyttet skjerming må være 0 eller mer (Unused skjerming must be 0 or more)'], value: null };
+  }
+  
+  return { isValid: true, errors: [], value: numericUnused };
+}
+
+/**
+ * Validates the number of shares for the per-share skjerming ledger
+ * 
+ * @param {any} shareCount - Number of shares held by the owner
+ * @returns {Object} Validation result
+ */
+export function validateShareCount(shareCount) {
+  if (shareCount === undefined || shareCount === null || shareCount === '') {
+    return { isValid: true, errors: [], value: 1 };
+  }
+  
+  const numericCount = Number(shareCount);
+  
+  if (!Number.isInteger(numericCount) || numericCount < 1) {
+    return { isValid: false, errors: ['Antall aksjer må være et helt tall på minst 1 (Share count must be a whole number of at least 1)'], value: null };
+  }
+  
+  return { isValid: true, errors: [], value: numericCount };
+}
+
+/**
+ * Validates the owner's other net wealth for the wealth tax calculation
+ * 
+ * Net wealth can be negative when debt exceeds the assets. Without a value
+ * the shares in the AS are taken to be the owner's only wealth.
+ * 
+ * @param {any} otherNetWealth - Net wealth outside the AS
+ * @returns {Object} Validation result
+ */
+export function validateOtherNetWealth(otherNetWealth) {
+  if (otherNetWealth === undefined || otherNetWealth === null || otherNetWealth === '') {
+    return { isValid: true, errors: [], value: 0 };
+  }
+  
+  const numericWealth = Number(otherNetWealth);
+  
+  if (isNaN(numericWealth) || !isFinite(numericWealth)) {
+    return { isValid: false, errors: ['Annen nettoformue må være et tall (Other net wealth must be a number)'], value: null };
+  }
+  
+  return { isValid: true, errors: [], value: numericWealth };
+}
+
+/**
+ * Validates the company's equity before this year's profit
+ * 
+ * @param {any} companyEquity - Equity (egenkapital) used as the shares' formuesverdi
+ * @returns {Object} Validation result
+ */
+export function validateCompanyEquity(companyEquity) {
+  if (companyEquity === undefined || companyEquity === null || companyEquity === '') {
+    return { isValid: true, errors: [], value: 0 };
+  }
+  
+  const numericEquity = Number(companyEquity);
+  
+  if (isNaN(numericEquity) || numericEquity < 0) {
+    return { isValid: false, errors: ['Egenkapital i selskapet må være 0 eller mer (Company equity must be 0 or more)'], value: null };
+  }
+  
+  return { isValid: true, errors: [], value: numericEquity };
+}
+
+/**
+ * Validates the owner's income outside the company
+ * 
+ * All fields are optional amounts of 0 or more. Without other income the
+ * company salary is taxed as the owner's only income.
+ * 
+ * @param {any} otherIncome - { salary, pension, capitalIncome, capitalExpenses }
+ *   (salary from other employers, pension income, capital income, capital expenses such as mortgage interest)
+ * @returns {Object} Validation result with all four fields, or null when not given
+ */
+export function validateOtherIncome(otherIncome) {
+  if (otherIncome === undefined || otherIncome === null) {
+    return { isValid: true, errors: [], value: null };
+  }
+  
+  if (typeof otherIncome !== 'object' || Array.isArray(otherIncome)) {
+    return { isValid: false, errors: ['Annen inntekt må være et objekt (Other income must be an object)'], value: null };
+  }
+  
   const errors = [];
-  const warnings = [];
-  const sanitizedInput = {};
+  const value = {};
+  const fields = [
+    ['salary', 'Lønn fra andre arbeidsgivere', 'Salary from other employers'],
+    ['pension', 'Pensjonsinntekt', 'Pension income'],
+    ['capitalIncome', 'Kapitalinntekt', 'Capital income'],
+    ['capitalExpenses', 'Kapitalkostnader', 'Capital expenses']
+  ];
   
-  // Validate required fields
-  const profitResult = validateProfit(input.profit);
-  if (!profitResult.isValid) {
-    errors.push(...profitResult.errors);
-  } else {
-    sanitizedInput.profit = profitResult.value;
+  for (const [field, label, englishLabel] of fields) {
+    const amount = otherIncome[field] === undefined || otherIncome[field] === null || otherIncome[field] === ''
+      ? 0
+      : Number(otherIncome[field]);
+    if (isNaN(amount) || !isFinite(amount) || amount < 0) {
+      errors.push(`${label} må være 0 eller mer (${englishLabel} must be 0 or more)`);
+    } else {
+      value[field] = amount;
+    }
   }
   
-  const zoneResult = validateEmployerZone(input.employerZone);
-  if (!zoneResult.isValid) {
-    errors.push(...zoneResult.errors);
-  } else {
-    sanitizedInput.employerZone = zoneResult.value;
+  return {
+    isValid: errors.length === 0,
+    errors,
+    value: errors.length === 0 ? value : null
+  };
+}
+
+/**
+ * Maximum number of personal deductions in one calculation
+ */
+const MAX_PERSONAL_DEDUCTIONS = 20;
+
+/**
+ * Validates the owner's personal deductions in alminnelig inntekt
+ * 
+ * Each deduction: { type, amount, children, description }. type is one of
+ * PERSONAL_DEDUCTION_TYPES; children is only used for foreldrefradrag
+ * (default 1). Amounts are what was paid; the caps of the tax year are
+ * applied in the calculation.
+ * 
+ * @param {any} personalDeductions - List of deductions (optional)
+ * @returns {Object} Validation result (null when no deductions are given)
+ */
+export function validatePersonalDeductions(personalDeductions) {
+  if (personalDeductions === undefined || personalDeductions === null) {
+    return { isValid: true, errors: [], value: null };
   }
   
-  const strategyResult = validateWithdrawalStrategy(input.withdrawalStrategy);
-  if (!strategyResult.isValid) {
-    errors.push(...strategyResult.errors);
-  } else {
-    sanitizedInput.withdrawalStrategy = strategyResult.value;
+  if (!Array.isArray(personalDeductions) || personalDeductions.length > MAX_PERSONAL_DEDUCTIONS) {
+    return {
+      isValid: false,
+      errors: [`Personlige fradrag må være en liste med opptil ${MAX_PERSONAL_DEDUCTIONS} fradrag (Personal deductions must be a list of up to ${MAX_PERSONAL_DEDUCTIONS} deductions)`],
+      value: null
+    };
   }
   
-  // Validate optional fields
-  const pensionResult = validatePensionSettings(input.pension);
-  if (!pensionResult.isValid) {
-    errors.push(...pensionResult.errors);
-  } else {
-    sanitizedInput.pension = pensionResult.value;
+  const errors = [];
+  const value = [];
+  const validTypes = Object.keys(PERSONAL_DEDUCTION_TYPES);
+  
+  personalDeductions.forEach((deduction, index) => {
+    const label = `Fradrag ${index + 1}`;
+    if (!deduction || typeof deduction !== 'object') {
+      errors.push(`${label}: må være et objekt (Deduction ${index + 1} must be an object)`);
+      return;
+    }
+    
+    if (!validTypes.includes(deduction.type)) {
+      errors.push(`${label}: ugyldig type "${deduction.type}". Gyldige typer: ${validTypes.join(', ')} (Invalid deduction type)`);
+      return;
+    }
+    
+    const amount = Number(deduction.amount);
+    if (deduction.amount === undefined || deduction.amount === null || deduction.amount === '' || isNaN(amount) || !isFinite(amount) || amount < 0) {
+      errors.push(`${label}: beløp må være 0 eller mer (Deduction ${index + 1} amount must be 0 or more)`);
+      return;
+    }
+    
+    const entry = { type: deduction.type, amount };
+    
+    if (deduction.type === 'childcare') {
+      const children = deduction.children === undefined || deduction.children === null || deduction.children === ''
+        ? 1
+        : Number(deduction.children);
+      if (!Number.isInteger(children) || children < 1 || children > 20) {
+        errors.push(`${label}: antall barn må være et heltall fra 1 til 20 (Number of children must be a whole number from 1 to 20)`);
+        return;
+      }
+      entry.children = children;
+    }
+    
+    if (typeof deduction.description === 'string' && deduction.description.trim() !== '') {
+      entry.description = deduction.description.trim().slice(0, 60);
+    }
+    
+    value.push(entry);
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    value: errors.length === 0 ? value : null
+  };
+}
+
+/**
+ * Validates the company's loss carried forward from earlier years
+ * (fremførbart underskudd)
+ * 
+ * @param {any} lossCarryforward - Unused tax loss from earlier years
+ * @returns {Object} Validation result
+ */
+export function validateLossCarryforward(lossCarryforward) {
+  if (lossCarryforward === undefined || lossCarryforward === null || lossCarryforward === '') {
+    return { isValid: true, errors: [], value: 0 };
   }
   
-  const retentionResult = validateRetentionSettings(input.retention);
-  if (!retentionResult.isValid) {
-    errors.push(...retentionResult.errors);
-  } else {
-    sanitizedInput.retention = retentionResult.value;
+  const numericLoss = Number(lossCarryforward);
+  
+  if (isNaN(numericLoss) || !isFinite(numericLoss) || numericLoss < 0) {
+    return { isValid: false, errors: ['Fremførbart underskudd må være 0 eller mer (Loss carried forward must be 0 or more)'], value: null };
   }
   
-  const costBasisResult = validateShareCostBasis(input.shareCostBasis);
-  if (!costBasisResult.isValid) {
-    errors.push(...costBasisResult.errors);
-  } else {
-    sanitizedInput.shareCostBasis = costBasisResult.value;
-    if (costBasisResult.warning) {
-      warnings.push(costBasisResult.warning);
+  return { isValid: true, errors: [], value: numericLoss };
+}
+
+/**
+ * Validates the company's balance sheet before this year's result, used for
+ * the dividend capacity (aksjeloven § 8-1)
+ * 
+ * All fields are optional amounts of 0 or more. Without a balance sheet the
+ * dividend capacity is not checked.
+ * 
+ * @param {any} balanceSheet - { shareCapital, otherEquity, uncoveredLoss }
+ *   (aksjekapital, annen egenkapital including overkurs, udekket tap)
+ * @returns {Object} Validation result with all three fields, or null when not given
+ */
+export function validateBalanceSheet(balanceSheet) {
+  if (balanceSheet === undefined || balanceSheet === null) {
+    return { isValid: true, errors: [], value: null };
+  }
+  
+  if (typeof balanceSheet !== 'object' || Array.isArray(balanceSheet)) {
+    return { isValid: false, errors: ['Balansen må være et objekt (Balance sheet must be an object)'], value: null };
+  }
+  
+  const errors = [];
+  const value = {};
+  const fields = [
+    ['shareCapital', 'Aksjekapital', 'Share capital'],
+    ['otherEquity', 'Annen egenkapital', 'Other equity'],
+    ['uncoveredLoss', 'Udekket tap', 'Uncovered loss']
+  ];
+  
+  for (const [field, label, englishLabel] of fields) {
+    const amount = balanceSheet[field] === undefined || balanceSheet[field] === null || balanceSheet[field] === ''
+      ? 0
+      : Number(balanceSheet[field]);
+    if (isNaN(amount) || !isFinite(amount) || amount < 0) {
+      errors.push(`${label} må være 0 eller mer (${englishLabel} must be 0 or more)`);
+    } else {
+      value[field] = amount;
     }
   }
   
   return {
     isValid: errors.length === 0,
     errors,
-    warnings,
-    sanitizedInput: errors.length === 0 ? sanitizedInput : null
+    value: errors.length === 0 ? value : null
+  };
+}
+
+/**
+ * Validates the remaining paid-in capital (innbetalt aksjekapital og overkurs)
+ * 
+ * @param {any} paidInCapital - Paid-in capital not yet repaid to the owner
+ * @returns {Object} Validation result
+ */
+export function validatePaidInCapital(paidInCapital) {
+  if (paidInCapital === undefined || paidInCapital === null || paidInCapital === '') {
+    return { isValid: true, errors: [], value: 0 };
+  }
+  
+  const numericCapital = Number(paidInCapital);
+  
+  if (isNaN(numericCapital) || numericCapital < 0) {
+    return { isValid: false, errors: ['Innbetalt kapital må være 0 eller mer (Paid-in capital must be 0 or more)'], value: null };
+  }
+  
+  return { isValid: true, errors: [], value: numericCapital };
+}
+
+/**
+ * Maximum number of shareholders in one calculation
+ */
+const MAX_SHAREHOLDERS = 10;
+
+/**
+ * Validates one person in a shareholder or household list
+ * 
+ * @param {any} person - { name, ownershipShare (0-100), shareCostBasis, unusedSkjerming, works, otherIncome,
+ *   personalDeductions, birthYear, residence }; otherIncome and personalDeductions as for the owner
+ *   (see validateOtherIncome and validatePersonalDeductions)
+ * @param {number} index - Position in the list, used for the default name
+ * @param {number} taxYear - Tax year birth years are checked against
+ * @param {boolean} allowZeroOwnership - Whether the person may own no shares (employed spouse)
+ * @returns {Object} Validation result with the ownership share as a decimal
+ */
+function validatePersonEntry(person, index, taxYear, allowZeroOwnership) {
+  const name = person?.name ? String(person.name).trim() : `Aksjonær ${index + 1}`;
+  const prefix = `${name}: `;
+  
+  if (!person || typeof person !== 'object') {
+    return { isValid: false, errors: [`${prefix}ugyldig person (invalid person)`], value: null };
+  }
+  
+  const errors = [];
+  const ownershipResult = validatePercentage(person.ownershipShare ?? (allowZeroOwnership ? 0 : undefined), 'Eierandel');
+  if (!ownershipResult.isValid) {
+    errors.push(...ownershipResult.errors.map(error => prefix + error));
+  } else if (ownershipResult.value === 0 && !allowZeroOwnership) {
+    errors.push(`${prefix}Eierandel må være større enn 0 (Ownership share must be greater than 0)`);
+  }
+  
+  const costBasisResult = validateShareCostBasis(person.shareCostBasis);
+  const unusedResult = validateUnusedSkjerming(person.unusedSkjerming);
+  const birthYearResult = validateOwnerBirthYear(person.birthYear, taxYear);
+  const residenceResult = validateOwnerResidence(person.residence);
+  const otherIncomeResult = validateOtherIncome(person.otherIncome);
+  const deductionsResult = validatePersonalDeductions(person.personalDeductions);
+  errors.push(...[costBasisResult, unusedResult, birthYearResult, residenceResult, otherIncomeResult, deductionsResult]
+    .flatMap(result => result.errors)
+    .map(error => prefix + error));
+  
+  if (person.works !== undefined && typeof person.works !== 'boolean') {
+    errors.push(`${prefix}Arbeider i selskapet må være true eller false (Works in the company must be true or false)`);
+  }
+  
+  if (errors.length > 0) {
+    return { isValid: false, errors, value: null };
+  }
+  
+  return {
+    isValid: true,
+    errors: [],
+    value: {
+      name,
+      ownershipShare: ownershipResult.value / 100,
+      shareCostBasis: costBasisResult.value ?? 0,
+      unusedSkjerming: unusedResult.value,
+      works: person.works === true,
+      otherIncome: otherIncomeResult.value,
+      personalDeductions: deductionsResult.value,
+      birthYear: birthYearResult.value,
+      residence: residenceResult.value
+    }
+  };
+}
+
+/**
+ * Validates a list of persons and checks that their ownership adds up to 100%
+ */
+function validatePersonList(persons, taxYear, allowZeroOwnership) {
+  const results = persons.map((person, index) => validatePersonEntry(person, index, taxYear, allowZeroOwnership));
+  const errors = results.flatMap(result => result.errors);
+  
+  if (errors.length > 0) {
+    return { isValid: false, errors, value: null };
+  }
+  
+  const value = results.map(result => result.value);
+  const totalOwnership = value.reduce((sum, person) => sum + person.ownershipShare, 0) * 100;
+  if (Math.abs(totalOwnership - 100) > 0.01) {
+    return {
+      isValid: false,
+      errors: [`Eierandelene må til sammen være 100% (er ${totalOwnership.toFixed(2)}%) (Ownership shares must add up to 100%)`],
+      value: null
+    };
+  }
+  
+  return { isValid: true, errors: [], value };
+}
+
+/**
+ * Validates the list of shareholders for a company with several owners
+ * 
+ * Each shareholder: { name, ownershipShare (0-100), shareCostBasis,
+ * unusedSkjerming, works, otherIncome, personalDeductions, birthYear, residence }.
+ * Ownership shares must add up to 100%.
+ * 
+ * @param {any} shareholders - List of shareholders (optional)
+ * @param {number} taxYear - Tax year birth years are checked against
+ * @returns {Object} Validation result with ownership shares as decimals
+ */
+export function validateShareholders(shareholders, taxYear = DEFAULT_TAX_YEAR) {
+  // Shareholders are optional - without them the calculation assumes one owner
+  if (shareholders === undefined || shareholders === null) {
+    return { isValid: true, errors: [], value: null };
+  }
+  
+  if (!Array.isArray(shareholders) || shareholders.length === 0 || shareholders.length > MAX_SHAREHOLDERS) {
+    return {
+      isValid: false,
+      errors: [`Aksjonærer må være en liste med 1 til ${MAX_SHAREHOLDERS} personer (Shareholders must be a list of 1 to ${MAX_SHAREHOLDERS} people)`],
+      value: null
+    };
+  }
+  
+  return validatePersonList(shareholders, taxYear, false);
+}
+
+/**
+ * Validates a household of two persons (owner and spouse)
+ * 
+ * Same fields as a shareholder, but one of them may own no shares and only
+ * be employed in the company. Salary can go to everyone with works: true.
+ * 
+ * @param {any} household - { persons: [person, person] } (optional)
+ * @param {number} taxYear - Tax year birth years are checked against
+ * @returns {Object} Validation result with ownership shares as decimals
+ */
+export function validateHousehold(household, taxYear = DEFAULT_TAX_YEAR) {
+  // Household is optional - without it the calculation assumes one person
+  if (household === undefined || household === null) {
+    return { isValid: true, errors: [], value: null };
+  }
+  
+  if (!Array.isArray(household.persons) || household.persons.length !== 2) {
+    return {
+      isValid: false,
+      errors: ['Husholdningen må bestå av nøyaktig to personer (The household must have exactly two persons)'],
+      value: null
+    };
+  }
+  
+  const personsResult = validatePersonList(
+    household.persons.map((person, index) => (person && typeof person === 'object' ? { ...person, name: person.name || `Person ${index + 1}` } : person)),
+    taxYear,
+    true
+  );
+  
+  return personsResult.isValid
+    ? { isValid: true, errors: [], value: { persons: personsResult.value } }
+    : personsResult;
+}
+
+/**
+ * Checks owner-level input that the household search cannot use
+ *
+ * The household search taxes each person on their own fields, so the
+ * single-owner fields must be given per person. Paid-in capital, the holding
+ * mode and EPK/IPS are not modelled per person.
+ *
+ * @param {Object} input - Sanitized calculation input with a household
+ * @returns {string[]} Errors, empty when the combination is supported
+ */
+function validateHouseholdCombination(input) {
+  const perPerson = [
+    ['shareCostBasis', input.shareCostBasis > 0],
+    ['unusedSkjerming', input.unusedSkjerming > 0],
+    ['otherIncome', Object.values(input.otherIncome ?? {}).some(amount => amount > 0)],
+    ['personalDeductions', input.personalDeductions?.some(deduction => deduction.amount > 0)]
+  ].filter(([, given]) => given).map(([field]) => field);
+
+  const unsupported = [
+    ['paidInCapital', input.paidInCapital > 0],
+    ['holding', input.holding?.enabled],
+    ['pension.additionalRate', input.pension?.additionalRate > 0],
+    ['pension.employeeRate', input.pension?.employeeRate > 0],
+    ['pension.ipsAmount', input.pension?.ipsAmount > 0]
+  ].filter(([, given]) => given).map(([field]) => field);
+
+  const errors = [];
+  if (perPerson.length > 0) {
+    errors.push(`Med husholdning må ${perPerson.join(', ')} oppgis per person (With a household, ${perPerson.join(', ')} must be given per person)`);
+  }
+  if (unsupported.length > 0) {
+    errors.push(`${unsupported.join(', ')} støttes ikke sammen med husholdning (${unsupported.join(', ')} cannot be combined with a household)`);
+  }
+  return errors;
+}
+
+/**
+ * Validates the assumptions for the net present value of retention
+ * 
+ * Returns and the discount rate can be given as decimals (0.05) or
+ * percentages (5). Missing fields use RETENTION_NPV_DEFAULTS.
+ * 
+ * @param {any} npvSettings - { companyReturn, privateReturn, discountRate, years } (optional)
+ * @returns {Object} Validation result with rates as decimals
+ */
+export function validateNpvSettings(npvSettings) {
+  if (npvSettings === undefined || npvSettings === null) {
+    return { isValid: true, errors: [], value: { ...RETENTION_NPV_DEFAULTS } };
+  }
+  
+  if (typeof npvSettings !== 'object') {
+    return { isValid: false, errors: ['Ugyldig nåverdiinnstilling (Invalid NPV setting)'], value: null };
+  }
+  
+  const errors = [];
+  const value = { ...RETENTION_NPV_DEFAULTS };
+  const rateFields = [
+    ['companyReturn', 'Avkastning i selskapet', 'Return in the company'],
+    ['privateReturn', 'Privat avkastning', 'Private return'],
+    ['discountRate', 'Diskonteringsrente', 'Discount rate']
+  ];
+  
+  for (const [field, label, englishLabel] of rateFields) {
+    const result = validatePensionRateField(npvSettings[field], 0.3, `${label} må være mellom 0 og 30% (${englishLabel} must be between 0 and 30%)`);
+    if (!result.isValid) {
+      errors.push(...result.errors);
+    } else if (npvSettings[field] !== undefined && npvSettings[field] !== null && npvSettings[field] !== '') {
+      value[field] = result.value;
+    }
+  }
+  
+  const { years } = npvSettings;
+  if (years !== undefined && years !== null && years !== '') {
+    if (!Number.isInteger(Number(years)) || Number(years) < 0 || Number(years) > 50) {
+      errors.push('Antall år før utdeling må være et helt tall mellom 0 og 50 (Years before payout must be a whole number between 0 and 50)');
+    } else {
+      value.years = Number(years);
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    value: errors.length === 0 ? value : null
+  };
+}
+
+/**
+ * Validates the assumptions for investing retained profit (AS vs. ASK)
+ * 
+ * The return and dividend yield can be given as decimals (0.06) or
+ * percentages (6). Missing fields use RETENTION_INVESTMENT_DEFAULTS.
+ * 
+ * @param {any} investment - { expectedReturn, dividendYield, years } (optional)
+ * @returns {Object} Validation result with rates as decimals
+ */
+export function validateInvestmentSettings(investment) {
+  if (investment === undefined || investment === null) {
+    return { isValid: true, errors: [], value: { ...RETENTION_INVESTMENT_DEFAULTS } };
+  }
+  
+  if (typeof investment !== 'object') {
+    return { isValid: false, errors: ['Ugyldig investeringsinnstilling (Invalid investment setting)'], value: null };
+  }
+  
+  const errors = [];
+  const value = { ...RETENTION_INVESTMENT_DEFAULTS };
+  const rateFields = [
+    ['expectedReturn', 'Forventet avkastning', 'Expected return'],
+    ['dividendYield', 'Utbytteandel av avkastningen', 'Dividend yield']
+  ];
+  
+  for (const [field, label, englishLabel] of rateFields) {
+    const result = validatePensionRateField(investment[field], 0.3, `${label} må være mellom 0 og 30% (${englishLabel} must be between 0 and 30%)`);
+    if (!result.isValid) {
+      errors.push(...result.errors);
+    } else if (investment[field] !== undefined && investment[field] !== null && investment[field] !== '') {
+      value[field] = result.value;
+    }
+  }
+  
+  if (errors.length === 0 && value.dividendYield > value.expectedReturn) {
+    errors.push('Utbytteandelen kan ikke være høyere enn forventet avkastning (Dividend yield cannot exceed the expected return)');
+  }
+  
+  const { years } = investment;
+  if (years !== undefined && years !== null && years !== '') {
+    if (!Number.isInteger(Number(years)) || Number(years) < 0 || Number(years) > 50) {
+      errors.push('Antall år med investering må være et helt tall mellom 0 og 50 (Years invested must be a whole number between 0 and 50)');
+    } else {
+      value.years = Number(years);
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    value: errors.length === 0 ? value : null
+  };
+}
+
+/**
+ * Ways the scenario comparison can be ranked
+ */
+const RANKINGS = ['netPayout', 'npv'];
+
+/**
+ * Validates how the scenario comparison is ranked
+ * 
+ * @param {any} ranking - 'netPayout' (default) or 'npv'
+ * @returns {Object} Validation result
+ */
+export function validateRanking(ranking) {
+  if (ranking === undefined || ranking === null || ranking === '') {
+    return { isValid: true, errors: [], value: 'netPayout' };
+  }
+  
+  if (!RANKINGS.includes(ranking)) {
+    return {
+      isValid: false,
+      errors: [`Ugyldig rangering. Gyldige verdier er: ${RANKINGS.join(', ')} (Invalid ranking. Valid values are: ${RANKINGS.join(', ')})`],
+      value: null
+    };
+  }
+  
+  return { isValid: true, errors: [], value: ranking };
+}
+
+/**
+ * Validates the AGA fribeløp already used by other employees
+ * 
+ * Only relevant in zones 1a and 4a. The amount is the AGA saved this year
+ * on other employees' salaries compared to the zone 1 rate.
+ * 
+ * @param {any} amount - Fribeløp already used (NOK)
+ * @returns {Object} Validation result
+ */
+export function validateAgaFribelopUsed(amount) {
+  const errors = [];
+  
+  // Optional - defaults to nothing used (the owner is the only employee)
+  if (amount === undefined || amount === null || amount === '') {
+    return { isValid: true, errors: [], value: 0 };
+  }
+  
+  const numericAmount = Number(amount);
+  
+  if (isNaN(numericAmount)) {
+    errors.push('Brukt fribeløp må være et tall (Used AGA allowance must be a number)');
+    return { isValid: false, errors, value: null };
+  }
+  
+  if (numericAmount < 0) {
+    errors.push('Brukt fribeløp kan ikke være negativt (Used AGA allowance cannot be negative)');
+    return { isValid: false, errors, value: null };
+  }
+  
+  return { isValid: true, errors: [], value: numericAmount };
+}
+
+/**
+ * Validates the tax year (inntektsår)
+ * 
+ * @param {any} taxYear - The tax year to validate
+ * @returns {Object} Validation result with sanitized value or error
+ */
+export function validateTaxYear(taxYear) {
+  const errors = [];
+  
+  // Tax year is optional - defaults to the current rate set
+  if (taxYear === undefined || taxYear === null || taxYear === '') {
+    return { isValid: true, errors: [], value: DEFAULT_TAX_YEAR };
+  }
+  
+  const numericYear = Number(taxYear);
+  
+  if (!SUPPORTED_TAX_YEARS.includes(numericYear)) {
+    errors.push(`Ugyldig skatteår. Gyldige verdier er: ${SUPPORTED_TAX_YEARS.join(', ')} (Invalid tax year. Valid values are: ${SUPPORTED_TAX_YEARS.join(', ')})`);
+    return { isValid: false, errors, value: null };
+  }
+  
+  return { isValid: true, errors: [], value: numericYear };
+}
+
+/**
+ * Maximum owner age accepted for the birth year
+ */
+const MAX_OWNER_AGE = 120;
+
+/**
+ * Validates the owner's birth year
+ * 
+ * @param {any} birthYear - The birth year to validate
+ * @param {number} taxYear - Tax year the age is calculated for
+ * @returns {Object} Validation result with sanitized value or error
+ */
+export function validateOwnerBirthYear(birthYear, taxYear = DEFAULT_TAX_YEAR) {
+  const errors = [];
+  
+  // Birth year is optional - without it the ordinary adult rules apply
+  if (birthYear === undefined || birthYear === null || birthYear === '') {
+    return { isValid: true, errors: [], value: null };
+  }
+  
+  const numericYear = Number(birthYear);
+  
+  if (!Number.isInteger(numericYear)) {
+    errors.push('Fødselsår må være et helt årstall (Birth year must be a whole year)');
+    return { isValid: false, errors, value: null };
+  }
+  
+  if (numericYear > taxYear || numericYear < taxYear - MAX_OWNER_AGE) {
+    errors.push(`Fødselsår må være mellom ${taxYear - MAX_OWNER_AGE} og ${taxYear} (Birth year must be between ${taxYear - MAX_OWNER_AGE} and ${taxYear})`);
+    return { isValid: false, errors, value: null };
+  }
+  
+  return { isValid: true, errors: [], value: numericYear };
+}
+
+/**
+ * Validates the owner's residence for personal taxation
+ * 
+ * @param {any} residence - 'standard' or 'tiltakssone'
+ * @returns {Object} Validation result with sanitized value or error
+ */
+export function validateOwnerResidence(residence) {
+  const errors = [];
+  
+  // Residence is optional - defaults to outside the tiltakssone
+  if (residence === undefined || residence === null || residence === '') {
+    return { isValid: true, errors: [], value: DEFAULT_OWNER_RESIDENCE };
+  }
+  
+  const validResidences = Object.keys(OWNER_RESIDENCE_DESCRIPTIONS);
+  const residenceStr = String(residence).toLowerCase();
+  
+  if (!validResidences.includes(residenceStr)) {
+    errors.push(`Ugyldig bosted. Gyldige verdier er: ${validResidences.join(', ')} (Invalid residence. Valid values are: ${validResidences.join(', ')})`);
+    return { isValid: false, errors, value: null };
+  }
+  
+  return { isValid: true, errors: [], value: residenceStr };
+}
+
+/**
+ * Override keys that hold a single rate (decimal between 0 and 1)
+ */
+const RATE_OVERRIDE_KEYS = ['corporateTaxRate', 'personalTaxRate', 'socialSecurityPhaseInRate', 'skjermingRate', 'otpMinRate', 'otpMaxRate'];
+
+/**
+ * Override keys that hold an amount in NOK (zero or positive)
+ */
+const AMOUNT_OVERRIDE_KEYS = ['agaFribelop', 'socialSecurityThreshold', 'personfradrag', 'grunnbelopet'];
+
+/**
+ * Validates a rate given as a decimal between 0 and 1
+ * 
+ * @param {any} value - The rate to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {Object} Validation result
+ */
+function validateRateValue(value, fieldName) {
+  const numericRate = Number(value);
+  
+  if (value === null || value === '' || isNaN(numericRate) || numericRate < 0 || numericRate > 1) {
+    return {
+      isValid: false,
+      errors: [`${fieldName} må være en sats mellom 0 og 1 (${fieldName} must be a rate between 0 and 1)`],
+      value: null
+    };
+  }
+  
+  return { isValid: true, errors: [], value: numericRate };
+}
+
+/**
+ * Validates an amount in NOK that cannot be negative
+ * 
+ * @param {any} value - The amount to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {Object} Validation result
+ */
+function validateAmountValue(value, fieldName) {
+  const numericAmount = Number(value);
+  
+  if (value === null || value === '' || isNaN(numericAmount) || numericAmount < 0) {
+    return {
+      isValid: false,
+      errors: [`${fieldName} må være et beløp på 0 eller mer (${fieldName} must be an amount of 0 or more)`],
+      value: null
+    };
+  }
+  
+  return { isValid: true, errors: [], value: numericAmount };
+}
+
+/**
+ * Validates the fields of an object-valued override against allowed keys
+ * 
+ * @param {any} value - The object to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @param {Object} fieldValidators - Map of allowed key to validator function
+ * @returns {Object} Validation result
+ */
+function validateOverrideObject(value, fieldName, fieldValidators) {
+  const errors = [];
+  const sanitized = {};
+  
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${fieldName} må være et objekt (${fieldName} must be an object)`);
+    return { isValid: false, errors, value: null };
+  }
+  
+  for (const [key, fieldValue] of Object.entries(value)) {
+    const validator = fieldValidators[key];
+    
+    if (!validator) {
+      errors.push(`Ukjent felt ${fieldName}.${key}. Gyldige felt er: ${Object.keys(fieldValidators).join(', ')} (Unknown field ${fieldName}.${key})`);
+      continue;
+    }
+    
+    const result = validator(fieldValue, `${fieldName}.${key}`);
+    if (!result.isValid) {
+      errors.push(...result.errors);
+    } else {
+      sanitized[key] = result.value;
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    value: errors.length === 0 ? sanitized : null
+  };
+}
+
+/**
+ * Validates a replacement bracket tax table (trinnskatt)
+ * 
+ * @param {any} brackets - Array of { threshold, rate, description? }
+ * @returns {Object} Validation result
+ */
+export function validateBracketTable(brackets) {
+  const errors = [];
+  
+  if (!Array.isArray(brackets) || brackets.length === 0) {
+    errors.push('Trinnskattetabellen må være en liste med minst ett trinn (Bracket table must be a non-empty list)');
+    return { isValid: false, errors, value: null };
+  }
+  
+  const sanitized = [];
+  brackets.forEach((bracket, index) => {
+    const thresholdResult = validateAmountValue(bracket?.threshold, `Trinn ${index + 1} innslagspunkt`);
+    const rateResult = validateRateValue(bracket?.rate, `Trinn ${index + 1} sats`);
+    
+    errors.push(...thresholdResult.errors, ...rateResult.errors);
+    
+    if (thresholdResult.isValid && rateResult.isValid) {
+      if (index > 0 && sanitized[index - 1] && thresholdResult.value <= sanitized[index - 1].threshold) {
+        errors.push(`Innslagspunktene må være stigende (Bracket thresholds must be increasing at step ${index + 1})`);
+      }
+      sanitized[index] = {
+        threshold: thresholdResult.value,
+        rate: rateResult.value,
+        description: bracket.description || `Trinn ${index + 1}: ${(rateResult.value * 100).toFixed(1)}% av inntekt over ${thresholdResult.value.toLocaleString('nb-NO')} kr`
+      };
+    }
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    value: errors.length === 0 ? sanitized : null
+  };
+}
+
+/**
+ * Validates per-request rate overrides (what-if scenarios)
+ * 
+ * Overrides are optional. Each key must be one of OVERRIDABLE_RATE_KEYS;
+ * rates must be decimals between 0 and 1 and amounts cannot be negative.
+ * 
+ * @param {Object} overrides - Replacement values for the selected year's rate set
+ * @returns {Object} Validation result
+ */
+export function validateRateOverrides(overrides) {
+  const errors = [];
+  
+  // Overrides are optional
+  if (overrides === undefined || overrides === null) {
+    return { isValid: true, errors: [], value: null };
+  }
+  
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    errors.push('Satsoverstyringer må være et objekt (Rate overrides must be an object)');
+    return { isValid: false, errors, value: null };
+  }
+  
+  const zoneValidators = Object.fromEntries(
+    Object.keys(EMPLOYER_SOCIAL_SECURITY_RATES).map(zone => [zone, validateRateValue])
+  );
+  
+  const sanitized = {};
+  
+  for (const [key, value] of Object.entries(overrides)) {
+    let result;
+    
+    if (!OVERRIDABLE_RATE_KEYS.includes(key)) {
+      errors.push(`Ukjent sats: ${key}. Gyldige verdier er: ${OVERRIDABLE_RATE_KEYS.join(', ')} (Unknown rate: ${key})`);
+      continue;
+    } else if (RATE_OVERRIDE_KEYS.includes(key)) {
+      result = validateRateValue(value, key);
+    } else if (AMOUNT_OVERRIDE_KEYS.includes(key)) {
+      result = validateAmountValue(value, key);
+    } else if (key === 'dividendGrossUpFactor') {
+      const numericFactor = Number(value);
+      result = value === null || value === '' || isNaN(numericFactor) || numericFactor <= 0
+        ? { isValid: false, errors: ['dividendGrossUpFactor må være et positivt tall (dividendGrossUpFactor must be a positive number)'] }
+        : { isValid: true, errors: [], value: numericFactor };
+    } else if (key === 'bracketTax') {
+      result = validateBracketTable(value);
+    } else if (key === 'employerSocialSecurityRates') {
+      result = validateOverrideObject(value, key, zoneValidators);
+    } else if (key === 'socialSecurityRates') {
+      result = validateOverrideObject(value, key, {
+        salary: validateRateValue,
+        selfEmployed: validateRateValue,
+        pension: validateRateValue
+      });
+    } else if (key === 'tiltakssone') {
+      result = validateOverrideObject(value, key, {
+        personalTaxRate: validateRateValue,
+        bracketStep3Rate: validateRateValue,
+        finnmarksfradrag: validateAmountValue
+      });
+    } else if (key === 'otpSalaryBand') {
+      result = validateOverrideObject(value, key, {
+        lowerLimitG: validateAmountValue,
+        upperLimitG: validateAmountValue
+      });
+    } else if (key === 'pensionLimits') {
+      result = validateOverrideObject(value, key, {
+        additionalRate: validateRateValue,
+        additionalLowerLimitG: validateAmountValue,
+        employeeMaxRate: validateRateValue,
+        ipsMaxDeduction: validateAmountValue
+      });
+    } else if (key === 'wealthTax') {
+      result = validateOverrideObject(value, key, {
+        bunnfradrag: validateAmountValue,
+        rate: validateRateValue,
+        upperThreshold: validateAmountValue,
+        upperRate: validateRateValue,
+        shareValuationFactor: validateRateValue
+      });
+    } else if (key === 'fritaksmetoden') {
+      result = validateOverrideObject(value, key, {
+        inclusionRate: validateRateValue,
+        groupOwnershipThreshold: validateRateValue
+      });
+    } else if (key === 'personalDeductions') {
+      result = validateOverrideObject(value, key, {
+        unionDuesMaximum: validateAmountValue,
+        childcareFirstChild: validateAmountValue,
+        childcareAdditionalChild: validateAmountValue,
+        giftsMaximum: validateAmountValue
+      });
+    } else if (key === 'minstefradrag' || key === 'pensionMinstefradrag') {
+      result = validateOverrideObject(value, key, {
+        rate: validateRateValue,
+        minimum: validateAmountValue,
+        maximum: validateAmountValue
+      });
+    }
+    
+    if (!result.isValid) {
+      errors.push(...result.errors);
+    } else {
+      sanitized[key] = result.value;
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    value: errors.length === 0 ? sanitized : null
+  };
+}
+
+/**
+ * Validates all calculation inputs
+ * 
+ * @param {Object} input - All input values
+ * @returns {ValidationResult} Complete validation result
+ */
+export function validateCalculationInput(input) {
+  const errors = [];
+  const warnings = [];
+  const sanitizedInput = {};
+  
+  // Validate required fields
+  const profitResult = validateProfit(input.profit);
+  if (!profitResult.isValid) {
+    errors.push(...profitResult.errors);
+  } else {
+    sanitizedInput.profit = profitResult.value;
+  }
+  
+  const municipalityResult = validateMunicipality(input.municipality);
+  const municipality = municipalityResult.value;
+  if (!municipalityResult.isValid) {
+    errors.push(...municipalityResult.errors);
+  } else if (municipality) {
+    sanitizedInput.municipality = municipality.number;
+  }
+  
+  // Without an explicit zone, the municipality's AGA zone is used
+  const hasZone = input.employerZone !== undefined && input.employerZone !== null && input.employerZone !== '';
+  const zoneResult = validateEmployerZone(hasZone || !municipality ? input.employerZone : municipality.zone);
+  if (!zoneResult.isValid) {
+    errors.push(...zoneResult.errors);
+  } else {
+    sanitizedInput.employerZone = zoneResult.value;
+    if (municipality && zoneResult.value !== municipality.zone) {
+      warnings.push(`Oppgitt sone ${zoneResult.value} avviker fra sone ${municipality.zone} for ${municipality.name} (${municipality.number}) - oppgitt sone brukes`);
+    }
+  }
+  
+  const fribelopResult = validateAgaFribelopUsed(input.agaFribelopUsed);
+  if (!fribelopResult.isValid) {
+    errors.push(...fribelopResult.errors);
+  } else {
+    sanitizedInput.agaFribelopUsed = fribelopResult.value;
+  }
+  
+  const strategyResult = validateWithdrawalStrategy(input.withdrawalStrategy);
+  if (!strategyResult.isValid) {
+    errors.push(...strategyResult.errors);
+  } else {
+    sanitizedInput.withdrawalStrategy = strategyResult.value;
+  }
+  
+  // Validate optional fields
+  const taxYearResult = validateTaxYear(input.taxYear);
+  if (!taxYearResult.isValid) {
+    errors.push(...taxYearResult.errors);
+  } else {
+    sanitizedInput.taxYear = taxYearResult.value;
+  }
+  
+  const birthYearResult = validateOwnerBirthYear(input.ownerBirthYear, taxYearResult.value ?? DEFAULT_TAX_YEAR);
+  if (!birthYearResult.isValid) {
+    errors.push(...birthYearResult.errors);
+  } else {
+    sanitizedInput.ownerBirthYear = birthYearResult.value;
+  }
+  
+  const residenceResult = validateOwnerResidence(input.ownerResidence);
+  if (!residenceResult.isValid) {
+    errors.push(...residenceResult.errors);
+  } else {
+    sanitizedInput.ownerResidence = residenceResult.value;
+  }
+  
+  const overridesResult = validateRateOverrides(input.overrides);
+  if (!overridesResult.isValid) {
+    errors.push(...overridesResult.errors);
+  } else {
+    sanitizedInput.overrides = overridesResult.value;
+  }
+  
+  const pensionResult = validatePensionSettings(input.pension, taxYearResult.value ?? DEFAULT_TAX_YEAR, overridesResult.value);
+  if (!pensionResult.isValid) {
+    errors.push(...pensionResult.errors);
+  } else {
+    sanitizedInput.pension = pensionResult.value;
+  }
+  
+  const retentionResult = validateRetentionSettings(input.retention);
+  if (!retentionResult.isValid) {
+    errors.push(...retentionResult.errors);
+  } else {
+    sanitizedInput.retention = retentionResult.value;
+  }
+  
+  const holdingResult = validateHoldingSettings(input.holding);
+  if (!holdingResult.isValid) {
+    errors.push(...holdingResult.errors);
+  } else {
+    sanitizedInput.holding = holdingResult.value;
+  }
+  
+  const unusedSkjermingResult = validateUnusedSkjerming(input.unusedSkjerming);
+  if (!unusedSkjermingResult.isValid) {
+    errors.push(...unusedSkjermingResult.errors);
+  } else {
+    sanitizedInput.unusedSkjerming = unusedSkjermingResult.value;
+  }
+  
+  const shareCountResult = validateShareCount(input.shareCount);
+  if (!shareCountResult.isValid) {
+    errors.push(...shareCountResult.errors);
+  } else {
+    sanitizedInput.shareCount = shareCountResult.value;
+  }
+  
+  const costBasisResult = validateShareCostBasis(input.shareCostBasis);
+  if (!costBasisResult.isValid) {
+    errors.push(...costBasisResult.errors);
+  } else {
+    sanitizedInput.shareCostBasis = costBasisResult.value;
+    // Unused skjerming from earlier years still gives a deduction without a cost basis
+    if (costBasisResult.warning && !(unusedSkjermingResult.value > 0)) {
+      warnings.push(costBasisResult.warning);
+    }
+  }
+  
+  const paidInCapitalResult = validatePaidInCapital(input.paidInCapital);
+  if (!paidInCapitalResult.isValid) {
+    errors.push(...paidInCapitalResult.errors);
+  } else {
+    sanitizedInput.paidInCapital = paidInCapitalResult.value;
+    if (sanitizedInput.shareCostBasis > 0 && paidInCapitalResult.value > sanitizedInput.shareCostBasis) {
+      warnings.push('Innbetalt kapital er høyere enn inngangsverdien på aksjene - tilbakebetaling utover inngangsverdien kan bli skattlagt som utbytte');
+    }
+  }
+  
+  const lossResult = validateLossCarryforward(input.lossCarryforward);
+  if (!lossResult.isValid) {
+    errors.push(...lossResult.errors);
+  } else {
+    sanitizedInput.lossCarryforward = lossResult.value;
+  }
+  
+  const balanceSheetResult = validateBalanceSheet(input.balanceSheet);
+  if (!balanceSheetResult.isValid) {
+    errors.push(...balanceSheetResult.errors);
+  } else {
+    sanitizedInput.balanceSheet = balanceSheetResult.value;
+    if (balanceSheetResult.value && balanceSheetResult.value.uncoveredLoss > balanceSheetResult.value.otherEquity) {
+      warnings.push(`Udekket tap er ${(balanceSheetResult.value.uncoveredLoss - balanceSheetResult.value.otherEquity).toLocaleString('nb-NO')} kr høyere enn annen egenkapital - årets resultat må dekke tapet før noe kan deles ut`);
+    }
+  }
+  
+  if (profitResult.value < 0) {
+    warnings.push(`Underskudd på ${Math.abs(profitResult.value).toLocaleString('nb-NO')} kr i år - ingenting kan tas ut av årets resultat, og underskuddet legges til fremførbart underskudd`);
+  }
+  
+  // Skjerming figures based on an unpublished rate are not final
+  const skjermingRate = getSkjermingRate(taxYearResult.value ?? DEFAULT_TAX_YEAR);
+  const usesSkjerming = sanitizedInput.shareCostBasis > 0 || sanitizedInput.unusedSkjerming > 0;
+  if (usesSkjerming && skjermingRate.estimated && sanitizedInput.overrides?.skjermingRate === undefined) {
+    warnings.push(`Skjermingsrenten for ${skjermingRate.incomeYear} er ikke publisert ennå - estimert sats ${(skjermingRate.rate * 100).toFixed(1)}% brukes, skjermingsfradraget er ikke endelig`);
+  }
+  
+  const shareholdersResult = validateShareholders(input.shareholders, taxYearResult.value ?? DEFAULT_TAX_YEAR);
+  if (!shareholdersResult.isValid) {
+    errors.push(...shareholdersResult.errors);
+  } else if (shareholdersResult.value) {
+    sanitizedInput.shareholders = shareholdersResult.value;
+  }
+  
+  const householdResult = validateHousehold(input.household, taxYearResult.value ?? DEFAULT_TAX_YEAR);
+  if (!householdResult.isValid) {
+    errors.push(...householdResult.errors);
+  } else if (householdResult.value) {
+    if (shareholdersResult.value) {
+      errors.push('Oppgi enten aksjonærer eller husholdning, ikke begge (Give either shareholders or a household, not both)');
+    } else {
+      sanitizedInput.household = householdResult.value;
+    }
+  }
+  
+  const otherWealthResult = validateOtherNetWealth(input.otherNetWealth);
+  if (!otherWealthResult.isValid) {
+    errors.push(...otherWealthResult.errors);
+  } else {
+    sanitizedInput.otherNetWealth = otherWealthResult.value;
+  }
+  
+  const equityResult = validateCompanyEquity(input.companyEquity);
+  if (!equityResult.isValid) {
+    errors.push(...equityResult.errors);
+  } else {
+    sanitizedInput.companyEquity = equityResult.value;
+  }
+  
+  const otherIncomeResult = validateOtherIncome(input.otherIncome);
+  if (!otherIncomeResult.isValid) {
+    errors.push(...otherIncomeResult.errors);
+  } else {
+    sanitizedInput.otherIncome = otherIncomeResult.value;
+  }
+  
+  const personalDeductionsResult = validatePersonalDeductions(input.personalDeductions);
+  if (!personalDeductionsResult.isValid) {
+    errors.push(...personalDeductionsResult.errors);
+  } else {
+    sanitizedInput.personalDeductions = personalDeductionsResult.value;
+  }
+  
+  const npvResult = validateNpvSettings(input.npv);
+  if (!npvResult.isValid) {
+    errors.push(...npvResult.errors);
+  } else {
+    sanitizedInput.npv = npvResult.value;
+  }
+  
+  const investmentResult = validateInvestmentSettings(input.investment);
+  if (!investmentResult.isValid) {
+    errors.push(...investmentResult.errors);
+  } else {
+    sanitizedInput.investment = investmentResult.value;
+  }
+  
+  const rankingResult = validateRanking(input.ranking);
+  if (!rankingResult.isValid) {
+    errors.push(...rankingResult.errors);
+  } else {
+    sanitizedInput.ranking = rankingResult.value;
+  }
+
+  if (sanitizedInput.household) {
+    errors.push(...validateHouseholdCombination(sanitizedInput));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    sanitizedInput: errors.length === 0 ? sanitizedInput : null
+  };
+}
+
+/**
+ * Longest planning horizon in years
+ */
+export const MAX_PLAN_HORIZON = 15;
+
+/**
+ * Validates a per-year amount list: one number for every year or a list with one value per year
+ * 
+ * @returns {Object} Validation result with one value per year
+ */
+function validateYearlyAmounts(amounts, horizon, validate) {
+  const list = Array.isArray(amounts) ? amounts : Array(horizon).fill(amounts);
+  
+  if (list.length !== horizon) {
+    return {
+      isValid: false,
+      errors: [`Antall år i listen (${list.length}) må være lik planperioden (${horizon}) (The list must have one value per year of the horizon)`],
+      value: null
+    };
+  }
+  
+  const results = list.map(validate);
+  const errors = results.flatMap((result, index) => result.errors.map(error => `År ${index + 1}: ${error}`));
+  
+  return errors.length > 0
+    ? { isValid: false, errors, value: null }
+    : { isValid: true, errors: [], value: results.map(result => result.value) };
+}
+
+/**
+ * Validates input for the multi-year extraction planner
+ * 
+ * - horizon: number of years to plan (1 to MAX_PLAN_HORIZON)
+ * - profit: expected profit before tax, one number or a list per year
+ * - consumption: desired net payout per year, one number or a list per year
+ * - taxYear: first income year of the plan
+ * - searchStep: salary ratio search step in percent (optional, above 0 and at most 100, default 1)
+ * 
+ * The other fields (zone, municipality, owner, skjerming, wealth) are
+ * validated as in validateCalculationInput.
+ * 
+ * @param {Object} input - Planner input
+ * @returns {ValidationResult} Validation result with per-year profit and consumption
+ */
+export function validatePlanInput(input) {
+  const errors = [];
+  const horizon = Number(input?.horizon);
+  
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_PLAN_HORIZON) {
+    return {
+      isValid: false,
+      errors: [`Planperioden må være mellom 1 og ${MAX_PLAN_HORIZON} år (Horizon must be between 1 and ${MAX_PLAN_HORIZON} years)`],
+      warnings: [],
+      sanitizedInput: null
+    };
+  }
+  
+  const profitsResult = validateYearlyAmounts(input.profit, horizon, validateProfit);
+  if (!profitsResult.isValid) {
+    errors.push(...profitsResult.errors);
+  }
+  
+  const consumptionResult = validateYearlyAmounts(input.consumption, horizon, amount => {
+    const numericAmount = Number(amount);
+    return amount === undefined || amount === null || amount === '' || isNaN(numericAmount) || numericAmount < 0
+      ? { errors: ['Ønsket forbruk må være 0 eller mer (Desired consumption must be 0 or more)'], value: null }
+      : { errors: [], value: numericAmount };
+  });
+  if (!consumptionResult.isValid) {
+    errors.push(...consumptionResult.errors);
+  }
+  
+  // A step of 0 or below would never finish the salary ratio search
+  const searchStep = input.searchStep === undefined || input.searchStep === null || input.searchStep === ''
+    ? 1
+    : Number(input.searchStep);
+  if (isNaN(searchStep) || searchStep <= 0 || searchStep > 100) {
+    errors.push('Søkesteget må være et tall over 0 og høyst 100 (Search step must be a number above 0 and at most 100)');
+  }
+  
+  // Shared fields; the withdrawal strategy is chosen by the planner
+  const commonResult = validateCalculationInput({
+    ...input,
+    profit: profitsResult.value?.[0] ?? 0,
+    withdrawalStrategy: { type: 'combination', salaryRatio: 0 }
+  });
+  errors.push(...commonResult.errors);
+  
+  if (errors.length > 0) {
+    return { isValid: false, errors, warnings: commonResult.warnings, sanitizedInput: null };
+  }
+  
+  const { profit, withdrawalStrategy, ...common } = commonResult.sanitizedInput;
+  return {
+    isValid: true,
+    errors: [],
+    warnings: commonResult.warnings,
+    sanitizedInput: {
+      ...common,
+      horizon,
+      profits: profitsResult.value,
+      consumption: consumptionResult.value,
+      searchStep
+    }
   };
 }
 
 export default {
   validateProfit,
   validateEmployerZone,
+  validateMunicipality,
   validatePercentage,
   validateWithdrawalStrategy,
   validatePensionSettings,
   validateRetentionSettings,
+  validateHoldingSettings,
   validateShareCostBasis,
-  validateCalculationInput
+  validateUnusedSkjerming,
+  validateShareCount,
+  validateOtherNetWealth,
+  validateCompanyEquity,
+  validateOtherIncome,
+  validatePersonalDeductions,
+  validateLossCarryforward,
+  validateBalanceSheet,
+  validatePaidInCapital,
+  validateShareholders,
+  validateHousehold,
+  validateNpvSettings,
+  validateInvestmentSettings,
+  validateRanking,
+  validateAgaFribelopUsed,
+  validateTaxYear,
+  validateOwnerBirthYear,
+  validateOwnerResidence,
+  validateBracketTable,
+  validateRateOverrides,
+  validateCalculationInput,
+  validatePlanInput
 };
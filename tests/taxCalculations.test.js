@@ -10,17 +10,27 @@
  */
 
 import {
+  calculateEmployerAGA,
+  calculateOtpContribution,
   calculateMaxGrossSalary,
   calculateBracketTax,
   calculateSocialSecurityContribution,
   calculateMinstefradrag,
   calculateIncomeTax,
-  calculateSalaryScenario
+  calculateSalaryScenario,
+  calculateOwnerAge,
+  isOtpEligible,
+  calculatePersonalIncomeTax,
+  calculateSalaryTaxWithOtherIncome
 } from '../src/calculations/salaryCalculations.js';
 
 import {
   calculateCorporateTax,
   calculateSkjermingsfradrag,
+  calculateSkjermingLedgerYear,
+  buildSkjermingLedger,
+  calculateCapitalRepayment,
+  calculateDividendCapacity,
   calculateDividendTax,
   calculateCombinedDividendTax,
   calculateDividendScenario
@@ -35,7 +45,29 @@ import {
 import {
   validateProfit,
   validateEmployerZone,
+  validateMunicipality,
   validatePercentage,
+  validateAgaFribelopUsed,
+  validatePensionSettings,
+  validateOtherNetWealth,
+  validateCompanyEquity,
+  validateOtherIncome,
+  validatePersonalDeductions,
+  validateLossCarryforward,
+  validateBalanceSheet,
+  validateUnusedSkjerming,
+  validateShareCount,
+  validatePaidInCapital,
+  validateHoldingSettings,
+  validateShareholders,
+  validateHousehold,
+  validateTaxYear,
+  validateOwnerBirthYear,
+  validateOwnerResidence,
+  validateRateOverrides,
+  validateNpvSettings,
+  validateInvestmentSettings,
+  validateRanking,
   validateCalculationInput
 } from '../src/validation/inputValidation.js';
 
@@ -43,9 +75,1846 @@ import {
   CORPORATE_TAX_RATE,
   EMPLOYER_SOCIAL_SECURITY_RATES,
   BRACKET_TAX_2025,
-  DIVIDEND_GROSS_UP_FACTOR
+  DIVIDEND_GROSS_UP_FACTOR,
+  DEFAULT_TAX_YEAR,
+  SUPPORTED_TAX_YEARS,
+  RATE_FILES_DIR,
+  VALIDATION_LIMITS,
+  SKJERMING_RATE_HISTORY,
+  loadRateFiles,
+  getTaxRates,
+  getSkjermingRate
 } from '../src/config/taxRates.js';
 
+import {
+  calculateEmployeePensionSaving,
+  calculateIpsDeduction,
+  calculatePensionYears,
+  projectPensionCapital
+} from '../src/calculations/pensionCalculations.js';
+
+import {
+  calculateFritaksmetodenTax,
+  calculateHoldingFlow
+} from '../src/calculations/holdingCalculations.js';
+
+import {
+  calculatePersonalSalaryTax,
+  calculateShareholderScenario,
+  compareShareholderScenarios
+} from '../src/calculations/shareholderCalculations.js';
+
+import { calculateExtractionPlan } from '../src/calculations/planningCalculations.js';
+
+import { calculateRetentionNpv, calculateRetentionInvestment } from '../src/calculations/retentionCalculations.js';
+
+import { calculatePersonalDeductions } from '../src/calculations/deductionCalculations.js';
+
+import {
+  calculateWealthTax,
+  calculateRetentionWealthTax
+} from '../src/calculations/wealthTaxCalculations.js';
+
+import { validateRateFile } from '../src/config/rateSchema.js';
+
+import {
+  MUNICIPALITIES,
+  validateMunicipalityData,
+  findMunicipality,
+  searchMunicipalities
+} from '../src/config/municipalities.js';
+
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { generateAllScenarios, compareTaxYears } from '../src/calculations/scenarioComparison.js';
+
+// ============================================================================
+// TAX YEAR REGISTRY TESTS
+// ============================================================================
+
+describe('Tax Year Registry', () => {
+
+  describe('getTaxRates', () => {
+    test('supports 2022 through 2026', () => {
+      expect(SUPPORTED_TAX_YEARS).toEqual([2022, 2023, 2024, 2025, 2026]);
+    });
+
+    test('defaults to the 2025 constants', () => {
+      const rates = getTaxRates();
+      
+      expect(rates.taxYear).toBe(DEFAULT_TAX_YEAR);
+      expect(rates.bracketTax).toBe(BRACKET_TAX_2025);
+      expect(rates.dividendGrossUpFactor).toBe(DIVIDEND_GROSS_UP_FACTOR);
+    });
+
+    test('returns the gross-up factor history', () => {
+      expect(getTaxRates(2022).dividendGrossUpFactor).toBe(1.44);
+      expect(getTaxRates(2023).dividendGrossUpFactor).toBe(1.60);
+      expect(getTaxRates(2024).dividendGrossUpFactor).toBe(1.72);
+    });
+
+    test('accepts the year as a string', () => {
+      expect(getTaxRates('2023').taxYear).toBe(2023);
+    });
+
+    test('throws for unsupported years', () => {
+      expect(() => getTaxRates(2019)).toThrow(/Unsupported tax year/);
+    });
+  });
+
+  describe('taxYear option', () => {
+    test('dividend scenario uses the gross-up factor of the selected year', () => {
+      const result2022 = calculateDividendScenario(1000000, { taxYear: 2022 });
+      const result2025 = calculateDividendScenario(1000000, { taxYear: 2025 });
+      
+      // 780,000 × 1.44 × 22% = 247,104
+      expect(result2022.personal.dividendTax).toBeCloseTo(780000 * 1.44 * 0.22, -1);
+      expect(result2022.results.netPrivatePayout).toBeGreaterThan(result2025.results.netPrivatePayout);
+      expect(result2022.input.taxYear).toBe(2022);
+    });
+
+    test('salary scenario uses the bracket table of the selected year', () => {
+      const result = calculateSalaryScenario(1000000, '1', { taxYear: 2023 });
+      const expected = calculateBracketTax(result.personal.grossSalary, getTaxRates(2023));
+      
+      expect(result.personal.trinnskatt).toBe(expected.totalBracketTax);
+      expect(result.input.taxYear).toBe(2023);
+    });
+
+    test('combination and optimizer pass the year through', () => {
+      const combination = calculateCombinationScenario(1000000, '1', 0, { taxYear: 2022 });
+      const dividend = calculateDividendScenario(1000000, { taxYear: 2022 });
+      const optimal = findOptimalRatio(1000000, '1', { taxYear: 2022 });
+      
+      expect(combination.results.netPrivatePayout).toBeCloseTo(dividend.results.netPrivatePayout, -2);
+      expect(optimal.optimalScenario.input.taxYear).toBe(2022);
+    });
+
+    test('generateAllScenarios reports the selected year', () => {
+      const result = generateAllScenarios({
+        profit: 1000000,
+        employerZone: '1',
+        withdrawalStrategy: { type: 'combination', salaryRatio: 50 },
+        taxYear: 2024
+      });
+      
+      expect(result.success).toBe(true);
+      expect(result.input.taxYear).toBe(2024);
+      expect(result.scenarios.allDividend.input.taxYear).toBe(2024);
+    });
+  });
+});
+
+// ============================================================================
+// RATE FILE TESTS
+// ============================================================================
+
+describe('Rate Files', () => {
+  const readRateFile = (year) => JSON.parse(readFileSync(join(RATE_FILES_DIR, `${year}.json`), 'utf8'));
+
+  describe('validateRateFile', () => {
+    test('accepts every shipped rate file', () => {
+      SUPPORTED_TAX_YEARS.forEach(year => {
+        expect(validateRateFile(readRateFile(year))).toEqual([]);
+      });
+    });
+
+    test('rejects missing required keys', () => {
+      const data = readRateFile(2025);
+      delete data.rates.personfradrag;
+      
+      expect(validateRateFile(data)).toContain('rates.personfradrag is required');
+    });
+
+    test('rejects rates outside 0-1', () => {
+      const data = readRateFile(2025);
+      data.rates.corporateTaxRate.value = 22;
+      
+      expect(validateRateFile(data)).toContain('rates.corporateTaxRate.value must be a rate between 0 and 1');
+    });
+
+    test('rejects non-monotonic bracket thresholds', () => {
+      const data = readRateFile(2025);
+      data.rates.bracketTax.value[2].threshold = 300_000;
+      
+      const errors = validateRateFile(data);
+      expect(errors.some(error => error.includes('bracketTax.value[2].threshold'))).toBe(true);
+    });
+
+    test('requires source URL and year on every entry', () => {
+      const data = readRateFile(2025);
+      delete data.rates.grunnbelopet.url;
+      data.rates.skjermingRate.year = 2030;
+      
+      const errors = validateRateFile(data);
+      expect(errors).toContain('rates.grunnbelopet.url must be an http(s) URL');
+      expect(errors).toContain('rates.skjermingRate.year must be an integer year no later than 2025');
+    });
+
+    test('requires all employer zones', () => {
+      const data = readRateFile(2025);
+      delete data.rates.employerSocialSecurityRates.value['4a'];
+      
+      expect(validateRateFile(data)).toContain('rates.employerSocialSecurityRates.value.4a is required');
+    });
+
+    test('rejects an empty OTP salary band', () => {
+      const data = readRateFile(2025);
+      data.rates.otpSalaryBand.value.lowerLimitG = 12;
+      
+      expect(validateRateFile(data)).toContain('rates.otpSalaryBand.value.lowerLimitG must be below upperLimitG');
+    });
+
+    test('rejects a wealth tax bunnfradrag above the step 2 threshold', () => {
+      const data = readRateFile(2025);
+      data.rates.wealthTax.value.bunnfradrag = 30000000;
+      
+      expect(validateRateFile(data)).toContain('rates.wealthTax.value.bunnfradrag must be below upperThreshold');
+    });
+
+    test('requires a published/estimated status on the skjermingsrente', () => {
+      const data = readRateFile(2025);
+      delete data.rates.skjermingRate.status;
+      expect(validateRateFile(data)).toContain('rates.skjermingRate.status is required');
+
+      data.rates.skjermingRate.status = 'final';
+      expect(validateRateFile(data)).toContain('rates.skjermingRate.status must be one of: published, estimated');
+    });
+  });
+
+  describe('loadRateFiles', () => {
+    test('registry values come from the rate files', () => {
+      const data = readRateFile(2023);
+      const rates = getTaxRates(2023);
+      
+      expect(rates.bracketTax).toEqual(data.rates.bracketTax.value);
+      expect(rates.sources.bracketTax.url).toBe(data.rates.bracketTax.url);
+      expect(rates.sources.bracketTax.year).toBe(2023);
+    });
+
+    test('overridden values are marked in the sources', () => {
+      const rates = getTaxRates(2025, { skjermingRate: 0.04 });
+      
+      expect(rates.sources.skjermingRate.source).toBe('Per-request override');
+      expect(rates.sources.corporateTaxRate.source).toMatch(/Skatteetaten/);
+    });
+
+    test('throws on a broken rate file', () => {
+      const directory = mkdtempSync(join(tmpdir(), 'rates-'));
+      const data = readRateFile(2025);
+      data.rates.bracketTax.value[1].threshold = 100_000;
+      writeFileSync(join(directory, '2025.json'), JSON.stringify(data));
+      writeFileSync(join(directory, '2024.json'), '{ not json');
+      
+      try {
+        expect(() => loadRateFiles(directory)).toThrow(/Invalid tax rate files/);
+        expect(() => loadRateFiles(directory)).toThrow(/2024\.json/);
+        expect(() => loadRateFiles(directory)).toThrow(/2025\.json: rates\.bracketTax/);
+      } finally {
+        rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('requires the file name to match the tax year', () => {
+      const directory = mkdtempSync(join(tmpdir(), 'rates-'));
+      writeFileSync(join(directory, '2024.json'), JSON.stringify(readRateFile(2025)));
+      
+      try {
+        expect(() => loadRateFiles(directory)).toThrow(/file name must match taxYear/);
+      } finally {
+        rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
+
+// ============================================================================
+// RATE OVERRIDE TESTS
+// ============================================================================
+
+describe('Rate Overrides', () => {
+
+  describe('getTaxRates with overrides', () => {
+    test('replaces scalar rates and recomputes the effective dividend rate', () => {
+      const rates = getTaxRates(2025, { dividendGrossUpFactor: 1.5 });
+      
+      expect(rates.dividendGrossUpFactor).toBe(1.5);
+      expect(rates.effectiveDividendTaxRate).toBeCloseTo(0.33, 10);
+      expect(rates.overriddenRates).toEqual(['dividendGrossUpFactor']);
+    });
+
+    test('merges partial zone rates with the year values', () => {
+      const rates = getTaxRates(2025, { employerSocialSecurityRates: { 1: 0.12 } });
+      
+      expect(rates.employerSocialSecurityRates['1']).toBe(0.12);
+      expect(rates.employerSocialSecurityRates['2']).toBe(EMPLOYER_SOCIAL_SECURITY_RATES['2']);
+    });
+
+    test('does not modify the registry', () => {
+      getTaxRates(2025, { minstefradrag: { maximum: 1 } });
+      
+      expect(getTaxRates(2025).minstefradrag.maximum).toBe(92000);
+    });
+
+    test('throws for unknown keys', () => {
+      expect(() => getTaxRates(2025, { vatRate: 0.25 })).toThrow(/Unknown rate override/);
+    });
+  });
+
+  describe('validateRateOverrides', () => {
+    test('accepts a valid set of overrides', () => {
+      const result = validateRateOverrides({
+        corporateTaxRate: '0.23',
+        bracketTax: [{ threshold: 200000, rate: 0.02 }, { threshold: 300000, rate: 0.05 }],
+        socialSecurityRates: { salary: 0.075 },
+        personfradrag: 90000
+      });
+      
+      expect(result.isValid).toBe(true);
+      expect(result.value.corporateTaxRate).toBe(0.23);
+      expect(result.value.bracketTax[1].description).toBeDefined();
+    });
+
+    test('rejects rates outside 0-1 and unknown keys', () => {
+      expect(validateRateOverrides({ corporateTaxRate: 22 }).isValid).toBe(false);
+      expect(validateRateOverrides({ employerSocialSecurityRates: { 9: 0.1 } }).isValid).toBe(false);
+      expect(validateRateOverrides({ foo: 1 }).isValid).toBe(false);
+    });
+
+    test('validates the personal deduction caps', () => {
+      const result = validateRateOverrides({ personalDeductions: { unionDuesMaximum: '10000' } });
+      
+      expect(result.isValid).toBe(true);
+      expect(result.value.personalDeductions).toEqual({ unionDuesMaximum: 10000 });
+      expect(getTaxRates(2025, result.value).personalDeductions.giftsMaximum).toBe(25000);
+      expect(validateRateOverrides({ personalDeductions: { giftsMaximum: -1 } }).isValid).toBe(false);
+      expect(validateRateOverrides({ personalDeductions: { interestMaximum: 1 } }).isValid).toBe(false);
+    });
+
+    test('rejects bracket tables with decreasing thresholds', () => {
+      const result = validateRateOverrides({
+        bracketTax: [{ threshold: 300000, rate: 0.02 }, { threshold: 200000, rate: 0.05 }]
+      });
+      
+      expect(result.isValid).toBe(false);
+    });
+  });
+
+  describe('scenarios with overrides', () => {
+    test('corporate tax override changes the dividend scenario', () => {
+      const result = calculateDividendScenario(1000000, { overrides: { corporateTaxRate: 0.25 } });
+      
+      expect(result.company.corporateTax).toBe(250000);
+      expect(result.input.overrides).toEqual({ corporateTaxRate: 0.25 });
+    });
+
+    test('optimizer uses overridden AGA rates', () => {
+      const base = findOptimalRatio(1000000, '1');
+      const noAga = findOptimalRatio(1000000, '1', { overrides: { employerSocialSecurityRates: { 1: 0 } } });
+      
+      expect(noAga.comparison.allSalary.netPayout).toBeGreaterThan(base.comparison.allSalary.netPayout);
+    });
+
+    test('generateAllScenarios echoes the effective rate set', () => {
+      const result = generateAllScenarios({
+        profit: 1000000,
+        employerZone: '1',
+        withdrawalStrategy: { type: 'combination', salaryRatio: 50 },
+        overrides: { dividendGrossUpFactor: 1.8 }
+      });
+      
+      expect(result.success).toBe(true);
+      expect(result.effectiveRates.dividendGrossUpFactor).toBe(1.8);
+      expect(result.effectiveRates.overriddenRates).toEqual(['dividendGrossUpFactor']);
+    });
+
+    test('generateAllScenarios reports invalid overrides as errors', () => {
+      const result = generateAllScenarios({
+        profit: 1000000,
+        employerZone: '1',
+        withdrawalStrategy: { type: 'combination', salaryRatio: 50 },
+        overrides: { corporateTaxRate: 'high' }
+      });
+      
+      expect(result.success).toBe(false);
+    });
+  });
+});
+
+// ============================================================================
+// HISTORICAL COMPARISON TESTS
+// ============================================================================
+
+describe('Historical Comparison', () => {
+  const baseInput = {
+    profit: 1000000,
+    employerZone: '1',
+    withdrawalStrategy: { type: 'combination', salaryRatio: 50 }
+  };
+
+  test('compares all supported years by default', () => {
+    const result = compareTaxYears(baseInput);
+    
+    expect(result.success).toBe(true);
+    expect(result.years.map(y => y.taxYear)).toEqual(SUPPORTED_TAX_YEARS);
+    expect(result.deltas.length).toBe(SUPPORTED_TAX_YEARS.length - 1);
+  });
+
+  test('reports deltas between consecutive years', () => {
+    const result = compareTaxYears({ ...baseInput, taxYears: [2023, 2022] });
+    const [y2022, y2023] = result.years;
+    
+    expect(result.taxYears).toEqual([2022, 2023]);
+    expect(result.deltas[0].fromYear).toBe(2022);
+    expect(result.deltas[0].netPayout).toBe(y2023.netPayout - y2022.netPayout);
+    expect(result.deltas[0].dividendGrossUpFactor).toBeCloseTo(0.16, 10);
+  });
+
+  test('per-year figures match generateAllScenarios', () => {
+    const result = compareTaxYears({ ...baseInput, taxYears: [2024] });
+    const direct = generateAllScenarios({ ...baseInput, taxYear: 2024 });
+    
+    expect(result.years[0].netPayout).toBe(direct.scenarios.optimized.results.netPrivatePayout);
+    expect(result.years[0].optimalRatio).toBe(direct.scenarios.optimizationDetails.optimalRatio);
+  });
+
+  test('applies rate overrides to every year', () => {
+    const result = compareTaxYears({ ...baseInput, taxYears: [2023, 2024], overrides: { dividendGrossUpFactor: 1.5 } });
+    const direct = generateAllScenarios({ ...baseInput, taxYear: 2024, overrides: { dividendGrossUpFactor: 1.5 } });
+    
+    expect(result.years.map(y => y.dividendGrossUpFactor)).toEqual([1.5, 1.5]);
+    expect(result.years[1].netPayout).toBe(direct.scenarios.optimized.results.netPrivatePayout);
+    expect(result.deltas[0].dividendGrossUpFactor).toBe(0);
+  });
+
+  test('rejects unsupported years and invalid input', () => {
+    expect(compareTaxYears({ ...baseInput, taxYears: [2019] }).success).toBe(false);
+    expect(compareTaxYears({ ...baseInput, taxYears: [] }).success).toBe(false);
+    expect(compareTaxYears({ ...baseInput, profit: 'abc' }).success).toBe(false);
+  });
+});
+
+// ============================================================================
+// OWNER AGE TESTS
+// ============================================================================
+
+describe('Owner Age', () => {
+  
+  test('age is the age reached in the tax year', () => {
+    expect(calculateOwnerAge(1955, 2025)).toBe(70);
+    expect(calculateOwnerAge(null, 2025)).toBeNull();
+  });
+
+  test('owner over 69 pays the low trygdeavgift rate', () => {
+    const rates = getTaxRates(2025);
+    const result = calculateSocialSecurityContribution(500000, rates, 70);
+    
+    expect(result.rate).toBe(rates.socialSecurityRates.pension);
+    expect(result.contribution).toBe(Math.round(500000 * rates.socialSecurityRates.pension));
+  });
+
+  test('owner under 17 pays the low rate, 17 and 69 pay the ordinary rate', () => {
+    const rates = getTaxRates(2025);
+    
+    expect(calculateSocialSecurityContribution(500000, rates, 16).rate).toBe(rates.socialSecurityRates.pension);
+    expect(calculateSocialSecurityContribution(500000, rates, 17).rate).toBe(rates.socialSecurityRates.salary);
+    expect(calculateSocialSecurityContribution(500000, rates, 69).rate).toBe(rates.socialSecurityRates.salary);
+  });
+
+  test('salary scenario uses the birth year and documents it', () => {
+    const adult = calculateSalaryScenario(1000000, '1');
+    const senior = calculateSalaryScenario(1000000, '1', { ownerBirthYear: 1950 });
+    
+    expect(senior.personal.trygdeavgift).toBeLessThan(adult.personal.trygdeavgift);
+    expect(senior.input.ownerAge).toBe(75);
+    expect(senior.assumptions.some(a => a.includes('lav sats'))).toBe(true);
+    expect(adult.assumptions.some(a => a.includes('fødselsår ikke oppgitt'))).toBe(true);
+  });
+
+  test('OTP does not apply from age 75', () => {
+    expect(isOtpEligible(74)).toBe(true);
+    expect(isOtpEligible(75)).toBe(false);
+    expect(isOtpEligible(12)).toBe(false);
+    expect(isOtpEligible(null)).toBe(true);
+    
+    const result = calculateSalaryScenario(1000000, '1', { includePension: true, ownerBirthYear: 1950 });
+    expect(result.company.pensionContribution).toBe(0);
+    expect(result.calculationSteps.some(s => s.step === 'Pensjon (OTP)')).toBe(true);
+  });
+
+  test('combination scenarios and the optimizer use the birth year', () => {
+    const combination = calculateCombinationScenario(1000000, '1', 50, { ownerBirthYear: 1950, includePension: true });
+    const optimal = findOptimalRatio(1000000, '1', { ownerBirthYear: 1950 });
+    
+    expect(combination.company.pensionContribution).toBe(0);
+    expect(combination.input.ownerAge).toBe(75);
+    expect(optimal.optimalScenario.input.ownerBirthYear).toBe(1950);
+  });
+
+  test('generateAllScenarios passes the birth year through', () => {
+    const result = generateAllScenarios({
+      profit: 1000000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'combination', salaryRatio: 50 },
+      ownerBirthYear: 1952
+    });
+    
+    expect(result.success).toBe(true);
+    expect(result.scenarios.allSalary.input.ownerAge).toBe(73);
+    expect(result.scenarios.split5050.input.ownerAge).toBe(73);
+  });
+});
+
+// ============================================================================
+// TILTAKSSONE TESTS
+// ============================================================================
+
+describe('Tiltakssone (Finnmark and Nord-Troms)', () => {
+  const rates = getTaxRates(2025);
+
+  test('income tax uses the reduced rate and finnmarksfradrag', () => {
+    const result = calculateIncomeTax(800000, rates, 'tiltakssone');
+    
+    // 800 000 - 92 000 - 108 550 - 45 000 = 554 450 × 18.5%
+    expect(result.finnmarksfradrag).toBe(45000);
+    expect(result.taxableIncome).toBe(554450);
+    expect(result.incomeTax).toBeCloseTo(554450 * 0.185, -1);
+    expect(calculateIncomeTax(800000, rates).finnmarksfradrag).toBe(0);
+  });
+
+  test('bracket tax uses the reduced step 3 rate', () => {
+    const standard = calculateBracketTax(800000, rates);
+    const tiltakssone = calculateBracketTax(800000, rates, 'tiltakssone');
+    
+    // Step 3 income: 800 000 - 697 150 = 102 850, rate 13.7% vs 11.7%
+    expect(tiltakssone.breakdown[2].rate).toBe(0.117);
+    expect(standard.totalBracketTax - tiltakssone.totalBracketTax).toBeCloseTo(102850 * 0.02, -1);
+    expect(tiltakssone.breakdown[3]).toBeUndefined();
+  });
+
+  test('dividend tax uses the reduced rate on the grossed-up dividend', () => {
+    const result = calculateDividendTax(100000, 0, rates, 'tiltakssone');
+    
+    expect(result.dividendTax).toBeCloseTo(100000 * 1.72 * 0.185, -1);
+  });
+
+  test('scenarios and the optimizer use the residence', () => {
+    const standard = findOptimalRatio(1500000, '5');
+    const tiltakssone = findOptimalRatio(1500000, '5', { ownerResidence: 'tiltakssone' });
+    
+    expect(tiltakssone.optimalScenario.input.ownerResidence).toBe('tiltakssone');
+    expect(tiltakssone.comparison.optimal.netPayout).toBeGreaterThan(standard.comparison.optimal.netPayout);
+    expect(calculateSalaryScenario(1000000, '5', { ownerResidence: 'tiltakssone' }).personal.inntektsskatt)
+      .toBeLessThan(calculateSalaryScenario(1000000, '5').personal.inntektsskatt);
+  });
+
+  test('residence is validated and passed through generateAllScenarios', () => {
+    expect(validateOwnerResidence(undefined).value).toBe('standard');
+    expect(validateOwnerResidence('Tiltakssone').value).toBe('tiltakssone');
+    expect(validateOwnerResidence('oslo').isValid).toBe(false);
+    
+    const result = generateAllScenarios({
+      profit: 1000000,
+      employerZone: '5',
+      withdrawalStrategy: { type: 'combination', salaryRatio: 50 },
+      ownerResidence: 'tiltakssone'
+    });
+    
+    expect(result.scenarios.allDividend.input.ownerResidence).toBe('tiltakssone');
+    expect(result.scenarios.optimized.input.ownerResidence).toBe('tiltakssone');
+  });
+});
+
+// ============================================================================
+// MUNICIPALITY TABLE TESTS
+// ============================================================================
+
+describe('Municipality Table', () => {
+  test('table covers every municipality once with a valid zone', () => {
+    expect(MUNICIPALITIES).toHaveLength(357);
+    expect(new Set(MUNICIPALITIES.map(m => m.number)).size).toBe(357);
+    MUNICIPALITIES.forEach(m => {
+      expect(EMPLOYER_SOCIAL_SECURITY_RATES[m.zone]).toBeDefined();
+    });
+  });
+
+  test.each([
+    ['0301', 'Oslo', '1', false],
+    ['5501', 'Tromsø', '4a', false],
+    ['1804', 'Bodø', '4a', false],
+    ['5601', 'Alta', '5', true],
+    ['5544', 'Nordreisa', '5', true],
+  ])('%s %s is zone %s (tiltakssone: %s)', (number, name, zone, tiltakssone) => {
+    const municipality = findMunicipality(number);
+    expect(municipality.name).toBe(name);
+    expect(municipality.zone).toBe(zone);
+    expect(municipality.tiltakssone).toBe(tiltakssone);
+  });
+
+  test('tiltakssone is all of Finnmark and seven Nord-Troms municipalities', () => {
+    const tiltakssone = MUNICIPALITIES.filter(m => m.tiltakssone);
+    expect(tiltakssone).toHaveLength(25);
+    expect(tiltakssone.every(m => m.zone === '5')).toBe(true);
+  });
+
+  test('lookup accepts numbers without the leading zero', () => {
+    expect(findMunicipality(301).name).toBe('Oslo');
+    expect(findMunicipality('9999')).toBeNull();
+  });
+
+  test('search matches number prefix or name', () => {
+    expect(searchMunicipalities('56').every(m => m.county === 'Finnmark')).toBe(true);
+    expect(searchMunicipalities('TROMS').map(m => m.name)).toContain('Tromsø');
+    expect(searchMunicipalities('')).toHaveLength(357);
+  });
+
+  test('data validation rejects bad entries', () => {
+    const base = { source: 'Skatteetaten', url: 'https://www.skatteetaten.no', validFrom: 2024 };
+    const errors = validateMunicipalityData({
+      ...base,
+      municipalities: [
+        { number: '301', name: 'Oslo', county: 'Oslo', zone: '1', tiltakssone: false },
+        { number: '5601', name: 'Alta', county: 'Finnmark', zone: '4', tiltakssone: true },
+        { number: '5601', name: 'Alta', county: 'Finnmark', zone: '6', tiltakssone: 'yes' }
+      ]
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      'municipalities[0].number must be a four-digit kommunenummer',
+      'municipalities[1].tiltakssone is only possible in zone 5',
+      'municipalities[2].number 5601 is listed more than once',
+      'municipalities[2].zone must be one of: 1, 1a, 2, 3, 4, 4a, 5',
+      'municipalities[2].tiltakssone must be true or false'
+    ]));
+  });
+
+  test('municipality fills in the employer zone', () => {
+    expect(validateMunicipality('0301').value.zone).toBe('1');
+    expect(validateMunicipality(undefined).value).toBeNull();
+    expect(validateMunicipality('abc').isValid).toBe(false);
+    
+    const result = generateAllScenarios({
+      profit: 1000000,
+      municipality: '5601',
+      withdrawalStrategy: { type: 'combination', salaryRatio: 50 }
+    });
+    
+    expect(result.success).toBe(true);
+    expect(result.input.employerZone).toBe('5');
+    expect(result.input.municipality).toBe('5601');
+  });
+
+  test('an explicit zone wins over the municipality with a warning', () => {
+    const validation = validateCalculationInput({
+      profit: 1000000,
+      employerZone: '1',
+      municipality: '5601',
+      withdrawalStrategy: { type: 'combination', salaryRatio: 50 }
+    });
+    
+    expect(validation.sanitizedInput.employerZone).toBe('1');
+    expect(validation.warnings).toContain('Oppgitt sone 1 avviker fra sone 5 for Alta (5601) - oppgitt sone brukes');
+  });
+});
+
+// ============================================================================
+// AGA FRIBELØP TESTS
+// ============================================================================
+
+describe('AGA Fribeløp (zones 1a and 4a)', () => {
+  const rates = getTaxRates(2025);
+
+  test('reduced rate applies while the fribeløp lasts', () => {
+    const result = calculateEmployerAGA(1000000, '1a', rates);
+    expect(result.employerAGA).toBeCloseTo(106000, 2);
+    expect(result.fribelopUsed).toBeCloseTo(35000, 2);
+    expect(result.fribelopRemaining).toBeCloseTo(465000, 2);
+  });
+
+  test('zone 1 rate applies once the fribeløp is used up', () => {
+    // 10 000 kr left covers 285 714 kr at the reduced rate
+    expect(calculateEmployerAGA(1000000, '1a', rates, 490000).employerAGA).toBeCloseTo(131000, 2);
+    expect(calculateEmployerAGA(1000000, '1a', rates, 500000).employerAGA).toBeCloseTo(141000, 2);
+    expect(calculateEmployerAGA(1000000, '4a', rates, 600000).employerAGA).toBeCloseTo(141000, 2);
+  });
+
+  test('large salaries in zone 4a use up the fribeløp on their own', () => {
+    // 500 000 / (14.1% - 7.9%) = 8 064 516 kr at the reduced rate
+    const result = calculateEmployerAGA(10000000, '4a', rates);
+    expect(result.employerAGA).toBeCloseTo(10000000 * 0.141 - 500000, 2);
+    expect(result.fribelopRemaining).toBeCloseTo(0, 2);
+  });
+
+  test('other zones are flat', () => {
+    const result = calculateEmployerAGA(1000000, '2', rates, 500000);
+    expect(result.employerAGA).toBeCloseTo(106000, 2);
+    expect(result.fribelopApplies).toBe(false);
+  });
+
+  test('maximum gross salary accounts for the step up to the zone 1 rate', () => {
+    const result = calculateMaxGrossSalary(1131000, '1a', false, 0.02, rates, 490000);
+    expect(result.grossSalary).toBe(1000000);
+    expect(result.employerAGA).toBe(131000);
+    expect(result.grossSalary + result.employerAGA).toBe(1131000);
+  });
+
+  test('used fribeløp lowers the net salary in zone 1a', () => {
+    const fresh = calculateSalaryScenario(1000000, '1a');
+    const used = calculateSalaryScenario(1000000, '1a', { agaFribelopUsed: 500000 });
+    const zone1 = calculateSalaryScenario(1000000, '1');
+    
+    expect(fresh.personal.netSalary).toBeGreaterThan(used.personal.netSalary);
+    expect(used.company.employerAGA).toBe(zone1.company.employerAGA);
+  });
+
+  test('used fribeløp is validated and passed through generateAllScenarios', () => {
+    expect(validateAgaFribelopUsed(undefined).value).toBe(0);
+    expect(validateAgaFribelopUsed(-1).isValid).toBe(false);
+    expect(validateAgaFribelopUsed('abc').isValid).toBe(false);
+    
+    const result = generateAllScenarios({
+      profit: 1000000,
+      employerZone: '4a',
+      withdrawalStrategy: { type: 'combination', salaryRatio: 50 },
+      agaFribelopUsed: 200000
+    });
+    
+    expect(result.input.agaFribelopUsed).toBe(200000);
+    expect(result.scenarios.allSalary.input.agaFribelopUsed).toBe(200000);
+    expect(result.scenarios.optimized.input.agaFribelopUsed).toBe(200000);
+  });
+});
+
+describe('Pension Products (innskuddspensjon, EPK and IPS)', () => {
+  const rates = getTaxRates(2025);
+  const G = rates.grunnbelopet;
+
+  test('additional contribution only applies between 7.1G and 12G', () => {
+    expect(calculateOtpContribution(6 * G, 0.02, rates, 0.1).additionalContribution).toBe(0);
+    
+    const result = calculateOtpContribution(15 * G, 0.02, rates, 0.1);
+    expect(result.additionalBase).toBeCloseTo(4.9 * G, 2);
+    expect(result.contribution).toBeCloseTo(12 * G * 0.02 + 4.9 * G * 0.1, 2);
+  });
+
+  test('own EPK saving uses the OTP band and IPS is capped per tax year', () => {
+    expect(calculateEmployeePensionSaving(15 * G, 0.02, rates).contribution).toBe(Math.round(12 * G * 0.02));
+    expect(calculateIpsDeduction(40000, rates).deductible).toBe(25000);
+    expect(calculateIpsDeduction(40000, getTaxRates(2024)).deductible).toBe(15000);
+  });
+
+  test('projection uses the given horizon or the years to retirement age', () => {
+    expect(calculatePensionYears(45, 10)).toBe(10);
+    expect(calculatePensionYears(45)).toBe(22);
+    expect(calculatePensionYears(null)).toBeNull();
+    expect(projectPensionCapital(10000, 10, 0)).toBe(100000);
+    expect(projectPensionCapital(10000, 2, 0.05)).toBe(20500);
+  });
+
+  test('EPK and IPS reduce income tax on salary but not trygdeavgift', () => {
+    const base = calculateSalaryScenario(1000000, '1', { includePension: true, pensionRate: 0.02 });
+    const withProducts = calculateSalaryScenario(1000000, '1', {
+      includePension: true,
+      pensionRate: 0.02,
+      pensionProducts: { employeeRate: 0.03, ipsAmount: 25000, yearsToRetirement: 20 }
+    });
+    const deductions = withProducts.pension.employeeContribution + withProducts.pension.ipsDeductible;
+    
+    expect(withProducts.personal.trygdeavgift).toBe(base.personal.trygdeavgift);
+    expect(base.personal.inntektsskatt - withProducts.personal.inntektsskatt).toBeCloseTo(deductions * 0.22, -1);
+    expect(withProducts.pension.taxEffect.personalTaxSaved).toBe(Math.round(deductions * 0.22));
+    expect(withProducts.personal.ownPensionSavings).toBe(deductions);
+    expect(withProducts.pension.projection.years).toBe(20);
+    expect(withProducts.pension.projection.projectedCapital).toBeGreaterThan(withProducts.pension.totalContribution * 20);
+    expect(withProducts.calculationSteps.some(step => step.step === 'Pensjonsprodukter')).toBe(true);
+  });
+
+  test('IPS is deducted against the dividend in the dividend scenario', () => {
+    const base = calculateDividendScenario(1000000);
+    const withIps = calculateDividendScenario(1000000, { pensionProducts: { ipsAmount: 25000 } });
+    
+    expect(base.pension).toBeNull();
+    expect(base.personal.dividendTax - withIps.personal.dividendTax).toBe(5500);
+    expect(withIps.pension.projection).toBeNull();
+  });
+
+  test('validation checks the pension limits of the tax year', () => {
+    const valid = validatePensionSettings({ enabled: true, rate: 5, additionalRate: 10, employeeRate: 2, ipsAmount: 25000 }, 2025);
+    expect(valid.isValid).toBe(true);
+    expect(valid.value).toMatchObject({ rate: 0.05, additionalRate: 0.1, employeeRate: 0.02, ipsAmount: 25000 });
+    
+    expect(validatePensionSettings({ enabled: true, rate: 2, additionalRate: 20 }).isValid).toBe(false);
+    expect(validatePensionSettings({ enabled: true, rate: 5, employeeRate: 3 }).isValid).toBe(false);
+    expect(validatePensionSettings({ enabled: false, ipsAmount: 25000 }, 2024).isValid).toBe(false);
+    expect(validatePensionSettings({ enabled: false, employeeRate: 2 }).isValid).toBe(false);
+    expect(validatePensionSettings({ enabled: false, ipsAmount: 10000, yearsToRetirement: 2.5 }).isValid).toBe(false);
+    expect(validatePensionSettings({ enabled: true, rate: 2, additionalRate: 20 }, 2025, { pensionLimits: { additionalRate: 0.25 } }).isValid).toBe(true);
+    expect(validatePensionSettings({ enabled: false, ipsAmount: 25000 }, 2025, { pensionLimits: { ipsMaxDeduction: 15000 } }).isValid).toBe(false);
+    expect(validateCalculationInput({
+      profit: 1000000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'dividend' },
+      pension: { enabled: true, rate: 2, additionalRate: 20 },
+      overrides: { pensionLimits: { additionalRate: 0.25 } }
+    }).isValid).toBe(true);
+  });
+
+  test('pension products are passed through generateAllScenarios', () => {
+    const result = generateAllScenarios({
+      profit: 1500000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'combination', salaryRatio: 50 },
+      ownerBirthYear: 1980,
+      pension: { enabled: true, rate: 0.05, employeeRate: 0.02, ipsAmount: 25000, expectedReturn: 0.04 }
+    });
+    
+    expect(result.scenarios.allSalary.pension.employeeContribution).toBeGreaterThan(0);
+    expect(result.scenarios.allDividend.pension.ipsContribution).toBe(25000);
+    expect(result.scenarios.optimized.pension.projection.years).toBe(22);
+    expect(result.comparison.rows.every(row => row.projectedPension > 0)).toBe(true);
+  });
+});
+
+describe('Wealth Tax (formuesskatt)', () => {
+  const rates = getTaxRates(2025);
+
+  test('no wealth tax below the bunnfradrag', () => {
+    expect(calculateWealthTax(1760000, rates).wealthTax).toBe(0);
+    expect(calculateWealthTax(-500000, rates).wealthTax).toBe(0);
+  });
+
+  test('step 1 and step 2 rates', () => {
+    expect(calculateWealthTax(2760000, rates).wealthTax).toBe(10000);
+    // (20 700 000 - 1 760 000) × 1.0% + 1 000 000 × 1.1%
+    expect(calculateWealthTax(21700000, rates).wealthTax).toBe(189400 + 11000);
+  });
+
+  test('retained profit is taxed at the share valuation factor', () => {
+    const result = calculateRetentionWealthTax({
+      retainedAfterTax: 1000000,
+      companyEquity: 2000000,
+      otherNetWealth: 500000,
+      rates
+    });
+    
+    expect(result.shareValueAfter - result.shareValueBefore).toBe(800000);
+    expect(result.annualCostOfRetention).toBe(8000);
+  });
+
+  test('retention below the bunnfradrag is free', () => {
+    const result = calculateRetentionWealthTax({ retainedAfterTax: 500000, rates });
+    expect(result.annualCostOfRetention).toBe(0);
+  });
+
+  test('only the owner\'s share of the equity counts in the wealth tax', () => {
+    const whole = calculateRetentionWealthTax({ retainedAfterTax: 1000000, companyEquity: 2000000, otherNetWealth: 500000, rates });
+    const half = calculateRetentionWealthTax({ retainedAfterTax: 1000000, companyEquity: 2000000, otherNetWealth: 500000, ownershipShare: 0.5, rates });
+    
+    expect(half.shareValueAfter - half.shareValueBefore).toBe(400000);
+    expect(half.annualCostOfRetention).toBeLessThan(whole.annualCostOfRetention);
+    expect(whole.assumption).toContain('alle aksjene');
+    expect(half.assumption).toContain('50.0%');
+  });
+
+  test('scenarios count the working shareholder\'s share of the equity', () => {
+    const result = generateAllScenarios({
+      profit: 3000000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'dividend' },
+      companyEquity: 2000000,
+      shareholders: [
+        { name: 'Ola', ownershipShare: 40, works: false },
+        { name: 'Kari', ownershipShare: 60, works: true }
+      ]
+    });
+    const { wealthTax, assumptions } = result.scenarios.withRetention;
+    
+    expect(wealthTax.ownershipShare).toBe(0.6);
+    expect(assumptions).toContain(wealthTax.assumption);
+    expect(wealthTax.assumption).toContain('60.0%');
+  });
+
+  test('2022 shares are valued at 75%', () => {
+    const result = calculateRetentionWealthTax({ retainedAfterTax: 1000000, companyEquity: 5000000, rates: getTaxRates(2022) });
+    expect(result.shareValueAfter - result.shareValueBefore).toBe(750000);
+  });
+
+  test('validation of wealth inputs', () => {
+    expect(validateOtherNetWealth(undefined).value).toBe(0);
+    expect(validateOtherNetWealth(-200000).value).toBe(-200000);
+    expect(validateOtherNetWealth('abc').isValid).toBe(false);
+    expect(validateCompanyEquity(-1).isValid).toBe(false);
+  });
+
+  test('comparison table shows the yearly wealth tax on retained profit', () => {
+    const result = generateAllScenarios({
+      profit: 3000000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'combination', salaryRatio: 50 },
+      companyEquity: 5000000,
+      otherNetWealth: 1000000
+    });
+    const retentionRow = result.comparison.rows.find(row => row.name === result.scenarios.withRetention.scenarioName);
+    
+    expect(result.input.companyEquity).toBe(5000000);
+    expect(result.scenarios.allSalary.wealthTax.annualCostOfRetention).toBe(0);
+    expect(retentionRow.wealthTaxOnRetained).toBeGreaterThan(0);
+    expect(retentionRow.wealthTaxOnRetained).toBeCloseTo(result.scenarios.withRetention.results.retainedInCompany * 0.8 * 0.01, -1);
+    expect(result.scenarios.withRetention.calculationSteps.some(step => step.step === 'Formuesskatt')).toBe(true);
+  });
+});
+
+describe('Skjerming Carry-Forward', () => {
+  test('unused skjerming is added to the skjermingsgrunnlag and can be deducted', () => {
+    const result = calculateSkjermingsfradrag(100000, 0.04, 2000);
+    
+    expect(result.skjermingsgrunnlag).toBe(102000);
+    expect(result.skjermingsfradrag).toBe(4080);
+    expect(result.availableSkjerming).toBe(6080);
+  });
+
+  test('a year without dividend carries the whole skjerming forward', () => {
+    const line = calculateSkjermingLedgerYear({ costBasis: 100000, skjermingRate: 0.04, dividend: 0, shareCount: 100 });
+    
+    expect(line.used).toBe(0);
+    expect(line.unusedCarriedForward).toBe(4000);
+    expect(line.nextYearSkjermingsgrunnlag).toBe(104000);
+    expect(line.perShare.unusedCarriedForward).toBe(40);
+  });
+
+  test('a small dividend uses part of the skjerming', () => {
+    const line = calculateSkjermingLedgerYear({ costBasis: 100000, unusedFromPreviousYears: 4000, skjermingRate: 0.04, dividend: 5000 });
+    
+    expect(line.availableSkjerming).toBe(8160);
+    expect(line.used).toBe(5000);
+    expect(line.unusedCarriedForward).toBe(3160);
+  });
+
+  test('ledger rolls over several years with each year\'s rate', () => {
+    const ledger = buildSkjermingLedger({
+      costBasis: 1000000,
+      years: [{ taxYear: 2023, dividend: 0 }, { taxYear: 2024, dividend: 1000000 }]
+    });
+    const rate2023 = getTaxRates(2023).skjermingRate;
+    const rate2024 = getTaxRates(2024).skjermingRate;
+    const unused2023 = Math.round(1000000 * rate2023);
+    
+    expect(ledger[0].unusedCarriedForward).toBe(unused2023);
+    expect(ledger[1].skjermingsgrunnlag).toBe(1000000 + unused2023);
+    expect(ledger[1].used).toBe(Math.round((1000000 + unused2023) * rate2024) + unused2023);
+    expect(ledger[1].unusedCarriedForward).toBe(0);
+  });
+
+  test('dividend scenario uses last year\'s unused skjerming', () => {
+    const base = calculateDividendScenario(1000000, { shareCostBasis: 100000 });
+    const withUnused = calculateDividendScenario(1000000, { shareCostBasis: 100000, unusedSkjerming: 10000 });
+    
+    expect(withUnused.personal.skjermingsfradrag).toBeGreaterThan(base.personal.skjermingsfradrag + 10000);
+    expect(withUnused.personal.dividendTax).toBeLessThan(base.personal.dividendTax);
+  });
+
+  test('skipping the dividend preserves the allowance in the comparison', () => {
+    const result = generateAllScenarios({
+      profit: 800000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'combination', salaryRatio: 50 },
+      shareCostBasis: 500000,
+      unusedSkjerming: 5000,
+      shareCount: 50
+    });
+    const salary = result.scenarios.allSalary;
+    
+    expect(result.warnings).not.toContain('Inngangsverdi ikke oppgitt - skjermingsfradrag beregnes ikke');
+    expect(salary.skjerming.used).toBe(0);
+    expect(salary.skjerming.unusedCarriedForward).toBe(salary.skjerming.availableSkjerming);
+    expect(result.scenarios.split5050.skjerming.used).toBeGreaterThan(0);
+  });
+
+  test('validation of carry-forward inputs', () => {
+    expect(validateUnusedSkjerming(undefined).value).toBe(0);
+    expect(validateUnusedSkjerming(-1).isValid).toBe(false);
+    expect(validateShareCount(undefined).value).toBe(1);
+    expect(validateShareCount(2.5).isValid).toBe(false);
+  });
+});
+
+describe('Skjermingsrente History', () => {
+  test('has one entry per supported income year with the rate file value', () => {
+    expect(SKJERMING_RATE_HISTORY.map(entry => entry.incomeYear)).toEqual(SUPPORTED_TAX_YEARS);
+    SKJERMING_RATE_HISTORY.forEach(entry => {
+      expect(entry.rate).toBe(getTaxRates(entry.incomeYear).skjermingRate);
+    });
+  });
+
+  test('selects the rate by income year with its estimated flag', () => {
+    expect(getSkjermingRate(2023)).toMatchObject({ incomeYear: 2023, rate: 0.032, estimated: false });
+    expect(getSkjermingRate(2024)).toMatchObject({ incomeYear: 2024, rate: 0.039, estimated: false });
+    expect(getSkjermingRate(2025)).toMatchObject({ incomeYear: 2025, rate: 0.037, estimated: false });
+    expect(getSkjermingRate(2026).estimated).toBe(true);
+    expect(getTaxRates(2026).skjermingRateEstimated).toBe(true);
+    expect(() => getSkjermingRate(2019)).toThrow('Unsupported tax year');
+  });
+
+  test('an overridden rate is not flagged as estimated', () => {
+    expect(getTaxRates(2026, { skjermingRate: 0.04 }).skjermingRateEstimated).toBe(false);
+  });
+
+  test('scenarios flag skjerming based on an estimated rate', () => {
+    const input = { profit: 1000000, employerZone: '1', withdrawalStrategy: { type: 'dividend' }, shareCostBasis: 100000, taxYear: 2026 };
+    const estimated = generateAllScenarios(input);
+    const published = generateAllScenarios({ ...input, taxYear: 2023 });
+    const overridden = generateAllScenarios({ ...input, overrides: { skjermingRate: 0.04 } });
+    const warning = 'Skjermingsrenten for 2026 er ikke publisert ennå - estimert sats 5.0% brukes, skjermingsfradraget er ikke endelig';
+
+    expect(estimated.scenarios.allDividend.skjerming.rateEstimated).toBe(true);
+    expect(estimated.warnings).toContain(warning);
+    expect(published.scenarios.allDividend.skjerming.rateEstimated).toBe(false);
+    expect(published.warnings.some(text => text.startsWith('Skjermingsrenten'))).toBe(false);
+    expect(overridden.warnings).not.toContain(warning);
+  });
+
+  test('no warning without skjerming', () => {
+    const result = generateAllScenarios({ profit: 1000000, employerZone: '1', withdrawalStrategy: { type: 'dividend' }, taxYear: 2026 });
+    
+    expect(result.warnings.some(text => text.startsWith('Skjermingsrenten'))).toBe(false);
+  });
+});
+
+describe('Repayment of Paid-in Capital', () => {
+  test('repays paid-in capital before taxable dividend', () => {
+    const result = calculateCapitalRepayment({ distribution: 780000, paidInCapital: 500000, costBasis: 600000 });
+    
+    expect(result.repayment).toBe(500000);
+    expect(result.dividend).toBe(280000);
+    expect(result.remainingPaidInCapital).toBe(0);
+    expect(result.costBasisAfter).toBe(100000);
+  });
+
+  test('repayment is capped by the distribution', () => {
+    const result = calculateCapitalRepayment({ distribution: 200000, paidInCapital: 500000 });
+    
+    expect(result.repayment).toBe(200000);
+    expect(result.dividend).toBe(0);
+    expect(result.remainingPaidInCapital).toBe(300000);
+  });
+
+  test('dividend scenario pays no dividend tax on the repaid amount', () => {
+    const base = calculateDividendScenario(1000000);
+    const withCapital = calculateDividendScenario(1000000, { paidInCapital: 300000 });
+    
+    expect(withCapital.personal.capitalRepayment).toBe(300000);
+    expect(withCapital.personal.dividendReceived).toBe(base.personal.dividendReceived - 300000);
+    expect(withCapital.personal.dividendTax).toBeCloseTo(base.personal.dividendTax - 300000 * getTaxRates().effectiveDividendTaxRate, -1);
+    expect(withCapital.results.netPrivatePayout).toBeGreaterThan(base.results.netPrivatePayout);
+    expect(withCapital.results.netPrivatePayout + withCapital.results.totalTaxPaid).toBe(1000000);
+  });
+
+  test('generateAllScenarios uses paid-in capital before taxable dividend', () => {
+    const input = { profit: 1000000, employerZone: '1', withdrawalStrategy: { type: 'combination', salaryRatio: 50 } };
+    const base = generateAllScenarios(input);
+    const result = generateAllScenarios({ ...input, paidInCapital: 400000 });
+    const dividendRow = result.comparison.rows.find(row => row.name === result.scenarios.allDividend.scenarioName);
+    
+    expect(dividendRow.capitalRepayment).toBe(400000);
+    expect(result.scenarios.optimized.results.netPrivatePayout).toBeGreaterThan(base.scenarios.optimized.results.netPrivatePayout);
+    expect(result.scenarios.allSalary.personal.capitalRepayment).toBeUndefined();
+  });
+
+  test('validation of paid-in capital', () => {
+    expect(validatePaidInCapital(undefined).value).toBe(0);
+    expect(validatePaidInCapital(-1).isValid).toBe(false);
+    
+    const result = generateAllScenarios({
+      profit: 1000000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'dividend' },
+      shareCostBasis: 100000,
+      paidInCapital: 200000
+    });
+    expect(result.warnings).toContain('Innbetalt kapital er høyere enn inngangsverdien på aksjene - tilbakebetaling utover inngangsverdien kan bli skattlagt som utbytte');
+  });
+});
+
+describe('Holding Company', () => {
+  const rates = getTaxRates(2025);
+
+  test('fritaksmetoden taxes 3% of the dividend at the corporate rate', () => {
+    const result = calculateFritaksmetodenTax(1000000, 0.5, rates);
+    
+    expect(result.groupExempt).toBe(false);
+    expect(result.inclusionAmount).toBe(30000);
+    expect(result.tax).toBe(6600);
+  });
+
+  test('no inclusion when the holding owns more than 90%', () => {
+    const result = calculateFritaksmetodenTax(1000000, 1, rates);
+    
+    expect(result.groupExempt).toBe(true);
+    expect(result.tax).toBe(0);
+  });
+
+  test('holding flow defers the dividend tax on what is kept', () => {
+    const flow = calculateHoldingFlow({ dividendReceived: 1000000, ownershipShare: 0.5, payoutPercentage: 0.25, rates });
+    
+    expect(flow.availableInHolding).toBe(993400);
+    expect(flow.paidToOwner).toBe(248350);
+    expect(flow.retainedInHolding).toBe(745050);
+    expect(flow.taxDeferred).toBe(Math.round(745050 * rates.effectiveDividendTaxRate));
+  });
+
+  test('dividend scenario only taxes what the holding pays out', () => {
+    const direct = calculateDividendScenario(1000000);
+    const viaHolding = calculateDividendScenario(1000000, { holding: { enabled: true, payoutPercentage: 0, ownershipShare: 1 } });
+    
+    expect(viaHolding.scenarioName).toBe('100% Utbytte via holding');
+    expect(viaHolding.personal.dividendTax).toBe(0);
+    expect(viaHolding.holding.retainedInHolding).toBe(direct.company.dividendDistributed);
+    expect(viaHolding.taxSummary.taxDeferredInHolding).toBe(direct.personal.dividendTax);
+    expect(viaHolding.results.retainedInCompany).toBe(viaHolding.holding.retainedInHolding);
+  });
+
+  test('full payout through the holding adds the fritaksmetoden tax', () => {
+    const direct = calculateDividendScenario(1000000, { taxYear: 2025 });
+    const viaHolding = calculateDividendScenario(1000000, { taxYear: 2025, holding: { enabled: true, payoutPercentage: 1, ownershipShare: 0.5 } });
+    
+    expect(viaHolding.taxSummary.holdingTax).toBe(Math.round(direct.company.dividendDistributed * 0.03 * 0.22));
+    expect(viaHolding.results.totalTaxPaid).toBeGreaterThan(direct.results.totalTaxPaid);
+    expect(viaHolding.taxSummary.taxDeferredInHolding).toBe(0);
+  });
+
+  test('generateAllScenarios reports tax deferred in the holding', () => {
+    const result = generateAllScenarios({
+      profit: 1000000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'dividend' },
+      holding: { enabled: true, payoutPercentage: 20 }
+    });
+    const holdingRow = result.comparison.rows.find(row => row.name === '100% Utbytte via holding');
+    
+    expect(holdingRow.taxDeferredInHolding).toBe(result.scenarios.allDividend.holding.taxDeferred);
+    expect(holdingRow.taxDeferredInHolding).toBeGreaterThan(0);
+    expect(result.recommendations.considerations.some(item => item.topic === 'Holdingselskap')).toBe(true);
+  });
+
+  test('combination scenarios and the optimizer use the holding', () => {
+    const holding = { enabled: true, payoutPercentage: 0, ownershipShare: 1 };
+    const combination = calculateCombinationScenario(1000000, '1', 50, { holding });
+    const direct = calculateCombinationScenario(1000000, '1', 50);
+
+    expect(combination.scenarioName).toBe('Kombinasjon (50% lønn / 50% utbytte) via holding');
+    expect(combination.personal.dividendTax).toBe(0);
+    expect(combination.holding.retainedInHolding).toBe(direct.company.dividendDistributed);
+    expect(combination.results.netValueAfterDeferredTax)
+      .toBe(combination.results.netPrivatePayout + combination.holding.retainedInHolding - combination.holding.taxDeferred);
+
+    // Nothing is paid out from the holding, so the optimizer must value what it keeps
+    const optimal = findOptimalRatio(1000000, '1', { holding });
+    const best = Math.max(...optimal.searchResults.map(result => result.netValue));
+    expect(optimal.optimalScenario.holding).not.toBeNull();
+    expect(optimal.comparison.optimal.netValue).toBe(best);
+    expect(optimal.comparison.optimal.netPayout).toBe(optimal.optimalScenario.results.netPrivatePayout);
+  });
+
+  test('generateAllScenarios ranks holding scenarios on net value after deferred tax', () => {
+    const result = generateAllScenarios({
+      profit: 1000000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'dividend' },
+      holding: { enabled: true, payoutPercentage: 0 }
+    });
+
+    expect(result.scenarios.split5050.holding).not.toBeNull();
+    expect(result.scenarios.optimized.holding).not.toBeNull();
+    expect(result.scenarios.allSalary.holding).toBeUndefined();
+    const values = result.comparison.rows.map(row => row.netValue);
+    expect(values).toEqual([...values].sort((a, b) => b - a));
+    expect(result.comparison.rankedBy).toBe('netPayout');
+    expect(result.recommendations.primary.scenario).toBe(result.comparison.bestScenario);
+  });
+
+  test('validation of holding settings', () => {
+    expect(validateHoldingSettings(undefined).value.enabled).toBe(false);
+    expect(validateHoldingSettings({ enabled: true, payoutPercentage: 40 }).value).toEqual({ enabled: true, payoutPercentage: 0.4, ownershipShare: 1 });
+    expect(validateHoldingSettings({ enabled: true, payoutPercentage: 140 }).isValid).toBe(false);
+    expect(validateHoldingSettings({ enabled: 'yes' }).isValid).toBe(false);
+  });
+});
+
+describe('Multiple Shareholders', () => {
+  const partners = [
+    { name: 'Kari', ownershipShare: 0.6, works: true, shareCostBasis: 0, unusedSkjerming: 0 },
+    { name: 'Ola', ownershipShare: 0.4, works: false, shareCostBasis: 0, unusedSkjerming: 0 }
+  ];
+
+  test('salary tax on top of other income uses the owner\'s marginal rates', () => {
+    const rates = getTaxRates(2025);
+    const alone = calculatePersonalSalaryTax(500000, null, rates);
+    const onTop = calculatePersonalSalaryTax(500000, { salary: 800000 }, rates);
+    
+    expect(onTop.totalTax).toBeGreaterThan(alone.totalTax);
+    expect(calculatePersonalSalaryTax(0, { salary: 800000 }, rates).totalTax).toBe(0);
+  });
+
+  test('other income and deductions per shareholder follow the owner rules', () => {
+    const rates = getTaxRates(2025);
+    const pensioner = calculatePersonalSalaryTax(300000, { pension: 300000 }, rates);
+    const employee = calculatePersonalSalaryTax(300000, { salary: 300000 }, rates);
+    expect(pensioner.trygdeavgift).toBe(employee.trygdeavgift);
+    expect(pensioner.totalTax).not.toBe(employee.totalTax);
+    
+    const interest = [{ type: 'interest', amount: 100000 }];
+    const scenario = calculateShareholderScenario(1000000, '1', 0, [
+      { ...partners[0], personalDeductions: interest },
+      partners[1]
+    ], { taxYear: 2025 });
+    const without = calculateShareholderScenario(1000000, '1', 0, partners, { taxYear: 2025 });
+    const [kari, ola] = scenario.shareholders;
+    expect(kari.salaryTax.unusedDeductions).toBe(100000);
+    expect(Math.abs(without.shareholders[0].dividendTax - kari.dividendTax - 100000 * rates.personalTaxRate)).toBeLessThanOrEqual(1);
+    expect(ola.dividendTax).toBe(without.shareholders[1].dividendTax);
+    
+    const validated = validateShareholders([{ ownershipShare: 100, otherIncome: { capitalExpenses: 50000 }, personalDeductions: interest }]);
+    expect(validated.value[0]).toMatchObject({ otherIncome: { salary: 0, capitalExpenses: 50000 }, personalDeductions: interest });
+  });
+
+  test('all-dividend splits the dividend by ownership share', () => {
+    const scenario = calculateShareholderScenario(1000000, '1', 0, partners, { taxYear: 2025 });
+    const [kari, ola] = scenario.shareholders;
+    
+    expect(kari.dividendReceived).toBe(468000);
+    expect(ola.dividendReceived).toBe(312000);
+    expect(kari.grossSalary).toBe(0);
+    expect(scenario.totals.dividendReceived).toBe(780000);
+    expect(scenario.results.netPrivatePayout).toBe(kari.netPayout + ola.netPayout);
+  });
+
+  test('one owner with everything matches the single-owner dividend scenario', () => {
+    const single = calculateShareholderScenario(1000000, '1', 0, [{ name: 'Eier', ownershipShare: 1, works: true, shareCostBasis: 30000 }], { taxYear: 2025 });
+    const dividend = calculateDividendScenario(1000000, { taxYear: 2025, shareCostBasis: 30000 });
+    
+    expect(single.results.netPrivatePayout).toBe(dividend.results.netPrivatePayout);
+  });
+
+  test('salary goes only to working owners', () => {
+    const scenario = calculateShareholderScenario(1000000, '1', 50, [
+      { name: 'A', ownershipShare: 0.5, works: true },
+      { name: 'B', ownershipShare: 0.25, works: true },
+      { name: 'C', ownershipShare: 0.25, works: false }
+    ], { taxYear: 2025 });
+    const [a, b, c] = scenario.shareholders;
+    
+    expect(c.grossSalary).toBe(0);
+    expect(a.grossSalary).toBeGreaterThan(0);
+    expect(Math.abs(a.grossSalary - 2 * b.grossSalary)).toBeLessThanOrEqual(1);
+    expect(c.dividendReceived).toBe(b.dividendReceived);
+  });
+
+  test('without working owners everything is paid as dividend', () => {
+    const passive = partners.map(shareholder => ({ ...shareholder, works: false }));
+    const scenario = calculateShareholderScenario(1000000, '1', 60, passive, { taxYear: 2025 });
+    
+    expect(scenario.input.salaryRatio).toBe(0);
+    expect(scenario.totals.grossSalary).toBe(0);
+    expect(compareShareholderScenarios(1000000, '1', passive).scenarios.allSalary).toBeUndefined();
+  });
+
+  test('each shareholder gets skjerming on their own cost basis', () => {
+    const scenario = calculateShareholderScenario(1000000, '1', 0, [
+      { ...partners[0], shareCostBasis: 100000 },
+      partners[1]
+    ], { taxYear: 2025 });
+    
+    expect(scenario.shareholders[0].skjerming.used).toBe(Math.round(100000 * getTaxRates(2025).skjermingRate));
+    expect(scenario.shareholders[1].skjerming.used).toBe(0);
+  });
+
+  test('generateAllScenarios returns a per-shareholder comparison', () => {
+    const result = generateAllScenarios({
+      profit: 1500000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'dividend' },
+      shareholders: [
+        { name: 'Kari', ownershipShare: 50, works: true },
+        { name: 'Ola', ownershipShare: 50, works: true, otherIncome: { salary: 900000 } }
+      ]
+    });
+    const optimized = result.shareholderComparison.scenarios.optimized;
+    
+    expect(optimized.shareholders).toHaveLength(2);
+    expect(optimized.results.netPrivatePayout).toBeGreaterThanOrEqual(result.shareholderComparison.scenarios.allDividend.results.netPrivatePayout);
+    expect(optimized.shareholders[1].salaryTax.totalTax).toBeGreaterThan(optimized.shareholders[0].salaryTax.totalTax);
+  });
+
+  test('validation of shareholders', () => {
+    expect(validateShareholders(undefined).value).toBeNull();
+    expect(validateShareholders([{ ownershipShare: 60, works: true }, { ownershipShare: 40 }]).value[1]).toMatchObject({ name: 'Aksjonær 2', ownershipShare: 0.4, works: false });
+    expect(validateShareholders([{ ownershipShare: 60 }, { ownershipShare: 30 }]).isValid).toBe(false);
+    expect(validateShareholders([{ ownershipShare: 100, otherIncome: { salary: -1 } }]).isValid).toBe(false);
+    expect(validateShareholders([{ ownershipShare: 100, otherIncome: 500000 }]).isValid).toBe(false);
+    expect(validateShareholders([{ ownershipShare: 0 }, { ownershipShare: 100 }]).isValid).toBe(false);
+    expect(validateShareholders([]).isValid).toBe(false);
+  });
+});
+
+describe('Household Optimization', () => {
+  const couple = {
+    persons: [
+      { name: 'Kari', ownershipShare: 1, works: true, shareCostBasis: 0, unusedSkjerming: 0 },
+      { name: 'Ola', ownershipShare: 0, works: true, shareCostBasis: 0, unusedSkjerming: 0 }
+    ]
+  };
+
+  test('splitting the salary beats paying it all to one person', () => {
+    const result = findOptimalRatio(1500000, '1', { taxYear: 2025, household: couple });
+    
+    expect(result.optimalSalaryShares[1]).toBeGreaterThan(0);
+    expect(result.savings.vsSingleEarner).toBeGreaterThan(0);
+    expect(result.comparison.singleEarner.salaryShares).toEqual([1, 0]);
+    expect(result.optimalScenario.results.netPrivatePayout).toBe(result.comparison.optimal.netPayout);
+  });
+
+  test('the single-earner result matches the best single-owner ratio search', () => {
+    const single = findOptimalRatio(1500000, '1', { taxYear: 2025 });
+    const household = findOptimalRatio(1500000, '1', { taxYear: 2025, household: couple });
+    
+    expect(household.comparison.singleEarner.netPayout).toBe(single.comparison.optimal.netPayout);
+  });
+
+  test('dividends follow ownership and salary only goes to working persons', () => {
+    const result = findOptimalRatio(1500000, '1', {
+      taxYear: 2025,
+      household: { persons: [couple.persons[0], { ...couple.persons[1], works: false }] }
+    });
+    const [kari, ola] = result.optimalScenario.shareholders;
+    
+    expect(ola.grossSalary).toBe(0);
+    expect(ola.dividendReceived).toBe(0);
+    expect(result.savings.vsSingleEarner).toBe(0);
+    expect(kari.netPayout).toBe(result.comparison.optimal.netPayout);
+  });
+
+  test('a spouse with high other income gets less of the salary', () => {
+    const busySpouse = { persons: [couple.persons[0], { ...couple.persons[1], otherIncome: { salary: 1200000 } }] };
+    const result = findOptimalRatio(1500000, '1', { taxYear: 2025, household: busySpouse });
+    const balanced = findOptimalRatio(1500000, '1', { taxYear: 2025, household: couple });
+    
+    expect(result.optimalSalaryShares[1]).toBeLessThan(balanced.optimalSalaryShares[1]);
+  });
+
+  test('generateAllScenarios returns the household optimization', () => {
+    const result = generateAllScenarios({
+      profit: 1500000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'dividend' },
+      household: { persons: [{ name: 'Kari', ownershipShare: 100, works: true }, { name: 'Ola', works: true }] }
+    });
+    
+    expect(result.householdOptimization.optimalScenario.shareholders).toHaveLength(2);
+    expect(result.householdOptimization.analysis.recommendations.some(item => item.includes('ektefelle'))).toBe(true);
+  });
+
+  test('validation of the household', () => {
+    expect(validateHousehold(undefined).value).toBeNull();
+    expect(validateHousehold({ persons: [{ ownershipShare: 100, works: true }, { works: true }] }).value.persons[1]).toMatchObject({ name: 'Person 2', ownershipShare: 0, works: true });
+    expect(validateHousehold({ persons: [{ ownershipShare: 100 }] }).isValid).toBe(false);
+    expect(validateHousehold({ persons: [{ ownershipShare: 60 }, { ownershipShare: 30 }] }).isValid).toBe(false);
+    expect(validateCalculationInput({
+      profit: 1000000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'dividend' },
+      shareholders: [{ ownershipShare: 100 }],
+      household: { persons: [{ ownershipShare: 100 }, {}] }
+    }).isValid).toBe(false);
+  });
+
+  test('owner-level input the household search cannot use is rejected up front', () => {
+    const base = {
+      profit: 1000000,
+      employerZone: '1',
+      withdrawalStrategy: { type: 'dividend' },
+      household: { persons: [{ ownershipShare: 100, works: true }, { works: true }] }
+    };
+    const perPerson = validateCalculationInput({ ...base, shareCostBasis: 100000, otherIncome: { salary: 200000 } });
+    const unsupported = generateAllScenarios({ ...base, paidInCapital: 50000, holding: { enabled: true } });
+    
+    expect(perPerson.isValid).toBe(false);
+    expect(perPerson.errors[0]).toContain('må shareCostBasis, otherIncome oppgis per person');
+    expect(unsupported.success).toBe(false);
+    expect(unsupported.errors[0]).toContain('paidInCapital, holding støttes ikke sammen med husholdning');
+    expect(validateCalculationInput({ ...base, otherIncome: { salary: 0 }, personalDeductions: [] }).isValid).toBe(true);
+  });
+});
+
+describe('Multi-Year Planning', () => {
+  const uneven = {
+    horizon: 4,
+    profit: [2500000, 200000, 2000000, 200000],
+    consumption: 600000,
+    employerZone: '1',
+    taxYear: 2024
+  };
+
+  test('retained equity from one year is available for dividends the next year', () => {
+    const result = calculateExtractionPlan(uneven);
+    const [first, second] = result.plan.years;
+    
+    expect(result.success).toBe(true);
+    expect(first.equityOut).toBeGreaterThan(0);
+    expect(second.equityIn).toBe(first.equityOut);
+    expect(second.dividend).toBeGreaterThan(second.profit);
+    expect(result.plan.totals.shortfall).toBe(0);
+  });
+
+  test('smoothing meets consumption where year-by-year optimization cannot', () => {
+    const result = calculateExtractionPlan(uneven);
+    
+    expect(result.yearByYear.totals.endingEquity).toBe(0);
+    expect(result.yearByYear.totals.yearsBelowTarget).toBe(2);
+    expect(result.benefit.shortfall).toBe(result.yearByYear.totals.shortfall);
+    expect(result.plan.years.every(year => year.netPayout >= 600000)).toBe(true);
+  });
+
+  test('years after the last rate file use the latest rates', () => {
+    const result = calculateExtractionPlan({ ...uneven, taxYear: 2025 });
+    
+    expect(result.plan.years.map(year => year.rateYear)).toEqual([2025, 2026, 2026, 2026]);
+    expect(result.assumptions.some(line => line.includes('Satsene for 2026'))).toBe(true);
+  });
+
+  test('the plan value accounts for dividend tax on the ending equity', () => {
+    const { totals } = calculateExtractionPlan({ ...uneven, horizon: 1, profit: 2000000, consumption: 300000 }).plan;
+    
+    expect(totals.latentDividendTax).toBeGreaterThan(0);
+    expect(totals.netValue).toBe(totals.netPayout - totals.wealthTax + totals.endingEquity - totals.latentDividendTax);
+  });
+
+  test('validation of plan input', () => {
+    expect(calculateExtractionPlan({ ...uneven, horizon: 0 }).success).toBe(false);
+    expect(calculateExtractionPlan({ ...uneven, profit: [1000000, 1000000] }).errors[0]).toContain('planperioden');
+    expect(calculateExtractionPlan({ ...uneven, consumption: -1 }).success).toBe(false);
+    expect(calculateExtractionPlan({ ...uneven, employerZone: '9' }).success).toBe(false);
+    expect(calculateExtractionPlan({ ...uneven, searchStep: -5 }).success).toBe(false);
+    expect(calculateExtractionPlan({ ...uneven, searchStep: 0 }).success).toBe(false);
+    expect(calculateExtractionPlan({ ...uneven, searchStep: 101 }).success).toBe(false);
+    expect(calculateExtractionPlan({ ...uneven, searchStep: 'abc' }).success).toBe(false);
+    expect(calculateExtractionPlan({ ...uneven, horizon: 1, profit: 1000000, searchStep: '10' }).input.searchStep).toBe(10);
+  });
+});
+
+describe('Retention Net Present Value', () => {
+  const base = { profit: 1500000, employerZone: '1', taxYear: 2025, withdrawalStrategy: { type: 'dividend' } };
+
+  test('with equal returns and discount rate, retention is worth the after-tax dividend', () => {
+    const rates = getTaxRates(2025);
+    const result = calculateRetentionNpv({ netPayout: 500000, retainedAfterTax: 100000, rates });
+    const dividendTaxRate = rates.personalTaxRate * rates.dividendGrossUpFactor;
+    
+    expect(result.npv).toBeCloseTo(500000 + 100000 * (1 - dividendTaxRate), -1);
+    expect(result.deferredDividendTaxPresentValue).toBeCloseTo(100000 * dividendTaxRate, -1);
+  });
+
+  test('without retention the NPV equals the net payout', () => {
+    const result = calculateRetentionNpv({ netPayout: 500000, rates: getTaxRates(2025) });
+    
+    expect(result.npv).toBe(500000);
+    expect(result.deferredDividendTax).toBe(0);
+  });
+
+  test('a higher company return makes retention win on NPV but not on net payout', () => {
+    const npv = { companyReturn: 0.07, privateReturn: 0.04, discountRate: 0.05, years: 10 };
+    const byPayout = generateAllScenarios({ ...base, npv }).comparison;
+    const byNpv = generateAllScenarios({ ...base, npv, ranking: 'npv' }).comparison;
+    
+    expect(byPayout.rankedBy).toBe('netPayout');
+    expect(byPayout.rows[0].retained).toBe(0);
+    expect(byNpv.rankedBy).toBe('npv');
+    expect(byNpv.rows[0].retained).toBeGreaterThan(0);
+    expect(byNpv.rows[0].differenceFromBest).toBe(0);
+    
+    const values = byNpv.rows.map(row => row.npv);
+    expect(values).toEqual([...values].sort((a, b) => b - a));
+  });
+
+  test('recommendations follow the selected ranking', () => {
+    const npv = { companyReturn: 0.07, privateReturn: 0.04, discountRate: 0.05, years: 10 };
+    const byPayout = generateAllScenarios({ ...base, npv });
+    const byNpv = generateAllScenarios({ ...base, npv, ranking: 'npv' });
+    
+    expect(byPayout.recommendations.primary.scenario).toBe(byPayout.comparison.bestScenario);
+    expect(byNpv.recommendations.primary.scenario).toBe(byNpv.comparison.bestScenario);
+    expect(byNpv.recommendations.primary.npv).toBe(byNpv.comparison.rows[0].npv);
+    byNpv.recommendations.alternatives.forEach(alt => {
+      expect(alt.difference).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  test('scenarios carry the deferred dividend tax on retained profit', () => {
+    const result = generateAllScenarios(base);
+    
+    expect(result.scenarios.withRetention.npv.deferredDividendTax).toBeGreaterThan(0);
+    expect(result.scenarios.allSalary.npv.npv).toBe(result.scenarios.allSalary.results.netPrivatePayout);
+  });
+
+  test('validation of NPV settings and ranking', () => {
+    expect(validateNpvSettings(undefined).value).toEqual({ companyReturn: 0.04, privateReturn: 0.04, discountRate: 0.04, years: 10 });
+    expect(validateNpvSettings({ companyReturn: 6 }).value.companyReturn).toBeCloseTo(0.06);
+    expect(validateNpvSettings({ years: -1 }).isValid).toBe(false);
+    expect(validateNpvSettings({ discountRate: 45 }).isValid).toBe(false);
+    expect(validateRanking(undefined).value).toBe('netPayout');
+    expect(validateRanking('x').isValid).toBe(false);
+    expect(generateAllScenarios({ ...base, ranking: 'x' }).success).toBe(false);
+  });
+});
+
+describe('Investing Retained Profit: AS vs. ASK', () => {
+  const rates = getTaxRates(2025);
+  const dividendTaxRate = rates.personalTaxRate * rates.dividendGrossUpFactor;
+
+  test('with no years invested both paths give the amount after dividend tax', () => {
+    const result = calculateRetentionInvestment({ retainedAfterTax: 100000, rates, settings: { years: 0 } });
+    
+    expect(result.company.netToOwner).toBe(Math.round(100000 * (1 - dividendTaxRate)));
+    expect(result.private.netToOwner).toBe(result.company.netToOwner);
+    expect(result.difference).toBe(0);
+  });
+
+  test('dividends in the company are taxed only through the 3% inclusion', () => {
+    const result = calculateRetentionInvestment({
+      retainedAfterTax: 100000,
+      rates,
+      settings: { expectedReturn: 0.05, dividendYield: 0.05, years: 1 }
+    });
+    
+    expect(result.company.fritaksmetodenTax).toBe(Math.round(5000 * 0.03 * 0.22));
+    expect(result.private.dividendTax).toBe(Math.round(100000 * (1 - dividendTaxRate) * 0.05 * dividendTaxRate));
+    expect(result.better).toBe('company');
+  });
+
+  test('skjerming on the ASK deposit can cover the whole gain', () => {
+    const result = calculateRetentionInvestment({
+      retainedAfterTax: 100000,
+      rates,
+      settings: { expectedReturn: 0.02, dividendYield: 0, years: 5 }
+    });
+    
+    // A gain within skjerming is tax-free, so both paths grow the after-tax amount alike
+    expect(result.private.skjermingUsed).toBe(result.private.gain);
+    expect(result.private.withdrawalTax).toBe(0);
+    expect(Math.abs(result.difference)).toBeLessThanOrEqual(1);
+  });
+
+  test('scenarios that retain profit carry the comparison', () => {
+    const result = generateAllScenarios({ profit: 1500000, employerZone: '1', taxYear: 2025, withdrawalStrategy: { type: 'dividend' }, investment: { expectedReturn: 8, dividendYield: 1, years: 15 } });
+    const { investment } = result.scenarios.withRetention;
+    
+    expect(investment.company.invested).toBe(result.scenarios.withRetention.results.retainedInCompany);
+    expect(investment.settings).toEqual({ expectedReturn: 0.08, dividendYield: 0.01, years: 15 });
+    expect(result.scenarios.optimized.investment).toBeUndefined();
+    expect(result.recommendations.considerations.some(c => c.topic === 'Investere i selskapet eller privat')).toBe(true);
+  });
+
+  test('validation of investment settings', () => {
+    expect(validateInvestmentSettings(undefined).value).toEqual({ expectedReturn: 0.06, dividendYield: 0.02, years: 10 });
+    expect(validateInvestmentSettings({ expectedReturn: 4, dividendYield: 5 }).isValid).toBe(false);
+    expect(validateInvestmentSettings({ years: 51 }).isValid).toBe(false);
+    expect(validateInvestmentSettings('high').isValid).toBe(false);
+  });
+});
+
+describe('Other Personal Income', () => {
+  const rates = getTaxRates(2025);
+  const base = { profit: 1500000, employerZone: '1', taxYear: 2025, withdrawalStrategy: { type: 'dividend' } };
+
+  test('without other income the total tax matches the salary functions', () => {
+    const result = calculatePersonalIncomeTax(800000, null, rates);
+    
+    expect(result.trygdeavgift).toBe(calculateSocialSecurityContribution(800000, rates).contribution);
+    expect(result.trinnskatt).toBe(calculateBracketTax(800000, rates).totalBracketTax);
+    expect(result.incomeTax).toBe(calculateIncomeTax(800000, rates).incomeTax);
+  });
+
+  test('pension has the lower trygdeavgift rate and its own minstefradrag', () => {
+    const result = calculatePersonalIncomeTax(0, { pension: 300000 }, rates);
+    const { rate, maximum } = rates.pensionMinstefradrag;
+    
+    expect(result.trygdeavgift).toBe(Math.round(300000 * rates.socialSecurityRates.pension));
+    expect(result.minstefradrag).toBe(Math.min(300000 * rate, maximum));
+  });
+
+  test('minstefradrag for wage and pension together stays within the wage maximum', () => {
+    const result = calculatePersonalIncomeTax(600000, { pension: 400000 }, rates);
+    
+    expect(result.minstefradrag).toBe(rates.minstefradrag.maximum);
+  });
+
+  test('a day job taxes the company salary at a higher marginal rate', () => {
+    const alone = calculateSalaryTaxWithOtherIncome(500000, null, rates);
+    const withDayJob = calculateSalaryTaxWithOtherIncome(500000, { salary: 700000 }, rates);
+    
+    expect(withDayJob.trinnskatt).toBeGreaterThan(alone.trinnskatt);
+    expect(withDayJob.totalTax).toBeGreaterThan(alone.totalTax);
+    expect(withDayJob.taxOnOtherIncome).toBeGreaterThan(0);
+  });
+
+  test('the optimizer picks a lower salary share with other salary or pension', () => {
+    const alone = generateAllScenarios(base).scenarios.optimizationDetails.optimalRatio;
+    const withDayJob = generateAllScenarios({ ...base, otherIncome: { salary: 700000 } }).scenarios.optimizationDetails.optimalRatio;
+    const withPension = generateAllScenarios({ ...base, otherIncome: { pension: 300000 } }).scenarios.optimizationDetails.optimalRatio;
+    
+    expect(withDayJob).toBeLessThan(alone);
+    expect(withPension).toBeLessThan(alone);
+  });
+
+  test('capital expenses the income cannot absorb reduce the dividend tax', () => {
+    const without = calculateDividendScenario(1000000, { taxYear: 2025 });
+    const withInterest = calculateDividendScenario(1000000, { taxYear: 2025, otherIncome: { capitalExpenses: 100000 } });
+    
+    expect(without.personal.dividendTax - withInterest.personal.dividendTax).toBeCloseTo(100000 * rates.personalTaxRate, -1);
+    expect(withInterest.assumptions).toContain(`Annen inntekt: kapitalkostnader ${(100000).toLocaleString('nb-NO')} kr`);
+  });
+
+  test('other income is used by the salary scenario and the planner', () => {
+    const salary = calculateSalaryScenario(1000000, '1', { taxYear: 2025, otherIncome: { salary: 700000 } });
+    const plan = calculateExtractionPlan({ horizon: 2, profit: 1200000, consumption: 500000, employerZone: '1', taxYear: 2025, otherIncome: { salary: 700000 } });
+    const planAlone = calculateExtractionPlan({ horizon: 2, profit: 1200000, consumption: 500000, employerZone: '1', taxYear: 2025 });
+    
+    expect(salary.calculationSteps.some(step => step.step === 'Personskatt med annen inntekt')).toBe(true);
+    expect(salary.personal.totalPersonalTax).toBeGreaterThan(calculateSalaryScenario(1000000, '1', { taxYear: 2025 }).personal.totalPersonalTax);
+    expect(plan.success).toBe(true);
+    expect(plan.plan.totals.totalTax).toBeGreaterThan(planAlone.plan.totals.totalTax);
+  });
+
+  test('validation of other income', () => {
+    expect(validateOtherIncome(undefined).value).toBeNull();
+    expect(validateOtherIncome({ pension: '250000' }).value).toEqual({ salary: 0, pension: 250000, capitalIncome: 0, capitalExpenses: 0 });
+    expect(validateOtherIncome({ capitalExpenses: -1 }).isValid).toBe(false);
+    expect(validateOtherIncome(500000).isValid).toBe(false);
+    expect(generateAllScenarios({ ...base, otherIncome: { salary: 'mye' } }).success).toBe(false);
+  });
+});
+
+describe('Personal Deductions', () => {
+  const rates = getTaxRates(2025);
+  const mortgage = [{ type: 'interest', amount: 300000 }];
+  const base = { profit: 1500000, employerZone: '1', taxYear: 2025, withdrawalStrategy: { type: 'dividend' } };
+
+  test('caps follow the tax year', () => {
+    const result = calculatePersonalDeductions([
+      { type: 'interest', amount: 200000 },
+      { type: 'childcare', amount: 60000, children: 2 },
+      { type: 'unionDues', amount: 12000 },
+      { type: 'gifts', amount: 40000 }
+    ], rates);
+    
+    expect(result.items.map(item => item.deductible)).toEqual([200000, 40000, 8000, 25000]);
+    expect(result.total).toBe(273000);
+    expect(calculatePersonalDeductions([{ type: 'unionDues', amount: 12000 }], getTaxRates(2022)).total).toBe(5800);
+  });
+
+  test('deductions lower income tax on salary but not trygdeavgift or trinnskatt', () => {
+    const without = calculateSalaryScenario(1000000, '1', { taxYear: 2025 });
+    const withDeductions = calculateSalaryScenario(1000000, '1', { taxYear: 2025, personalDeductions: [{ type: 'unionDues', amount: 8000 }] });
+    
+    expect(without.personal.inntektsskatt - withDeductions.personal.inntektsskatt).toBe(Math.round(8000 * rates.personalTaxRate));
+    expect(withDeductions.personal.trygdeavgift).toBe(without.personal.trygdeavgift);
+    expect(withDeductions.personal.trinnskatt).toBe(without.personal.trinnskatt);
+    expect(withDeductions.calculationSteps.some(step => step.step === 'Personlige fradrag')).toBe(true);
+  });
+
+  test('deductions are used against the grossed-up dividend without any salary', () => {
+    const without = calculateDividendScenario(1000000, { taxYear: 2025 });
+    const withMortgage = calculateDividendScenario(1000000, { taxYear: 2025, personalDeductions: mortgage });
+    
+    expect(without.personal.dividendTax - withMortgage.personal.dividendTax).toBeCloseTo(300000 * rates.personalTaxRate, -1);
+  });
+
+  test('deductions a small salary cannot absorb move to the dividend', () => {
+    const without = calculateCombinationScenario(1500000, '1', 20, { taxYear: 2025 });
+    const withMortgage = calculateCombinationScenario(1500000, '1', 20, { taxYear: 2025, personalDeductions: mortgage });
+    const step = withMortgage.calculationSteps.find(entry => entry.step === 'Personlige fradrag');
+    
+    expect(withMortgage.results.netPrivatePayout - without.results.netPrivatePayout).toBeCloseTo(300000 * rates.personalTaxRate, -1);
+    expect(step.details.some(line => line.startsWith('Fradrag brukt mot utbytte'))).toBe(true);
+  });
+
+  test('the optimizer does not need a higher salary to use the deductions', () => {
+    const without = generateAllScenarios(base).scenarios.optimizationDetails;
+    const withMortgage = generateAllScenarios({ ...base, personalDeductions: mortgage }).scenarios.optimizationDetails;
+    
+    expect(withMortgage.optimalRatio).toBeLessThanOrEqual(without.optimalRatio);
+    expect(withMortgage.analysis.factors.some(factor => factor.startsWith('Personlige fradrag'))).toBe(true);
+  });
+
+  test('the planner applies the deductions every year', () => {
+    const input = { horizon: 2, profit: 1200000, consumption: 500000, employerZone: '1', taxYear: 2025 };
+    const without = calculateExtractionPlan(input);
+    const withMortgage = calculateExtractionPlan({ ...input, personalDeductions: mortgage });
+    
+    expect(withMortgage.plan.totals.totalTax).toBeLessThan(without.plan.totals.totalTax);
+  });
+
+  test('validation of personal deductions', () => {
+    expect(validatePersonalDeductions(undefined).value).toBeNull();
+    expect(validatePersonalDeductions([{ type: 'childcare', amount: '30000' }]).value).toEqual([{ type: 'childcare', amount: 30000, children: 1 }]);
+    expect(validatePersonalDeductions([{ type: 'boat', amount: 1000 }]).isValid).toBe(false);
+    expect(validatePersonalDeductions([{ type: 'interest', amount: -1 }]).isValid).toBe(false);
+    expect(validatePersonalDeductions([{ type: 'childcare', amount: 1000, children: 0 }]).isValid).toBe(false);
+    expect(validatePersonalDeductions({ type: 'interest' }).isValid).toBe(false);
+  });
+});
+
+describe('Loss Carryforward', () => {
+  const rates = getTaxRates(2025);
+  const base = { profit: 1500000, employerZone: '1', taxYear: 2025, withdrawalStrategy: { type: 'dividend' } };
+
+  test('earlier losses reduce the taxable profit', () => {
+    const result = calculateCorporateTax(1000000, rates, 300000);
+    
+    expect(result.lossUsed).toBe(300000);
+    expect(result.taxableProfit).toBe(700000);
+    expect(result.corporateTax).toBe(700000 * rates.corporateTaxRate);
+    expect(result.lossRemaining).toBe(0);
+    expect(calculateCorporateTax(200000, rates, 300000).lossRemaining).toBe(100000);
+  });
+
+  test('a loss year adds to the loss carried forward', () => {
+    const result = calculateCorporateTax(-400000, rates, 100000);
+    
+    expect(result.corporateTax).toBe(0);
+    expect(result.lossUsed).toBe(0);
+    expect(result.lossRemaining).toBe(500000);
+  });
+
+  test('nothing is paid out in a loss year', () => {
+    const result = generateAllScenarios({ ...base, profit: -400000, lossCarryforward: 100000 });
+    
+    expect(result.success).toBe(true);
+    expect(result.warnings.some(warning => warning.startsWith('Underskudd på'))).toBe(true);
+    for (const key of ['allSalary', 'allDividend', 'optimized']) {
+      expect(result.scenarios[key].results.netPrivatePayout).toBe(0);
+      expect(result.scenarios[key].company.lossCarryforwardRemaining).toBe(500000);
+    }
+  });
+
+  test('the dividend scenario pays less corporate tax and more dividend', () => {
+    const without = calculateDividendScenario(1000000, { taxYear: 2025 });
+    const withLoss = calculateDividendScenario(1000000, { taxYear: 2025, lossCarryforward: 300000 });
+    
+    expect(without.company.corporateTax - withLoss.company.corporateTax).toBeCloseTo(300000 * rates.corporateTaxRate, 0);
+    expect(withLoss.personal.dividendReceived).toBeGreaterThan(without.personal.dividendReceived);
+    expect(withLoss.company.lossCarryforwardUsed).toBe(300000);
+    expect(withLoss.calculationSteps.some(step => step.step === 'Selskapsskatt' && step.details[0].startsWith('Fremførbart underskudd'))).toBe(true);
+  });
+
+  test('the optimizer moves towards dividend to use the loss', () => {
+    const without = generateAllScenarios(base).scenarios;
+    const withLoss = generateAllScenarios({ ...base, lossCarryforward: 800000 }).scenarios;
+    
+    expect(withLoss.optimizationDetails.optimalRatio).toBeLessThan(without.optimizationDetails.optimalRatio);
+    expect(withLoss.optimized.results.netPrivatePayout).toBeGreaterThan(without.optimized.results.netPrivatePayout);
+  });
+
+  test('the planner carries the loss to later years', () => {
+    const result = calculateExtractionPlan({ horizon: 2, profit: [-500000, 1000000], consumption: 400000, employerZone: '1', taxYear: 2025, lossCarryforward: 100000 });
+    const [lossYear, nextYear] = result.plan.years;
+    
+    expect(result.success).toBe(true);
+    expect(lossYear.netPayout).toBe(0);
+    expect(lossYear.lossCarryforwardOut).toBe(600000);
+    expect(nextYear.lossCarryforwardIn).toBe(600000);
+    expect(result.plan.totals.lossCarryforwardRemaining).toBe(nextYear.lossCarryforwardOut);
+  });
+
+  test('validation of loss carried forward', () => {
+    expect(validateLossCarryforward(undefined).value).toBe(0);
+    expect(validateLossCarryforward('250000').value).toBe(250000);
+    expect(validateLossCarryforward(-1).isValid).toBe(false);
+    expect(validateLossCarryforward('abc').isValid).toBe(false);
+  });
+});
+
+describe('Dividend Capacity', () => {
+  const base = { profit: 1500000, employerZone: '1', taxYear: 2025, withdrawalStrategy: { type: 'dividend' } };
+  const uncovered = { shareCapital: 30000, otherEquity: 100000, uncoveredLoss: 900000 };
+
+  test('capacity is free equity plus the result after tax', () => {
+    const result = calculateDividendCapacity({ balanceSheet: uncovered, resultAfterTax: 1000000, distribution: 1000000 });
+    
+    expect(result.checked).toBe(true);
+    expect(result.capacity).toBe(200000);
+    expect(result.distribution).toBe(200000);
+    expect(result.heldBack).toBe(800000);
+    expect(calculateDividendCapacity({ balanceSheet: null, distribution: 500000 })).toMatchObject({ checked: false, distribution: 500000, heldBack: 0 });
+  });
+
+  test('the dividend scenario keeps what exceeds the capacity in the company', () => {
+    const covered = calculateDividendScenario(1000000, { taxYear: 2025, balanceSheet: { shareCapital: 30000, otherEquity: 200000 } });
+    expect(covered.company.dividendCapacity).toBe(980000);
+    expect(covered.personal.dividendReceived).toBe(780000);
+    expect(covered.company.dividendHeldBack).toBe(0);
+    
+    const limited = calculateDividendScenario(1000000, { taxYear: 2025, balanceSheet: { otherEquity: 0, uncoveredLoss: 500000 } });
+    expect(limited.company.dividendCapacity).toBe(280000);
+    expect(limited.personal.dividendReceived).toBe(280000);
+    expect(limited.company.dividendHeldBack).toBe(500000);
+    expect(limited.results.retainedInCompany).toBe(500000);
+    expect(limited.calculationSteps.some(step => step.step === 'Utbyttekapasitet')).toBe(true);
+  });
+
+  test('no scenario distributes more than the capacity and the optimizer moves to salary', () => {
+    const without = generateAllScenarios(base);
+    const result = generateAllScenarios({ ...base, balanceSheet: { otherEquity: 0, uncoveredLoss: 1000000 } });
+    
+    for (const key of ['allDividend', 'split5050', 'optimized']) {
+      const company = result.scenarios[key].company;
+      expect(company.dividendDistributed).toBeLessThanOrEqual(company.dividendCapacity);
+    }
+    expect(result.scenarios.optimizationDetails.optimalRatio).toBeGreaterThan(without.scenarios.optimizationDetails.optimalRatio);
+    expect(result.warnings.some(warning => warning.startsWith('Udekket tap'))).toBe(true);
+  });
+
+  test('the recommendation states the constraint', () => {
+    const unchecked = generateAllScenarios(base).recommendations;
+    const limited = generateAllScenarios({ ...base, balanceSheet: { otherEquity: 0, uncoveredLoss: 300000 } }).recommendations;
+    
+    expect(unchecked.primary.dividendConstraint).toMatch(/ikke kontrollert/);
+    expect(unchecked.considerations.some(entry => entry.topic.startsWith('Utbyttekapasitet'))).toBe(true);
+    expect(limited.considerations.find(entry => entry.topic.startsWith('Utbyttekapasitet')).description).toMatch(/kan selskapet dele ut inntil/);
+    expect(generateAllScenarios({ ...base, balanceSheet: { otherEquity: 0, uncoveredLoss: 1000000 } }).recommendations.primary.dividendConstraint).toMatch(/med rent utbytte kan bare/);
+  });
+
+  test('paid-in capital is repaid before the capacity limits the dividend', () => {
+    const balanceSheet = { shareCapital: 5030000, otherEquity: 0, uncoveredLoss: 2000000 };
+    const dividend = calculateDividendScenario(1000000, { taxYear: 2025, paidInCapital: 5000000, balanceSheet });
+    const combination = calculateCombinationScenario(1000000, '1', 0, { taxYear: 2025, paidInCapital: 500000, balanceSheet: { otherEquity: 0, uncoveredLoss: 500000 } });
+    
+    expect(dividend.company.capitalRepaid).toBe(780000);
+    expect(dividend.personal.dividendReceived).toBe(0);
+    expect(dividend.company.dividendHeldBack).toBe(0);
+    expect(combination.company.capitalRepaid).toBe(500000);
+    expect(combination.company.dividendCapacity).toBe(280000);
+    expect(combination.company.dividendDistributed).toBe(280000);
+    expect(combination.company.dividendHeldBack).toBe(0);
+  });
+
+  test('the planner caps the dividend at the capacity', () => {
+    const input = { horizon: 2, profit: 600000, consumption: 900000, employerZone: '1', taxYear: 2025 };
+    const result = calculateExtractionPlan({ ...input, balanceSheet: { otherEquity: 0, uncoveredLoss: 200000 } });
+    
+    expect(result.success).toBe(true);
+    result.plan.years.forEach(year => expect(year.dividend).toBeLessThanOrEqual(year.dividendCapacity));
+    expect(calculateExtractionPlan(input).plan.years[0].dividendCapacity).toBeNull();
+  });
+
+  test('validation of the balance sheet', () => {
+    expect(validateBalanceSheet(undefined).value).toBeNull();
+    expect(validateBalanceSheet({ shareCapital: '30000' }).value).toEqual({ shareCapital: 30000, otherEquity: 0, uncoveredLoss: 0 });
+    expect(validateBalanceSheet({ uncoveredLoss: -1 }).isValid).toBe(false);
+    expect(validateBalanceSheet([1]).isValid).toBe(false);
+  });
+});
+
 // ============================================================================
 // SALARY CALCULATION TESTS
 // ============================================================================
@@ -79,11 +1948,50 @@ describe('Salary Calculations', () => {
       expect(withPension.pensionContribution).toBeGreaterThan(0);
     });
 
+    test('pension and AGA on the pension use up the available amount', () => {
+      const result = calculateMaxGrossSalary(1000000, '1', true, 0.02);
+      
+      expect(result.pensionAGA).toBe(Math.round(result.pensionContribution * 0.141));
+      expect(result.totalEmployerCost).toBeCloseTo(1000000, -1);
+    });
+
     test('throws error for invalid zone', () => {
       expect(() => calculateMaxGrossSalary(1000000, 'invalid')).toThrow();
     });
   });
 
+  describe('calculateOtpContribution', () => {
+    const rates = getTaxRates(2025);
+    const twelveG = 12 * rates.grunnbelopet;
+
+    test('no contribution on salary above 12G', () => {
+      const result = calculateOtpContribution(2000000, 0.02, rates);
+      expect(result.pensionBase).toBe(twelveG);
+      expect(result.contribution).toBeCloseTo(twelveG * 0.02, 2);
+    });
+
+    test('contribution from the first krone below 12G', () => {
+      expect(calculateOtpContribution(100000, 0.02, rates).contribution).toBeCloseTo(2000, 2);
+    });
+
+    test('lower limit in G is applied when set', () => {
+      const oneG = getTaxRates(2025, { otpSalaryBand: { lowerLimitG: 1 } });
+      expect(calculateOtpContribution(100000, 0.02, oneG).contribution).toBe(0);
+      expect(calculateOtpContribution(500000, 0.02, oneG).contribution)
+        .toBeCloseTo((500000 - oneG.grunnbelopet) * 0.02, 2);
+    });
+
+    test('pension is shown as its own step and counted in the totals', () => {
+      const result = calculateSalaryScenario(1000000, '1', { includePension: true, pensionRate: 0.02 });
+      const pensionStep = result.calculationSteps.find(step => step.step === 'Pensjon (OTP)');
+      
+      expect(pensionStep.details.length).toBeGreaterThan(0);
+      expect(result.company.pensionAGA).toBeGreaterThan(0);
+      expect(result.results.netPrivatePayout + result.results.totalTaxPaid + result.company.pensionContribution)
+        .toBeCloseTo(1000000, -1);
+    });
+  });
+
   describe('calculateBracketTax', () => {
     test('returns zero for income below first threshold', () => {
       const result = calculateBracketTax(200000);
@@ -119,9 +2027,52 @@ describe('Salary Calculations', () => {
       expect(result.contribution).toBe(0);
     });
 
-    test('calculates 7.8% for income above threshold', () => {
+    test('calculates 7.7% for income above threshold', () => {
       const result = calculateSocialSecurityContribution(500000);
-      expect(result.contribution).toBeCloseTo(500000 * 0.078, 0);
+      expect(result.contribution).toBeCloseTo(500000 * 0.077, 0);
+    });
+
+    describe('opptrappingsregelen (25% of income above threshold)', () => {
+      // 2025: threshold 99 650, rate 7.7%, cap 25%
+      // Crossover: 99 650 × 0.25 / (0.25 - 0.077) ≈ 144 003
+      test.each([
+        [99650, 0],
+        [99651, 0],        // 1 kr above: 0.25 kr
+        [100000, 88],      // 350 × 25% = 87.5
+        [110000, 2588],    // 10 350 × 25% = 2 587.5
+        [140000, 10088],   // 40 350 × 25% = 10 087.5 (ordinary 10 780)
+        [144003, 11088],   // cap ≈ ordinary at the crossover
+        [150000, 11550],   // ordinary 7.7% applies
+      ])('salary %i gives trygdeavgift %i', (salary, expected) => {
+        expect(calculateSocialSecurityContribution(salary).contribution).toBe(expected);
+      });
+
+      test('marks and documents the capped contribution', () => {
+        const capped = calculateSocialSecurityContribution(110000);
+        const ordinary = calculateSocialSecurityContribution(200000);
+        
+        expect(capped.phaseInApplied).toBe(true);
+        expect(capped.calculationSteps.join(' ')).toMatch(/opptrappingsregelen/);
+        expect(ordinary.phaseInApplied).toBe(false);
+        expect(ordinary.contribution).toBe(15400);
+      });
+
+      test('uses the threshold of the selected year', () => {
+        const rates2026 = getTaxRates(2026);
+        const result = calculateSocialSecurityContribution(120000, rates2026);
+        
+        // (120 000 - 99 650) × 25% = 5 087.5 < 120 000 × 7.6%
+        expect(result.contribution).toBe(5088);
+        expect(result.phaseInApplied).toBe(true);
+      });
+
+      test('combination scenario applies the cap to small salaries', () => {
+        const result = calculateCombinationScenario(300000, '5', 40);
+        const expected = calculateSocialSecurityContribution(result.personal.grossSalary);
+        
+        expect(result.personal.trygdeavgift).toBe(expected.contribution);
+        expect(expected.phaseInApplied).toBe(true);
+      });
     });
   });
 
@@ -133,7 +2084,7 @@ describe('Salary Calculations', () => {
 
     test('caps at maximum limit', () => {
       const result = calculateMinstefradrag(500000);
-      expect(result.minstefradrag).toBe(114950); // 2025 maximum
+      expect(result.minstefradrag).toBe(92000); // 2025 maximum
     });
 
     test('applies minimum for very low income', () => {
@@ -328,6 +2279,15 @@ describe('Combination Calculations', () => {
       
       expect(result.agaRate).toBe(EMPLOYER_SOCIAL_SECURITY_RATES['1']);
     });
+
+    test('follows an overridden bracket table with fewer steps', () => {
+      const result = calculateBreakpoints('1', {
+        overrides: { bracketTax: [{ threshold: 200000, rate: 0.02 }, { threshold: 500000, rate: 0.1 }] }
+      });
+      
+      expect(result.breakpoints.map(bp => bp.name)).toEqual(['Trinnskatt trinn 1', 'Trinnskatt trinn 2']);
+      expect(result.breakpoints[1].marginalTaxRate).toBeCloseTo(0.22 + 0.077 + 0.1, 5);
+    });
   });
 });
 
@@ -343,8 +2303,9 @@ describe('Input Validation', () => {
       expect(validateProfit('500000').isValid).toBe(true);
     });
 
-    test('rejects negative numbers', () => {
-      expect(validateProfit(-1000).isValid).toBe(false);
+    test('accepts a loss year down to the minimum', () => {
+      expect(validateProfit(-1000).isValid).toBe(true);
+      expect(validateProfit(VALIDATION_LIMITS.MIN_PROFIT - 1).isValid).toBe(false);
     });
 
     test('rejects non-numeric values', () => {
@@ -384,6 +2345,38 @@ describe('Input Validation', () => {
     });
   });
 
+  describe('validateTaxYear', () => {
+    test('defaults to the default tax year when omitted', () => {
+      expect(validateTaxYear(undefined).value).toBe(DEFAULT_TAX_YEAR);
+    });
+
+    test('accepts supported years', () => {
+      expect(validateTaxYear(2022).isValid).toBe(true);
+      expect(validateTaxYear('2026').value).toBe(2026);
+    });
+
+    test('rejects unsupported years', () => {
+      expect(validateTaxYear(2021).isValid).toBe(false);
+      expect(validateTaxYear('abc').isValid).toBe(false);
+    });
+  });
+
+  describe('validateOwnerBirthYear', () => {
+    test('is optional', () => {
+      expect(validateOwnerBirthYear(undefined).value).toBeNull();
+    });
+
+    test('accepts a plausible year', () => {
+      expect(validateOwnerBirthYear('1960', 2025).value).toBe(1960);
+    });
+
+    test('rejects years after the tax year or non-integers', () => {
+      expect(validateOwnerBirthYear(2030, 2025).isValid).toBe(false);
+      expect(validateOwnerBirthYear(1870, 2025).isValid).toBe(false);
+      expect(validateOwnerBirthYear(1960.5, 2025).isValid).toBe(false);
+    });
+  });
+
   describe('validateCalculationInput', () => {
     test('validates complete valid input', () => {
       const input = {